@@ -0,0 +1,25 @@
+/**
+ * adminReader — the `findDocs` reader that lets the shared loaders in
+ * ../../src/services (attendeeDataLoader, pairingHistory, ...) run on the
+ * Admin SDK, which has its own query API.
+ */
+import { FieldPath } from 'firebase-admin/firestore';
+import { DOCUMENT_ID } from '../../src/services/attendeeDataLoader';
+
+/**
+ * Wrap an Admin Firestore for the shared loaders.
+ * @param {import('firebase-admin/firestore').Firestore} db
+ * @returns {{ findDocs: Function }}
+ */
+export function adminReader(db) {
+  return {
+    findDocs: async (collectionName, filters = []) => {
+      const found = filters.reduce(
+        (q, [field, op, value]) => q.where(field === DOCUMENT_ID ? FieldPath.documentId() : field, op, value),
+        db.collection(collectionName)
+      );
+      const snap = await found.get();
+      return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    },
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * completeEndedEvents — stores `completed` on published events once they
+ * have ended (dateTime plus durationMinutes), so the status in Firestore
+ * doesn't wait for an organizer to open the app. Screens still show ended
+ * events as completed in the meantime (see getEffectiveStatus).
+ *
+ * Events saved without a status predate drafts and can't be queried for;
+ * getEffectiveStatus covers them.
+ */
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { eventsDueForCompletion } from '../../src/services/eventLifecycle';
+
+export const completeEndedEvents = onSchedule('every 15 minutes', async () => {
+  const db = getFirestore();
+  const now = new Date();
+  const snap = await db.collection('events').where('status', '==', 'published').get();
+  const due = eventsDueForCompletion(snap.docs.map((d) => ({ id: d.id, ...d.data() })), now);
+
+  for (const ev of due) {
+    // Re-read in a transaction: the organizer may have cancelled it since the query
+    await db.runTransaction(async (transaction) => {
+      const ref = db.doc(`events/${ev.id}`);
+      const current = await transaction.get(ref);
+      if (!current.exists || eventsDueForCompletion([current.data()], now).length === 0) return;
+      transaction.update(ref, { status: 'completed', completedAt: now.toISOString(), lastUpdated: now.toISOString() });
+    });
+  }
+  if (due.length) logger.debug(`[completeEndedEvents] Completed ${due.length} ended events`);
+});
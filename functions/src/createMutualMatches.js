@@ -0,0 +1,45 @@
+/**
+ * createMutualMatches — creates `matches/{pairKey}` when a rating completes a
+ * mutual match, and notifies both people. Clients can't create matches (see
+ * the README rules): a match lets the pair connect without a request, so
+ * both ratings are re-read here rather than trusted from the app.
+ */
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { pairKey } from '../../src/algorithms/groupSolver';
+import { loadRatingsBetween } from '../../src/services/attendeeDataLoader';
+import { isMatchRating, isMutualMatch, planMatch } from '../../src/services/matchService';
+import { adminReader } from './adminReader';
+
+export const createMutualMatches = onDocumentWritten('ratings/{ratingId}', async (event) => {
+  const rating = event.data?.after?.data();
+  if (!rating || !isMatchRating(rating)) return;
+  const { fromUserId, toUserId } = rating;
+  if (!fromUserId || !toUserId || fromUserId === toUserId) return;
+
+  const db = getFirestore();
+  const ratings = await loadRatingsBetween(adminReader(db), [fromUserId, toUserId]);
+  if (!isMutualMatch(ratings, fromUserId, toUserId)) return;
+
+  const matchRef = db.doc(`matches/${pairKey(fromUserId, toUserId)}`);
+  const created = await db.runTransaction(async (transaction) => {
+    const [matchSnap, fromSnap, toSnap] = await transaction.getAll(
+      matchRef,
+      db.doc(`users/${fromUserId}`),
+      db.doc(`users/${toUserId}`)
+    );
+    if (matchSnap.exists) return false;
+
+    const { match, notifications } = planMatch(rating, {
+      [fromUserId]: fromSnap.data()?.displayName,
+      [toUserId]: toSnap.data()?.displayName,
+    });
+    transaction.create(matchRef, match);
+    notifications.forEach((notification) => {
+      transaction.set(db.collection('notifications').doc(), notification);
+    });
+    return true;
+  });
+  if (created) logger.debug(`[createMutualMatches] Matched ${fromUserId} and ${toUserId}`);
+});
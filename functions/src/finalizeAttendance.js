@@ -0,0 +1,61 @@
+/**
+ * finalizeAttendance — records who actually came once check-in closes,
+ * ATTENDANCE_FINALIZE_HOURS after an event starts. Every confirmed booking
+ * gets `actuallyAttended` from its presence (see planAttendance), and the
+ * event gets `attendanceFinalizedAt` plus `attendedIds`, which is what lets
+ * Friends see who they met without reading other people's bookings.
+ *
+ * Events whose check-in closed more than FINALIZE_LOOKBACK_HOURS ago are not
+ * looked at again; their bookings keep `actuallyAttended: null` and count as
+ * attended.
+ */
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { ATTENDANCE_FINALIZE_HOURS, eventsDueForFinalizing, planAttendance } from '../../src/services/presenceService';
+
+const FINALIZE_LOOKBACK_HOURS = 72;
+
+// Firestore allows 500 writes per batch; leave headroom.
+const BATCH_LIMIT = 450;
+
+async function finalizeEvent(db, eventId, now) {
+  const nowIso = now.toISOString();
+  const snap = await db.collection('bookings')
+    .where('eventId', '==', eventId)
+    .where('status', '==', 'confirmed')
+    .get();
+  const { attended, attendedIds } = planAttendance(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+
+  // Bookings first: the event is only marked final once they are all written, so a failure is retried
+  for (let i = 0; i < snap.docs.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    snap.docs.slice(i, i + BATCH_LIMIT).forEach((d) => {
+      batch.update(d.ref, { actuallyAttended: attended[d.id], lastUpdated: nowIso });
+    });
+    await batch.commit();
+  }
+  await db.doc(`events/${eventId}`).update({ attendanceFinalizedAt: nowIso, attendedIds, lastUpdated: nowIso });
+  return attendedIds.length;
+}
+
+export const finalizeAttendance = onSchedule('every 15 minutes', async () => {
+  const db = getFirestore();
+  const now = new Date();
+  const closedBy = new Date(now.getTime() - ATTENDANCE_FINALIZE_HOURS * 3600 * 1000);
+  const since = new Date(closedBy.getTime() - FINALIZE_LOOKBACK_HOURS * 3600 * 1000);
+  const snap = await db.collection('events')
+    .where('dateTime', '>=', since.toISOString())
+    .where('dateTime', '<=', closedBy.toISOString())
+    .get();
+  const due = eventsDueForFinalizing(snap.docs.map((d) => ({ id: d.id, ...d.data() })), now);
+
+  for (const ev of due) {
+    try {
+      const present = await finalizeEvent(db, ev.id, now);
+      logger.debug(`[finalizeAttendance] Recorded attendance for ${ev.id}: ${present} present`);
+    } catch (error) {
+      console.error('[finalizeAttendance] Finalizing failed:', ev.id, error);
+    }
+  }
+});
@@ -0,0 +1,157 @@
+/**
+ * generateEventGroups — server-side Shuffler grouping.
+ *
+ * Organizers call this with an eventId and a max group size. The function
+ * reads the confirmed bookings once, with their profiles, ratings and pairing
+ * history, and is the only source of the attendee list: it runs the
+ * scheduling provider with the server-held API key for round 1, solves later
+ * rounds, or (mode 'incremental') fits late bookings into the saved groups.
+ * It returns the groups together with the scoring data the Shuffler needs to
+ * explain and edit them. The client never sees the key.
+ */
+import { getFirestore } from 'firebase-admin/firestore';
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+import { defineSecret } from 'firebase-functions/params';
+import { placeIncrementally, solveRounds } from '../../src/algorithms/groupSolver';
+import { getDefaultProvider, runScheduling } from '../../src/services/aiScheduling';
+import { loadEventAttendees } from '../../src/services/attendeeDataLoader';
+import { loadPairHistory } from '../../src/services/pairingHistory';
+import { adminReader } from './adminReader';
+
+const openaiApiKey = defineSecret('OPENAI_API_KEY');
+
+// Same role spellings the app accepts (see NativeAppContext)
+const MASTER_ROLES = ['super-admin', 'super_admin', 'superAdmin', 'master'];
+const ORGANIZER_ROLES = ['admin', 'event_admin'];
+
+const MAX_ROUNDS = 3;
+
+// Only what scoring and explanations use; contact details stay on the server
+const scoringProfile = (p) => ({
+  id: p.id,
+  displayName: p.displayName || p.name || p.id,
+  gender: p.gender || '',
+  dateOfBirth: p.dateOfBirth || null,
+  preferences: { interests: p.preferences?.interests ?? p.interests ?? [] },
+});
+
+const scoringRating = (r) => ({
+  fromUserId: r.fromUserId,
+  toUserId: r.toUserId,
+  score: r.score ?? null,
+  value: r.value ?? null,
+  createdAt: r.createdAt || '',
+});
+
+/**
+ * Masters may group any event; organizers only their own events or events
+ * in the locality they organize.
+ * @param {Object} profile - Caller's users document
+ * @param {string} uid
+ * @param {Object} event
+ * @returns {boolean}
+ */
+export function canScheduleEvent(profile, uid, event) {
+  const role = profile?.role || '';
+  if (MASTER_ROLES.includes(role)) return true;
+  if (!ORGANIZER_ROLES.includes(role)) return false;
+  return event.createdBy === uid
+    || Boolean(event.localityId && profile.organizerLocalityId === event.localityId);
+}
+
+export const generateEventGroups = onCall(
+  { secrets: [openaiApiKey], timeoutSeconds: 120 },
+  async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Sign in to run the Shuffler.');
+
+    const {
+      eventId, maxPerGroup, freshnessWeight = 0, rounds = 1, mode = 'full',
+    } = request.data || {};
+    const max = parseInt(maxPerGroup, 10);
+    const roundCount = parseInt(rounds, 10);
+    const freshness = Math.min(1, Math.max(0, Number(freshnessWeight) || 0));
+    if (!eventId || typeof eventId !== 'string') throw new HttpsError('invalid-argument', 'eventId is required.');
+    if (Number.isNaN(max) || max < 2) throw new HttpsError('invalid-argument', 'maxPerGroup must be at least 2.');
+    if (Number.isNaN(roundCount) || roundCount < 1 || roundCount > MAX_ROUNDS) {
+      throw new HttpsError('invalid-argument', `rounds must be between 1 and ${MAX_ROUNDS}.`);
+    }
+    if (mode !== 'full' && mode !== 'incremental') throw new HttpsError('invalid-argument', 'Unknown mode.');
+
+    const db = getFirestore();
+    const [eventSnap, callerSnap] = await Promise.all([
+      db.doc(`events/${eventId}`).get(),
+      db.doc(`users/${request.auth.uid}`).get(),
+    ]);
+    if (!eventSnap.exists) throw new HttpsError('not-found', 'Event not found.');
+    const event = { id: eventId, ...eventSnap.data() };
+    if (!canScheduleEvent(callerSnap.data(), request.auth.uid, event)) {
+      throw new HttpsError('permission-denied', 'Only the event organizer can run the Shuffler.');
+    }
+    const saved = (event.venueGroups || []).map((g) => g.attendeeIds || []);
+    if (mode === 'incremental' && !saved.length) {
+      throw new HttpsError('failed-precondition', 'This event has no saved groups to update.');
+    }
+
+    const reader = adminReader(db);
+    const { profiles, ratings } = await loadEventAttendees(reader, eventId);
+    if (!profiles.length) throw new HttpsError('failed-precondition', 'This event has no confirmed bookings yet.');
+
+    let history = {};
+    if (freshness > 0) {
+      try {
+        history = await loadPairHistory(reader, event);
+      } catch (error) {
+        console.warn('[generateEventGroups] Could not load pairing history:', error);
+      }
+    }
+
+    const scoringData = {
+      attendees: profiles.map(scoringProfile),
+      ratings: ratings.map(scoringRating),
+    };
+
+    if (mode === 'incremental') {
+      const result = placeIncrementally(saved, profiles, {
+        maxPerGroup: max, ratings, history, freshnessWeight: freshness,
+      });
+      return {
+        ...scoringData,
+        rounds: [result.groups],
+        histories: [history],
+        placed: result.placed,
+        removed: result.removed,
+        provider: 'local',
+        schedulingNotes: '',
+      };
+    }
+
+    const provider = getDefaultProvider({
+      apiKey: openaiApiKey.value(),
+      baseUrl: process.env.AI_BASE_URL,
+    });
+    const firstRound = await runScheduling(
+      profiles,
+      { targetGroupSize: max, ratings, history, freshnessWeight: freshness },
+      { provider }
+    );
+    // Later rounds are solved to maximize new encounters after round 1
+    const solved = solveRounds(profiles, {
+      rounds: roundCount,
+      maxPerGroup: max,
+      firstRound: firstRound.groups.map((g) => g.memberIds),
+      ratings,
+      history,
+      freshnessWeight: freshness,
+    });
+
+    return {
+      ...scoringData,
+      rounds: solved.rounds,
+      histories: solved.histories,
+      placed: [],
+      removed: [],
+      provider: firstRound.provider,
+      schedulingNotes: firstRound.schedulingNotes || '',
+    };
+  }
+);
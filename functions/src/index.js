@@ -0,0 +1,20 @@
+/**
+ * Gatherly Cloud Functions entry point.
+ *
+ * Built with esbuild into lib/index.js so the shared grouping code under
+ * ../../src is bundled in. Shared loaders import the web SDK's query helpers,
+ * so `firebase` is a dependency here too; on the server they read through
+ * adminReader. Run locally with `npm run serve` (Firebase emulator).
+ */
+import { initializeApp } from 'firebase-admin/app';
+
+initializeApp();
+
+export { completeEndedEvents } from './completeEndedEvents';
+export { createMutualMatches } from './createMutualMatches';
+export { finalizeAttendance } from './finalizeAttendance';
+export { generateEventGroups } from './generateEventGroups';
+export { issueTicket } from './issueTicket';
+export { publishScheduledEvents } from './publishScheduledEvents';
+export { revealScheduledVenues } from './revealScheduledVenues';
+export { updateReliability } from './updateReliability';
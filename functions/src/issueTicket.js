@@ -0,0 +1,63 @@
+/**
+ * issueTicket — signs a Friend's QR ticket for a confirmed booking.
+ *
+ * Each event gets a random ticket key in eventSecrets/{eventId}, created on
+ * the first ticket. Friends never see the key; the organizer reads it from
+ * Firestore (see the README rules) so the scanner can verify offline. The
+ * ticket is stored on the booking, so asking again returns the same one.
+ * Legacy bookings with random IDs are found by user and event, as
+ * bookingService does.
+ */
+import { randomBytes } from 'crypto';
+import { getFirestore } from 'firebase-admin/firestore';
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+import { signTicket } from '../../src/algorithms/ticketSignature';
+
+export const issueTicket = onCall(async (request) => {
+  if (!request.auth) throw new HttpsError('unauthenticated', 'Sign in to get your ticket.');
+
+  const { eventId } = request.data || {};
+  if (!eventId || typeof eventId !== 'string') throw new HttpsError('invalid-argument', 'eventId is required.');
+
+  const uid = request.auth.uid;
+  const db = getFirestore();
+  const secretRef = db.doc(`eventSecrets/${eventId}`);
+
+  // Bookings created before deterministic IDs have random ones; look for those too
+  const bookingId = `${uid}_${eventId}`;
+  const legacySnap = await db.collection('bookings')
+    .where('eventId', '==', eventId)
+    .where('userId', '==', uid)
+    .get();
+  const bookingRefs = [
+    db.doc(`bookings/${bookingId}`),
+    ...legacySnap.docs.filter((d) => d.id !== bookingId).map((d) => d.ref),
+  ];
+
+  return db.runTransaction(async (transaction) => {
+    const [eventSnap, secretSnap, ...bookingSnaps] = await Promise.all([
+      transaction.get(db.doc(`events/${eventId}`)),
+      transaction.get(secretRef),
+      ...bookingRefs.map((ref) => transaction.get(ref)),
+    ]);
+    if (!eventSnap.exists) throw new HttpsError('not-found', 'Event not found.');
+    if (eventSnap.data().status === 'cancelled') throw new HttpsError('failed-precondition', 'This event was cancelled.');
+    const bookingSnap = bookingSnaps.find((snap) => snap.exists && snap.data().status === 'confirmed');
+    if (!bookingSnap) {
+      throw new HttpsError('failed-precondition', 'You do not have a confirmed booking for this event.');
+    }
+
+    const booking = bookingSnap.data();
+    if (booking.ticket) return { ticket: booking.ticket };
+
+    const now = new Date();
+    let key = secretSnap.exists ? secretSnap.data().ticketKey : null;
+    if (!key) {
+      key = randomBytes(32).toString('hex');
+      transaction.set(secretRef, { ticketKey: key, createdAt: now.toISOString() }, { merge: true });
+    }
+    const ticket = signTicket({ eventId, userId: uid, key, issuedAt: now });
+    transaction.update(bookingSnap.ref, { ticket, ticketIssuedAt: now.toISOString(), lastUpdated: now.toISOString() });
+    return { ticket };
+  });
+});
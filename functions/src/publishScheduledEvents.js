@@ -0,0 +1,97 @@
+/**
+ * publishScheduledEvents — publishes drafts whose `publishAt` has passed and
+ * announces them to the locality's members, so scheduled publishing doesn't
+ * depend on an organizer having the app open.
+ *
+ * A series is announced once, dated at its first occurrence published here,
+ * and only if eventSeries/{seriesId}.announcedAt is unset (the app sets it
+ * too). Announcement emails use fixed mailQueue IDs, so a retried run never
+ * queues the same email twice.
+ */
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { defineString } from 'firebase-functions/params';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { eventAnnouncementEmail } from '../../src/services/emailTemplates';
+import { draftsDueForPublishing } from '../../src/services/eventLifecycle';
+
+// Emails are formatted on the server, which runs in UTC
+const eventTimeZone = defineString('EVENT_TIME_ZONE', { default: 'Africa/Cairo' });
+
+const ALREADY_EXISTS = 6;
+
+async function publishDraft(db, eventId, now) {
+  return db.runTransaction(async (transaction) => {
+    const ref = db.doc(`events/${eventId}`);
+    const snap = await transaction.get(ref);
+    // The organizer may have published, edited or archived it since the query
+    if (!snap.exists || !draftsDueForPublishing([snap.data()], now).length) return false;
+    transaction.update(ref, {
+      status: 'published',
+      publishedAt: now.toISOString(),
+      publishAt: null,
+      lastUpdated: now.toISOString(),
+    });
+    return true;
+  });
+}
+
+async function claimSeriesAnnouncement(db, seriesId, now) {
+  return db.runTransaction(async (transaction) => {
+    const ref = db.doc(`eventSeries/${seriesId}`);
+    const snap = await transaction.get(ref);
+    if (!snap.exists || snap.data().announcedAt) return false;
+    transaction.update(ref, { announcedAt: now.toISOString() });
+    return true;
+  });
+}
+
+async function announce(db, announcementId, event, now) {
+  if (!event.localityId) return;
+  const members = await db.collection('users').where('localityId', '==', event.localityId).get();
+  for (const member of members.docs) {
+    const email = eventAnnouncementEmail({
+      member: member.data(),
+      eventTitle: event.title,
+      localityLabel: event.locality,
+      eventDateTime: event.dateTime,
+      timeZone: eventTimeZone.value(),
+    });
+    if (!email) continue;
+    try {
+      await db.doc(`mailQueue/${announcementId}_${member.id}_announced`)
+        .create({ ...email, status: 'pending', createdAt: now.toISOString() });
+    } catch (error) {
+      if (error.code !== ALREADY_EXISTS) throw error;
+    }
+  }
+}
+
+export const publishScheduledEvents = onSchedule('every 5 minutes', async () => {
+  const db = getFirestore();
+  const now = new Date();
+  // publishAt is cleared on publish, so this only finds drafts still waiting
+  const snap = await db.collection('events').where('publishAt', '<=', now.toISOString()).get();
+  const due = draftsDueForPublishing(snap.docs.map((d) => ({ id: d.id, ...d.data() })), now)
+    .sort((a, b) => (a.dateTime > b.dateTime ? 1 : -1));
+
+  const announcements = new Map();
+  let published = 0;
+  for (const event of due) {
+    if (!(await publishDraft(db, event.id, now))) continue;
+    published += 1;
+    const key = event.seriesId || event.id;
+    if (!announcements.has(key)) announcements.set(key, event);
+  }
+
+  for (const [key, event] of announcements) {
+    if (event.seriesId && !(await claimSeriesAnnouncement(db, event.seriesId, now))) continue;
+    try {
+      await announce(db, key, event, now);
+    } catch (error) {
+      // Non-fatal: the event is published even if the announcement fails
+      console.error('[publishScheduledEvents] Announcing event failed:', key, error);
+    }
+  }
+  if (published) logger.debug(`[publishScheduledEvents] Published ${published} scheduled events`);
+});
@@ -0,0 +1,59 @@
+/**
+ * revealScheduledVenues — reveals group venues once an event's `revealAt`
+ * has passed, so a staged reveal doesn't depend on the organizer having the
+ * app open. It reads the venues from the creator-only
+ * events/{eventId}/private/venues document and writes the same reveal the
+ * organizer's "Now" does (see planVenueReveal).
+ *
+ * revealAt is never more than 48 hours before the start, so reveals older
+ * than REVEAL_LOOKBACK_HOURS belong to events that are long over and are not
+ * looked at again; that keeps the query to a single-field range.
+ */
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { groupChatId } from '../../src/services/groupChatService';
+import { isRevealDue, planVenueReveal, venueDetailsPath } from '../../src/services/venueReveal';
+
+const REVEAL_LOOKBACK_HOURS = 72;
+
+async function revealEvent(db, eventId, now) {
+  return db.runTransaction(async (transaction) => {
+    const eventRef = db.doc(`events/${eventId}`);
+    const [eventSnap, detailsSnap] = await Promise.all([
+      transaction.get(eventRef),
+      transaction.get(db.doc(venueDetailsPath(eventId))),
+    ]);
+    // The organizer may have revealed or reshuffled since the query
+    if (!eventSnap.exists || !isRevealDue(eventSnap.data(), now)) return 0;
+
+    const details = detailsSnap.exists ? detailsSnap.data().groups || {} : {};
+    const { revealed, eventUpdate, notifications, chats } = planVenueReveal(
+      eventId, eventSnap.data(), details, now, eventSnap.data().createdBy || ''
+    );
+    notifications.forEach((notification) => transaction.set(db.collection('notifications').doc(), notification));
+    chats.forEach((chat) => transaction.set(db.doc(`groupChats/${groupChatId(eventId, chat.groupId)}`), chat));
+    transaction.update(eventRef, eventUpdate);
+    return revealed;
+  });
+}
+
+export const revealScheduledVenues = onSchedule('every 5 minutes', async () => {
+  const db = getFirestore();
+  const now = new Date();
+  const since = new Date(now.getTime() - REVEAL_LOOKBACK_HOURS * 3600 * 1000);
+  const snap = await db.collection('events')
+    .where('revealAt', '>=', since.toISOString())
+    .where('revealAt', '<=', now.toISOString())
+    .get();
+  const due = snap.docs.filter((d) => isRevealDue(d.data(), now));
+
+  for (const eventDoc of due) {
+    try {
+      const revealed = await revealEvent(db, eventDoc.id, now);
+      if (revealed) logger.debug(`[revealScheduledVenues] Revealed ${revealed} groups for ${eventDoc.id}`);
+    } catch (error) {
+      console.error('[revealScheduledVenues] Reveal failed:', eventDoc.id, error);
+    }
+  }
+});
@@ -0,0 +1,33 @@
+/**
+ * updateReliability — recomputes `users/{userId}.reliability` whenever one of
+ * the user's bookings changes in a way the score depends on: booking,
+ * cancelling, or attendance being recorded. Friends can't write their own
+ * reliability (see the README rules), so this is the only writer, and
+ * booking only has to read the cooldown stored there.
+ */
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { createBookingPolicy } from '../../src/models';
+import { loadReliability } from '../../src/services/reliabilityService';
+import { adminReader } from './adminReader';
+
+const SCORED_FIELDS = ['status', 'actuallyAttended', 'cancelledAt', 'cancellationReason'];
+
+export const updateReliability = onDocumentWritten('bookings/{bookingId}', async (event) => {
+  const before = event.data?.before?.data() || {};
+  const after = event.data?.after?.data() || {};
+  const userId = after.userId || before.userId;
+  if (!userId || SCORED_FIELDS.every((field) => before[field] === after[field])) return;
+
+  const db = getFirestore();
+  const policySnap = await db.doc('settings/bookingPolicy').get();
+  const policy = createBookingPolicy(policySnap.exists ? policySnap.data() : {});
+  const reliability = await loadReliability(adminReader(db), userId, policy);
+
+  await db.doc(`users/${userId}`).set(
+    { reliability: { ...reliability, updatedAt: new Date().toISOString() } },
+    { merge: true }
+  );
+  logger.debug(`[updateReliability] Updated ${userId}: score ${reliability.score ?? 'n/a'}`);
+});
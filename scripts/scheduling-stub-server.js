@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Scheduling stub server — an offline stand-in for an OpenAI-compatible
+ * chat completions endpoint, for exercising the HTTP scheduling provider.
+ *
+ *   node scripts/scheduling-stub-server.js [port] [mode]
+ *   REACT_APP_AI_BASE_URL=http://localhost:8787/v1 npm start
+ *
+ * It reads the attendee IDs and group size from the scheduling prompt and
+ * answers with consecutive chunks. Modes simulate misbehaving models:
+ *   ok        valid grouping (default)
+ *   invalid   places the first attendee twice
+ *   garbage   responds with non-JSON content
+ *   slow      valid grouping after a 5 s delay
+ *   error     HTTP 500
+ */
+const http = require('http');
+
+const PEOPLE_RE = /PEOPLE:\n([\s\S]*?)\n\nRATINGS/;
+const MAX_RE = /at most (\d+) people/;
+
+function groupFromPrompt(prompt, mode) {
+  const people = JSON.parse((PEOPLE_RE.exec(prompt) || [])[1] || '[]');
+  const max = Number((MAX_RE.exec(prompt) || [])[1]) || 10;
+  const ids = people.map((p) => p.id);
+  const groupCount = Math.max(1, Math.ceil(ids.length / max));
+  const groups = Array.from({ length: groupCount }, (_, i) => ({
+    groupId: i + 1,
+    memberIds: ids.filter((_, j) => j % groupCount === i),
+  }));
+  if (mode === 'invalid' && ids.length > 1) groups[groups.length - 1].memberIds.push(ids[0]);
+  return { groups, totalGroups: groups.length, schedulingNotes: 'Stub server round-robin grouping' };
+}
+
+/**
+ * Create (but do not start) a stub server.
+ * @param {Object} [options]
+ * @param {string} [options.mode] - See the modes above
+ * @param {number} [options.delayMs] - Response delay in slow mode
+ * @returns {http.Server}
+ */
+function createStubServer({ mode = 'ok', delayMs = 5000 } = {}) {
+  return http.createServer((req, res) => {
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+      res.writeHead(404).end();
+      return;
+    }
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      if (mode === 'error') {
+        res.writeHead(500, { 'Content-Type': 'application/json' }).end('{"error":"stub failure"}');
+        return;
+      }
+      let content;
+      try {
+        const prompt = JSON.parse(body).messages.map((m) => m.content).join('\n');
+        content = mode === 'garbage' ? 'Sure! Here are your groups.' : JSON.stringify(groupFromPrompt(prompt, mode));
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: error.message }));
+        return;
+      }
+      const reply = () => res
+        .writeHead(200, { 'Content-Type': 'application/json' })
+        .end(JSON.stringify({ choices: [{ index: 0, message: { role: 'assistant', content } }] }));
+      if (mode === 'slow') setTimeout(reply, delayMs);
+      else reply();
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 8787;
+  const mode = process.argv[3] || 'ok';
+  createStubServer({ mode }).listen(port, () => {
+    console.log(`[scheduling-stub] ${mode} mode on http://localhost:${port}/v1`);
+  });
+}
+
+module.exports = { createStubServer };
@@ -0,0 +1,21 @@
+/**
+ * In-memory AsyncStorage for unit tests. Plain functions rather than
+ * jest.fn, so CRA's resetMocks leaves them working; call clear() between
+ * tests that must not share saved data.
+ */
+let items = {};
+
+const AsyncStorage = {
+  getItem: async (key) => (key in items ? items[key] : null),
+  setItem: async (key, value) => {
+    items[key] = String(value);
+  },
+  removeItem: async (key) => {
+    delete items[key];
+  },
+  clear: async () => {
+    items = {};
+  },
+};
+
+export default AsyncStorage;
@@ -0,0 +1,45 @@
+/* eslint-env jest */
+/**
+ * Manual mock of the Firestore web SDK, used by every unit test (jest picks
+ * it up from src/__mocks__ automatically). References are plain
+ * `{ path, id }` objects and queries plain descriptions, so tests can assert
+ * on what was read and written. src/testUtils/fakeFirestore.js answers the
+ * reads and records the writes against an in-memory store.
+ */
+
+// Every auto ID is 'auto'; assert on the recorded writes rather than the store
+export const AUTO_ID = 'auto';
+
+const refFor = (path) => ({ path, id: path.split('/').pop() });
+
+const pathOf = (parent, segments) => [
+  ...(typeof parent?.path === 'string' ? [parent.path] : []),
+  ...segments,
+].join('/');
+
+export const collection = (parent, ...segments) => refFor(pathOf(parent, segments));
+
+// doc(db, 'events', id), doc(collectionRef, id), or doc(collectionRef) for an auto ID
+export const doc = (parent, ...segments) => refFor(segments.length
+  ? pathOf(parent, segments)
+  : `${parent.path}/${AUTO_ID}`);
+
+export const documentId = () => '__id__';
+export const where = (field, op, value) => ({ field, op, value });
+export const orderBy = (field, direction = 'asc') => ({ orderBy: field, direction });
+export const limitToLast = (count) => ({ limitToLast: count });
+export const query = (ref, ...constraints) => ({
+  path: ref.path,
+  filters: constraints.filter((c) => c.op),
+  order: constraints.filter((c) => c.orderBy),
+});
+
+export const getDoc = jest.fn();
+export const getDocs = jest.fn();
+export const setDoc = jest.fn();
+export const addDoc = jest.fn();
+export const updateDoc = jest.fn();
+export const deleteDoc = jest.fn();
+export const onSnapshot = jest.fn();
+export const runTransaction = jest.fn();
+export const writeBatch = jest.fn();
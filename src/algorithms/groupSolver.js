@@ -0,0 +1,538 @@
+/**
+ * Group Solver
+ * Deterministic local search that splits event attendees into compatible
+ * groups. Used by the Shuffler when no AI grouping is available, and by the
+ * scheduling fallback. No randomness and no I/O, so the same input always
+ * produces the same groups.
+ */
+import { getRatingScore } from '../models';
+
+/** Relative weight of each compatibility factor within a group score. */
+export const DEFAULT_WEIGHTS = {
+  gender: 0.25,
+  age: 0.2,
+  interests: 0.3,
+  ratings: 0.25,
+};
+
+// Age gap (years) at which the age factor bottoms out
+const MAX_AGE_SPREAD = 30;
+// Objective penalty per mutual-1 pair sharing a group; outweighs any gain
+const CONFLICT_PENALTY = 10;
+// Safety cap on improvement passes
+const MAX_PASSES = 50;
+// A past co-membership's repeat penalty halves every this many days
+const REPEAT_HALF_LIFE_DAYS = 60;
+const DAY_MS = 24 * 3600 * 1000;
+// A pair from an earlier round of the same event weighs like meeting this many times just now
+const ROUND_REPEAT_COUNT = 5;
+
+/**
+ * Order-independent key for a pair of user IDs.
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
+ */
+export const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+const toInterestSet = (person) => {
+  const raw = person?.preferences?.interests ?? person?.interests ?? [];
+  const list = Array.isArray(raw) ? raw : String(raw).split(',');
+  return new Set(list.map((i) => String(i).trim().toLowerCase()).filter(Boolean));
+};
+
+const toAge = (person, now) => {
+  if (!person?.dateOfBirth) return null;
+  const born = new Date(person.dateOfBirth);
+  if (Number.isNaN(born.getTime())) return null;
+  return (now.getTime() - born.getTime()) / (365.25 * DAY_MS);
+};
+
+/**
+ * Collect who already sat together, from the venueGroups of past events.
+ * @param {Array} pastEvents - Events ({ id, dateTime, venueGroups, rounds })
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Events at or after this are ignored
+ * @param {number} [options.lookbackDays] - Ignore events older than this
+ * @returns {Object<string, { count: number, lastMetAt: string }>} Keyed by pairKey
+ */
+export function buildPairHistory(pastEvents, { now = new Date(), lookbackDays = 365 } = {}) {
+  const history = {};
+  const oldest = now.getTime() - lookbackDays * DAY_MS;
+  pastEvents.forEach((ev) => {
+    const at = new Date(ev.dateTime).getTime();
+    if (Number.isNaN(at) || at >= now.getTime() || at < oldest) return;
+    // Multi-round events keep every round's groups in `rounds`
+    const groups = ev.rounds?.length ? ev.rounds.flatMap((r) => r.venueGroups || []) : ev.venueGroups || [];
+    groups.forEach((group) => {
+      const ids = [...new Set(group.attendeeIds || [])];
+      for (let i = 0; i < ids.length; i += 1) {
+        for (let j = i + 1; j < ids.length; j += 1) {
+          const key = pairKey(ids[i], ids[j]);
+          const entry = history[key] || { count: 0, lastMetAt: '' };
+          entry.count += 1;
+          if (ev.dateTime > entry.lastMetAt) entry.lastMetAt = ev.dateTime;
+          history[key] = entry;
+        }
+      }
+    });
+  });
+  return history;
+}
+
+/**
+ * List the pairs in the given groups who already sat together before.
+ * @param {string[][]} groups - Member IDs per group
+ * @param {Object} history - From buildPairHistory
+ * @returns {Array<{ a: string, b: string, groupIndex: number, count: number, lastMetAt: string }>}
+ */
+export function findRepeatPairs(groups, history = {}) {
+  const repeats = [];
+  groups.forEach((ids, groupIndex) => {
+    for (let i = 0; i < ids.length; i += 1) {
+      for (let j = i + 1; j < ids.length; j += 1) {
+        const past = history[pairKey(ids[i], ids[j])];
+        if (past) repeats.push({ a: ids[i], b: ids[j], groupIndex, ...past });
+      }
+    }
+  });
+  return repeats;
+}
+
+/**
+ * Precompute everything the scorer needs about people and their ratings.
+ * @param {Array} people - Attendee profiles ({ id, gender, dateOfBirth, preferences.interests })
+ * @param {Array} ratings - Rating documents between attendees
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference date for ages
+ * @param {Object} [options.weights] - Overrides for DEFAULT_WEIGHTS
+ * @param {Object} [options.history] - Past co-memberships from buildPairHistory
+ * @param {number} [options.freshnessWeight] - 0 ignores history; 1 strongly avoids recent repeats
+ * @returns {Object} Solver context
+ */
+export function buildSolverContext(
+  people,
+  ratings = [],
+  { now = new Date(), weights = {}, history = {}, freshnessWeight = 0 } = {}
+) {
+  const byId = {};
+  people.forEach((p) => {
+    byId[p.id] = {
+      id: p.id,
+      gender: (p.gender || '').toLowerCase(),
+      age: toAge(p, now),
+      interests: toInterestSet(p),
+    };
+  });
+
+  // Keep the latest score per direction, then classify each pair
+  const latest = {};
+  ratings.forEach((r) => {
+    if (!byId[r.fromUserId] || !byId[r.toUserId] || r.fromUserId === r.toUserId) return;
+    const score = getRatingScore(r);
+    if (!score) return;
+    const key = `${r.fromUserId}>${r.toUserId}`;
+    if (!latest[key] || (r.createdAt || '') > (latest[key].createdAt || '')) {
+      latest[key] = { score, createdAt: r.createdAt || '' };
+    }
+  });
+
+  const mutualHigh = new Set();
+  const conflicts = new Set();
+  Object.keys(latest).forEach((key) => {
+    const [from, to] = key.split('>');
+    const back = latest[`${to}>${from}`];
+    if (!back) return;
+    if (latest[key].score >= 4 && back.score >= 4) mutualHigh.add(pairKey(from, to));
+    if (latest[key].score === 1 && back.score === 1) conflicts.add(pairKey(from, to));
+  });
+
+  return {
+    byId,
+    mutualHigh,
+    conflicts,
+    weights: { ...DEFAULT_WEIGHTS, ...weights },
+    history,
+    freshnessWeight: Math.max(0, Number(freshnessWeight) || 0),
+    now,
+  };
+}
+
+const jaccard = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach((i) => { if (b.has(i)) shared += 1; });
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Score one group between 0 and 1, with the factors that produced it.
+ * @param {string[]} memberIds
+ * @param {Object} context - From buildSolverContext
+ * @returns {{ score: number, factors: Object, mutualHighPairs: string[][], conflictPairs: string[][] }}
+ */
+export function scoreGroup(memberIds, context) {
+  const members = memberIds.map((id) => context.byId[id]).filter(Boolean);
+  const size = members.length;
+
+  const males = members.filter((m) => m.gender === 'male').length;
+  const females = members.filter((m) => m.gender === 'female').length;
+  const gender = males + females < 2 ? 1 : 1 - Math.abs(males - females) / (males + females);
+
+  const ages = members.map((m) => m.age).filter((a) => a !== null);
+  const spread = ages.length < 2 ? 0 : Math.max(...ages) - Math.min(...ages);
+  const age = 1 - Math.min(spread, MAX_AGE_SPREAD) / MAX_AGE_SPREAD;
+
+  let interestSum = 0;
+  let pairs = 0;
+  const mutualHighPairs = [];
+  const conflictPairs = [];
+  for (let i = 0; i < size; i += 1) {
+    for (let j = i + 1; j < size; j += 1) {
+      const a = members[i];
+      const b = members[j];
+      interestSum += jaccard(a.interests, b.interests);
+      pairs += 1;
+      const key = pairKey(a.id, b.id);
+      if (context.mutualHigh.has(key)) mutualHighPairs.push([a.id, b.id]);
+      if (context.conflicts.has(key)) conflictPairs.push([a.id, b.id]);
+    }
+  }
+  const interests = pairs ? interestSum / pairs : 0;
+  // Neutral at 0.5; each mutual like lifts it, each mutual dislike drags it down
+  const ratings = Math.max(
+    0,
+    Math.min(1, 0.5 + (0.5 * (mutualHighPairs.length - conflictPairs.length)) / Math.max(1, size - 1))
+  );
+
+  const factors = { gender, age, interests, ratings };
+  const { weights } = context;
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0) || 1;
+  let score = Object.keys(weights).reduce((sum, k) => sum + weights[k] * (factors[k] ?? 0), 0) / totalWeight;
+  if (conflictPairs.length) score *= 0.5;
+
+  return { score, factors, mutualHighPairs, conflictPairs };
+}
+
+/**
+ * Explain a group's score for organizers: the factor breakdown, what it is
+ * based on, repeat pairings, and which member fits the group least.
+ * The weakest member is the one whose removal raises the score most
+ * (groups of three or more only).
+ * @param {string[]} memberIds
+ * @param {Object} context - From buildSolverContext
+ * @returns {{
+ *   score: number,
+ *   factors: { gender: number, age: number, interests: number, ratings: number },
+ *   sharedInterests: Array<{ interest: string, count: number }>,
+ *   ageRange: { min: number, max: number }|null,
+ *   genderCounts: { male: number, female: number, other: number },
+ *   mutualHighPairs: string[][],
+ *   conflictPairs: string[][],
+ *   repeatPairs: Array,
+ *   weakestMember: { id: string, gain: number, factor: string }|null
+ * }} factor is the factor that improves most without the weakest member
+ */
+export function explainGroup(memberIds, context) {
+  const base = scoreGroup(memberIds, context);
+  const members = memberIds.map((id) => context.byId[id]).filter(Boolean);
+
+  const interestCounts = {};
+  members.forEach((m) => m.interests.forEach((i) => { interestCounts[i] = (interestCounts[i] || 0) + 1; }));
+  const sharedInterests = Object.entries(interestCounts)
+    .filter(([, count]) => count > 1)
+    .map(([interest, count]) => ({ interest, count }))
+    .sort((a, b) => b.count - a.count || a.interest.localeCompare(b.interest));
+
+  const ages = members.map((m) => m.age).filter((a) => a !== null);
+  const ageRange = ages.length ? { min: Math.floor(Math.min(...ages)), max: Math.floor(Math.max(...ages)) } : null;
+
+  const genderCounts = { male: 0, female: 0, other: 0 };
+  members.forEach((m) => { genderCounts[m.gender === 'male' || m.gender === 'female' ? m.gender : 'other'] += 1; });
+
+  let weakestMember = null;
+  if (memberIds.length >= 3) {
+    memberIds.forEach((id) => {
+      const without = scoreGroup(memberIds.filter((m) => m !== id), context);
+      const gain = without.score - base.score;
+      if (weakestMember && gain <= weakestMember.gain) return;
+      const factor = Object.keys(base.factors)
+        .reduce((best, k) => (without.factors[k] - base.factors[k] > without.factors[best] - base.factors[best] ? k : best));
+      weakestMember = { id, gain, factor };
+    });
+  }
+
+  return {
+    ...base,
+    sharedInterests,
+    ageRange,
+    genderCounts,
+    repeatPairs: findRepeatPairs([memberIds], context.history),
+    weakestMember,
+  };
+}
+
+// Recent and frequent repeats cost more; an old one-off barely counts
+const repeatPenalty = (memberIds, context) => {
+  if (!context.freshnessWeight) return 0;
+  return findRepeatPairs([memberIds], context.history).reduce((sum, { count, lastMetAt }) => {
+    const days = Math.max(0, (context.now.getTime() - new Date(lastMetAt).getTime()) / DAY_MS);
+    return sum + 0.5 ** (days / REPEAT_HALF_LIFE_DAYS) * (1 + 0.5 * (count - 1));
+  }, 0);
+};
+
+const groupObjective = (memberIds, context) => {
+  const { score, conflictPairs } = scoreGroup(memberIds, context);
+  return score * memberIds.length
+    - CONFLICT_PENALTY * conflictPairs.length
+    - context.freshnessWeight * repeatPenalty(memberIds, context);
+};
+
+// Spread genders evenly before local search so the starting point is already balanced
+const initialGroups = (ids, groupCount, context) => {
+  const byGender = {};
+  ids.forEach((id) => {
+    const g = context.byId[id]?.gender || '';
+    (byGender[g] = byGender[g] || []).push(id);
+  });
+  const queues = Object.keys(byGender).sort().map((g) => byGender[g]);
+  const ordered = [];
+  while (queues.some((q) => q.length)) {
+    queues.forEach((q) => { if (q.length) ordered.push(q.shift()); });
+  }
+  const groups = Array.from({ length: groupCount }, () => []);
+  ordered.forEach((id, i) => groups[i % groupCount].push(id));
+  return groups;
+};
+
+/**
+ * Improve groups in place by moving and swapping members until no single
+ * move or swap raises the total objective.
+ * @param {string[][]} groups
+ * @param {Object} context
+ * @param {Object} limits
+ * @param {number} limits.minSize
+ * @param {number} limits.maxSize
+ * @param {Set<string>} [limits.locked] - Member IDs that must not move
+ * @returns {string[][]}
+ */
+export function improveGroups(groups, context, { minSize, maxSize, locked = new Set() }) {
+  const objectives = groups.map((g) => groupObjective(g, context));
+
+  const tryReplace = (gi, gj, nextI, nextJ) => {
+    const oi = groupObjective(nextI, context);
+    const oj = groupObjective(nextJ, context);
+    if (oi + oj > objectives[gi] + objectives[gj] + 1e-9) {
+      groups[gi] = nextI;
+      groups[gj] = nextJ;
+      objectives[gi] = oi;
+      objectives[gj] = oj;
+      return true;
+    }
+    return false;
+  };
+
+  for (let pass = 0; pass < MAX_PASSES; pass += 1) {
+    let improved = false;
+    for (let gi = 0; gi < groups.length; gi += 1) {
+      for (let gj = gi + 1; gj < groups.length; gj += 1) {
+        // Swaps keep both sizes unchanged
+        for (let a = 0; a < groups[gi].length; a += 1) {
+          for (let b = 0; b < groups[gj].length; b += 1) {
+            const idA = groups[gi][a];
+            const idB = groups[gj][b];
+            if (locked.has(idA) || locked.has(idB)) continue;
+            const nextI = [...groups[gi]];
+            const nextJ = [...groups[gj]];
+            nextI[a] = idB;
+            nextJ[b] = idA;
+            if (tryReplace(gi, gj, nextI, nextJ)) improved = true;
+          }
+        }
+        // Moves in either direction, within the size limits
+        for (const [from, to] of [[gi, gj], [gj, gi]]) {
+          for (let a = groups[from].length - 1; a >= 0; a -= 1) {
+            if (groups[from].length <= minSize || groups[to].length >= maxSize) break;
+            const id = groups[from][a];
+            if (locked.has(id)) continue;
+            const nextFrom = groups[from].filter((_, idx) => idx !== a);
+            const nextTo = [...groups[to], id];
+            if (from < to ? tryReplace(from, to, nextFrom, nextTo) : tryReplace(to, from, nextTo, nextFrom)) {
+              improved = true;
+            }
+          }
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return groups;
+}
+
+/**
+ * Split people into groups of at most `maxPerGroup`, as few groups as that
+ * allows and with sizes differing by at most one where possible.
+ * @param {Array} people - Attendee profiles
+ * @param {Object} options
+ * @param {number} options.maxPerGroup
+ * @param {Array} [options.ratings] - Rating documents between attendees
+ * @param {Date} [options.now]
+ * @param {Object} [options.weights]
+ * @param {Object} [options.history] - Past co-memberships from buildPairHistory
+ * @param {number} [options.freshnessWeight] - How hard to avoid repeats (0–1)
+ * @returns {{
+ *   groups: Array<{ memberIds: string[], compatibilityScore: number }>,
+ *   totalScore: number,
+ *   repeatPairs: Array
+ * }} repeatPairs lists the repeats the solver could not avoid
+ */
+export function solveGroups(people, { maxPerGroup, ratings = [], now, weights, history = {}, freshnessWeight = 0 } = {}) {
+  const max = Math.max(1, Number(maxPerGroup) || 1);
+  const ids = [...new Set(people.map((p) => p.id))].sort();
+  if (!ids.length) return { groups: [], totalScore: 0, repeatPairs: [] };
+
+  const context = buildSolverContext(people, ratings, { now, weights, history, freshnessWeight });
+  const groupCount = Math.ceil(ids.length / max);
+  const minSize = Math.floor(ids.length / groupCount);
+
+  const groups = improveGroups(initialGroups(ids, groupCount, context), context, { minSize, maxSize: max });
+  const result = groups.map((memberIds) => ({
+    memberIds,
+    compatibilityScore: Math.round(scoreGroup(memberIds, context).score * 100) / 100,
+  }));
+  const totalScore = result.reduce((sum, g) => sum + g.compatibilityScore * g.memberIds.length, 0) / ids.length;
+
+  return {
+    groups: result,
+    totalScore: Math.round(totalScore * 100) / 100,
+    repeatPairs: findRepeatPairs(groups, history),
+  };
+}
+
+/**
+ * Group the same people for several rounds of one event (e.g. dinner, then
+ * drinks), maximizing new encounters: pairs from an earlier round count as
+ * having just met, heavily, so later rounds mix people up.
+ * @param {Array} people - Attendee profiles
+ * @param {Object} options - As solveGroups, plus:
+ * @param {number} options.rounds - Number of rounds (1 behaves like solveGroups)
+ * @param {string[][]} [options.firstRound] - Use this grouping for round 1 instead of solving it
+ * @returns {{ rounds: string[][][], histories: Object[], uniquePairs: number, repeatedPairs: number }}
+ *   Member IDs per group per round; histories[r] is the pair history as of
+ *   round r (earlier rounds counted once, for display); pair counts across all rounds
+ */
+export function solveRounds(
+  people,
+  { rounds = 1, maxPerGroup, firstRound, ratings = [], now = new Date(), weights, history = {}, freshnessWeight = 0 } = {}
+) {
+  const roundCount = Math.max(1, Math.floor(Number(rounds) || 1));
+  const metAt = now.toISOString();
+  const seen = { ...history };
+  const met = { ...history };
+  const histories = [];
+  const pairRounds = {};
+  const result = [];
+
+  for (let r = 0; r < roundCount; r += 1) {
+    histories.push({ ...met });
+    const groups = r === 0 && firstRound
+      ? firstRound
+      : solveGroups(people, {
+        maxPerGroup,
+        ratings,
+        now,
+        weights,
+        history: seen,
+        freshnessWeight: r ? Math.max(freshnessWeight, 1) : freshnessWeight,
+      }).groups.map((g) => g.memberIds);
+    result.push(groups);
+
+    groups.forEach((ids) => {
+      for (let i = 0; i < ids.length; i += 1) {
+        for (let j = i + 1; j < ids.length; j += 1) {
+          const key = pairKey(ids[i], ids[j]);
+          seen[key] = { count: (seen[key]?.count || 0) + ROUND_REPEAT_COUNT, lastMetAt: metAt };
+          met[key] = { count: (met[key]?.count || 0) + 1, lastMetAt: metAt };
+          pairRounds[key] = (pairRounds[key] || 0) + 1;
+        }
+      }
+    });
+  }
+
+  const counts = Object.values(pairRounds);
+  return {
+    rounds: result,
+    histories,
+    uniquePairs: counts.length,
+    repeatedPairs: counts.filter((c) => c > 1).length,
+  };
+}
+
+/**
+ * Update existing groups after late bookings and cancellations without
+ * moving anyone who is already placed. Cancelled people are removed; each
+ * newcomer joins the group with free capacity where they fit best, and
+ * newcomers who fit nowhere are solved into new groups.
+ * @param {string[][]} groups - Current member IDs per group
+ * @param {Array} people - Profiles of everyone currently attending
+ * @param {Object} options
+ * @param {number} options.maxPerGroup
+ * @param {Array} [options.ratings]
+ * @param {Date} [options.now]
+ * @param {Object} [options.weights]
+ * @param {Object} [options.history]
+ * @param {number} [options.freshnessWeight]
+ * @returns {{
+ *   groups: string[][],
+ *   placed: Array<{ userId: string, groupIndex: number }>,
+ *   removed: Array<{ userId: string, groupIndex: number }>
+ * }} Groups keep their index; new groups are appended. Groups left empty stay empty.
+ */
+export function placeIncrementally(groups, people, { maxPerGroup, ratings = [], now, weights, history = {}, freshnessWeight = 0 } = {}) {
+  const max = Math.max(1, Number(maxPerGroup) || 1);
+  const attending = new Set(people.map((p) => p.id));
+  const context = buildSolverContext(people, ratings, { now, weights, history, freshnessWeight });
+
+  const removed = [];
+  const next = groups.map((ids, groupIndex) => ids.filter((id) => {
+    if (attending.has(id)) return true;
+    removed.push({ userId: id, groupIndex });
+    return false;
+  }));
+
+  const alreadyPlaced = new Set(next.flat());
+  const newcomers = [...attending].filter((id) => !alreadyPlaced.has(id)).sort();
+  const placed = [];
+  const overflow = [];
+
+  newcomers.forEach((id) => {
+    let best = -1;
+    let bestGain = -Infinity;
+    next.forEach((ids, gi) => {
+      if (!ids.length || ids.length >= max) return;
+      const gain = groupObjective([...ids, id], context) - groupObjective(ids, context);
+      if (gain > bestGain + 1e-9) {
+        best = gi;
+        bestGain = gain;
+      }
+    });
+    if (best === -1) {
+      overflow.push(id);
+      return;
+    }
+    next[best].push(id);
+    placed.push({ userId: id, groupIndex: best });
+  });
+
+  if (overflow.length) {
+    const solved = solveGroups(people.filter((p) => overflow.includes(p.id)), {
+      maxPerGroup: max, ratings, now, weights, history, freshnessWeight,
+    });
+    solved.groups.forEach(({ memberIds }) => {
+      next.push(memberIds);
+      memberIds.forEach((userId) => placed.push({ userId, groupIndex: next.length - 1 }));
+    });
+  }
+
+  return { groups: next, placed, removed };
+}
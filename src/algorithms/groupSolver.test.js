@@ -0,0 +1,166 @@
+import {
+  buildPairHistory,
+  buildSolverContext,
+  explainGroup,
+  placeIncrementally,
+  scoreGroup,
+  solveGroups,
+  solveRounds,
+} from './groupSolver';
+
+const NOW = new Date('2026-01-01T00:00:00Z');
+
+const person = (id, gender, dateOfBirth, interests = []) => ({
+  id,
+  gender,
+  dateOfBirth,
+  preferences: { interests },
+});
+
+const rate = (fromUserId, toUserId, score) => ({ fromUserId, toUserId, score });
+
+test('respects maxPerGroup and keeps group sizes balanced', () => {
+  const people = Array.from({ length: 11 }, (_, i) =>
+    person(`u${i}`, i % 2 ? 'male' : 'female', `${1985 + i}-05-01`));
+  const { groups } = solveGroups(people, { maxPerGroup: 4, now: NOW });
+
+  expect(groups).toHaveLength(3);
+  groups.forEach((g) => expect(g.memberIds.length).toBeLessThanOrEqual(4));
+  expect(groups.flatMap((g) => g.memberIds).sort()).toEqual(people.map((p) => p.id).sort());
+});
+
+test('is deterministic for the same input', () => {
+  const people = Array.from({ length: 9 }, (_, i) =>
+    person(`u${i}`, i % 3 ? 'male' : 'female', `${1980 + i * 2}-01-01`, i % 2 ? ['hiking'] : ['movies']));
+  const first = solveGroups(people, { maxPerGroup: 3, now: NOW });
+  const second = solveGroups([...people].reverse(), { maxPerGroup: 3, now: NOW });
+  expect(second).toEqual(first);
+});
+
+test('separates mutual 1 ratings and keeps mutual high ratings together', () => {
+  const people = [
+    person('a', 'female', '1990-01-01'),
+    person('b', 'male', '1990-01-01'),
+    person('c', 'female', '1990-01-01'),
+    person('d', 'male', '1990-01-01'),
+  ];
+  const ratings = [
+    rate('a', 'b', 1), rate('b', 'a', 1),
+    rate('a', 'd', 5), rate('d', 'a', 4),
+  ];
+  const { groups } = solveGroups(people, { maxPerGroup: 2, ratings, now: NOW });
+  const groupOf = (id) => groups.find((g) => g.memberIds.includes(id));
+
+  expect(groupOf('a')).not.toBe(groupOf('b'));
+  expect(groupOf('a')).toBe(groupOf('d'));
+});
+
+test('groups people with shared interests and similar ages', () => {
+  const people = [
+    person('a', 'female', '1995-01-01', ['chess', 'books']),
+    person('b', 'male', '1996-01-01', ['chess', 'books']),
+    person('c', 'female', '1970-01-01', ['football']),
+    person('d', 'male', '1971-01-01', ['football']),
+  ];
+  const { groups } = solveGroups(people, { maxPerGroup: 2, now: NOW });
+  const sets = groups.map((g) => [...g.memberIds].sort().join(''));
+  expect(sets.sort()).toEqual(['ab', 'cd']);
+  groups.forEach((g) => expect(g.compatibilityScore).toBeGreaterThan(0.7));
+});
+
+test('scores a gender-balanced group higher than a one-sided one', () => {
+  const people = [
+    person('a', 'female', '1990-01-01'),
+    person('b', 'male', '1990-01-01'),
+    person('c', 'female', '1990-01-01'),
+  ];
+  const context = buildSolverContext(people, [], { now: NOW });
+  expect(scoreGroup(['a', 'b'], context).score).toBeGreaterThan(scoreGroup(['a', 'c'], context).score);
+});
+
+test('avoids recent repeat pairings when freshness is weighted', () => {
+  const people = ['a', 'b', 'c', 'd'].map((id) => person(id, '', '1990-01-01'));
+  const history = buildPairHistory([
+    { id: 'past', dateTime: '2025-12-01T19:00:00Z', venueGroups: [{ attendeeIds: ['a', 'b'] }, { attendeeIds: ['c', 'd'] }] },
+    { id: 'future', dateTime: '2026-02-01T19:00:00Z', venueGroups: [{ attendeeIds: ['a', 'c'] }] },
+  ], { now: NOW });
+  expect(Object.keys(history).sort()).toEqual(['a|b', 'c|d']);
+
+  const fresh = solveGroups(people, { maxPerGroup: 2, now: NOW, history, freshnessWeight: 1 });
+  expect(fresh.repeatPairs).toEqual([]);
+
+  // With only three people in one group the repeat cannot be avoided and is reported
+  const forced = solveGroups(people.slice(0, 3), { maxPerGroup: 3, now: NOW, history, freshnessWeight: 1 });
+  expect(forced.repeatPairs).toEqual([
+    { a: 'a', b: 'b', groupIndex: 0, count: 1, lastMetAt: '2025-12-01T19:00:00Z' },
+  ]);
+});
+
+test('places late bookers by fit without moving anyone else', () => {
+  const people = [
+    person('a', 'female', '1995-01-01', ['chess']),
+    person('b', 'male', '1996-01-01', ['chess']),
+    person('d', 'male', '1970-01-01', ['football']),
+    person('e', 'female', '1994-01-01', ['chess']),
+    person('f', 'male', '1980-01-01'),
+    person('g', 'female', '1981-01-01'),
+    person('h', 'male', '1982-01-01'),
+  ];
+  // 'c' cancelled; 'e', 'f', 'g' and 'h' booked late
+  const result = placeIncrementally([['a', 'b', 'c'], ['d']], people, { maxPerGroup: 3, now: NOW });
+
+  expect(result.removed).toEqual([{ userId: 'c', groupIndex: 0 }]);
+  expect(result.groups[0]).toEqual(['a', 'b', 'e']);
+  expect(result.groups[1].slice(0, 1)).toEqual(['d']);
+  expect(result.groups.every((g) => g.length <= 3)).toBe(true);
+  expect(result.groups.flat().sort()).toEqual(['a', 'b', 'd', 'e', 'f', 'g', 'h']);
+  expect(result.placed.map((p) => p.userId).sort()).toEqual(['e', 'f', 'g', 'h']);
+});
+
+test('explains a group and flags the member who fits least', () => {
+  const people = [
+    person('a', 'female', '1990-01-01', ['hiking', 'movies']),
+    person('b', 'male', '1991-01-01', ['hiking', 'movies']),
+    person('c', 'female', '1992-01-01', ['hiking']),
+    person('d', 'male', '1960-01-01', ['opera']),
+  ];
+  const history = buildPairHistory(
+    [{ id: 'old', dateTime: '2025-12-01T19:00:00Z', venueGroups: [{ attendeeIds: ['a', 'b'] }] }],
+    { now: NOW }
+  );
+  const context = buildSolverContext(people, [rate('a', 'b', 5), rate('b', 'a', 5)], { now: NOW, history });
+  const explanation = explainGroup(['a', 'b', 'c', 'd'], context);
+
+  expect(explanation.score).toBe(scoreGroup(['a', 'b', 'c', 'd'], context).score);
+  expect(explanation.sharedInterests).toEqual([{ interest: 'hiking', count: 3 }, { interest: 'movies', count: 2 }]);
+  expect(explanation.ageRange).toEqual({ min: 34, max: 66 });
+  expect(explanation.genderCounts).toEqual({ male: 2, female: 2, other: 0 });
+  expect(explanation.mutualHighPairs).toEqual([['a', 'b']]);
+  expect(explanation.repeatPairs.map((p) => [p.a, p.b])).toEqual([['a', 'b']]);
+  expect(explanation.weakestMember).toMatchObject({ id: 'd', factor: 'age' });
+  expect(explanation.weakestMember.gain).toBeGreaterThan(0);
+
+  expect(explainGroup(['a', 'b'], context).weakestMember).toBeNull();
+});
+
+test('regroups people between rounds so they meet someone new', () => {
+  const people = Array.from({ length: 9 }, (_, i) =>
+    person(`u${i}`, i % 2 ? 'male' : 'female', `${1985 + i}-05-01`, ['movies']));
+  const { rounds, repeatedPairs, uniquePairs } = solveRounds(people, { rounds: 2, maxPerGroup: 3, now: NOW });
+
+  expect(rounds).toHaveLength(2);
+  rounds.forEach((groups) => {
+    expect(groups.flat().sort()).toEqual(people.map((p) => p.id).sort());
+    groups.forEach((ids) => expect(ids.length).toBeLessThanOrEqual(3));
+  });
+  expect(repeatedPairs).toBe(0);
+  expect(uniquePairs).toBe(18);
+
+  const { histories } = solveRounds(people, { rounds: 2, maxPerGroup: 3, now: NOW });
+  expect(histories[0]).toEqual({});
+  expect(Object.values(histories[1])).toHaveLength(9);
+  expect(Object.values(histories[1]).every((h) => h.count === 1)).toBe(true);
+
+  const fixed = [['u0', 'u1', 'u2'], ['u3', 'u4', 'u5'], ['u6', 'u7', 'u8']];
+  expect(solveRounds(people, { rounds: 2, maxPerGroup: 3, firstRound: fixed, now: NOW }).rounds[0]).toBe(fixed);
+});
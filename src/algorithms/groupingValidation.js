@@ -0,0 +1,117 @@
+/**
+ * Grouping Validation
+ * Checks a scheduling provider's output before the Shuffler trusts it: first
+ * the shape (a small JSON-schema subset), then the grouping itself — every
+ * attendee placed exactly once and no group over the size limit.
+ */
+
+/** Expected shape of a scheduling result, as sent to and returned by providers. */
+export const SCHEDULING_RESULT_SCHEMA = {
+  type: 'object',
+  required: ['groups'],
+  properties: {
+    groups: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['memberIds'],
+        properties: {
+          groupId: { type: ['integer', 'string'] },
+          memberIds: { type: 'array', minItems: 1, items: { type: 'string' } },
+          compatibilityScore: { type: 'number', minimum: 0, maximum: 1 },
+          suggestedVenue: { type: ['string', 'null'] },
+        },
+        additionalProperties: false,
+      },
+    },
+    totalGroups: { type: 'integer', minimum: 1 },
+    schedulingNotes: { type: 'string' },
+  },
+  additionalProperties: false,
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against a JSON schema. Supports the keywords the
+ * scheduling schema uses: type, required, properties, additionalProperties,
+ * items, minItems, minimum and maximum.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - Location used in error messages
+ * @returns {string[]} Error messages; empty when valid
+ */
+export function validateSchema(value, schema, path = 'result') {
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some((t) => matchesType(value, t))) {
+    return [`${path} should be ${types.join(' or ')}`];
+  }
+
+  const errors = [];
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        errors.push(...validateSchema(child, childSchema, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+  return errors;
+}
+
+/**
+ * Check that a grouping places every attendee exactly once, names nobody
+ * else, and keeps each group within the size limit.
+ * @param {Object} result - Schema-valid scheduling result
+ * @param {string[]} attendeeIds
+ * @param {number} maxPerGroup
+ * @returns {string[]} Error messages; empty when valid
+ */
+export function validateGrouping(result, attendeeIds, maxPerGroup) {
+  const errors = [];
+  const expected = new Set(attendeeIds);
+  const seen = new Set();
+
+  result.groups.forEach((group, i) => {
+    if (maxPerGroup && group.memberIds.length > maxPerGroup) {
+      errors.push(`group ${i + 1} has ${group.memberIds.length} members (max ${maxPerGroup})`);
+    }
+    group.memberIds.forEach((id) => {
+      if (!expected.has(id)) errors.push(`group ${i + 1} contains unknown attendee ${id}`);
+      else if (seen.has(id)) errors.push(`attendee ${id} appears more than once`);
+      seen.add(id);
+    });
+  });
+
+  const missing = attendeeIds.filter((id) => !seen.has(id));
+  if (missing.length) errors.push(`missing attendee(s): ${missing.join(', ')}`);
+  return errors;
+}
@@ -158,6 +158,19 @@ export function shuffleTables(tables, maxPeoplePerTable = 5) {
  * @returns {Object} { success: boolean, tables: Array, message: string }
  */
 export function moveUserBetweenTables(tables, userId, fromTableId, toTableId, maxPeoplePerTable = 5) {
+  return moveUsersBetweenTables(tables, [userId], fromTableId, toTableId, maxPeoplePerTable);
+}
+
+/**
+ * Moves several users (e.g. people locked together) from one table to another
+ * @param {Array} tables - Current table assignments
+ * @param {Array} userIds - IDs of users to move; all must sit at the source table
+ * @param {String} fromTableId - Current table ID
+ * @param {String} toTableId - Destination table ID
+ * @param {Number} maxPeoplePerTable - Maximum people per table
+ * @returns {Object} { success: boolean, tables: Array, message: string }
+ */
+export function moveUsersBetweenTables(tables, userIds, fromTableId, toTableId, maxPeoplePerTable = 5) {
   const result = tables.map(table => ({ ...table, members: [...table.members] }));
   
   const fromTable = result.find(table => table.id === fromTableId);
@@ -167,22 +180,141 @@ export function moveUserBetweenTables(tables, userId, fromTableId, toTableId, ma
     return { success: false, tables: result, message: "Table not found" };
   }
   
-  if (toTable.members.length >= maxPeoplePerTable) {
+  if (toTable.members.length + userIds.length > maxPeoplePerTable) {
     return { success: false, tables: result, message: "Destination table is full" };
   }
   
-  const userIndex = fromTable.members.findIndex(member => member.id === userId);
-  if (userIndex === -1) {
+  const moving = fromTable.members.filter(member => userIds.includes(member.id));
+  if (moving.length !== userIds.length) {
     return { success: false, tables: result, message: "User not found in source table" };
   }
   
-  // Move the user
-  const user = fromTable.members.splice(userIndex, 1)[0];
-  toTable.members.push(user);
+  // Move the users
+  fromTable.members = fromTable.members.filter(member => !userIds.includes(member.id));
+  toTable.members.push(...moving);
   
   return { success: true, tables: result, message: "User moved successfully" };
 }
 
+/**
+ * Swaps two sets of users between their tables
+ * @param {Array} tables - Current table assignments
+ * @param {Array} userIdsA - Users at table A
+ * @param {Array} userIdsB - Users at table B
+ * @param {Number} maxPeoplePerTable - Maximum people per table
+ * @returns {Object} { success: boolean, tables: Array, message: string }
+ */
+export function swapUsersBetweenTables(tables, userIdsA, userIdsB, maxPeoplePerTable = 5) {
+  const result = tables.map(table => ({ ...table, members: [...table.members] }));
+  
+  const tableA = result.find(table => table.members.some(member => member.id === userIdsA[0]));
+  const tableB = result.find(table => table.members.some(member => member.id === userIdsB[0]));
+  
+  if (!tableA || !tableB) {
+    return { success: false, tables: result, message: "User not found" };
+  }
+  if (tableA === tableB) {
+    return { success: false, tables: result, message: "Users already share a table" };
+  }
+  
+  const movingA = tableA.members.filter(member => userIdsA.includes(member.id));
+  const movingB = tableB.members.filter(member => userIdsB.includes(member.id));
+  if (movingA.length !== userIdsA.length || movingB.length !== userIdsB.length) {
+    return { success: false, tables: result, message: "User not found" };
+  }
+  
+  const sizeA = tableA.members.length - movingA.length + movingB.length;
+  const sizeB = tableB.members.length - movingB.length + movingA.length;
+  if (sizeA > maxPeoplePerTable || sizeB > maxPeoplePerTable) {
+    return { success: false, tables: result, message: "Swap would overfill a table" };
+  }
+  
+  tableA.members = [...tableA.members.filter(member => !userIdsA.includes(member.id)), ...movingB];
+  tableB.members = [...tableB.members.filter(member => !userIdsB.includes(member.id)), ...movingA];
+  
+  return { success: true, tables: result, message: "Users swapped successfully" };
+}
+
+/**
+ * Splits a table in two, keeping each unit (people locked together) intact
+ * @param {Array} tables - Current table assignments
+ * @param {String} tableId - Table to split
+ * @param {Array} units - Arrays of user IDs that must stay together; others are single units
+ * @returns {Object} { success: boolean, tables: Array, message: string }
+ */
+export function splitTable(tables, tableId, units = []) {
+  const result = tables.map(table => ({ ...table, members: [...table.members] }));
+  const index = result.findIndex(table => table.id === tableId);
+  
+  if (index === -1) {
+    return { success: false, tables: result, message: "Table not found" };
+  }
+  const table = result[index];
+  
+  // Build the table's units, largest first, then deal them to the lighter half
+  const seen = new Set();
+  const tableUnits = [];
+  table.members.forEach(member => {
+    if (seen.has(member.id)) return;
+    const unitIds = units.find(unit => unit.includes(member.id)) || [member.id];
+    const unit = table.members.filter(m => unitIds.includes(m.id));
+    unit.forEach(m => seen.add(m.id));
+    tableUnits.push(unit);
+  });
+  if (tableUnits.length < 2) {
+    return { success: false, tables: result, message: "Table cannot be split" };
+  }
+  
+  const halves = [[], []];
+  [...tableUnits]
+    .sort((a, b) => b.length - a.length)
+    .forEach(unit => {
+      const target = halves[0].length <= halves[1].length ? halves[0] : halves[1];
+      target.push(...unit);
+    });
+  
+  table.members = halves[0];
+  result.splice(index + 1, 0, {
+    id: `${table.id}-split-${Date.now()}`,
+    name: `${table.name} (2)`,
+    members: halves[1]
+  });
+  
+  return { success: true, tables: result, message: "Table split successfully" };
+}
+
+/**
+ * Merges one table into another
+ * @param {Array} tables - Current table assignments
+ * @param {String} fromTableId - Table whose members move and which is then removed
+ * @param {String} toTableId - Table that receives the members
+ * @param {Number} maxPeoplePerTable - Maximum people per table
+ * @returns {Object} { success: boolean, tables: Array, message: string }
+ */
+export function mergeTables(tables, fromTableId, toTableId, maxPeoplePerTable = 5) {
+  const fromTable = tables.find(table => table.id === fromTableId);
+  if (!fromTable) {
+    return { success: false, tables, message: "Table not found" };
+  }
+  
+  const moved = moveUsersBetweenTables(
+    tables,
+    fromTable.members.map(member => member.id),
+    fromTableId,
+    toTableId,
+    maxPeoplePerTable
+  );
+  if (!moved.success) {
+    return { ...moved, message: moved.message === "Destination table is full" ? "Merged table would be too large" : moved.message };
+  }
+  
+  return {
+    success: true,
+    tables: moved.tables.filter(table => table.id !== fromTableId),
+    message: "Tables merged successfully"
+  };
+}
+
 /**
  * Calculates optimal table distribution statistics
  * @param {Number} totalUsers - Total number of users
@@ -0,0 +1,35 @@
+import { mergeTables, moveUsersBetweenTables, splitTable, swapUsersBetweenTables } from './tableAssignment';
+
+const table = (id, ids) => ({ id, name: id, members: ids.map((m) => ({ id: m, name: m })) });
+const memberIds = (tables) => tables.map((t) => t.members.map((m) => m.id));
+
+test('moves a locked unit together and respects the table limit', () => {
+  const tables = [table('t1', ['a', 'b', 'c']), table('t2', ['d'])];
+
+  const moved = moveUsersBetweenTables(tables, ['a', 'b'], 't1', 't2', 3);
+  expect(moved.success).toBe(true);
+  expect(memberIds(moved.tables)).toEqual([['c'], ['d', 'a', 'b']]);
+
+  const tooMany = moveUsersBetweenTables(tables, ['a', 'b'], 't1', 't2', 2);
+  expect(tooMany.success).toBe(false);
+  expect(memberIds(tooMany.tables)).toEqual(memberIds(tables));
+});
+
+test('swaps units of different sizes only when both tables stay within the limit', () => {
+  const tables = [table('t1', ['a', 'b']), table('t2', ['c', 'd'])];
+
+  expect(memberIds(swapUsersBetweenTables(tables, ['a'], ['c'], 2).tables)).toEqual([['b', 'c'], ['d', 'a']]);
+  expect(swapUsersBetweenTables(tables, ['a'], ['c', 'd'], 2).success).toBe(false);
+});
+
+test('splits a table without breaking locked units, and merges tables back', () => {
+  const tables = [table('t1', ['a', 'b', 'c', 'd'])];
+  const split = splitTable(tables, 't1', [['a', 'b']]);
+
+  expect(split.success).toBe(true);
+  expect(memberIds(split.tables)).toEqual([['a', 'b'], ['c', 'd']]);
+
+  const merged = mergeTables(split.tables, split.tables[1].id, 't1', 4);
+  expect(memberIds(merged.tables)).toEqual([['a', 'b', 'c', 'd']]);
+  expect(mergeTables(split.tables, split.tables[1].id, 't1', 3).success).toBe(false);
+});
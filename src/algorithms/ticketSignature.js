@@ -0,0 +1,134 @@
+/**
+ * Ticket Signature — signed per-booking QR tickets that verify offline.
+ *
+ * A ticket is `GT1.<eventId>.<userId>.<issuedAt>.<signature>`, where the
+ * signature is an HMAC-SHA256 over the rest with the event's ticket key.
+ * The key lives in the server-only `eventSecrets` collection: the
+ * issueTicket function signs with it and the event's organizer downloads it
+ * once, so the scanner can check tickets without a connection.
+ *
+ * SHA-256 is implemented here rather than taken from the platform because
+ * React Native has no Web Crypto, and the Cloud Functions bundle shares
+ * this file so both sides produce identical signatures.
+ */
+
+export const TICKET_VERSION = 'GT1';
+
+// Hex characters of the HMAC kept in the ticket (128 bits) to keep the QR code small
+const SIGNATURE_LENGTH = 32;
+
+const K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+const utf8Bytes = (text) => {
+  const bytes = [];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) bytes.push(code);
+    else if (code < 0x800) bytes.push(0xc0 | (code >> 6), 0x80 | (code & 63));
+    else if (code < 0x10000) bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 63), 0x80 | (code & 63));
+    else bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 63), 0x80 | ((code >> 6) & 63), 0x80 | (code & 63));
+  }
+  return bytes;
+};
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+/**
+ * SHA-256 digest.
+ * @param {number[]} bytes
+ * @returns {number[]} 32 bytes
+ */
+export function sha256(bytes) {
+  const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const bitLength = bytes.length * 8;
+  const padded = [...bytes, 0x80];
+  while (padded.length % 64 !== 56) padded.push(0);
+  // Message length as a 64-bit big-endian integer; the high word only matters past 512 MB
+  padded.push(0, 0, 0, 0, (bitLength >>> 24) & 255, (bitLength >>> 16) & 255, (bitLength >>> 8) & 255, bitLength & 255);
+
+  const w = new Array(64);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i += 1) {
+      const j = offset + i * 4;
+      w[i] = ((padded[j] << 24) | (padded[j + 1] << 16) | (padded[j + 2] << 8) | padded[j + 3]) >>> 0;
+    }
+    for (let i = 16; i < 64; i += 1) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i += 1) {
+      const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) >>> 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      hh = g; g = f; f = e; e = (d + t1) >>> 0;
+      d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+    }
+    [a, b, c, d, e, f, g, hh].forEach((v, i) => { h[i] = (h[i] + v) >>> 0; });
+  }
+  return h.flatMap((v) => [v >>> 24, (v >>> 16) & 255, (v >>> 8) & 255, v & 255]);
+}
+
+/**
+ * HMAC-SHA256 as lowercase hex.
+ * @param {string} key
+ * @param {string} message
+ * @returns {string}
+ */
+export function hmacSha256Hex(key, message) {
+  let keyBytes = utf8Bytes(key);
+  if (keyBytes.length > 64) keyBytes = sha256(keyBytes);
+  while (keyBytes.length < 64) keyBytes.push(0);
+  const inner = sha256([...keyBytes.map((b) => b ^ 0x36), ...utf8Bytes(message)]);
+  const outer = sha256([...keyBytes.map((b) => b ^ 0x5c), ...inner]);
+  return outer.map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+const signPayload = (payload, key) => hmacSha256Hex(key, payload).slice(0, SIGNATURE_LENGTH);
+
+/**
+ * Create the ticket for a booking.
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @param {string} params.userId
+ * @param {string} params.key - The event's ticket key
+ * @param {Date} [params.issuedAt]
+ * @returns {string}
+ */
+export function signTicket({ eventId, userId, key, issuedAt = new Date() }) {
+  const payload = [TICKET_VERSION, eventId, userId, Math.floor(issuedAt.getTime() / 1000).toString(36)].join('.');
+  return `${payload}.${signPayload(payload, key)}`;
+}
+
+/**
+ * Check a scanned ticket against an event, offline.
+ * @param {string} token - Scanned QR contents
+ * @param {Object} params
+ * @param {string} params.eventId - Event being checked in
+ * @param {string} params.key - The event's ticket key
+ * @returns {{ valid: boolean, reason?: 'malformed' | 'wrong_event' | 'bad_signature', userId?: string, issuedAt?: Date }}
+ */
+export function verifyTicket(token, { eventId, key }) {
+  const parts = String(token || '').trim().split('.');
+  if (parts.length !== 5 || parts[0] !== TICKET_VERSION || !parts[1] || !parts[2]) {
+    return { valid: false, reason: 'malformed' };
+  }
+  const [, ticketEventId, userId, issued, signature] = parts;
+  if (ticketEventId !== eventId) return { valid: false, reason: 'wrong_event' };
+
+  const expected = signPayload(parts.slice(0, 4).join('.'), key);
+  let diff = expected.length ^ signature.length;
+  for (let i = 0; i < expected.length; i += 1) diff |= expected.charCodeAt(i) ^ (signature.charCodeAt(i) || 0);
+  if (diff) return { valid: false, reason: 'bad_signature' };
+
+  return { valid: true, userId, issuedAt: new Date(parseInt(issued, 36) * 1000) };
+}
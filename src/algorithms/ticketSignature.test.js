@@ -0,0 +1,26 @@
+import { createHmac, createHash } from 'crypto';
+import { hmacSha256Hex, sha256, signTicket, verifyTicket } from './ticketSignature';
+
+const hex = (bytes) => bytes.map((b) => b.toString(16).padStart(2, '0')).join('');
+const bytesOf = (text) => [...Buffer.from(text, 'utf8')];
+
+test('matches the platform SHA-256 and HMAC, across block boundaries and UTF-8', () => {
+  ['', 'abc', 'a'.repeat(55), 'a'.repeat(56), 'a'.repeat(64), 'a'.repeat(200), 'Café — مرحبا 🎉'].forEach((text) => {
+    expect(hex(sha256(bytesOf(text)))).toBe(createHash('sha256').update(text).digest('hex'));
+  });
+  expect(hmacSha256Hex('key', 'message')).toBe(createHmac('sha256', 'key').update('message').digest('hex'));
+  const longKey = 'k'.repeat(100);
+  expect(hmacSha256Hex(longKey, 'GT1.e1.u1')).toBe(createHmac('sha256', longKey).update('GT1.e1.u1').digest('hex'));
+});
+
+test('a ticket verifies only for its own event and key', () => {
+  const issuedAt = new Date('2030-05-10T12:00:00.000Z');
+  const ticket = signTicket({ eventId: 'e1', userId: 'u1', key: 'secret', issuedAt });
+
+  expect(verifyTicket(ticket, { eventId: 'e1', key: 'secret' })).toEqual({ valid: true, userId: 'u1', issuedAt });
+  expect(verifyTicket(ticket, { eventId: 'e2', key: 'secret' }).reason).toBe('wrong_event');
+  expect(verifyTicket(ticket, { eventId: 'e1', key: 'other' }).reason).toBe('bad_signature');
+  expect(verifyTicket(ticket.replace('.u1.', '.u2.'), { eventId: 'e1', key: 'secret' }).reason).toBe('bad_signature');
+  expect(verifyTicket('https://example.com', { eventId: 'e1', key: 'secret' }).reason).toBe('malformed');
+  expect(verifyTicket(null, { eventId: 'e1', key: 'secret' }).reason).toBe('malformed');
+});
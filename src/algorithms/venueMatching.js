@@ -0,0 +1,70 @@
+/**
+ * Venue Matching
+ * Picks catalog venues for Shuffler groups: the venue must be active, seat
+ * the whole group and be open at the event time. Among those, the smallest
+ * fitting venue wins so large venues stay free for large groups.
+ */
+
+const toMinutes = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec((value || '').trim());
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Whether a venue is open at a given time. Opening hours are "HH:MM-HH:MM"
+ * (closing past midnight allowed, e.g. "18:00-02:00"); venues without
+ * parseable hours are assumed open.
+ * @param {Object} venue - Location with optional openingHours
+ * @param {Date|string} when
+ * @returns {boolean}
+ */
+export function isVenueOpenAt(venue, when) {
+  const [from, to] = (venue?.openingHours || '').split('-').map(toMinutes);
+  const date = new Date(when);
+  if (from === null || to === null || from === undefined || to === undefined || Number.isNaN(date.getTime())) {
+    return true;
+  }
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+/**
+ * Catalog venues that can host a group of the given size at the given time,
+ * best fit first.
+ * @param {Array} venues - Location documents
+ * @param {number} groupSize
+ * @param {Date|string} [when] - Event start
+ * @returns {Array}
+ */
+export function venuesFittingGroup(venues, groupSize, when) {
+  return venues
+    .filter((v) => v.isActive !== false)
+    .filter((v) => !v.capacity || Number(v.capacity) >= groupSize)
+    .filter((v) => !when || isVenueOpenAt(v, when))
+    .sort((a, b) => (Number(a.capacity) || Infinity) - (Number(b.capacity) || Infinity)
+      || (a.name || '').localeCompare(b.name || ''));
+}
+
+/**
+ * Suggest one distinct venue per group, largest groups first.
+ * @param {Array} groups - Groups with attendeeIds (and optionally a venueId already chosen)
+ * @param {Array} venues - Location documents
+ * @param {Date|string} [when] - Event start
+ * @returns {Array<Object|null>} Suggested venue per group index; null when nothing fits
+ */
+export function suggestVenues(groups, venues, when) {
+  const taken = new Set(groups.map((g) => g.venueId).filter(Boolean));
+  const suggestions = groups.map(() => null);
+  groups
+    .map((g, index) => ({ index, size: (g.attendeeIds || []).length, venueId: g.venueId }))
+    .sort((a, b) => b.size - a.size || a.index - b.index)
+    .forEach(({ index, size, venueId }) => {
+      if (venueId) return;
+      const match = venuesFittingGroup(venues, size, when).find((v) => !taken.has(v.id));
+      if (!match) return;
+      taken.add(match.id);
+      suggestions[index] = match;
+    });
+  return suggestions;
+}
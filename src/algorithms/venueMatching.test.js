@@ -0,0 +1,31 @@
+import { isVenueOpenAt, suggestVenues, venuesFittingGroup } from './venueMatching';
+
+const venues = [
+  { id: 'big', name: 'Big Hall', capacity: 20, openingHours: '10:00-23:00' },
+  { id: 'small', name: 'Small Cafe', capacity: 6, openingHours: '08:00-20:00' },
+  { id: 'late', name: 'Night Bar', capacity: 10, openingHours: '18:00-02:00' },
+  { id: 'closed', name: 'Old Place', capacity: 50, isActive: false },
+];
+
+test('checks opening hours, including past midnight', () => {
+  expect(isVenueOpenAt(venues[1], new Date(2026, 0, 1, 19, 0))).toBe(true);
+  expect(isVenueOpenAt(venues[1], new Date(2026, 0, 1, 21, 0))).toBe(false);
+  expect(isVenueOpenAt(venues[2], new Date(2026, 0, 1, 1, 30))).toBe(true);
+  expect(isVenueOpenAt({ name: 'No hours' }, new Date(2026, 0, 1, 4, 0))).toBe(true);
+});
+
+test('lists active venues that fit, smallest first', () => {
+  const evening = new Date(2026, 0, 1, 19, 0);
+  expect(venuesFittingGroup(venues, 5, evening).map((v) => v.id)).toEqual(['small', 'late', 'big']);
+  expect(venuesFittingGroup(venues, 8, new Date(2026, 0, 1, 12, 0)).map((v) => v.id)).toEqual(['big']);
+});
+
+test('suggests distinct venues, serving the largest group first', () => {
+  const evening = new Date(2026, 0, 1, 19, 0);
+  const groups = [
+    { attendeeIds: ['a', 'b', 'c'] },
+    { attendeeIds: ['d', 'e', 'f', 'g', 'h', 'i', 'j', 'k'] },
+    { attendeeIds: ['l'], venueId: 'small' },
+  ];
+  expect(suggestVenues(groups, venues, evening).map((v) => v && v.id)).toEqual(['big', 'late', null]);
+});
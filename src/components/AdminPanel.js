@@ -5,6 +5,7 @@ import {
   Pressable,
   StyleSheet,
   Text,
+  TextInput,
   View,
 } from 'react-native';
 import {
@@ -17,6 +18,42 @@ import {
   where,
 } from 'firebase/firestore';
 import { useNativeApp } from '../contexts/NativeAppContext';
+import { approveEventSuggestion, rejectEventSuggestion } from '../services/eventSuggestionService';
+import { VENUE_TYPES, saveVenue, setVenueActive } from '../services/venueCatalog';
+
+// Reliability scores below this are highlighted for organizers
+const LOW_RELIABILITY_SCORE = 70;
+
+const pad = (n) => String(n).padStart(2, '0');
+const toDateValue = (iso) => {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? '' : `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+const toTimeValue = (iso) => {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? '' : `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+function ReliabilityLine({ reliability }) {
+  if (!reliability || reliability.score === null || reliability.score === undefined) {
+    return <Text style={styles.rowMeta}>Reliability: no attendance history yet</Text>;
+  }
+  const paused = reliability.cooldownUntil && new Date(reliability.cooldownUntil) > new Date();
+  return (
+    <>
+      <Text style={[styles.rowMeta, reliability.score < LOW_RELIABILITY_SCORE && styles.rowWarning]}>
+        Reliability: {reliability.score}% · attended {reliability.attended}/{reliability.booked}
+        {reliability.noShows ? ` · ${reliability.noShows} no-show${reliability.noShows === 1 ? '' : 's'}` : ''}
+        {reliability.lateCancellations ? ` · ${reliability.lateCancellations} late cancel${reliability.lateCancellations === 1 ? '' : 's'}` : ''}
+      </Text>
+      {paused ? (
+        <Text style={[styles.rowMeta, styles.rowWarning]}>
+          Booking paused until {new Date(reliability.cooldownUntil).toLocaleDateString()}
+        </Text>
+      ) : null}
+    </>
+  );
+}
 
 function UserRow({ user, busyId, onToggleBlock, onToggleAdmin }) {
   const isBusy = busyId === user.id;
@@ -28,6 +65,7 @@ function UserRow({ user, busyId, onToggleBlock, onToggleAdmin }) {
       {user.email ? <Text style={styles.rowMeta}>{user.email}</Text> : null}
       {user.localityLabel ? <Text style={styles.rowMeta}>Area: {user.localityLabel}</Text> : null}
       <Text style={styles.rowMeta}>Role: {role} | Status: {user.isBlocked ? 'Blocked' : 'Active'}</Text>
+      <ReliabilityLine reliability={user.reliability} />
 
       <View style={styles.rowActions}>
         <Pressable style={styles.secondaryButton} disabled={isBusy} onPress={() => onToggleAdmin(user)}>
@@ -43,10 +81,202 @@ function UserRow({ user, busyId, onToggleBlock, onToggleAdmin }) {
   );
 }
 
+function SuggestionRow({ suggestion, busyId, onSave, onApprove, onReject }) {
+  const isBusy = busyId === suggestion.id;
+  const [mode, setMode] = useState('view'); // 'view' | 'edit' | 'reject'
+  const [form, setForm] = useState({});
+  const [note, setNote] = useState('');
+
+  const startEdit = () => {
+    setForm({
+      title: suggestion.title || '',
+      description: suggestion.description || '',
+      date: toDateValue(suggestion.proposedDateTime),
+      time: toTimeValue(suggestion.proposedDateTime),
+    });
+    setMode('edit');
+  };
+
+  const saveEdit = async () => {
+    const saved = await onSave(suggestion, form);
+    if (saved) setMode('view');
+  };
+
+  return (
+    <View style={styles.rowCard}>
+      <Text style={styles.rowName}>{suggestion.title || 'Untitled'}</Text>
+      <Text style={styles.rowMeta}>
+        {suggestion.type} · {suggestion.proposedDateTime ? new Date(suggestion.proposedDateTime).toLocaleString() : 'No date'}
+      </Text>
+      <Text style={styles.rowMeta}>Suggested by {suggestion.suggestedByName || suggestion.suggestedBy}</Text>
+      {suggestion.description ? <Text style={styles.rowMeta}>{suggestion.description}</Text> : null}
+      {suggestion.notes ? <Text style={styles.rowMeta}>Notes: {suggestion.notes}</Text> : null}
+
+      {mode === 'edit' ? (
+        <View>
+          <TextInput style={styles.input} value={form.title} onChangeText={(v) => setForm((p) => ({ ...p, title: v }))} placeholder="Title" />
+          <TextInput style={styles.input} value={form.description} multiline onChangeText={(v) => setForm((p) => ({ ...p, description: v }))} placeholder="Description" />
+          <TextInput style={styles.input} value={form.date} onChangeText={(v) => setForm((p) => ({ ...p, date: v }))} placeholder="YYYY-MM-DD" />
+          <TextInput style={styles.input} value={form.time} onChangeText={(v) => setForm((p) => ({ ...p, time: v }))} placeholder="HH:MM" />
+          <View style={styles.rowActions}>
+            <Pressable style={styles.primaryButton} disabled={isBusy} onPress={saveEdit}>
+              <Text style={styles.primaryButtonText}>{isBusy ? '...' : 'Save'}</Text>
+            </Pressable>
+            <Pressable style={styles.secondaryButton} onPress={() => setMode('view')}>
+              <Text style={styles.secondaryButtonText}>Cancel</Text>
+            </Pressable>
+          </View>
+        </View>
+      ) : mode === 'reject' ? (
+        <View>
+          <TextInput
+            style={styles.input}
+            value={note}
+            multiline
+            onChangeText={setNote}
+            placeholder="Why is this suggestion rejected? (shown to the Friend)"
+          />
+          <View style={styles.rowActions}>
+            <Pressable style={styles.dangerButton} disabled={isBusy || !note.trim()} onPress={() => onReject(suggestion, note)}>
+              <Text style={styles.dangerButtonText}>{isBusy ? '...' : 'Confirm Reject'}</Text>
+            </Pressable>
+            <Pressable style={styles.secondaryButton} onPress={() => setMode('view')}>
+              <Text style={styles.secondaryButtonText}>Cancel</Text>
+            </Pressable>
+          </View>
+        </View>
+      ) : (
+        <View style={styles.rowActions}>
+          <Pressable style={styles.primaryButton} disabled={isBusy} onPress={() => onApprove(suggestion)}>
+            <Text style={styles.primaryButtonText}>{isBusy ? '...' : 'Approve'}</Text>
+          </Pressable>
+          <Pressable style={styles.secondaryButton} disabled={isBusy} onPress={startEdit}>
+            <Text style={styles.secondaryButtonText}>Edit</Text>
+          </Pressable>
+          <Pressable style={styles.dangerButton} disabled={isBusy} onPress={() => setMode('reject')}>
+            <Text style={styles.dangerButtonText}>Reject</Text>
+          </Pressable>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const EMPTY_VENUE = {
+  name: '',
+  address: '',
+  googleMapsLink: '',
+  capacity: '',
+  venueType: 'restaurant',
+  cuisine: '',
+  openingHours: '',
+  priceLevel: 2,
+};
+
+function VenueForm({ initial, busy, onSubmit, onCancel }) {
+  const [form, setForm] = useState(initial);
+  const set = (field) => (value) => setForm((p) => ({ ...p, [field]: value }));
+
+  return (
+    <View style={styles.rowCard}>
+      <Text style={styles.rowName}>{initial.name ? `Edit ${initial.name}` : 'New venue'}</Text>
+      <TextInput style={styles.input} value={form.name} onChangeText={set('name')} placeholder="Name" />
+      <TextInput style={styles.input} value={form.address} onChangeText={set('address')} placeholder="Address" />
+      <TextInput
+        style={styles.input}
+        value={form.googleMapsLink}
+        onChangeText={set('googleMapsLink')}
+        placeholder="Google Maps link"
+        autoCapitalize="none"
+      />
+      <TextInput
+        style={styles.input}
+        value={String(form.capacity)}
+        onChangeText={set('capacity')}
+        placeholder="Capacity (seats per group)"
+        keyboardType="number-pad"
+      />
+      <View style={styles.chipRow}>
+        {VENUE_TYPES.map((type) => (
+          <Pressable
+            key={type}
+            style={[styles.tab, form.venueType === type && styles.tabActive]}
+            onPress={() => set('venueType')(type)}
+          >
+            <Text style={[styles.tabText, form.venueType === type && styles.tabTextActive]}>{type}</Text>
+          </Pressable>
+        ))}
+      </View>
+      <TextInput style={styles.input} value={form.cuisine} onChangeText={set('cuisine')} placeholder="Cuisine (optional)" />
+      <TextInput
+        style={styles.input}
+        value={form.openingHours}
+        onChangeText={set('openingHours')}
+        placeholder="Opening hours, e.g. 10:00-23:00"
+      />
+      <View style={styles.chipRow}>
+        {[1, 2, 3, 4].map((level) => (
+          <Pressable
+            key={level}
+            style={[styles.tab, Number(form.priceLevel) === level && styles.tabActive]}
+            onPress={() => set('priceLevel')(level)}
+          >
+            <Text style={[styles.tabText, Number(form.priceLevel) === level && styles.tabTextActive]}>
+              {'$'.repeat(level)}
+            </Text>
+          </Pressable>
+        ))}
+      </View>
+      <View style={styles.rowActions}>
+        <Pressable style={styles.primaryButton} disabled={busy} onPress={() => onSubmit(form)}>
+          <Text style={styles.primaryButtonText}>{busy ? '...' : 'Save Venue'}</Text>
+        </Pressable>
+        <Pressable style={styles.secondaryButton} onPress={onCancel}>
+          <Text style={styles.secondaryButtonText}>Cancel</Text>
+        </Pressable>
+      </View>
+    </View>
+  );
+}
+
+function VenueRow({ venue, busyId, onEdit, onToggleActive }) {
+  const isBusy = busyId === venue.id;
+  return (
+    <View style={[styles.rowCard, venue.isActive === false && styles.rowInactive]}>
+      <Text style={styles.rowName}>{venue.name}</Text>
+      {venue.address ? <Text style={styles.rowMeta}>{venue.address}</Text> : null}
+      <Text style={styles.rowMeta}>
+        {venue.venueType || 'venue'}{venue.cuisine ? ` · ${venue.cuisine}` : ''} · {venue.capacity || '?'} seats
+        {' · '}{'$'.repeat(venue.priceLevel || 2)}
+      </Text>
+      {venue.openingHours ? <Text style={styles.rowMeta}>Open {venue.openingHours}</Text> : null}
+      <View style={styles.rowActions}>
+        <Pressable style={styles.secondaryButton} disabled={isBusy} onPress={() => onEdit(venue)}>
+          <Text style={styles.secondaryButtonText}>Edit</Text>
+        </Pressable>
+        <Pressable
+          style={venue.isActive === false ? styles.secondaryButton : styles.dangerButton}
+          disabled={isBusy}
+          onPress={() => onToggleActive(venue)}
+        >
+          <Text style={venue.isActive === false ? styles.secondaryButtonText : styles.dangerButtonText}>
+            {isBusy ? '...' : venue.isActive === false ? 'Reactivate' : 'Deactivate'}
+          </Text>
+        </Pressable>
+      </View>
+    </View>
+  );
+}
+
 export default function AdminPanelScreen() {
   const { db, currentUser, userProfile } = useNativeApp();
   const [members, setMembers] = useState([]);
   const [appeals, setAppeals] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [venues, setVenues] = useState([]);
+  // Venue form: null (closed), { id: '' } to add, or the venue being edited
+  const [editingVenue, setEditingVenue] = useState(null);
+  const [notice, setNotice] = useState('');
   const [activeTab, setActiveTab] = useState('members');
   const [busyId, setBusyId] = useState('');
   const [loading, setLoading] = useState(true);
@@ -79,6 +309,38 @@ export default function AdminPanelScreen() {
     return unsub;
   }, [db]);
 
+  // Pending event suggestions from Friends in this Organizer's locality
+  useEffect(() => {
+    if (!db) return undefined;
+    const q = localityId
+      ? query(collection(db, 'eventSuggestions'), where('localityId', '==', localityId), where('status', '==', 'pending'))
+      : query(collection(db, 'eventSuggestions'), where('status', '==', 'pending'));
+    const unsub = onSnapshot(q, (snap) => {
+      const list = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+      list.sort((a, b) => ((a.createdAt || '') > (b.createdAt || '') ? -1 : 1));
+      setSuggestions(list);
+    });
+    return unsub;
+  }, [db, localityId]);
+
+  // Venue catalog for this Organizer's locality, inactive venues included
+  useEffect(() => {
+    if (!db || !localityId) return undefined;
+    const q = query(collection(db, 'locations'), where('localityId', '==', localityId));
+    const unsub = onSnapshot(q, (snap) => {
+      const list = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+      list.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+      setVenues(list);
+    });
+    return unsub;
+  }, [db, localityId]);
+
+  useEffect(() => {
+    if (!notice) return undefined;
+    const t = setTimeout(() => setNotice(''), 2800);
+    return () => clearTimeout(t);
+  }, [notice]);
+
   const pendingMembers = useMemo(() => members.filter((u) => !u.role && !u.isBlocked), [members]);
   const blockedMembers = useMemo(() => members.filter((u) => u.isBlocked), [members]);
 
@@ -125,6 +387,87 @@ export default function AdminPanelScreen() {
     }
   };
 
+  const saveSuggestion = async (suggestion, form) => {
+    const when = new Date(`${form.date}T${form.time}:00`);
+    if (!form.title.trim() || Number.isNaN(when.getTime())) {
+      setNotice('Title and a valid date (YYYY-MM-DD) and time (HH:MM) are required.');
+      return false;
+    }
+    setBusyId(suggestion.id);
+    try {
+      await updateDoc(doc(db, 'eventSuggestions', suggestion.id), {
+        title: form.title.trim(),
+        description: form.description.trim(),
+        proposedDateTime: when.toISOString(),
+      });
+      return true;
+    } catch (error) {
+      console.error('Saving suggestion failed:', error);
+      setNotice('Could not save suggestion.');
+      return false;
+    } finally {
+      setBusyId('');
+    }
+  };
+
+  const approveSuggestion = async (suggestion) => {
+    setBusyId(suggestion.id);
+    try {
+      await approveEventSuggestion(db, { suggestion, reviewer: currentUser, profile: userProfile });
+      setNotice('Approved — a draft event is waiting in Events.');
+    } catch (error) {
+      console.error('Approving suggestion failed:', error);
+      setNotice(error.message || 'Could not approve suggestion.');
+    } finally {
+      setBusyId('');
+    }
+  };
+
+  const rejectSuggestion = async (suggestion, note) => {
+    setBusyId(suggestion.id);
+    try {
+      await rejectEventSuggestion(db, { suggestion, reviewerId: currentUser?.uid, note });
+      setNotice('Suggestion rejected.');
+    } catch (error) {
+      console.error('Rejecting suggestion failed:', error);
+      setNotice(error.message || 'Could not reject suggestion.');
+    } finally {
+      setBusyId('');
+    }
+  };
+
+  const submitVenue = async (form) => {
+    const key = editingVenue?.id || 'new-venue';
+    setBusyId(key);
+    try {
+      await saveVenue(db, {
+        venueId: editingVenue?.id || undefined,
+        fields: form,
+        localityId,
+        userId: currentUser?.uid,
+      });
+      setEditingVenue(null);
+      setNotice('Venue saved.');
+    } catch (error) {
+      console.error('Saving venue failed:', error);
+      setNotice(error.message || 'Could not save venue.');
+    } finally {
+      setBusyId('');
+    }
+  };
+
+  const toggleVenueActive = async (venue) => {
+    setBusyId(venue.id);
+    try {
+      await setVenueActive(db, venue.id, venue.isActive === false);
+    } catch (error) {
+      console.error('Updating venue failed:', error);
+      setNotice('Could not update venue.');
+    } finally {
+      setBusyId('');
+    }
+  };
+
   if (loading) {
     return (
       <View style={styles.centered}>
@@ -151,9 +494,60 @@ export default function AdminPanelScreen() {
         <Pressable style={[styles.tab, activeTab === 'appeals' && styles.tabActive]} onPress={() => setActiveTab('appeals')}>
           <Text style={[styles.tabText, activeTab === 'appeals' && styles.tabTextActive]}>Appeals ({appeals.length})</Text>
         </Pressable>
+        <Pressable style={[styles.tab, activeTab === 'suggestions' && styles.tabActive]} onPress={() => setActiveTab('suggestions')}>
+          <Text style={[styles.tabText, activeTab === 'suggestions' && styles.tabTextActive]}>Suggestions ({suggestions.length})</Text>
+        </Pressable>
+        <Pressable style={[styles.tab, activeTab === 'venues' && styles.tabActive]} onPress={() => setActiveTab('venues')}>
+          <Text style={[styles.tabText, activeTab === 'venues' && styles.tabTextActive]}>Venues ({venues.length})</Text>
+        </Pressable>
       </View>
 
-      {activeTab === 'appeals' ? (
+      {notice ? <Text style={styles.notice}>{notice}</Text> : null}
+
+      {activeTab === 'venues' ? (
+        <FlatList
+          data={venues}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.list}
+          ListHeaderComponent={
+            !localityId ? (
+              <Text style={styles.empty}>Venues are managed per locality; you have no locality assigned.</Text>
+            ) : editingVenue ? (
+              <VenueForm
+                key={editingVenue.id || 'new'}
+                initial={{ ...EMPTY_VENUE, ...editingVenue }}
+                busy={busyId === (editingVenue.id || 'new-venue')}
+                onSubmit={submitVenue}
+                onCancel={() => setEditingVenue(null)}
+              />
+            ) : (
+              <Pressable style={styles.primaryButton} onPress={() => setEditingVenue({ id: '' })}>
+                <Text style={styles.primaryButtonText}>Add Venue</Text>
+              </Pressable>
+            )
+          }
+          renderItem={({ item }) => (
+            <VenueRow venue={item} busyId={busyId} onEdit={setEditingVenue} onToggleActive={toggleVenueActive} />
+          )}
+          ListEmptyComponent={localityId ? <Text style={styles.empty}>No venues in the catalog yet.</Text> : null}
+        />
+      ) : activeTab === 'suggestions' ? (
+        <FlatList
+          data={suggestions}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.list}
+          renderItem={({ item }) => (
+            <SuggestionRow
+              suggestion={item}
+              busyId={busyId}
+              onSave={saveSuggestion}
+              onApprove={approveSuggestion}
+              onReject={rejectSuggestion}
+            />
+          )}
+          ListEmptyComponent={<Text style={styles.empty}>No pending suggestions.</Text>}
+        />
+      ) : activeTab === 'appeals' ? (
         <FlatList
           data={appeals}
           keyExtractor={(item) => item.id}
@@ -204,6 +598,7 @@ const styles = StyleSheet.create({
   rowCard: { borderWidth: 1, borderColor: '#E5E7EB', borderRadius: 12, backgroundColor: '#fff', padding: 12 },
   rowName: { fontSize: 15, fontWeight: '700', color: '#1F2937', marginBottom: 4 },
   rowMeta: { fontSize: 13, color: '#4B5563', marginBottom: 3 },
+  rowWarning: { color: '#B45309', fontWeight: '600' },
   rowActions: { flexDirection: 'row', gap: 8, marginTop: 8 },
   primaryButton: { flex: 1, backgroundColor: '#2EDC9A', borderRadius: 10, paddingVertical: 10, paddingHorizontal: 12 },
   primaryButtonText: { color: '#0B5D40', textAlign: 'center', fontWeight: '700', fontSize: 13 },
@@ -211,5 +606,9 @@ const styles = StyleSheet.create({
   secondaryButtonText: { color: '#1F2937', textAlign: 'center', fontWeight: '600', fontSize: 13 },
   dangerButton: { flex: 1, backgroundColor: '#FEE2E2', borderRadius: 10, paddingVertical: 10, paddingHorizontal: 12, marginTop: 8 },
   dangerButtonText: { color: '#7F1D1D', textAlign: 'center', fontWeight: '700', fontSize: 13 },
+  input: { borderWidth: 1, borderColor: '#E5E7EB', borderRadius: 10, paddingHorizontal: 10, paddingVertical: 8, fontSize: 13, color: '#1F2937', marginTop: 8 },
+  rowInactive: { opacity: 0.6 },
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginTop: 8 },
+  notice: { backgroundColor: '#F0FDF4', color: '#0B5D40', borderRadius: 10, padding: 8, fontSize: 13, marginBottom: 8 },
   empty: { color: '#1F2937', fontSize: 14, marginTop: 8 },
 });
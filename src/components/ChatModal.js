@@ -0,0 +1,306 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  KeyboardAvoidingView,
+  Modal,
+  Platform,
+  Pressable,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from 'react-native';
+import { collection, doc, limitToLast, onSnapshot, orderBy, query } from 'firebase/firestore';
+import { useNativeApp } from '../contexts/NativeAppContext';
+import {
+  MAX_MESSAGE_LENGTH,
+  isReadByRecipient,
+  markConversationRead,
+  sendMessage,
+  setConversationBlocked,
+} from '../services/messagingService';
+
+// Messages shown at once; older ones are not loaded
+const MESSAGE_WINDOW = 200;
+
+const timeLabel = (iso) => {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? '' : d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+/**
+ * Full-screen 1:1 chat with a connection. Messages arrive through a
+ * Firestore listener; opening the chat marks it read.
+ * @param {Object} props
+ * @param {string|null} props.conversationId - Connection ID; the modal is hidden when null
+ * @param {string} props.otherName
+ * @param {Function} props.onClose
+ */
+export default function ChatModal({ conversationId, otherName, onClose }) {
+  const { db, currentUser } = useNativeApp();
+  const [conversation, setConversation] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  const listRef = useRef(null);
+  const uid = currentUser?.uid;
+
+  useEffect(() => {
+    if (!db || !conversationId) return undefined;
+    setLoading(true);
+    const unsubConversation = onSnapshot(
+      doc(db, 'conversations', conversationId),
+      (snap) => setConversation(snap.exists() ? snap.data() : null),
+      () => setConversation(null)
+    );
+    const unsubMessages = onSnapshot(
+      query(
+        collection(db, 'conversations', conversationId, 'messages'),
+        orderBy('createdAt'),
+        limitToLast(MESSAGE_WINDOW)
+      ),
+      (snap) => {
+        setMessages(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+        setLoading(false);
+      },
+      () => setLoading(false)
+    );
+    return () => {
+      unsubConversation();
+      unsubMessages();
+    };
+  }, [db, conversationId]);
+
+  // Clear the unread count whenever something new arrives while open
+  const myUnread = conversation?.unread?.[uid] || 0;
+  useEffect(() => {
+    if (!db || !conversationId || !uid || !myUnread) return;
+    markConversationRead(db, { conversationId, userId: uid })
+      .catch((error) => console.warn('Mark conversation read failed:', error));
+  }, [db, conversationId, uid, myUnread]);
+
+  const blockedBy = conversation?.blockedBy || [];
+  const iBlocked = blockedBy.includes(uid);
+  const lastMineId = useMemo(
+    () => [...messages].reverse().find((m) => m.senderId === uid)?.id,
+    [messages, uid]
+  );
+
+  const send = async () => {
+    if (!draft.trim() || sending) return;
+    setSending(true);
+    try {
+      await sendMessage(db, { conversationId, senderId: uid, text: draft });
+      setDraft('');
+    } catch (error) {
+      console.error('Send message failed:', error);
+      Alert.alert('Not sent', error.message || 'Could not send your message. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const toggleBlock = () => {
+    const apply = async () => {
+      try {
+        await setConversationBlocked(db, { conversationId, userId: uid, blocked: !iBlocked });
+      } catch (error) {
+        console.error('Block toggle failed:', error);
+        Alert.alert('Error', 'Could not update. Please try again.');
+      }
+    };
+    if (iBlocked) {
+      apply();
+      return;
+    }
+    Alert.alert(
+      `Block ${otherName}?`,
+      'Neither of you will be able to send messages until you unblock.',
+      [{ text: 'Cancel', style: 'cancel' }, { text: 'Block', style: 'destructive', onPress: apply }]
+    );
+  };
+
+  const renderMessage = ({ item }) => {
+    const mine = item.senderId === uid;
+    return (
+      <View style={[styles.bubble, mine ? styles.bubbleMine : styles.bubbleTheirs]}>
+        <Text style={[styles.bubbleText, mine && styles.bubbleTextMine]}>{item.text}</Text>
+        <Text style={[styles.bubbleMeta, mine && styles.bubbleMetaMine]}>
+          {timeLabel(item.createdAt)}
+          {mine && item.id === lastMineId && isReadByRecipient(conversation, item) ? ' · Seen' : ''}
+        </Text>
+      </View>
+    );
+  };
+
+  return (
+    <Modal visible={Boolean(conversationId)} animationType="slide" onRequestClose={onClose}>
+      <KeyboardAvoidingView style={styles.screen} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+        <View style={styles.header}>
+          <Pressable onPress={onClose} style={styles.headerButton}>
+            <Text style={styles.headerLink}>Close</Text>
+          </Pressable>
+          <Text style={styles.headerTitle} numberOfLines={1}>{otherName}</Text>
+          <Pressable onPress={toggleBlock} style={styles.headerButton}>
+            <Text style={[styles.headerLink, styles.blockLink]}>{iBlocked ? 'Unblock' : 'Block'}</Text>
+          </Pressable>
+        </View>
+
+        {loading ? (
+          <ActivityIndicator size="large" color="#2EDC9A" style={styles.loading} />
+        ) : (
+          <FlatList
+            ref={listRef}
+            data={messages}
+            keyExtractor={(item) => item.id}
+            renderItem={renderMessage}
+            contentContainerStyle={styles.list}
+            onContentSizeChange={() => listRef.current?.scrollToEnd({ animated: false })}
+            ListEmptyComponent={<Text style={styles.empty}>Say hi to {otherName}!</Text>}
+          />
+        )}
+
+        {blockedBy.length ? (
+          <Text style={styles.blockedNote}>
+            {iBlocked ? `You blocked ${otherName}.` : 'You can no longer reply to this conversation.'}
+          </Text>
+        ) : (
+          <View style={styles.composer}>
+            <TextInput
+              style={styles.input}
+              value={draft}
+              onChangeText={setDraft}
+              placeholder="Message"
+              maxLength={MAX_MESSAGE_LENGTH}
+              multiline
+            />
+            <Pressable style={[styles.sendButton, (!draft.trim() || sending) && styles.sendButtonDisabled]} onPress={send}>
+              <Text style={styles.sendText}>{sending ? '...' : 'Send'}</Text>
+            </Pressable>
+          </View>
+        )}
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#FAFAF7',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingTop: 48,
+    paddingBottom: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+    backgroundColor: '#FFFFFF',
+  },
+  headerButton: {
+    minWidth: 64,
+  },
+  headerTitle: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 17,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  headerLink: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#059669',
+  },
+  blockLink: {
+    color: '#DC2626',
+    textAlign: 'right',
+  },
+  loading: {
+    marginTop: 40,
+  },
+  list: {
+    padding: 12,
+    gap: 6,
+  },
+  empty: {
+    textAlign: 'center',
+    color: '#9CA3AF',
+    marginTop: 40,
+  },
+  bubble: {
+    maxWidth: '80%',
+    borderRadius: 14,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  bubbleMine: {
+    alignSelf: 'flex-end',
+    backgroundColor: '#2EDC9A',
+  },
+  bubbleTheirs: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  bubbleText: {
+    fontSize: 15,
+    color: '#1F2937',
+  },
+  bubbleTextMine: {
+    color: '#053B2A',
+  },
+  bubbleMeta: {
+    fontSize: 11,
+    color: '#9CA3AF',
+    marginTop: 2,
+  },
+  bubbleMetaMine: {
+    color: '#065F46',
+    textAlign: 'right',
+  },
+  blockedNote: {
+    textAlign: 'center',
+    color: '#6B7280',
+    padding: 16,
+    backgroundColor: '#F3F4F6',
+  },
+  composer: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 8,
+    padding: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#E5E7EB',
+    backgroundColor: '#FFFFFF',
+  },
+  input: {
+    flex: 1,
+    maxHeight: 120,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 18,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    fontSize: 15,
+  },
+  sendButton: {
+    borderRadius: 18,
+    backgroundColor: '#2EDC9A',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  sendButtonDisabled: {
+    opacity: 0.5,
+  },
+  sendText: {
+    fontWeight: '700',
+    color: '#053B2A',
+  },
+});
@@ -0,0 +1,374 @@
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, Alert, Pressable, StyleSheet, Text, View } from 'react-native';
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { useNativeApp } from '../contexts/NativeAppContext';
+import {
+  CONTACT_FIELDS,
+  respondToConnectRequest,
+  updateSharedContacts,
+} from '../services/connectionService';
+import ChatModal from './ChatModal';
+
+/**
+ * Toggle chips for the contact fields a user has filled in.
+ * Fields missing from the profile are not offered.
+ */
+export function ShareFieldChips({ profile, selected, onChange }) {
+  const available = CONTACT_FIELDS.filter((f) => String(profile?.[f.key] || '').trim());
+  if (!available.length) {
+    return <Text style={styles.hint}>Add a phone, Instagram or email in your profile to share contact details.</Text>;
+  }
+  const toggle = (key) => onChange(selected.includes(key) ? selected.filter((k) => k !== key) : [...selected, key]);
+  return (
+    <View style={styles.chipRow}>
+      {available.map((f) => {
+        const active = selected.includes(f.key);
+        return (
+          <Pressable key={f.key} style={[styles.chip, active && styles.chipActive]} onPress={() => toggle(f.key)}>
+            <Text style={[styles.chipText, active && styles.chipTextActive]}>{f.icon} {f.label}</Text>
+          </Pressable>
+        );
+      })}
+    </View>
+  );
+}
+
+/**
+ * Incoming connect requests with accept/decline, and the user's connections
+ * with whatever contact details the other person shared and a chat.
+ * @param {Object} props
+ * @param {Object<string, string>} props.namesById - Display names of people the user met
+ * @param {Function} [props.onConnected] - Called with the other user's ID after accepting
+ */
+export default function ConnectInbox({ namesById = {}, onConnected }) {
+  const { db, currentUser, userProfile } = useNativeApp();
+  const [requests, setRequests] = useState([]);
+  const [connections, setConnections] = useState([]);
+  // Fields the user picked per request / connection being edited
+  const [sharesById, setSharesById] = useState({});
+  const [editingId, setEditingId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  // Unread message counts keyed by conversation (= connection) ID
+  const [unreadById, setUnreadById] = useState({});
+  const [chat, setChat] = useState(null);
+
+  useEffect(() => {
+    if (!db || !currentUser?.uid) return undefined;
+    const q = query(
+      collection(db, 'connectRequests'),
+      where('targetUserId', '==', currentUser.uid),
+      where('status', '==', 'pending')
+    );
+    const unsub = onSnapshot(q, (snap) => {
+      const list = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+      list.sort((a, b) => ((a.createdAt || '') > (b.createdAt || '') ? -1 : 1));
+      setRequests(list);
+    });
+    return unsub;
+  }, [db, currentUser?.uid]);
+
+  useEffect(() => {
+    if (!db || !currentUser?.uid) return undefined;
+    const q = query(collection(db, 'connections'), where('userIds', 'array-contains', currentUser.uid));
+    const unsub = onSnapshot(q, (snap) => {
+      const list = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+      list.sort((a, b) => ((a.createdAt || '') > (b.createdAt || '') ? -1 : 1));
+      setConnections(list);
+    });
+    return unsub;
+  }, [db, currentUser?.uid]);
+
+  useEffect(() => {
+    if (!db || !currentUser?.uid) return undefined;
+    const q = query(collection(db, 'conversations'), where('userIds', 'array-contains', currentUser.uid));
+    const unsub = onSnapshot(q, (snap) => {
+      const counts = {};
+      snap.docs.forEach((d) => { counts[d.id] = d.data().unread?.[currentUser.uid] || 0; });
+      setUnreadById(counts);
+    });
+    return unsub;
+  }, [db, currentUser?.uid]);
+
+  const myName = userProfile?.displayName || currentUser?.displayName || '';
+  const sharesFor = (id, fallback = []) => sharesById[id] || fallback;
+  const setShares = (id) => (fields) => setSharesById((prev) => ({ ...prev, [id]: fields }));
+
+  const respond = async (request, accept) => {
+    setBusyId(request.id);
+    try {
+      await respondToConnectRequest(db, {
+        requestId: request.id,
+        responderId: currentUser.uid,
+        responderName: myName,
+        accept,
+        shareFields: sharesFor(request.id),
+      });
+      if (accept) onConnected?.(request.requesterId);
+    } catch (error) {
+      console.error('Respond to connect request failed:', error);
+      Alert.alert('Error', error.message || 'Could not answer the request. Please try again.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const saveShares = async (connection) => {
+    setBusyId(connection.id);
+    try {
+      await updateSharedContacts(db, {
+        connectionId: connection.id,
+        userId: currentUser.uid,
+        shareFields: sharesFor(connection.id, Object.keys(connection.contacts?.[currentUser.uid] || {})),
+      });
+      setEditingId(null);
+    } catch (error) {
+      console.error('Update shared contacts failed:', error);
+      Alert.alert('Error', 'Could not update what you share. Please try again.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!requests.length && !connections.length) return null;
+
+  return (
+    <View style={styles.container}>
+      {requests.length > 0 && (
+        <>
+          <Text style={styles.sectionTitle}>Connect requests ({requests.length})</Text>
+          {requests.map((request) => (
+            <View key={request.id} style={styles.card}>
+              <Text style={styles.name}>{request.requesterName || namesById[request.requesterId] || 'Someone'}</Text>
+              {request.message ? <Text style={styles.meta}>{request.message}</Text> : null}
+              <Text style={styles.label}>Share with them when you accept:</Text>
+              <ShareFieldChips
+                profile={userProfile}
+                selected={sharesFor(request.id)}
+                onChange={setShares(request.id)}
+              />
+              {busyId === request.id ? (
+                <ActivityIndicator color="#2EDC9A" style={styles.busy} />
+              ) : (
+                <View style={styles.actions}>
+                  <Pressable style={[styles.button, styles.acceptButton]} onPress={() => respond(request, true)}>
+                    <Text style={styles.acceptText}>Accept</Text>
+                  </Pressable>
+                  <Pressable style={[styles.button, styles.declineButton]} onPress={() => respond(request, false)}>
+                    <Text style={styles.declineText}>Decline</Text>
+                  </Pressable>
+                </View>
+              )}
+            </View>
+          ))}
+        </>
+      )}
+
+      {connections.length > 0 && (
+        <>
+          <Text style={styles.sectionTitle}>Connections ({connections.length})</Text>
+          {connections.map((connection) => {
+            const otherId = (connection.userIds || []).find((uid) => uid !== currentUser?.uid);
+            const theirs = connection.contacts?.[otherId] || {};
+            const mine = Object.keys(connection.contacts?.[currentUser?.uid] || {});
+            const editing = editingId === connection.id;
+            const otherName = namesById[otherId] || 'Your connection';
+            const unread = unreadById[connection.id] || 0;
+            return (
+              <View key={connection.id} style={styles.card}>
+                <View style={styles.nameRow}>
+                  <Text style={styles.name}>{otherName}</Text>
+                  <Pressable
+                    style={styles.messageButton}
+                    onPress={() => setChat({ id: connection.id, otherName })}
+                  >
+                    <Text style={styles.messageText}>Message</Text>
+                    {unread > 0 && (
+                      <View style={styles.unreadBadge}>
+                        <Text style={styles.unreadText}>{unread > 99 ? '99+' : unread}</Text>
+                      </View>
+                    )}
+                  </Pressable>
+                </View>
+                {Object.keys(theirs).length ? (
+                  CONTACT_FIELDS.filter((f) => theirs[f.key]).map((f) => (
+                    <Text key={f.key} style={styles.contact}>{f.icon} {theirs[f.key]}</Text>
+                  ))
+                ) : (
+                  <Text style={styles.meta}>No contact details shared with you yet.</Text>
+                )}
+                {editing ? (
+                  <>
+                    <Text style={styles.label}>You share:</Text>
+                    <ShareFieldChips
+                      profile={userProfile}
+                      selected={sharesFor(connection.id, mine)}
+                      onChange={setShares(connection.id)}
+                    />
+                    <Pressable
+                      style={[styles.button, styles.acceptButton]}
+                      onPress={() => saveShares(connection)}
+                      disabled={busyId === connection.id}
+                    >
+                      <Text style={styles.acceptText}>{busyId === connection.id ? 'Saving...' : 'Save'}</Text>
+                    </Pressable>
+                  </>
+                ) : (
+                  <Pressable onPress={() => setEditingId(connection.id)}>
+                    <Text style={styles.link}>
+                      {mine.length
+                        ? `You share: ${CONTACT_FIELDS.filter((f) => mine.includes(f.key)).map((f) => f.label).join(', ')} · Edit`
+                        : 'You share nothing yet · Choose what to share'}
+                    </Text>
+                  </Pressable>
+                )}
+              </View>
+            );
+          })}
+        </>
+      )}
+
+      <ChatModal conversationId={chat?.id || null} otherName={chat?.otherName || ''} onClose={() => setChat(null)} />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 10,
+    marginBottom: 12,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1F2937',
+    marginTop: 4,
+  },
+  card: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 14,
+    backgroundColor: '#FFFFFF',
+    padding: 14,
+    gap: 6,
+  },
+  nameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  messageButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    borderWidth: 1.5,
+    borderColor: '#2EDC9A',
+    borderRadius: 16,
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+  },
+  messageText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#065F46',
+  },
+  unreadBadge: {
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    backgroundColor: '#DC2626',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 4,
+  },
+  unreadText: {
+    color: '#FFFFFF',
+    fontSize: 10,
+    fontWeight: '700',
+  },
+  name: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#6B7280',
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#9CA3AF',
+  },
+  contact: {
+    fontSize: 14,
+    color: '#374151',
+  },
+  link: {
+    fontSize: 13,
+    color: '#059669',
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    backgroundColor: '#FFFFFF',
+  },
+  chipActive: {
+    borderColor: '#2EDC9A',
+    backgroundColor: '#ECFDF5',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+  },
+  chipTextActive: {
+    color: '#065F46',
+    fontWeight: '700',
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 6,
+  },
+  button: {
+    flex: 1,
+    alignItems: 'center',
+    borderRadius: 10,
+    paddingVertical: 10,
+    borderWidth: 1.5,
+    marginTop: 6,
+  },
+  acceptButton: {
+    borderColor: '#2EDC9A',
+    backgroundColor: '#ECFDF5',
+  },
+  acceptText: {
+    fontWeight: '700',
+    color: '#065F46',
+  },
+  declineButton: {
+    borderColor: '#E5E7EB',
+    backgroundColor: '#F9FAFB',
+  },
+  declineText: {
+    fontWeight: '700',
+    color: '#6B7280',
+  },
+  busy: {
+    marginTop: 8,
+  },
+});
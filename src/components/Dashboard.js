@@ -1,6 +1,8 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import {
   ActivityIndicator,
+  Alert,
+  Linking,
   Pressable,
   ScrollView,
   StyleSheet,
@@ -14,15 +16,163 @@ import {
   where,
 } from 'firebase/firestore';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
+import QRCode from 'react-native-qrcode-svg';
 import { useNativeApp } from '../contexts/NativeAppContext';
 import NotificationBadge from './NotificationBadge';
+import { isUpcomingEvent } from '../services/eventLifecycle';
+import { countUnread } from '../services/messagingService';
+import { ETA_OPTIONS, canReportPresence, reportPresence } from '../services/presenceService';
+import { requestTicket } from '../services/ticketService';
+import { PRESENCE_STATUS } from '../models';
 
 const SORT_OPTIONS = [
   { key: 'date', label: 'By Date' },
   { key: 'interest', label: 'By Interest' },
 ];
 
-function EventCard({ item }) {
+/**
+ * The current user's group in each round: one entry for single-round events.
+ * @returns {Array<{ label: string, startTime: string, group: Object }>}
+ */
+function scheduleFor(event, userId) {
+  const rounds = event.rounds?.length ? event.rounds : [{ label: '', startTime: '', venueGroups: event.venueGroups }];
+  return rounds
+    .map((round) => ({
+      label: round.label,
+      startTime: round.startTime,
+      group: (round.venueGroups || []).find((g) => (g.attendeeIds || []).includes(userId)),
+    }))
+    .filter((entry) => entry.group);
+}
+
+function GroupVenue({ item, group }) {
+  if (!group.locationRevealed) {
+    return (
+      <Text style={styles.eventMeta}>
+        Venue in {item.locality || 'your area'} — revealed{' '}
+        {item.revealAt ? new Date(item.revealAt).toLocaleString() : 'closer to the event'}
+      </Text>
+    );
+  }
+  return (
+    <>
+      <Text style={styles.eventMeta}>{'\u{1F3E0}'} {group.venueName}</Text>
+      {group.venueAddress ? <Text style={styles.eventMeta}>{group.venueAddress}</Text> : null}
+      {group.mapUrl ? (
+        <Pressable onPress={() => Linking.openURL(group.mapUrl)}>
+          <Text style={styles.mapLink}>Open in Maps</Text>
+        </Pressable>
+      ) : null}
+    </>
+  );
+}
+
+/**
+ * Day-of check-in for a booked event: "I'm here" or "Running late" with an ETA.
+ */
+function PresenceBar({ booking, busy, onReport }) {
+  const [pickingEta, setPickingEta] = useState(false);
+  const status = booking?.presenceStatus;
+  return (
+    <View style={styles.presenceBox}>
+      <Text style={styles.groupBoxTitle}>
+        {status === PRESENCE_STATUS.PRESENT
+          ? "\u2705 You're checked in"
+          : status === PRESENCE_STATUS.LATE
+          ? `\u23F0 Running late (~${booking.etaMinutes} min)`
+          : 'On your way?'}
+      </Text>
+      {status !== PRESENCE_STATUS.PRESENT && (
+        pickingEta ? (
+          <View style={styles.presenceRow}>
+            {ETA_OPTIONS.map((minutes) => (
+              <Pressable
+                key={minutes}
+                style={styles.presenceChip}
+                disabled={busy}
+                onPress={() => { setPickingEta(false); onReport(PRESENCE_STATUS.LATE, minutes); }}
+              >
+                <Text style={styles.presenceChipText}>{minutes} min</Text>
+              </Pressable>
+            ))}
+          </View>
+        ) : (
+          <View style={styles.presenceRow}>
+            <Pressable style={[styles.presenceButton, styles.presenceButtonHere]} disabled={busy} onPress={() => onReport(PRESENCE_STATUS.PRESENT)}>
+              <Text style={styles.presenceButtonText}>{busy ? '...' : "I'm here"}</Text>
+            </Pressable>
+            <Pressable style={styles.presenceButton} disabled={busy} onPress={() => setPickingEta(true)}>
+              <Text style={styles.presenceButtonText}>Running late</Text>
+            </Pressable>
+          </View>
+        )
+      )}
+    </View>
+  );
+}
+
+/**
+ * The booking's QR ticket, issued the first time it is opened. Once issued it
+ * is read from the booking, so it still shows without a connection.
+ */
+function BookingTicket({ booking, onRequest }) {
+  const [open, setOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const ticket = booking.ticket;
+
+  if (booking.checkedInAt) {
+    return (
+      <View style={styles.presenceBox}>
+        <Text style={styles.groupBoxTitle}>
+          {'\u{1F39F}'} Ticket scanned at{' '}
+          {new Date(booking.checkedInAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+        </Text>
+      </View>
+    );
+  }
+
+  const show = async () => {
+    if (open) {
+      setOpen(false);
+      return;
+    }
+    setOpen(true);
+    if (ticket) return;
+    setLoading(true);
+    try {
+      await onRequest();
+    } catch (error) {
+      console.error('Issue ticket failed:', error);
+      setOpen(false);
+      Alert.alert('Could not load your ticket', error.message || 'Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <View style={styles.presenceBox}>
+      <Pressable onPress={show}>
+        <Text style={styles.mapLink}>{open ? 'Hide ticket' : '\u{1F39F} Show my ticket'}</Text>
+      </Pressable>
+      {open && (
+        <View style={styles.ticketBox}>
+          {ticket ? (
+            <>
+              <QRCode value={ticket} size={180} />
+              <Text style={styles.ticketHint}>Show this to the organizer when you arrive.</Text>
+              <Text selectable style={styles.ticketCode}>{ticket}</Text>
+            </>
+          ) : (
+            loading && <ActivityIndicator color="#2EDC9A" />
+          )}
+        </View>
+      )}
+    </View>
+  );
+}
+
+function EventCard({ item, mySchedule, booking, presenceBusy, onReportPresence, onRequestTicket }) {
   const when = item.dateTime ? new Date(item.dateTime).toLocaleString() : '-';
   const price = Number(item.price || 0) === 0 ? 'Free' : `${item.price} ${item.currency || 'EGP'}`;
   const spotsLeft = item.maxAttendees
@@ -45,6 +195,29 @@ function EventCard({ item }) {
       <Text style={styles.eventMeta}>{'\u{1F551}'} {when}</Text>
       <Text style={styles.eventMeta}>{'\u{1F4CD}'} {item.locality || '-'}</Text>
       <Text style={styles.eventMeta}>{'\u{1F4B0}'} {price}</Text>
+      {mySchedule.length ? (
+        <View style={styles.groupBox}>
+          {mySchedule.map((entry, r) => (
+            <View key={entry.group.groupId} style={r > 0 ? styles.roundEntry : null}>
+              <Text style={styles.groupBoxTitle}>
+                {entry.label ? `${entry.label}${entry.startTime ? ` · ${entry.startTime}` : ''} — ` : 'Your group: '}
+                {entry.group.groupName}
+              </Text>
+              <GroupVenue item={item} group={entry.group} />
+            </View>
+          ))}
+        </View>
+      ) : null}
+      {booking && onReportPresence && canReportPresence(item) ? (
+        <PresenceBar
+          booking={booking}
+          busy={presenceBusy}
+          onReport={(status, etaMinutes) => onReportPresence(item, status, etaMinutes)}
+        />
+      ) : null}
+      {booking && onRequestTicket ? (
+        <BookingTicket booking={booking} onRequest={() => onRequestTicket(item)} />
+      ) : null}
     </View>
   );
 }
@@ -54,13 +227,15 @@ export default function DashboardScreen() {
   const [events, setEvents] = useState([]);
   const [bookings, setBookings] = useState([]);
   const [notifications, setNotifications] = useState([]);
+  const [conversations, setConversations] = useState([]);
   const [sortMode, setSortMode] = useState('date');
   const [showNotifPanel, setShowNotifPanel] = useState(false);
+  const [presenceBusyId, setPresenceBusyId] = useState(null);
 
-  // Load all published events
+  // Load published events, and completed ones for day-of check-in after the start time
   useEffect(() => {
     if (!db) return undefined;
-    const q = query(collection(db, 'events'), where('status', '==', 'published'));
+    const q = query(collection(db, 'events'), where('status', 'in', ['published', 'completed']));
     const unsub = onSnapshot(
       q,
       (snap) => {
@@ -105,8 +280,20 @@ export default function DashboardScreen() {
     return unsub;
   }, [db, currentUser?.uid]);
 
+  // Unread chat messages from connections
+  useEffect(() => {
+    if (!db || !currentUser?.uid) return undefined;
+    const q = query(collection(db, 'conversations'), where('userIds', 'array-contains', currentUser.uid));
+    const unsub = onSnapshot(
+      q,
+      (snap) => setConversations(snap.docs.map((d) => ({ id: d.id, ...d.data() }))),
+      () => setConversations([])
+    );
+    return unsub;
+  }, [db, currentUser?.uid]);
+
   const bookedEventIds = useMemo(() => new Set(bookings.map((b) => b.eventId)), [bookings]);
-  const now = useMemo(() => new Date().toISOString(), []);
+  const now = useMemo(() => new Date(), []);
 
   const userInterests = useMemo(() => {
     const raw = userProfile?.preferences?.interests;
@@ -120,7 +307,7 @@ export default function DashboardScreen() {
     const localityId = userProfile?.localityId || '';
     const localityLabel = userProfile?.localityLabel || '';
     return events.filter((ev) => {
-      if (!ev.dateTime || ev.dateTime < now) return false;
+      if (!isUpcomingEvent(ev, now)) return false;
       if (localityId && ev.localityId) return ev.localityId === localityId;
       if (localityLabel) return (ev.locality || '').includes(localityLabel);
       return true;
@@ -145,17 +332,44 @@ export default function DashboardScreen() {
     return localityEvents;
   }, [localityEvents, sortMode, userInterests]);
 
-  const bookedUpcoming = useMemo(
-    () => sortedEvents.filter((ev) => bookedEventIds.has(ev.id)),
-    [sortedEvents, bookedEventIds]
+  // Booked events stay listed after they start while check-in is still open
+  const bookedUpcoming = useMemo(() => {
+    const inProgress = events.filter(
+      (ev) => bookedEventIds.has(ev.id) && !isUpcomingEvent(ev, now) && canReportPresence(ev, now)
+    );
+    return [...inProgress, ...sortedEvents.filter((ev) => bookedEventIds.has(ev.id))];
+  }, [events, sortedEvents, bookedEventIds, now]);
+
+  const bookingsByEventId = useMemo(
+    () => Object.fromEntries(bookings.map((b) => [b.eventId, b])),
+    [bookings]
   );
 
+  const handleReportPresence = async (event, status, etaMinutes) => {
+    setPresenceBusyId(event.id);
+    try {
+      await reportPresence(db, { eventId: event.id, userId: currentUser.uid, status, etaMinutes });
+    } catch (error) {
+      console.error('Report presence failed:', error);
+      Alert.alert('Could not check in', error.message || 'Please try again.');
+    } finally {
+      setPresenceBusyId(null);
+    }
+  };
+
+  // The issued ticket arrives through the bookings listener
+  const handleRequestTicket = (event) => requestTicket(db, { eventId: event.id });
+
   const firstName = useMemo(() => {
     const full = userProfile?.displayName || userProfile?.name || currentUser?.displayName || '';
     return full.split(' ')[0] || 'there';
   }, [userProfile, currentUser]);
 
-  const unreadCount = notifications.length;
+  const unreadMessages = useMemo(
+    () => countUnread(conversations, currentUser?.uid),
+    [conversations, currentUser?.uid]
+  );
+  const unreadCount = notifications.length + unreadMessages;
 
   if (profileLoading) {
     return (
@@ -180,17 +394,35 @@ export default function DashboardScreen() {
       {showNotifPanel && (
         <View style={styles.notifPanel}>
           <Text style={styles.notifPanelTitle}>Notifications</Text>
-          {notifications.length === 0 ? (
+          {unreadMessages > 0 && (
+            <View style={styles.notifRow}>
+              <MaterialCommunityIcons name="message-text-outline" size={18} color="#2EDC9A" style={styles.notifIcon} />
+              <Text style={styles.notifMessage}>
+                {unreadMessages} unread message{unreadMessages !== 1 ? 's' : ''} from your connections. Open Friends to reply.
+              </Text>
+            </View>
+          )}
+          {notifications.length === 0 && !unreadMessages ? (
             <Text style={styles.notifEmpty}>All caught up! No new notifications.</Text>
           ) : (
             notifications.slice(0, 10).map((n) => (
               <View key={n.id} style={styles.notifRow}>
                 <MaterialCommunityIcons
                   name={
-                    n.type === 'connect_request'
+                    n.type === 'connect_request' || n.type === 'connect_accepted'
                       ? 'handshake-outline'
+                      : n.type === 'connect_declined'
+                      ? 'account-cancel-outline'
                       : n.type === 'venue_revealed'
                       ? 'map-marker-check'
+                      : n.type === 'group_assigned'
+                      ? 'account-group-outline'
+                      : n.type === 'event_cancelled'
+                      ? 'calendar-remove'
+                      : n.type === 'suggestion_approved' || n.type === 'suggestion_rejected'
+                      ? 'lightbulb-outline'
+                      : n.type === 'mutual_match' || n.type === 'match_connected'
+                      ? 'heart-multiple-outline'
                       : 'bell'
                   }
                   size={18}
@@ -209,7 +441,15 @@ export default function DashboardScreen() {
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>{'\u{1F4C5}'} Your Upcoming Events ({bookedUpcoming.length})</Text>
           {bookedUpcoming.slice(0, 3).map((item) => (
-            <EventCard key={item.id} item={item} />
+            <EventCard
+              key={item.id}
+              item={item}
+              mySchedule={scheduleFor(item, currentUser?.uid)}
+              booking={bookingsByEventId[item.id]}
+              presenceBusy={presenceBusyId === item.id}
+              onReportPresence={handleReportPresence}
+              onRequestTicket={handleRequestTicket}
+            />
           ))}
         </View>
       )}
@@ -405,6 +645,93 @@ const styles = StyleSheet.create({
     color: '#6B7280',
     marginBottom: 3,
   },
+  groupBox: {
+    marginTop: 8,
+    borderRadius: 10,
+    backgroundColor: '#F0FDF4',
+    padding: 10,
+  },
+  roundEntry: {
+    marginTop: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#D1FAE5',
+  },
+  groupBoxTitle: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#0B5D40',
+    marginBottom: 4,
+  },
+  presenceBox: {
+    marginTop: 10,
+    padding: 10,
+    borderRadius: 10,
+    backgroundColor: '#F0FDF4',
+    borderWidth: 1,
+    borderColor: '#D1FAE5',
+  },
+  presenceRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 6,
+  },
+  presenceButton: {
+    flex: 1,
+    alignItems: 'center',
+    borderRadius: 10,
+    paddingVertical: 9,
+    borderWidth: 1.5,
+    borderColor: '#F59E0B',
+    backgroundColor: '#FFFBEB',
+  },
+  presenceButtonHere: {
+    borderColor: '#2EDC9A',
+    backgroundColor: '#ECFDF5',
+  },
+  presenceButtonText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  ticketBox: {
+    alignItems: 'center',
+    marginTop: 10,
+    padding: 12,
+    borderRadius: 10,
+    backgroundColor: '#FFFFFF',
+  },
+  ticketHint: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 8,
+  },
+  ticketCode: {
+    fontSize: 10,
+    color: '#9CA3AF',
+    marginTop: 4,
+    textAlign: 'center',
+  },
+  presenceChip: {
+    borderWidth: 1,
+    borderColor: '#F59E0B',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    backgroundColor: '#FFFFFF',
+  },
+  presenceChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#92400E',
+  },
+  mapLink: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#2EDC9A',
+    marginTop: 2,
+  },
   emptyCard: {
     borderRadius: 12,
     borderWidth: 1,
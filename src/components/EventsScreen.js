@@ -16,15 +16,47 @@ import {
   collection,
   doc,
   getDocs,
-  increment,
   onSnapshot,
   query,
-  runTransaction,
   updateDoc,
   where,
 } from 'firebase/firestore';
 import { useNativeApp } from '../contexts/NativeAppContext';
+import {
+  BOOKING_COOLDOWN_ERROR,
+  EVENT_CLOSED_ERROR,
+  EVENT_FULL_ERROR,
+  bookEvent,
+  cancelBooking,
+  isEventFull,
+  joinWaitlist,
+  leaveWaitlist,
+  reconcileEventAttendance,
+} from '../services/bookingService';
+import {
+  MAX_OCCURRENCES,
+  RECURRENCE,
+  SERIES_SCOPE,
+  createEventSeries,
+  generateOccurrenceDates,
+  updateEventSeries,
+} from '../services/eventSeriesService';
+import {
+  DEFAULT_EVENT_DURATION_MINUTES,
+  archiveEvent,
+  getEffectiveStatus,
+  hasEventTakenPlace,
+  isUpcomingEvent,
+} from '../services/eventLifecycle';
+import { cancelEvent, cancelEventSeries } from '../services/eventCancellationService';
+import { announceEvent, publishEvent } from '../services/eventPublishing';
+import { submitEventSuggestion } from '../services/eventSuggestionService';
+import { ATTENDANCE_FINALIZE_HOURS, canReportPresence } from '../services/presenceService';
+import { EVENT_STATUS } from '../models';
 import ShufflerModal from './ShufflerModal';
+import GroupChatModal from './GroupChatModal';
+import RollCallModal from './RollCallModal';
+import TicketScanModal from './TicketScanModal';
 
 const EVENT_TYPES = [
   { key: 'dinner', label: 'Dinner' },
@@ -37,6 +69,19 @@ const EVENT_TYPES = [
   { key: 'library_meetup', label: 'Library Meetup' },
 ];
 
+const RECURRENCE_OPTIONS = [
+  { key: RECURRENCE.NONE, label: 'Does not repeat' },
+  { key: RECURRENCE.WEEKLY, label: 'Weekly' },
+  { key: RECURRENCE.BIWEEKLY, label: 'Every 2 weeks' },
+  { key: RECURRENCE.MONTHLY, label: 'Monthly' },
+  { key: RECURRENCE.CUSTOM, label: 'Custom dates' },
+];
+
+const SCOPE_OPTIONS = [
+  { key: SERIES_SCOPE.OCCURRENCE, label: 'This event only' },
+  { key: SERIES_SCOPE.SERIES, label: 'All upcoming in series' },
+];
+
 const BOOKING_STATUS = {
   CONFIRMED: 'confirmed',
   CANCELLED: 'cancelled',
@@ -54,6 +99,16 @@ const toTimeValue = (dateObj) => {
   return `${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
 };
 
+const DURATION_ERROR = `Duration must be between half an hour and ${ATTENDANCE_FINALIZE_HOURS} hours.`;
+
+const EVENT_CLOSED_MESSAGE = 'This event is no longer taking bookings.';
+
+// Attendance is finalized ATTENDANCE_FINALIZE_HOURS after the start, so events must end before that
+const durationMinutesFrom = (hoursValue) => {
+  const minutes = Math.round(Number(hoursValue) * 60);
+  return minutes >= 30 && minutes <= ATTENDANCE_FINALIZE_HOURS * 60 ? minutes : null;
+};
+
 /**
  * Returns a default new-event form object.
  * address and mapUrl are intentionally omitted from creation —
@@ -72,23 +127,46 @@ const makeDefaultNewEvent = () => {
     time: toTimeValue(now),
     price: '0',
     currency: 'EGP',
+    maxAttendees: '20',
+    durationHours: String(DEFAULT_EVENT_DURATION_MINUTES / 60),
+    // Recurrence: occurrences counts the first event too
+    recurrence: RECURRENCE.NONE,
+    occurrences: '4',
+    customDates: [],
+    // Publishing: 'now' publishes on create, 'scheduled' saves a draft with publishAt
+    publishMode: 'now',
+    publishDate: toDateValue(now),
+    publishTime: toTimeValue(now),
   };
 };
 
 function EventCard({ 
   event, 
   isBooked, 
+  waitlistPosition,
   onBook, 
   onCancel, 
+  onJoinWaitlist,
+  onLeaveWaitlist,
   busy,
   isCreator,
   onEdit,
   onDelete,
+  onReconcile,
   onRunAlgorithm,
+  onPublish,
+  onOpenGroupChat,
+  onOpenRollCall,
+  onOpenTicketScan,
 }) {
+  const upcoming = isUpcomingEvent(event);
+  const isDraft = event.status === EVENT_STATUS.DRAFT;
   const eventDate = event.dateTime ? new Date(event.dateTime).toLocaleString() : '-';
   const priceLabel = Number(event.price || 0) === 0 ? 'Free' : `${event.price} ${event.currency || 'EGP'}`;
   const creatorDisplayName = event.creatorName || event.createdByName || event.creatorEmail || (event.createdBy ? (isCreator ? 'You' : 'Organizer') : null);
+  const maxAttendees = Number(event.maxAttendees || 0);
+  const full = isEventFull(event);
+  const waitlist = event.waitlist || [];
 
   return (
     <View style={styles.eventCard}>
@@ -108,6 +186,13 @@ function EventCard({
             >
               <Text style={styles.iconButtonText}>✏️</Text>
             </Pressable>
+            <Pressable
+              style={[styles.iconButton, styles.iconButtonTeal]}
+              onPress={() => onReconcile(event)}
+              disabled={busy}
+            >
+              <Text style={styles.iconButtonText}>🔄</Text>
+            </Pressable>
             <Pressable
               style={[styles.iconButton, styles.iconButtonRed]}
               onPress={() => onDelete(event)}
@@ -119,14 +204,49 @@ function EventCard({
         )}
       </View>
 
+      {isDraft ? (
+        <View style={styles.draftBadge}>
+          <Text style={styles.draftBadgeText}>
+            {event.publishAt
+              ? `⏰ Draft — publishes ${new Date(event.publishAt).toLocaleString()}`
+              : '📝 Draft — only visible to you and the Master'}
+          </Text>
+        </View>
+      ) : null}
+      {event.seriesId ? (
+        <Text style={styles.seriesLabel}>🔁 Part of a recurring series (#{Number(event.seriesIndex || 0) + 1})</Text>
+      ) : null}
       <Text style={styles.eventMeta}>Type: {event.type}</Text>
       <Text style={styles.eventMeta}>Date: {eventDate}</Text>
       <Text style={styles.eventMeta}>Locality: {event.locality || '-'}</Text>
       <Text style={styles.eventMeta}>Price: {priceLabel}</Text>
+      {maxAttendees > 0 && (
+        <Text style={styles.eventMeta}>
+          Spots: {event.currentAttendees || 0} / {maxAttendees}{full ? ' (full)' : ''}
+        </Text>
+      )}
       {event.description ? <Text style={styles.eventDescription}>{event.description}</Text> : null}
 
+      {/* Waitlist — organizer sees everyone's position */}
+      {isCreator && waitlist.length > 0 && (
+        <View style={styles.waitlistBox}>
+          <Text style={styles.waitlistTitle}>Waitlist ({waitlist.length})</Text>
+          {waitlist.map((entry, i) => (
+            <Text key={entry.userId} style={styles.waitlistRow}>
+              {i + 1}. {entry.displayName || entry.userId}
+            </Text>
+          ))}
+        </View>
+      )}
+
+      {isCreator && isDraft && (
+        <Pressable style={[styles.primaryButton, busy && styles.buttonDisabled]} onPress={() => onPublish(event)} disabled={busy}>
+          <Text style={styles.primaryButtonText}>{busy ? '...' : 'Publish Now'}</Text>
+        </Pressable>
+      )}
+
       {/* Shuffle button — prominent, organizer-only */}
-      {isCreator && (
+      {isCreator && !isDraft && (
         <Pressable
           style={[styles.shuffleButton, busy && styles.buttonDisabled]}
           onPress={() => onRunAlgorithm(event)}
@@ -137,11 +257,45 @@ function EventCard({
         </Pressable>
       )}
 
-      {!isCreator && (
+      {/* Group chats open with the venue reveal */}
+      {event.locationRevealed && (isCreator || isBooked) && (
+        <Pressable style={styles.secondaryButton} onPress={() => onOpenGroupChat(event)}>
+          <Text style={styles.secondaryButtonText}>💬 {isCreator ? 'Group chats' : 'Group chat'}</Text>
+        </Pressable>
+      )}
+      {event.locationRevealed && isCreator && (
+        <Pressable style={styles.secondaryButton} onPress={() => onOpenRollCall(event)}>
+          <Text style={styles.secondaryButtonText}>📋 Roll call</Text>
+        </Pressable>
+      )}
+      {event.locationRevealed && isCreator && !event.attendanceFinalizedAt && (
+        <Pressable style={styles.secondaryButton} onPress={() => onOpenTicketScan(event)}>
+          <Text style={styles.secondaryButtonText}>🎟️ Scan tickets</Text>
+        </Pressable>
+      )}
+
+      {!isCreator && !upcoming && (
+        <Text style={styles.eventMeta}>
+          {hasEventTakenPlace(event) ? 'This event has already taken place.' : 'This event has started.'}
+        </Text>
+      )}
+
+      {!isCreator && upcoming && (
         isBooked ? (
           <Pressable style={styles.secondaryButton} onPress={() => onCancel(event)} disabled={busy}>
             <Text style={styles.secondaryButtonText}>{busy ? '...' : 'Cancel Booking'}</Text>
           </Pressable>
+        ) : waitlistPosition > 0 ? (
+          <>
+            <Text style={styles.waitlistPositionText}>You are #{waitlistPosition} on the waitlist</Text>
+            <Pressable style={styles.secondaryButton} onPress={() => onLeaveWaitlist(event)} disabled={busy}>
+              <Text style={styles.secondaryButtonText}>{busy ? '...' : 'Leave Waitlist'}</Text>
+            </Pressable>
+          </>
+        ) : full ? (
+          <Pressable style={styles.secondaryButton} onPress={() => onJoinWaitlist(event)} disabled={busy}>
+            <Text style={styles.secondaryButtonText}>{busy ? '...' : 'Join Waitlist'}</Text>
+          </Pressable>
         ) : (
           <Pressable style={styles.primaryButton} onPress={() => onBook(event)} disabled={busy}>
             <Text style={styles.primaryButtonText}>{busy ? '...' : 'Book Event'}</Text>
@@ -153,8 +307,9 @@ function EventCard({
 }
 
 export default function EventsScreen() {
-  const { db, currentUser, userProfile } = useNativeApp();
-  const [events, setEvents] = useState([]);
+  const { db, currentUser, userProfile, isSuperAdminRole } = useNativeApp();
+  const [publishedEvents, setPublishedEvents] = useState([]);
+  const [draftEvents, setDraftEvents] = useState([]);
   const [bookingsMap, setBookingsMap] = useState({});
   const [loading, setLoading] = useState(true);
   const [busyEventId, setBusyEventId] = useState(null);
@@ -164,14 +319,30 @@ export default function EventsScreen() {
   const [message, setMessage] = useState('');
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [showTimePicker, setShowTimePicker] = useState(false);
+  // Friend "Suggest an event" form
+  const [showSuggest, setShowSuggest] = useState(false);
+  const [suggestion, setSuggestion] = useState({ ...makeDefaultNewEvent(), notes: '' });
+  const [suggestBusy, setSuggestBusy] = useState(false);
+  // Which form the date/time pickers write to:
+  // 'create' | 'edit' | 'custom' (custom series dates) | 'publish' | 'suggest'
+  const [pickerTarget, setPickerTarget] = useState('create');
   const [showEditModal, setShowEditModal] = useState(false);
   const [editingEvent, setEditingEvent] = useState(null);
   const [editFormData, setEditFormData] = useState(makeDefaultNewEvent());
   const [editBusy, setEditBusy] = useState(false);
+  const [editScope, setEditScope] = useState(SERIES_SCOPE.OCCURRENCE);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [deletingEventId, setDeletingEventId] = useState(null);
+  const [deleteScope, setDeleteScope] = useState(SERIES_SCOPE.OCCURRENCE);
+  const [cancelReason, setCancelReason] = useState('');
   // Shuffler state
   const [showShuffler, setShowShuffler] = useState(false);
+  // Event whose group chats are open
+  const [chatEvent, setChatEvent] = useState(null);
+  const [rollCallEvent, setRollCallEvent] = useState(null);
+  const [ticketScanEvent, setTicketScanEvent] = useState(null);
+  // Organizer's completed events whose attendance is not final yet
+  const [runningEvents, setRunningEvents] = useState([]);
   const [shufflingEvent, setShufflingEvent] = useState(null);
   // Previous similar events for suggestions
   const [prevSimilarEvents, setPrevSimilarEvents] = useState([]);
@@ -185,13 +356,7 @@ export default function EventsScreen() {
     const unsub = onSnapshot(
       q,
       (snap) => {
-        const list = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-        list.sort((a, b) => {
-          const ad = a?.dateTime || '';
-          const bd = b?.dateTime || '';
-          return ad > bd ? 1 : -1;
-        });
-        setEvents(list);
+        setPublishedEvents(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
         setLoading(false);
       },
       () => {
@@ -201,6 +366,54 @@ export default function EventsScreen() {
     return unsub;
   }, [db]);
 
+  // Drafts are visible only to their creator — and to the Master, who sees all of them
+  useEffect(() => {
+    if (!db || !currentUser?.uid) return undefined;
+    const q = isSuperAdminRole
+      ? query(collection(db, 'events'), where('status', '==', EVENT_STATUS.DRAFT))
+      : query(
+        collection(db, 'events'),
+        where('createdBy', '==', currentUser.uid),
+        where('status', '==', EVENT_STATUS.DRAFT)
+      );
+    const unsub = onSnapshot(
+      q,
+      (snap) => setDraftEvents(snap.docs.map((d) => ({ id: d.id, ...d.data() }))),
+      (error) => console.error('Drafts listener failed:', error)
+    );
+    return unsub;
+  }, [db, currentUser?.uid, isSuperAdminRole]);
+
+  // The organizer's ended events, kept until attendance is finalized: the
+  // roll call stays reachable after the event and the sweep below can finalize them
+  useEffect(() => {
+    if (!db || !currentUser?.uid) return undefined;
+    const q = query(
+      collection(db, 'events'),
+      where('createdBy', '==', currentUser.uid),
+      where('status', '==', EVENT_STATUS.COMPLETED)
+    );
+    const unsub = onSnapshot(
+      q,
+      (snap) => setRunningEvents(snap.docs
+        .map((d) => ({ id: d.id, ...d.data() }))
+        .filter((ev) => ev.locationRevealed && !ev.attendanceFinalizedAt)),
+      (error) => console.error('Completed events listener failed:', error)
+    );
+    return unsub;
+  }, [db, currentUser?.uid]);
+
+  const events = useMemo(() => {
+    const running = runningEvents.filter((ev) => canReportPresence(ev));
+    const list = [...draftEvents, ...running, ...publishedEvents];
+    list.sort((a, b) => {
+      const ad = a?.dateTime || '';
+      const bd = b?.dateTime || '';
+      return ad > bd ? 1 : -1;
+    });
+    return list;
+  }, [draftEvents, runningEvents, publishedEvents]);
+
   useEffect(() => {
     if (!db || !currentUser?.uid) return undefined;
     const q = query(
@@ -211,6 +424,8 @@ export default function EventsScreen() {
       q,
       (snap) => {
         const mapped = {};
+        // Bookings created before deterministic IDs may be duplicated per
+        // event; keep the most recent one.
         snap.docs.forEach((d) => {
           const data = d.data();
           if (!data?.eventId) return;
@@ -311,7 +526,61 @@ export default function EventsScreen() {
     return list;
   }, []);
 
-  const handleCreate = async () => {
+  const occurrenceDates = useMemo(() => {
+    const start = new Date(`${newEvent.date}T${newEvent.time}:00`);
+    if (Number.isNaN(start.getTime())) return [];
+    return generateOccurrenceDates(start, {
+      frequency: newEvent.recurrence,
+      count: parseInt(newEvent.occurrences, 10),
+      customDates: newEvent.customDates,
+    });
+  }, [newEvent.date, newEvent.time, newEvent.recurrence, newEvent.occurrences, newEvent.customDates]);
+
+  const openDatePicker = (target) => {
+    setPickerTarget(target);
+    setShowDatePicker(true);
+  };
+
+  const openTimePicker = (target) => {
+    setPickerTarget(target);
+    setShowTimePicker(true);
+  };
+
+  const pickerForm = pickerTarget === 'edit'
+    ? editFormData
+    : pickerTarget === 'suggest'
+      ? suggestion
+      : pickerTarget === 'publish'
+      ? { date: newEvent.publishDate, time: newEvent.publishTime }
+      : newEvent;
+
+  const applyPickedDate = (value) => {
+    if (pickerTarget === 'edit') {
+      setEditFormData((prev) => ({ ...prev, date: value }));
+    } else if (pickerTarget === 'custom') {
+      setNewEvent((prev) => ({ ...prev, customDates: [...new Set([...prev.customDates, value])].sort() }));
+    } else if (pickerTarget === 'suggest') {
+      setSuggestion((prev) => ({ ...prev, date: value }));
+    } else if (pickerTarget === 'publish') {
+      setNewEvent((prev) => ({ ...prev, publishDate: value }));
+    } else {
+      setNewEvent((prev) => ({ ...prev, date: value }));
+    }
+  };
+
+  const applyPickedTime = (value) => {
+    if (pickerTarget === 'edit') {
+      setEditFormData((prev) => ({ ...prev, time: value }));
+    } else if (pickerTarget === 'suggest') {
+      setSuggestion((prev) => ({ ...prev, time: value }));
+    } else if (pickerTarget === 'publish') {
+      setNewEvent((prev) => ({ ...prev, publishTime: value }));
+    } else {
+      setNewEvent((prev) => ({ ...prev, time: value }));
+    }
+  };
+
+  const handleCreate = async (asDraft = false) => {
     if (!db || !currentUser?.uid) return;
     if (!newEvent.title.trim() || !newEvent.date || !newEvent.time) {
       setMessage('Title and date/time are required.');
@@ -322,6 +591,17 @@ export default function EventsScreen() {
       return;
     }
 
+    const maxAttendees = parseInt(newEvent.maxAttendees, 10);
+    if (Number.isNaN(maxAttendees) || maxAttendees < 1) {
+      setMessage('Max attendees must be at least 1.');
+      return;
+    }
+    const durationMinutes = durationMinutesFrom(newEvent.durationHours);
+    if (!durationMinutes) {
+      setMessage(DURATION_ERROR);
+      return;
+    }
+
     setCreateBusy(true);
     try {
       const when = new Date(`${newEvent.date}T${newEvent.time}:00`);
@@ -330,6 +610,19 @@ export default function EventsScreen() {
         setCreateBusy(false);
         return;
       }
+
+      let publishAt = null;
+      if (!asDraft && newEvent.publishMode === 'scheduled') {
+        const at = new Date(`${newEvent.publishDate}T${newEvent.publishTime}:00`);
+        if (Number.isNaN(at.getTime()) || at >= when) {
+          setMessage('Publish time must be before the event starts.');
+          setCreateBusy(false);
+          return;
+        }
+        publishAt = at.toISOString();
+      }
+      const publishNow = !asDraft && !publishAt;
+
       const payload = {
         title: newEvent.title.trim(),
         description: newEvent.description.trim(),
@@ -341,19 +634,44 @@ export default function EventsScreen() {
         dateTime: when.toISOString(),
         price: Number(newEvent.price || 0),
         currency: newEvent.currency || 'EGP',
+        maxAttendees,
+        durationMinutes,
         currentAttendees: 0,
         attendeeIds: [],
-        status: 'published',
+        waitlist: [],
+        status: publishNow ? EVENT_STATUS.PUBLISHED : EVENT_STATUS.DRAFT,
+        publishAt,
         createdBy: currentUser.uid,
         creatorName: currentUser.displayName || currentUser.email || 'Anonymous',
         createdAt: new Date().toISOString(),
         lastUpdated: new Date().toISOString(),
       };
 
-      await addDoc(collection(db, 'events'), payload);
+      if (newEvent.recurrence === RECURRENCE.NONE) {
+        await addDoc(collection(db, 'events'), payload);
+        if (publishNow) await announceEvent(db, payload);
+        setMessage(publishNow ? 'Event created.' : publishAt ? 'Event scheduled.' : 'Draft saved.');
+      } else {
+        if (occurrenceDates.length < 2) {
+          setMessage('A recurring event needs at least two dates.');
+          setCreateBusy(false);
+          return;
+        }
+        await createEventSeries(db, {
+          payload,
+          dates: occurrenceDates,
+          recurrence: {
+            frequency: newEvent.recurrence,
+            count: occurrenceDates.length,
+            customDates: newEvent.recurrence === RECURRENCE.CUSTOM ? newEvent.customDates : [],
+          },
+        });
+        // One announcement for the whole series, dated at its first occurrence
+        if (publishNow) await announceEvent(db, { ...payload, dateTime: occurrenceDates[0].toISOString() });
+        setMessage(`Created ${occurrenceDates.length} events in the series.`);
+      }
       setNewEvent({ ...makeDefaultNewEvent(), locality: organizerLocalityLabel });
       setShowCreate(false);
-      setMessage('Event created.');
     } catch (error) {
       console.error('Create native event failed:', error);
       setMessage('Could not create event.');
@@ -362,36 +680,28 @@ export default function EventsScreen() {
     }
   };
 
+  const cooldownMessage = () => {
+    const until = userProfile?.reliability?.cooldownUntil;
+    return `Booking is paused after several missed events${until ? ` until ${new Date(until).toLocaleDateString()}` : ''}.`;
+  };
+
   const handleBook = async (event) => {
     if (!db || !currentUser?.uid) return;
     setBusyEventId(event.id);
     try {
-      const bookingData = {
-        userId: currentUser.uid,
-        eventId: event.id,
-        status: BOOKING_STATUS.CONFIRMED,
-        amountPaid: Number(event.price || 0),
-        createdAt: new Date().toISOString(),
-        lastUpdated: new Date().toISOString(),
-      };
-
-      await runTransaction(db, async (transaction) => {
-        const eventRef = doc(db, 'events', event.id);
-        const eventSnap = await transaction.get(eventRef);
-        if (!eventSnap.exists()) throw new Error('Event not found');
-
-        transaction.update(eventRef, {
-          currentAttendees: increment(1),
-          attendeeIds: [...new Set([...(eventSnap.data().attendeeIds || []), currentUser.uid])],
-          lastUpdated: new Date().toISOString(),
-        });
-      });
-
-      await addDoc(collection(db, 'bookings'), bookingData);
-      setMessage('Booking confirmed.');
+      const { alreadyBooked } = await bookEvent(db, { eventId: event.id, userId: currentUser.uid });
+      setMessage(alreadyBooked ? 'You are already booked.' : 'Booking confirmed.');
     } catch (error) {
-      console.error('Native booking failed:', error);
-      setMessage('Could not complete booking.');
+      if (error.message === EVENT_FULL_ERROR) {
+        setMessage('This event is full. Join the waitlist instead.');
+      } else if (error.message === EVENT_CLOSED_ERROR) {
+        setMessage(EVENT_CLOSED_MESSAGE);
+      } else if (error.message === BOOKING_COOLDOWN_ERROR) {
+        setMessage(cooldownMessage());
+      } else {
+        console.error('Native booking failed:', error);
+        setMessage('Could not complete booking.');
+      }
     } finally {
       setBusyEventId(null);
     }
@@ -399,30 +709,11 @@ export default function EventsScreen() {
 
   const handleCancel = async (event) => {
     if (!db || !currentUser?.uid) return;
-    const booking = bookingsMap[event.id];
-    if (!booking) return;
+    if (!bookingsMap[event.id]) return;
 
     setBusyEventId(event.id);
     try {
-      await updateDoc(doc(db, 'bookings', booking.id), {
-        status: BOOKING_STATUS.CANCELLED,
-        lastUpdated: new Date().toISOString(),
-      });
-
-      await runTransaction(db, async (transaction) => {
-        const eventRef = doc(db, 'events', event.id);
-        const eventSnap = await transaction.get(eventRef);
-        if (!eventSnap.exists()) return;
-        const existing = eventSnap.data();
-        const nextIds = (existing.attendeeIds || []).filter((uid) => uid !== currentUser.uid);
-
-        transaction.update(eventRef, {
-          currentAttendees: Math.max(0, Number(existing.currentAttendees || 0) - 1),
-          attendeeIds: nextIds,
-          lastUpdated: new Date().toISOString(),
-        });
-      });
-
+      await cancelBooking(db, { eventId: event.id, userId: currentUser.uid });
       setMessage('Booking cancelled.');
     } catch (error) {
       console.error('Native cancel failed:', error);
@@ -432,6 +723,58 @@ export default function EventsScreen() {
     }
   };
 
+  const handleJoinWaitlist = async (event) => {
+    if (!db || !currentUser?.uid) return;
+    setBusyEventId(event.id);
+    try {
+      const position = await joinWaitlist(db, {
+        eventId: event.id,
+        userId: currentUser.uid,
+        displayName: userProfile?.displayName || currentUser.displayName || currentUser.email || 'Friend',
+      });
+      setMessage(position ? `You're #${position} on the waitlist.` : 'A seat is available — you can book now.');
+    } catch (error) {
+      if (error.message === EVENT_CLOSED_ERROR) {
+        setMessage(EVENT_CLOSED_MESSAGE);
+      } else if (error.message === BOOKING_COOLDOWN_ERROR) {
+        setMessage(cooldownMessage());
+      } else {
+        console.error('Join waitlist failed:', error);
+        setMessage('Could not join the waitlist.');
+      }
+    } finally {
+      setBusyEventId(null);
+    }
+  };
+
+  const handleLeaveWaitlist = async (event) => {
+    if (!db || !currentUser?.uid) return;
+    setBusyEventId(event.id);
+    try {
+      await leaveWaitlist(db, { eventId: event.id, userId: currentUser.uid });
+      setMessage('You left the waitlist.');
+    } catch (error) {
+      console.error('Leave waitlist failed:', error);
+      setMessage('Could not leave the waitlist.');
+    } finally {
+      setBusyEventId(null);
+    }
+  };
+
+  const handleReconcile = async (event) => {
+    if (!db) return;
+    setBusyEventId(event.id);
+    try {
+      const { before, after } = await reconcileEventAttendance(db, event.id);
+      setMessage(before === after ? `Attendance verified: ${after} booked.` : `Attendance corrected: ${before} → ${after}.`);
+    } catch (error) {
+      console.error('Reconcile attendance failed:', error);
+      setMessage('Could not recount attendance.');
+    } finally {
+      setBusyEventId(null);
+    }
+  };
+
   const handleEdit = (event) => {
     const eventDateTime = event.dateTime ? new Date(event.dateTime) : new Date();
     setEditingEvent(event);
@@ -444,7 +787,10 @@ export default function EventsScreen() {
       time: toTimeValue(eventDateTime),
       price: String(event.price || 0),
       currency: event.currency || 'EGP',
+      maxAttendees: String(event.maxAttendees || ''),
+      durationHours: String((event.durationMinutes || DEFAULT_EVENT_DURATION_MINUTES) / 60),
     });
+    setEditScope(SERIES_SCOPE.OCCURRENCE);
     setShowEditModal(true);
   };
 
@@ -455,6 +801,17 @@ export default function EventsScreen() {
       return;
     }
 
+    const maxAttendees = parseInt(editFormData.maxAttendees, 10);
+    if (Number.isNaN(maxAttendees) || maxAttendees < 1) {
+      setMessage('Max attendees must be at least 1.');
+      return;
+    }
+    const durationMinutes = durationMinutesFrom(editFormData.durationHours);
+    if (!durationMinutes) {
+      setMessage(DURATION_ERROR);
+      return;
+    }
+
     setEditBusy(true);
     try {
       const when = new Date(`${editFormData.date}T${editFormData.time}:00`);
@@ -471,13 +828,25 @@ export default function EventsScreen() {
         dateTime: when.toISOString(),
         price: Number(editFormData.price || 0),
         currency: editFormData.currency || 'EGP',
+        // Lowering the limit never removes existing attendees; it only blocks new bookings
+        maxAttendees,
+        durationMinutes,
         lastUpdated: new Date().toISOString(),
       };
 
-      await updateDoc(doc(db, 'events', editingEvent.id), updatePayload);
+      if (editingEvent.seriesId && editScope === SERIES_SCOPE.SERIES) {
+        // Each occurrence keeps its own date; only the time of day follows the edit
+        const { dateTime: _dateTime, ...seriesPatch } = updatePayload;
+        const count = await updateEventSeries(db, editingEvent.seriesId, seriesPatch, {
+          timeOfDay: { hours: when.getHours(), minutes: when.getMinutes() },
+        });
+        setMessage(`Updated ${count} upcoming events in the series.`);
+      } else {
+        await updateDoc(doc(db, 'events', editingEvent.id), updatePayload);
+        setMessage('Event updated successfully.');
+      }
       setShowEditModal(false);
       setEditingEvent(null);
-      setMessage('Event updated successfully.');
     } catch (error) {
       console.error('Update event failed:', error);
       setMessage('Could not update event.');
@@ -488,29 +857,111 @@ export default function EventsScreen() {
 
   const handleDelete = (event) => {
     setDeletingEventId(event.id);
+    setDeleteScope(SERIES_SCOPE.OCCURRENCE);
+    setCancelReason('');
     setShowDeleteConfirm(true);
   };
 
+  const deletingEvent = useMemo(
+    () => events.find((ev) => ev.id === deletingEventId) || null,
+    [events, deletingEventId]
+  );
+
+  // Published events that haven't ended, including running ones, are cancelled
+  // (attendees notified and refunded); anything else is simply archived.
+  const needsCancellation = Boolean(
+    deletingEvent && getEffectiveStatus(deletingEvent) === EVENT_STATUS.PUBLISHED
+  );
+
   const handleConfirmDelete = async () => {
     if (!db || !deletingEventId) return;
-    
+    if (needsCancellation && !cancelReason.trim()) {
+      setMessage('Please give attendees a reason for the cancellation.');
+      return;
+    }
+
     setEditBusy(true);
     try {
-      await updateDoc(doc(db, 'events', deletingEventId), {
-        status: 'deleted',
-        lastUpdated: new Date().toISOString(),
-      });
+      if (deletingEvent?.seriesId && deleteScope === SERIES_SCOPE.SERIES) {
+        const count = await cancelEventSeries(db, {
+          seriesId: deletingEvent.seriesId,
+          reason: cancelReason,
+          cancelledBy: currentUser?.uid || '',
+        });
+        setMessage(`Cancelled ${count} upcoming events in the series.`);
+      } else if (needsCancellation) {
+        const { bookingsCancelled, refundsRecorded } = await cancelEvent(db, {
+          eventId: deletingEventId,
+          reason: cancelReason,
+          cancelledBy: currentUser?.uid || '',
+        });
+        setMessage(
+          `Event cancelled. ${bookingsCancelled} booking${bookingsCancelled !== 1 ? 's' : ''} cancelled`
+          + (refundsRecorded ? `, ${refundsRecorded} refund${refundsRecorded !== 1 ? 's' : ''} recorded.` : '.')
+        );
+      } else {
+        await archiveEvent(db, deletingEventId);
+        setMessage('Event deleted successfully.');
+      }
       setShowDeleteConfirm(false);
       setDeletingEventId(null);
-      setMessage('Event deleted successfully.');
     } catch (error) {
-      console.error('Delete event failed:', error);
-      setMessage('Could not delete event.');
+      console.error('Cancel event failed:', error);
+      setMessage(needsCancellation ? 'Could not cancel event.' : 'Could not delete event.');
     } finally {
       setEditBusy(false);
     }
   };
 
+  const handleSuggest = async () => {
+    if (!db || !currentUser?.uid) return;
+    if (!suggestion.title.trim()) {
+      setMessage('Give your suggestion a title.');
+      return;
+    }
+    const when = new Date(`${suggestion.date}T${suggestion.time}:00`);
+    if (Number.isNaN(when.getTime())) {
+      setMessage('Please select a valid date and time.');
+      return;
+    }
+
+    setSuggestBusy(true);
+    try {
+      await submitEventSuggestion(db, {
+        user: currentUser,
+        profile: userProfile,
+        fields: {
+          title: suggestion.title,
+          description: suggestion.description,
+          type: suggestion.type,
+          proposedDateTime: when.toISOString(),
+          notes: suggestion.notes,
+        },
+      });
+      setShowSuggest(false);
+      setMessage('Suggestion sent to your Organizer.');
+    } catch (error) {
+      console.error('Submit suggestion failed:', error);
+      setMessage(error.message || 'Could not send suggestion.');
+    } finally {
+      setSuggestBusy(false);
+    }
+  };
+
+  const handlePublish = async (event) => {
+    if (!db) return;
+    setBusyEventId(event.id);
+    try {
+      await publishEvent(db, event);
+      setMessage('Event published and members notified.');
+    } catch (error) {
+      console.error('Publish event failed:', error);
+      setMessage('Could not publish event.');
+    } finally {
+      setBusyEventId(null);
+    }
+  };
+
   const handleRunAlgorithm = (event) => {
     setShufflingEvent(event);
     setShowShuffler(true);
@@ -520,18 +971,27 @@ export default function EventsScreen() {
     const booking = bookingsMap[item.id];
     const isBooked = booking?.status === BOOKING_STATUS.CONFIRMED;
     const isCreator = currentUser?.uid === item.createdBy;
+    const waitlistPosition = (item.waitlist || []).findIndex((entry) => entry.userId === currentUser?.uid) + 1;
 
     return (
       <EventCard
         event={item}
         isBooked={isBooked}
+        waitlistPosition={waitlistPosition}
         onBook={handleBook}
         onCancel={handleCancel}
+        onJoinWaitlist={handleJoinWaitlist}
+        onLeaveWaitlist={handleLeaveWaitlist}
         busy={busyEventId === item.id}
         isCreator={isCreator}
         onEdit={handleEdit}
         onDelete={handleDelete}
+        onReconcile={handleReconcile}
+        onPublish={handlePublish}
         onRunAlgorithm={handleRunAlgorithm}
+        onOpenGroupChat={setChatEvent}
+        onOpenRollCall={setRollCallEvent}
+        onOpenTicketScan={setTicketScanEvent}
       />
     );
   };
@@ -550,6 +1010,16 @@ export default function EventsScreen() {
           >
             <Text style={styles.primaryButtonText}>Create</Text>
           </Pressable>
+        ) : currentUser?.uid ? (
+          <Pressable
+            style={styles.secondaryButton}
+            onPress={() => {
+              setSuggestion({ ...makeDefaultNewEvent(), notes: '' });
+              setShowSuggest(true);
+            }}
+          >
+            <Text style={styles.secondaryButtonText}>Suggest an event</Text>
+          </Pressable>
         ) : null}
       </View>
 
@@ -607,6 +1077,8 @@ export default function EventsScreen() {
                         description: prev.description || p.description,
                         price: String(prev.price || 0),
                         currency: prev.currency || 'EGP',
+                        time: prev.dateTime ? toTimeValue(prev.dateTime) : p.time,
+                        maxAttendees: prev.maxAttendees ? String(prev.maxAttendees) : p.maxAttendees,
                       }));
                       setMessage('Prefilled from previous event.');
                     }}
@@ -644,15 +1116,71 @@ export default function EventsScreen() {
             </View>
 
             <Text style={styles.inputLabel}>Date</Text>
-            <Pressable style={styles.pickerField} onPress={() => setShowDatePicker(true)}>
+            <Pressable style={styles.pickerField} onPress={() => openDatePicker('create')}>
               <Text style={styles.pickerText}>{newEvent.date}</Text>
             </Pressable>
 
             <Text style={styles.inputLabel}>Time</Text>
-            <Pressable style={styles.pickerField} onPress={() => setShowTimePicker(true)}>
+            <Pressable style={styles.pickerField} onPress={() => openTimePicker('create')}>
               <Text style={styles.pickerText}>{newEvent.time}</Text>
             </Pressable>
 
+            <Text style={styles.inputLabel}>Repeat</Text>
+            <View style={styles.typeRow}>
+              {RECURRENCE_OPTIONS.map((opt) => (
+                <Pressable
+                  key={opt.key}
+                  style={[styles.typeChip, newEvent.recurrence === opt.key && styles.typeChipActive]}
+                  onPress={() => setNewEvent((prev) => ({ ...prev, recurrence: opt.key }))}
+                >
+                  <Text style={[styles.typeChipText, newEvent.recurrence === opt.key && styles.typeChipTextActive]}>
+                    {opt.label}
+                  </Text>
+                </Pressable>
+              ))}
+            </View>
+
+            {(newEvent.recurrence === RECURRENCE.WEEKLY ||
+              newEvent.recurrence === RECURRENCE.BIWEEKLY ||
+              newEvent.recurrence === RECURRENCE.MONTHLY) && (
+              <>
+                <Text style={styles.inputLabel}>Number of events (max {MAX_OCCURRENCES})</Text>
+                <TextInput
+                  style={styles.input}
+                  value={newEvent.occurrences}
+                  onChangeText={(v) => setNewEvent((prev) => ({ ...prev, occurrences: v }))}
+                  keyboardType="number-pad"
+                  placeholder="4"
+                />
+              </>
+            )}
+
+            {newEvent.recurrence === RECURRENCE.CUSTOM && (
+              <View style={styles.typeRow}>
+                {newEvent.customDates.map((value) => (
+                  <Pressable
+                    key={value}
+                    style={[styles.typeChip, styles.typeChipActive]}
+                    onPress={() => setNewEvent((prev) => ({
+                      ...prev,
+                      customDates: prev.customDates.filter((d) => d !== value),
+                    }))}
+                  >
+                    <Text style={[styles.typeChipText, styles.typeChipTextActive]}>{value} ✕</Text>
+                  </Pressable>
+                ))}
+                <Pressable style={styles.typeChip} onPress={() => openDatePicker('custom')}>
+                  <Text style={styles.typeChipText}>+ Add date</Text>
+                </Pressable>
+              </View>
+            )}
+
+            {newEvent.recurrence !== RECURRENCE.NONE && occurrenceDates.length > 0 && (
+              <Text style={styles.seriesPreview}>
+                Creates {occurrenceDates.length} events: {occurrenceDates.map((d) => d.toLocaleDateString()).join(', ')}
+              </Text>
+            )}
+
             <Text style={styles.inputLabel}>Price</Text>
             <TextInput
               style={styles.input}
@@ -662,19 +1190,71 @@ export default function EventsScreen() {
               placeholder="0"
             />
 
+            <Text style={styles.inputLabel}>Max Attendees</Text>
+            <TextInput
+              style={styles.input}
+              value={newEvent.maxAttendees}
+              onChangeText={(v) => setNewEvent((prev) => ({ ...prev, maxAttendees: v }))}
+              keyboardType="number-pad"
+              placeholder="20"
+            />
+
+            <Text style={styles.inputLabel}>Duration (hours)</Text>
+            <TextInput
+              style={styles.input}
+              value={newEvent.durationHours}
+              onChangeText={(v) => setNewEvent((prev) => ({ ...prev, durationHours: v }))}
+              keyboardType="decimal-pad"
+              placeholder="3"
+            />
+
             <View style={styles.addrNote}>
               <Text style={styles.addrNoteText}>
                 📍 Address and map URL will be entered per group after the Shuffler runs.
               </Text>
             </View>
 
+            <Text style={styles.inputLabel}>Publishing</Text>
+            <View style={styles.typeRow}>
+              {[{ key: 'now', label: 'Publish immediately' }, { key: 'scheduled', label: 'Publish at a set time' }].map((opt) => (
+                <Pressable
+                  key={opt.key}
+                  style={[styles.typeChip, newEvent.publishMode === opt.key && styles.typeChipActive]}
+                  onPress={() => setNewEvent((prev) => ({ ...prev, publishMode: opt.key }))}
+                >
+                  <Text style={[styles.typeChipText, newEvent.publishMode === opt.key && styles.typeChipTextActive]}>
+                    {opt.label}
+                  </Text>
+                </Pressable>
+              ))}
+            </View>
+            {newEvent.publishMode === 'scheduled' && (
+              <View style={styles.publishAtRow}>
+                <Pressable style={[styles.pickerField, styles.publishAtField]} onPress={() => openDatePicker('publish')}>
+                  <Text style={styles.pickerText}>{newEvent.publishDate}</Text>
+                </Pressable>
+                <Pressable style={[styles.pickerField, styles.publishAtField]} onPress={() => openTimePicker('publish')}>
+                  <Text style={styles.pickerText}>{newEvent.publishTime}</Text>
+                </Pressable>
+              </View>
+            )}
+
             <View style={styles.createModalButtons}>
               <Pressable
                 style={[styles.primaryButton, styles.createModalButton, (createBusy || !organizerLocalityLabel) && styles.buttonDisabled]}
                 disabled={createBusy || !organizerLocalityLabel}
-                onPress={handleCreate}
+                onPress={() => handleCreate(false)}
+              >
+                <Text style={styles.primaryButtonText}>
+                  {createBusy ? 'Saving...' : newEvent.publishMode === 'scheduled' ? 'Schedule' : 'Publish'}
+                </Text>
+              </Pressable>
+              <Pressable
+                style={[styles.secondaryButton, styles.createModalButton, (createBusy || !organizerLocalityLabel) && styles.buttonDisabled]}
+                disabled={createBusy || !organizerLocalityLabel}
+                onPress={() => handleCreate(true)}
               >
-                <Text style={styles.primaryButtonText}>{createBusy ? 'Saving...' : 'Publish'}</Text>
+                <Text style={styles.secondaryButtonText}>Save as Draft</Text>
               </Pressable>
               <Pressable style={[styles.secondaryButton, styles.createModalButton]} onPress={() => setShowCreate(false)}>
                 <Text style={styles.secondaryButtonText}>Cancel</Text>
@@ -684,6 +1264,81 @@ export default function EventsScreen() {
         </SafeAreaView>
       </Modal>
 
+      <Modal visible={showSuggest} animationType="slide" onRequestClose={() => setShowSuggest(false)}>
+        <SafeAreaView style={styles.modalScreen}>
+          <ScrollView contentContainerStyle={styles.modalContent}>
+            <Text style={styles.modalTitle}>Suggest an Event</Text>
+            <Text style={styles.seriesPreview}>
+              Your Organizer in {userProfile?.localityLabel || 'your area'} will review it.
+            </Text>
+
+            <Text style={styles.inputLabel}>Type</Text>
+            <View style={styles.typeRow}>
+              {EVENT_TYPES.map((type) => (
+                <Pressable
+                  key={type.key}
+                  style={[styles.typeChip, suggestion.type === type.key && styles.typeChipActive]}
+                  onPress={() => setSuggestion((prev) => ({ ...prev, type: type.key }))}
+                >
+                  <Text style={[styles.typeChipText, suggestion.type === type.key && styles.typeChipTextActive]}>
+                    {type.label}
+                  </Text>
+                </Pressable>
+              ))}
+            </View>
+
+            <Text style={styles.inputLabel}>Title</Text>
+            <TextInput
+              style={styles.input}
+              value={suggestion.title}
+              onChangeText={(v) => setSuggestion((prev) => ({ ...prev, title: v }))}
+              placeholder="Sunset picnic by the Nile"
+            />
+
+            <Text style={styles.inputLabel}>Description</Text>
+            <TextInput
+              style={[styles.input, styles.textarea]}
+              multiline
+              value={suggestion.description}
+              onChangeText={(v) => setSuggestion((prev) => ({ ...prev, description: v }))}
+              placeholder="What would you like to do?"
+            />
+
+            <Text style={styles.inputLabel}>Preferred Date</Text>
+            <Pressable style={styles.pickerField} onPress={() => openDatePicker('suggest')}>
+              <Text style={styles.pickerText}>{suggestion.date}</Text>
+            </Pressable>
+
+            <Text style={styles.inputLabel}>Preferred Time</Text>
+            <Pressable style={styles.pickerField} onPress={() => openTimePicker('suggest')}>
+              <Text style={styles.pickerText}>{suggestion.time}</Text>
+            </Pressable>
+
+            <Text style={styles.inputLabel}>Notes for the Organizer</Text>
+            <TextInput
+              style={[styles.input, styles.textarea]}
+              multiline
+              value={suggestion.notes}
+              onChangeText={(v) => setSuggestion((prev) => ({ ...prev, notes: v }))}
+              placeholder="Venue ideas, group size, anything else"
+            />
+
+            <View style={styles.createModalButtons}>
+              <Pressable
+                style={[styles.primaryButton, styles.createModalButton, (suggestBusy || !userProfile?.localityId) && styles.buttonDisabled]}
+                disabled={suggestBusy || !userProfile?.localityId}
+                onPress={handleSuggest}
+              >
+                <Text style={styles.primaryButtonText}>{suggestBusy ? 'Sending...' : 'Send Suggestion'}</Text>
+              </Pressable>
+              <Pressable style={[styles.secondaryButton, styles.createModalButton]} onPress={() => setShowSuggest(false)}>
+                <Text style={styles.secondaryButtonText}>Cancel</Text>
+              </Pressable>
+            </View>
+          </ScrollView>
+        </SafeAreaView>
+      </Modal>
+
       <Modal visible={showDatePicker} animationType="slide" onRequestClose={() => setShowDatePicker(false)}>
         <SafeAreaView style={styles.modalScreen}>
           <View style={styles.pickerHeader}>
@@ -697,12 +1352,14 @@ export default function EventsScreen() {
             keyExtractor={(item) => item.value}
             contentContainerStyle={styles.listContent}
             renderItem={({ item }) => {
-              const active = newEvent.date === item.value;
+              const active = pickerTarget === 'custom'
+                ? newEvent.customDates.includes(item.value)
+                : pickerForm.date === item.value;
               return (
                 <Pressable
                   style={[styles.pickerRow, active && styles.pickerRowActive]}
                   onPress={() => {
-                    setNewEvent((prev) => ({ ...prev, date: item.value }));
+                    applyPickedDate(item.value);
                     setShowDatePicker(false);
                   }}
                 >
@@ -727,12 +1384,12 @@ export default function EventsScreen() {
             keyExtractor={(item) => item.value}
             contentContainerStyle={styles.listContent}
             renderItem={({ item }) => {
-              const active = newEvent.time === item.value;
+              const active = pickerForm.time === item.value;
               return (
                 <Pressable
                   style={[styles.pickerRow, active && styles.pickerRowActive]}
                   onPress={() => {
-                    setNewEvent((prev) => ({ ...prev, time: item.value }));
+                    applyPickedTime(item.value);
                     setShowTimePicker(false);
                   }}
                 >
@@ -749,6 +1406,30 @@ export default function EventsScreen() {
           <ScrollView contentContainerStyle={styles.modalContent}>
             <Text style={styles.modalTitle}>Edit Event</Text>
 
+            {editingEvent?.seriesId ? (
+              <>
+                <Text style={styles.inputLabel}>Apply changes to</Text>
+                <View style={styles.typeRow}>
+                  {SCOPE_OPTIONS.map((opt) => (
+                    <Pressable
+                      key={opt.key}
+                      style={[styles.typeChip, editScope === opt.key && styles.typeChipActive]}
+                      onPress={() => setEditScope(opt.key)}
+                    >
+                      <Text style={[styles.typeChipText, editScope === opt.key && styles.typeChipTextActive]}>
+                        {opt.label}
+                      </Text>
+                    </Pressable>
+                  ))}
+                </View>
+                {editScope === SERIES_SCOPE.SERIES && (
+                  <Text style={styles.seriesPreview}>
+                    Each upcoming event keeps its own date; the time, details and price are updated.
+                  </Text>
+                )}
+              </>
+            ) : null}
+
             <Text style={styles.inputLabel}>Type</Text>
             <View style={styles.typeRow}>
               {EVENT_TYPES.map((type) => (
@@ -786,13 +1467,17 @@ export default function EventsScreen() {
               <Text style={styles.readOnlyText}>{editFormData.locality || 'No locality assigned'}</Text>
             </View>
 
-            <Text style={styles.inputLabel}>Date</Text>
-            <Pressable style={styles.pickerField} onPress={() => setShowDatePicker(true)}>
-              <Text style={styles.pickerText}>{editFormData.date}</Text>
-            </Pressable>
+            {!(editingEvent?.seriesId && editScope === SERIES_SCOPE.SERIES) && (
+              <>
+                <Text style={styles.inputLabel}>Date</Text>
+                <Pressable style={styles.pickerField} onPress={() => openDatePicker('edit')}>
+                  <Text style={styles.pickerText}>{editFormData.date}</Text>
+                </Pressable>
+              </>
+            )}
 
             <Text style={styles.inputLabel}>Time</Text>
-            <Pressable style={styles.pickerField} onPress={() => setShowTimePicker(true)}>
+            <Pressable style={styles.pickerField} onPress={() => openTimePicker('edit')}>
               <Text style={styles.pickerText}>{editFormData.time}</Text>
             </Pressable>
 
@@ -805,6 +1490,24 @@ export default function EventsScreen() {
               placeholder="0"
             />
 
+            <Text style={styles.inputLabel}>Max Attendees</Text>
+            <TextInput
+              style={styles.input}
+              value={editFormData.maxAttendees}
+              onChangeText={(v) => setEditFormData((prev) => ({ ...prev, maxAttendees: v }))}
+              keyboardType="number-pad"
+              placeholder="20"
+            />
+
+            <Text style={styles.inputLabel}>Duration (hours)</Text>
+            <TextInput
+              style={styles.input}
+              value={editFormData.durationHours}
+              onChangeText={(v) => setEditFormData((prev) => ({ ...prev, durationHours: v }))}
+              keyboardType="decimal-pad"
+              placeholder="3"
+            />
+
             <View style={styles.addrNote}>
               <Text style={styles.addrNoteText}>
                 📍 Address and map URL are set per group after the Shuffler runs.
@@ -830,10 +1533,36 @@ export default function EventsScreen() {
       <Modal visible={showDeleteConfirm} transparent animationType="fade" onRequestClose={() => setShowDeleteConfirm(false)}>
         <View style={styles.confirmOverlay}>
           <View style={styles.confirmDialog}>
-            <Text style={styles.confirmTitle}>Delete Event?</Text>
+            <Text style={styles.confirmTitle}>{needsCancellation ? 'Cancel Event?' : 'Delete Event?'}</Text>
             <Text style={styles.confirmMessage}>
-              Are you sure you want to delete this event? This action cannot be undone.
+              {needsCancellation
+                ? 'All bookings will be cancelled, paid bookings refunded, and booked or waitlisted Friends notified. This action cannot be undone.'
+                : 'Are you sure you want to delete this event? This action cannot be undone.'}
             </Text>
+            {needsCancellation && (
+              <TextInput
+                style={[styles.input, styles.confirmReasonInput]}
+                value={cancelReason}
+                onChangeText={setCancelReason}
+                placeholder="Reason (shown to attendees)"
+                multiline
+              />
+            )}
+            {deletingEvent?.seriesId ? (
+              <View style={[styles.typeRow, styles.confirmScopeRow]}>
+                {SCOPE_OPTIONS.map((opt) => (
+                  <Pressable
+                    key={opt.key}
+                    style={[styles.typeChip, deleteScope === opt.key && styles.typeChipActive]}
+                    onPress={() => setDeleteScope(opt.key)}
+                  >
+                    <Text style={[styles.typeChipText, deleteScope === opt.key && styles.typeChipTextActive]}>
+                      {opt.label}
+                    </Text>
+                  </Pressable>
+                ))}
+              </View>
+            ) : null}
             <View style={styles.confirmButtons}>
               <Pressable
                 style={[styles.confirmCancelButton, styles.confirmButton]}
@@ -847,7 +1576,11 @@ export default function EventsScreen() {
                 onPress={handleConfirmDelete}
                 disabled={editBusy}
               >
-                <Text style={styles.confirmDeleteButtonText}>{editBusy ? 'Deleting...' : 'Delete Event'}</Text>
+                <Text style={styles.confirmDeleteButtonText}>
+                  {needsCancellation
+                    ? (editBusy ? 'Cancelling...' : 'Cancel Event')
+                    : (editBusy ? 'Deleting...' : 'Delete Event')}
+                </Text>
               </Pressable>
             </View>
           </View>
@@ -861,6 +1594,15 @@ export default function EventsScreen() {
         onClose={() => { setShowShuffler(false); setShufflingEvent(null); }}
         onSaved={() => setMessage('Groups saved and attendees notified.')}
       />
+
+      <GroupChatModal event={chatEvent} onClose={() => setChatEvent(null)} />
+
+      <RollCallModal
+        event={rollCallEvent && (events.find((ev) => ev.id === rollCallEvent.id) || rollCallEvent)}
+        onClose={() => setRollCallEvent(null)}
+      />
+
+      <TicketScanModal event={ticketScanEvent} onClose={() => setTicketScanEvent(null)} />
     </SafeAreaView>
   );
 }
@@ -1284,4 +2026,70 @@ const styles = StyleSheet.create({
     color: '#78350F',
     lineHeight: 20,
   },
+  draftBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#FEF9C3',
+    borderRadius: 999,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    marginBottom: 6,
+  },
+  draftBadgeText: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#78350F',
+  },
+  publishAtRow: {
+    flexDirection: 'row',
+    gap: 10,
+    marginTop: 8,
+  },
+  publishAtField: {
+    flex: 1,
+  },
+  seriesLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#0369A1',
+    marginBottom: 3,
+  },
+  seriesPreview: {
+    fontSize: 13,
+    color: '#4B5563',
+    lineHeight: 19,
+    marginTop: 8,
+  },
+  confirmScopeRow: {
+    marginBottom: 16,
+  },
+  confirmReasonInput: {
+    minHeight: 70,
+    textAlignVertical: 'top',
+    marginBottom: 16,
+  },
+  waitlistBox: {
+    backgroundColor: '#F9FAFB',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 10,
+    padding: 10,
+    marginTop: 8,
+  },
+  waitlistTitle: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
+  waitlistRow: {
+    fontSize: 13,
+    color: '#4B5563',
+    marginBottom: 2,
+  },
+  waitlistPositionText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#0369A1',
+    marginTop: 8,
+  },
 });
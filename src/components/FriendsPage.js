@@ -12,6 +12,7 @@ import {
   updateDoc,
   where,
 } from 'firebase/firestore';
+import { attendedUserIds } from '../services/presenceService';
 
 const FACE_LEVELS = [
   { score: 1, emoji: '😢', short: '1', confirmation: 'I did not like this person' },
@@ -87,17 +88,7 @@ export default function FriendsPage() {
 
         const metMap = {};
         for (const event of pastEvents) {
-          const attendeesSnap = await getDocs(
-            query(
-              collection(db, 'bookings'),
-              where('eventId', '==', event.id),
-              where('status', '==', 'confirmed')
-            )
-          );
-
-          attendeesSnap.docs.forEach((d) => {
-            const b = d.data();
-            const uid = b.userId;
+          attendedUserIds(event).forEach((uid) => {
             if (!uid || uid === currentUser.uid) return;
 
             if (!metMap[uid]) {
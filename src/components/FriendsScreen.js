@@ -14,11 +14,18 @@ import {
   doc,
   getDoc,
   getDocs,
+  onSnapshot,
   query,
   updateDoc,
   where,
 } from 'firebase/firestore';
 import { useNativeApp } from '../contexts/NativeAppContext';
+import { hasEventTakenPlace } from '../services/eventLifecycle';
+import { getRatingScore } from '../models';
+import { connectMatch } from '../services/matchService';
+import { sendConnectRequest as sendRequest } from '../services/connectionService';
+import { attendedUserIds, countsAsAttended } from '../services/presenceService';
+import ConnectInbox, { ShareFieldChips } from './ConnectInbox';
 
 /**
  * Emoji-based rating levels — compact, fits one row in portrait mode.
@@ -48,6 +55,12 @@ export default function FriendsScreen() {
   const [metPeople, setMetPeople] = useState([]);
   const [ratingsByUserId, setRatingsByUserId] = useState({});
   const [sentRequests, setSentRequests] = useState(new Set());
+  const [connectedUserIds, setConnectedUserIds] = useState(new Set());
+  // Person whose connect request is being composed, and the contact fields to share
+  const [composingUserId, setComposingUserId] = useState(null);
+  const [composeShares, setComposeShares] = useState([]);
+  // Mutual matches keyed by the other person's user ID
+  const [matchesByUserId, setMatchesByUserId] = useState({});
 
   useEffect(() => {
     let alive = true;
@@ -60,8 +73,6 @@ export default function FriendsScreen() {
 
       setLoading(true);
       try {
-        const nowIso = new Date().toISOString();
-
         const myBookingsSnap = await getDocs(
           query(
             collection(db, 'bookings'),
@@ -80,12 +91,13 @@ export default function FriendsScreen() {
         }
 
         const pastEventBookings = [];
+        // Only events the user actually attended; people met there can be rated
         for (const b of myBookings) {
-          if (!b.eventId) continue;
+          if (!b.eventId || !countsAsAttended(b)) continue;
           const eventDocSnap = await getDoc(doc(db, 'events', b.eventId));
           if (!eventDocSnap.exists()) continue;
           const eventData = eventDocSnap.data();
-          if (!eventData?.dateTime || eventData.dateTime >= nowIso) continue;
+          if (!hasEventTakenPlace(eventData)) continue;
           pastEventBookings.push({ booking: b, event: { id: b.eventId, ...eventData } });
         }
 
@@ -100,17 +112,8 @@ export default function FriendsScreen() {
         const metMap = {};
         for (const item of pastEventBookings) {
           const eventId = item.event.id;
-          const attendeesSnap = await getDocs(
-            query(
-              collection(db, 'bookings'),
-              where('eventId', '==', eventId),
-              where('status', '==', 'confirmed')
-            )
-          );
-
-          attendeesSnap.docs.forEach((docSnap) => {
-            const data = docSnap.data();
-            const uid = data.userId;
+          // Other attendees' bookings are private; the event records who came
+          attendedUserIds(item.event).forEach((uid) => {
             if (!uid || uid === currentUser.uid) return;
 
             if (!metMap[uid]) {
@@ -159,11 +162,7 @@ export default function FriendsScreen() {
         ratingsSnap.docs.forEach((d) => {
           const r = d.data();
           if (!r?.toUserId) return;
-          const score = Number(r.score || r.ratingLevel || 0);
-          const normalizedScore = score >= 1 && score <= 5 ? score : null;
-          const mappedScore =
-            normalizedScore ||
-            (r.value === 'like_a_lot' ? 5 : r.value === 'like_a_little' ? 4 : r.value === 'not_at_all' ? 1 : null);
+          const mappedScore = getRatingScore(r);
           if (!mappedScore) return;
 
           const existing = latestRatings[r.toUserId];
@@ -183,9 +182,17 @@ export default function FriendsScreen() {
         );
         const alreadySent = new Set(connectSnap.docs.map((d) => d.data().targetUserId).filter(Boolean));
 
+        const connectionsSnap = await getDocs(
+          query(collection(db, 'connections'), where('userIds', 'array-contains', currentUser.uid))
+        );
+        const connected = new Set(connectionsSnap.docs
+          .flatMap((d) => d.data().userIds || [])
+          .filter((uid) => uid !== currentUser.uid));
+
         if (alive) {
           setMetPeople(people);
           setSentRequests(alreadySent);
+          setConnectedUserIds(connected);
           const mapped = {};
           people.forEach((p) => {
             if (latestRatings[p.userId]?.score) {
@@ -212,7 +219,32 @@ export default function FriendsScreen() {
     };
   }, [db, currentUser?.uid]);
 
+  // Matches are created on the server once both ratings are in, so listen for them
+  useEffect(() => {
+    if (!db || !currentUser?.uid) return undefined;
+    const unsub = onSnapshot(
+      query(collection(db, 'matches'), where('userIds', 'array-contains', currentUser.uid)),
+      (snap) => {
+        const matches = {};
+        snap.docs.forEach((d) => {
+          const match = { id: d.id, ...d.data() };
+          const otherId = (match.userIds || []).find((uid) => uid !== currentUser.uid);
+          if (otherId) matches[otherId] = match;
+        });
+        setMatchesByUserId(matches);
+      },
+      (error) => {
+        console.error('Matches listener failed:', error);
+      }
+    );
+    return unsub;
+  }, [db, currentUser?.uid]);
+
   const canRateCount = useMemo(() => metPeople.length, [metPeople]);
+  const namesById = useMemo(
+    () => Object.fromEntries(metPeople.map((p) => [p.userId, p.displayName])),
+    [metPeople]
+  );
 
   const saveRating = async (person, score) => {
     if (!db || !currentUser?.uid || !person?.userId) return;
@@ -264,33 +296,48 @@ export default function FriendsScreen() {
       const requesterName =
         userProfile?.displayName || currentUser?.displayName || currentUser?.email || 'Someone';
 
-      // Create a connect request record
-      await addDoc(collection(db, 'connectRequests'), {
+      await sendRequest(db, {
         requesterId: currentUser.uid,
         requesterName,
         targetUserId: person.userId,
-        status: 'pending',
-        message: `${requesterName} would like to connect with you.`,
-        createdAt: new Date().toISOString(),
-        respondedAt: null,
-      });
-
-      // Send a notification to the target user
-      await addDoc(collection(db, 'notifications'), {
-        userId: person.userId,
-        type: 'connect_request',
-        fromUserId: currentUser.uid,
         eventId: person.lastEventId || '',
-        message: `${requesterName} sent you a connect request. They met you at "${person.lastEventTitle}".`,
-        read: false,
-        createdAt: new Date().toISOString(),
+        eventTitle: person.lastEventTitle || '',
+        shareFields: composeShares,
       });
 
       setSentRequests((prev) => new Set([...prev, person.userId]));
+      setComposingUserId(null);
       Alert.alert('Request sent!', `Your connect request was sent to ${person.displayName}.`);
     } catch (error) {
       console.error('Send connect request failed:', error);
-      Alert.alert('Error', 'Could not send connect request. Please try again.');
+      Alert.alert('Error', error.message || 'Could not send connect request. Please try again.');
+    } finally {
+      setConnectingUserId(null);
+    }
+  };
+
+  const markConnected = (userId) => setConnectedUserIds((prev) => new Set([...prev, userId]));
+
+  const startComposing = (person) => {
+    setComposingUserId(person.userId);
+    setComposeShares([]);
+  };
+
+  const acceptMatch = async (person) => {
+    const match = matchesByUserId[person.userId];
+    if (!db || !currentUser?.uid || !match) return;
+    setConnectingUserId(person.userId);
+    try {
+      await connectMatch(db, {
+        matchId: match.id,
+        userId: currentUser.uid,
+        userName: userProfile?.displayName || currentUser?.displayName || '',
+      });
+      setMatchesByUserId((prev) => ({ ...prev, [person.userId]: { ...match, status: 'connected' } }));
+      setConnectedUserIds((prev) => new Set([...prev, person.userId]));
+    } catch (error) {
+      console.error('Connect match failed:', error);
+      Alert.alert('Error', 'Could not connect. Please try again.');
     } finally {
       setConnectingUserId(null);
     }
@@ -301,6 +348,9 @@ export default function FriendsScreen() {
     const isSaving = savingUserId === item.userId;
     const isConnecting = connectingUserId === item.userId;
     const alreadySent = sentRequests.has(item.userId);
+    const isConnected = connectedUserIds.has(item.userId);
+    const isComposing = composingUserId === item.userId;
+    const match = matchesByUserId[item.userId];
     const locationLabel = item.localityLabel || item.city || '';
 
     return (
@@ -348,17 +398,56 @@ export default function FriendsScreen() {
           </View>
         </View>
 
-        {/* Request to Connect button */}
-        <Pressable
-          style={[styles.connectButton, (isConnecting || alreadySent) && styles.connectButtonSent]}
-          onPress={() => sendConnectRequest(item)}
-          disabled={isConnecting || alreadySent}
-        >
-          <Text style={styles.connectButtonEmoji}>{alreadySent ? '\u2705' : '\uD83E\uDD1D'}</Text>
-          <Text style={[styles.connectButtonText, alreadySent && styles.connectButtonTextSent]}>
-            {isConnecting ? 'Sending...' : alreadySent ? 'Request Sent' : 'Request to Connect'}
-          </Text>
-        </Pressable>
+        {/* Mutual match: connect directly; otherwise Request to Connect */}
+        {isConnected && match?.status !== 'connected' ? (
+          <View style={[styles.connectButton, styles.connectButtonSent]}>
+            <Text style={styles.connectButtonEmoji}>{'\u2705'}</Text>
+            <Text style={[styles.connectButtonText, styles.connectButtonTextSent]}>Connected</Text>
+          </View>
+        ) : match ? (
+          <Pressable
+            style={[styles.connectButton, styles.matchButton, match.status === 'connected' && styles.connectButtonSent]}
+            onPress={() => acceptMatch(item)}
+            disabled={isConnecting || match.status === 'connected'}
+          >
+            <Text style={styles.connectButtonEmoji}>{match.status === 'connected' ? '\u2705' : '\uD83D\uDC9A'}</Text>
+            <Text style={[styles.connectButtonText, styles.matchButtonText]}>
+              {isConnecting ? 'Connecting...' : match.status === 'connected' ? 'Connected' : "It's a match! Connect"}
+            </Text>
+          </Pressable>
+        ) : isComposing ? (
+          <View style={styles.composeBox}>
+            <Text style={styles.rateLabel}>Share with {item.displayName} if they accept:</Text>
+            <ShareFieldChips profile={userProfile} selected={composeShares} onChange={setComposeShares} />
+            <View style={styles.composeActions}>
+              <Pressable
+                style={[styles.connectButton, styles.composeButton]}
+                onPress={() => sendConnectRequest(item)}
+                disabled={isConnecting}
+              >
+                <Text style={styles.connectButtonText}>{isConnecting ? 'Sending...' : 'Send request'}</Text>
+              </Pressable>
+              <Pressable
+                style={[styles.connectButton, styles.connectButtonSent, styles.composeButton]}
+                onPress={() => setComposingUserId(null)}
+                disabled={isConnecting}
+              >
+                <Text style={[styles.connectButtonText, styles.connectButtonTextSent]}>Cancel</Text>
+              </Pressable>
+            </View>
+          </View>
+        ) : (
+          <Pressable
+            style={[styles.connectButton, (isConnecting || alreadySent) && styles.connectButtonSent]}
+            onPress={() => startComposing(item)}
+            disabled={isConnecting || alreadySent}
+          >
+            <Text style={styles.connectButtonEmoji}>{alreadySent ? '\u2705' : '\uD83E\uDD1D'}</Text>
+            <Text style={[styles.connectButtonText, alreadySent && styles.connectButtonTextSent]}>
+              {isConnecting ? 'Sending...' : alreadySent ? 'Request Sent' : 'Request to Connect'}
+            </Text>
+          </Pressable>
+        )}
       </View>
     );
   };
@@ -377,15 +466,19 @@ export default function FriendsScreen() {
       <Text style={styles.subtitle}>People you met in previous events ({canRateCount})</Text>
 
       {metPeople.length === 0 ? (
-        <View style={styles.emptyCard}>
-          <Text style={styles.emptyText}>No previous event connections yet.</Text>
-          <Text style={styles.emptyHint}>Once you attend events, the people you meet will appear here.</Text>
+        <View>
+          <ConnectInbox namesById={namesById} onConnected={markConnected} />
+          <View style={styles.emptyCard}>
+            <Text style={styles.emptyText}>No previous event connections yet.</Text>
+            <Text style={styles.emptyHint}>Once you attend events, the people you meet will appear here.</Text>
+          </View>
         </View>
       ) : (
         <FlatList
           data={metPeople}
           keyExtractor={(item) => item.userId}
           renderItem={renderItem}
+          ListHeaderComponent={<ConnectInbox namesById={namesById} onConnected={markConnected} />}
           contentContainerStyle={styles.listContent}
         />
       )}
@@ -517,6 +610,23 @@ const styles = StyleSheet.create({
   connectButtonTextSent: {
     color: '#065F46',
   },
+  composeBox: {
+    gap: 8,
+  },
+  composeActions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  composeButton: {
+    flex: 1,
+  },
+  matchButton: {
+    borderColor: '#2EDC9A',
+    backgroundColor: '#ECFDF5',
+  },
+  matchButtonText: {
+    color: '#065F46',
+  },
   emptyCard: {
     borderWidth: 1,
     borderColor: '#E5E7EB',
@@ -0,0 +1,371 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  KeyboardAvoidingView,
+  Modal,
+  Platform,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from 'react-native';
+import { collection, limitToLast, onSnapshot, orderBy, query, where } from 'firebase/firestore';
+import { useNativeApp } from '../contexts/NativeAppContext';
+import { MAX_MESSAGE_LENGTH } from '../services/messagingService';
+import {
+  GROUP_CHAT_CLOSE_HOURS,
+  broadcastToGroupChats,
+  isGroupChatOpen,
+  sendGroupMessage,
+} from '../services/groupChatService';
+
+const MESSAGE_WINDOW = 200;
+
+const timeLabel = (iso) => {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? '' : d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+const chatTitle = (chat) => (chat.roundLabel ? `${chat.roundLabel} · ${chat.groupName}` : chat.groupName);
+
+/**
+ * Pre-event group chats for one event. Members see their own group(s) —
+ * one per round — and the organizer sees every group and can broadcast.
+ * @param {Object} props
+ * @param {Object|null} props.event - The modal is hidden when null
+ * @param {Function} props.onClose
+ */
+export default function GroupChatModal({ event, onClose }) {
+  const { db, currentUser, userProfile } = useNativeApp();
+  const uid = currentUser?.uid;
+  const isOrganizer = Boolean(event && uid && event.createdBy === uid);
+  const [chats, setChats] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState('');
+  const [toAll, setToAll] = useState(false);
+  const [sending, setSending] = useState(false);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (!db || !event?.id || !uid) return undefined;
+    setLoading(true);
+    const q = isOrganizer
+      ? query(collection(db, 'groupChats'), where('eventId', '==', event.id), where('organizerId', '==', uid))
+      : query(collection(db, 'groupChats'), where('eventId', '==', event.id), where('memberIds', 'array-contains', uid));
+    const unsub = onSnapshot(
+      q,
+      (snap) => {
+        const list = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+        list.sort((a, b) => chatTitle(a).localeCompare(chatTitle(b)));
+        setChats(list);
+        setActiveId((prev) => (list.some((c) => c.id === prev) ? prev : list[0]?.id || null));
+        setLoading(false);
+      },
+      () => setLoading(false)
+    );
+    return unsub;
+  }, [db, event?.id, uid, isOrganizer]);
+
+  useEffect(() => {
+    if (!db || !activeId) {
+      setMessages([]);
+      return undefined;
+    }
+    const q = query(collection(db, 'groupChats', activeId, 'messages'), orderBy('createdAt'), limitToLast(MESSAGE_WINDOW));
+    const unsub = onSnapshot(
+      q,
+      (snap) => setMessages(snap.docs.map((d) => ({ id: d.id, ...d.data() }))),
+      () => setMessages([])
+    );
+    return unsub;
+  }, [db, activeId]);
+
+  const active = chats.find((c) => c.id === activeId);
+  const open = active ? isGroupChatOpen(active) : false;
+  const myName = userProfile?.displayName || currentUser?.displayName || '';
+
+  const send = async () => {
+    if (!draft.trim() || sending) return;
+    setSending(true);
+    try {
+      if (isOrganizer && toAll) {
+        const count = await broadcastToGroupChats(db, { eventId: event.id, organizerId: uid, senderName: myName, text: draft });
+        Alert.alert('Broadcast sent', `Posted to ${count} group chat${count !== 1 ? 's' : ''}.`);
+      } else {
+        await sendGroupMessage(db, { chatId: activeId, senderId: uid, senderName: myName, text: draft });
+      }
+      setDraft('');
+    } catch (error) {
+      console.error('Send group message failed:', error);
+      Alert.alert('Not sent', error.message || 'Could not send your message. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const renderMessage = ({ item }) => {
+    const mine = item.senderId === uid;
+    const fromOrganizer = item.kind === 'organizer' || item.kind === 'broadcast';
+    return (
+      <View style={[styles.bubble, mine ? styles.bubbleMine : styles.bubbleTheirs, fromOrganizer && styles.bubbleOrganizer]}>
+        {!mine || fromOrganizer ? (
+          <Text style={styles.sender}>
+            {fromOrganizer ? `📣 ${item.senderName || 'Organizer'}${item.kind === 'broadcast' ? ' · to all groups' : ''}` : item.senderName || 'Member'}
+          </Text>
+        ) : null}
+        <Text style={styles.bubbleText}>{item.text}</Text>
+        <Text style={styles.bubbleMeta}>{timeLabel(item.createdAt)}</Text>
+      </View>
+    );
+  };
+
+  return (
+    <Modal visible={Boolean(event)} animationType="slide" onRequestClose={onClose}>
+      <KeyboardAvoidingView style={styles.screen} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+        <View style={styles.header}>
+          <Pressable onPress={onClose} style={styles.headerButton}>
+            <Text style={styles.headerLink}>Close</Text>
+          </Pressable>
+          <Text style={styles.headerTitle} numberOfLines={1}>{event?.title || 'Group chat'}</Text>
+          <View style={styles.headerButton} />
+        </View>
+
+        {chats.length > 1 && (
+          <ScrollView horizontal style={styles.tabs} contentContainerStyle={styles.tabsContent} showsHorizontalScrollIndicator={false}>
+            {chats.map((chat) => (
+              <Pressable
+                key={chat.id}
+                style={[styles.tab, chat.id === activeId && styles.tabActive]}
+                onPress={() => setActiveId(chat.id)}
+              >
+                <Text style={[styles.tabText, chat.id === activeId && styles.tabTextActive]}>{chatTitle(chat)}</Text>
+              </Pressable>
+            ))}
+          </ScrollView>
+        )}
+
+        {loading ? (
+          <ActivityIndicator size="large" color="#2EDC9A" style={styles.loading} />
+        ) : !active ? (
+          <Text style={styles.empty}>Group chats open when the venues are revealed.</Text>
+        ) : (
+          <FlatList
+            ref={listRef}
+            data={messages}
+            keyExtractor={(item) => item.id}
+            renderItem={renderMessage}
+            contentContainerStyle={styles.list}
+            onContentSizeChange={() => listRef.current?.scrollToEnd({ animated: false })}
+            ListHeaderComponent={
+              <Text style={styles.notice}>
+                {chatTitle(active)} · {active.memberIds.length} members · {open
+                  ? `open until ${new Date(active.closesAt).toLocaleString()}`
+                  : 'closed'}
+              </Text>
+            }
+          />
+        )}
+
+        {active && (open ? (
+          <View style={styles.composerWrap}>
+            {isOrganizer && chats.length > 1 && (
+              <View style={styles.targetRow}>
+                {[false, true].map((all) => (
+                  <Pressable key={String(all)} style={[styles.tab, toAll === all && styles.tabActive]} onPress={() => setToAll(all)}>
+                    <Text style={[styles.tabText, toAll === all && styles.tabTextActive]}>
+                      {all ? 'All groups' : 'This group'}
+                    </Text>
+                  </Pressable>
+                ))}
+              </View>
+            )}
+            <View style={styles.composer}>
+              <TextInput
+                style={styles.input}
+                value={draft}
+                onChangeText={setDraft}
+                placeholder={isOrganizer && toAll ? 'Message every group' : 'Message your group'}
+                maxLength={MAX_MESSAGE_LENGTH}
+                multiline
+              />
+              <Pressable style={[styles.sendButton, (!draft.trim() || sending) && styles.sendButtonDisabled]} onPress={send}>
+                <Text style={styles.sendText}>{sending ? '...' : 'Send'}</Text>
+              </Pressable>
+            </View>
+          </View>
+        ) : (
+          <Text style={styles.closedNote}>This chat closed {GROUP_CHAT_CLOSE_HOURS}h after the event.</Text>
+        ))}
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#FAFAF7',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingTop: 48,
+    paddingBottom: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+    backgroundColor: '#FFFFFF',
+  },
+  headerButton: {
+    minWidth: 64,
+  },
+  headerTitle: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 17,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  headerLink: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#059669',
+  },
+  tabs: {
+    flexGrow: 0,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  tabsContent: {
+    gap: 6,
+    padding: 8,
+  },
+  tab: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    backgroundColor: '#FFFFFF',
+  },
+  tabActive: {
+    borderColor: '#2EDC9A',
+    backgroundColor: '#ECFDF5',
+  },
+  tabText: {
+    fontSize: 13,
+    color: '#374151',
+  },
+  tabTextActive: {
+    color: '#065F46',
+    fontWeight: '700',
+  },
+  loading: {
+    marginTop: 40,
+  },
+  list: {
+    padding: 12,
+    gap: 6,
+  },
+  notice: {
+    textAlign: 'center',
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginBottom: 8,
+  },
+  empty: {
+    textAlign: 'center',
+    color: '#9CA3AF',
+    marginTop: 40,
+    paddingHorizontal: 24,
+  },
+  bubble: {
+    maxWidth: '80%',
+    borderRadius: 14,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  bubbleMine: {
+    alignSelf: 'flex-end',
+    backgroundColor: '#A7F3D0',
+  },
+  bubbleTheirs: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  bubbleOrganizer: {
+    backgroundColor: '#FFFBEB',
+    borderWidth: 1,
+    borderColor: '#F59E0B',
+  },
+  sender: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#6B7280',
+    marginBottom: 2,
+  },
+  bubbleText: {
+    fontSize: 15,
+    color: '#1F2937',
+  },
+  bubbleMeta: {
+    fontSize: 11,
+    color: '#9CA3AF',
+    marginTop: 2,
+    textAlign: 'right',
+  },
+  closedNote: {
+    textAlign: 'center',
+    color: '#6B7280',
+    padding: 16,
+    backgroundColor: '#F3F4F6',
+  },
+  composerWrap: {
+    borderTopWidth: 1,
+    borderTopColor: '#E5E7EB',
+    backgroundColor: '#FFFFFF',
+  },
+  targetRow: {
+    flexDirection: 'row',
+    gap: 6,
+    paddingHorizontal: 10,
+    paddingTop: 8,
+  },
+  composer: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 8,
+    padding: 10,
+  },
+  input: {
+    flex: 1,
+    maxHeight: 120,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 18,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    fontSize: 15,
+  },
+  sendButton: {
+    borderRadius: 18,
+    backgroundColor: '#2EDC9A',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  sendButtonDisabled: {
+    opacity: 0.5,
+  },
+  sendText: {
+    fontWeight: '700',
+    color: '#053B2A',
+  },
+});
@@ -0,0 +1,248 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  Modal,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  View,
+} from 'react-native';
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { useNativeApp } from '../contexts/NativeAppContext';
+import { PRESENCE_STATUS } from '../models';
+import { loadProfiles } from '../services/attendeeDataLoader';
+import { expectedArrival, setRollCallPresence } from '../services/presenceService';
+
+const statusLabel = (booking, finalized) => {
+  if (finalized) return booking.actuallyAttended ? '✅ Attended' : '— No show';
+  if (booking.presenceStatus === PRESENCE_STATUS.PRESENT) return '✅ Here';
+  if (booking.presenceStatus === PRESENCE_STATUS.LATE) {
+    const eta = expectedArrival(booking);
+    return `⏰ Late${eta ? ` · ETA ${eta.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : ''}`;
+  }
+  return '… Not yet';
+};
+
+/**
+ * Live per-group roll call for the organizer. Check-ins update as Friends
+ * tap "I'm here"; tapping a name marks them present (or clears it).
+ * Groups are the event's first-round venueGroups.
+ * @param {Object} props
+ * @param {Object|null} props.event - The modal is hidden when null
+ * @param {Function} props.onClose
+ */
+export default function RollCallModal({ event, onClose }) {
+  const { db, currentUser } = useNativeApp();
+  const [bookings, setBookings] = useState([]);
+  const [names, setNames] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [busyUserId, setBusyUserId] = useState(null);
+  const finalized = Boolean(event?.attendanceFinalizedAt);
+
+  useEffect(() => {
+    if (!db || !event?.id) return undefined;
+    setLoading(true);
+    const q = query(collection(db, 'bookings'), where('eventId', '==', event.id), where('status', '==', 'confirmed'));
+    const unsub = onSnapshot(
+      q,
+      (snap) => {
+        setBookings(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+        setLoading(false);
+      },
+      () => setLoading(false)
+    );
+    return unsub;
+  }, [db, event?.id]);
+
+  const attendeeKey = bookings.map((b) => b.userId).sort().join(',');
+  useEffect(() => {
+    if (!db || !attendeeKey) return;
+    let alive = true;
+    loadProfiles(db, attendeeKey.split(','))
+      .then((profiles) => {
+        if (alive) setNames(Object.fromEntries(profiles.map((p) => [p.id, p.displayName || p.fullName || p.id])));
+      })
+      .catch((error) => console.warn('Load roll call names failed:', error));
+    return () => {
+      alive = false;
+    };
+  }, [db, attendeeKey]);
+
+  const sections = useMemo(() => {
+    const byUser = Object.fromEntries(bookings.map((b) => [b.userId, b]));
+    const grouped = new Set();
+    const list = (event?.venueGroups || []).map((group) => {
+      const members = (group.attendeeIds || []).filter((uid) => byUser[uid]).map((uid) => byUser[uid]);
+      members.forEach((b) => grouped.add(b.userId));
+      return { key: group.groupId, title: `${group.groupName}${group.venueName ? ` · ${group.venueName}` : ''}`, members };
+    });
+    const rest = bookings.filter((b) => !grouped.has(b.userId));
+    if (rest.length) list.push({ key: 'ungrouped', title: 'Not in a group', members: rest });
+    return list;
+  }, [bookings, event?.venueGroups]);
+
+  const here = bookings.filter((b) => b.presenceStatus === PRESENCE_STATUS.PRESENT).length;
+  const late = bookings.filter((b) => b.presenceStatus === PRESENCE_STATUS.LATE).length;
+
+  const toggle = async (booking) => {
+    if (finalized) return;
+    setBusyUserId(booking.userId);
+    try {
+      await setRollCallPresence(db, {
+        eventId: event.id,
+        userId: booking.userId,
+        organizerId: currentUser?.uid,
+        present: booking.presenceStatus !== PRESENCE_STATUS.PRESENT,
+      });
+    } catch (error) {
+      console.error('Roll call update failed:', error);
+      Alert.alert('Error', error.message || 'Could not update the roll call.');
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  return (
+    <Modal visible={Boolean(event)} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.screen}>
+        <View style={styles.header}>
+          <Pressable onPress={onClose} style={styles.headerButton}>
+            <Text style={styles.headerLink}>Close</Text>
+          </Pressable>
+          <Text style={styles.headerTitle} numberOfLines={1}>Roll call · {event?.title || ''}</Text>
+          <View style={styles.headerButton} />
+        </View>
+
+        <Text style={styles.summary}>
+          {finalized
+            ? `Attendance is final: ${bookings.filter((b) => b.actuallyAttended).length} of ${bookings.length} attended.`
+            : `${here} here · ${late} running late · ${bookings.length - here - late} not yet`}
+        </Text>
+
+        {loading ? (
+          <ActivityIndicator size="large" color="#2EDC9A" style={styles.loading} />
+        ) : (
+          <ScrollView contentContainerStyle={styles.list}>
+            {!finalized && <Text style={styles.hint}>Tap a name to mark them present, or tap again to undo.</Text>}
+            {sections.map((section) => (
+              <View key={section.key} style={styles.card}>
+                <Text style={styles.cardTitle}>
+                  {section.title} ({section.members.filter((b) => b.presenceStatus === PRESENCE_STATUS.PRESENT).length}/{section.members.length})
+                </Text>
+                {section.members.map((booking) => (
+                  <Pressable
+                    key={booking.userId}
+                    style={styles.row}
+                    onPress={() => toggle(booking)}
+                    disabled={finalized || busyUserId === booking.userId}
+                  >
+                    <Text style={styles.name}>{names[booking.userId] || booking.userId}</Text>
+                    <Text style={[
+                      styles.status,
+                      booking.presenceStatus === PRESENCE_STATUS.PRESENT && styles.statusHere,
+                      booking.presenceStatus === PRESENCE_STATUS.LATE && styles.statusLate,
+                    ]}
+                    >
+                      {busyUserId === booking.userId ? '...' : statusLabel(booking, finalized)}
+                    </Text>
+                  </Pressable>
+                ))}
+              </View>
+            ))}
+          </ScrollView>
+        )}
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#FAFAF7',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingTop: 48,
+    paddingBottom: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+    backgroundColor: '#FFFFFF',
+  },
+  headerButton: {
+    minWidth: 64,
+  },
+  headerTitle: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 17,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  headerLink: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#059669',
+  },
+  summary: {
+    textAlign: 'center',
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    padding: 12,
+  },
+  loading: {
+    marginTop: 40,
+  },
+  list: {
+    padding: 12,
+    gap: 10,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    textAlign: 'center',
+  },
+  card: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 14,
+    backgroundColor: '#FFFFFF',
+    padding: 12,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1F2937',
+    marginBottom: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#F3F4F6',
+  },
+  name: {
+    fontSize: 14,
+    color: '#1F2937',
+    flex: 1,
+  },
+  status: {
+    fontSize: 13,
+    color: '#9CA3AF',
+  },
+  statusHere: {
+    color: '#059669',
+    fontWeight: '700',
+  },
+  statusLate: {
+    color: '#B45309',
+    fontWeight: '700',
+  },
+});
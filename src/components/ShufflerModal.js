@@ -1,9 +1,11 @@
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import {
   ActivityIndicator,
   Alert,
+  Animated,
   FlatList,
   Modal,
+  PanResponder,
   Pressable,
   ScrollView,
   StyleSheet,
@@ -11,37 +13,285 @@ import {
   TextInput,
   View,
 } from 'react-native';
-import { addDoc, collection, doc, getDoc, getDocs, query, updateDoc, where } from 'firebase/firestore';
+import { addDoc, collection, doc, updateDoc } from 'firebase/firestore';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import { useNativeApp } from '../contexts/NativeAppContext';
+import {
+  buildSolverContext,
+  explainGroup,
+  findRepeatPairs,
+  scoreGroup,
+} from '../algorithms/groupSolver';
+import {
+  mergeTables,
+  moveUsersBetweenTables,
+  splitTable,
+  swapUsersBetweenTables,
+} from '../algorithms/tableAssignment';
+import { createEventRound } from '../models';
+import { backendErrorMessage, requestEventGroups } from '../services/schedulingBackend';
+import {
+  REVEAL_OFFSETS,
+  computeRevealAt,
+  loadVenueDetails,
+  revealEventVenues,
+  saveVenueDetails,
+  splitVenueDetails,
+  withVenueDetails,
+} from '../services/venueReveal';
+import { syncGroupChatMembers } from '../services/groupChatService';
+import { listVenues } from '../services/venueCatalog';
+import { suggestVenues, venuesFittingGroup } from '../algorithms/venueMatching';
+
+// Multi-round events: everyone is regrouped for each round (e.g. dinner, then drinks)
+const ROUND_OPTIONS = [1, 2, 3];
+const EMPTY_ROUND = { label: '', startTime: '' };
+const roundTitle = (round, r) => round.label.trim() || `Round ${r + 1}`;
+
+// How strongly the Shuffler avoids seating people together again
+const FRESHNESS_OPTIONS = [
+  { value: 0, label: 'Off' },
+  { value: 0.3, label: 'Low' },
+  { value: 0.6, label: 'Medium' },
+  { value: 1, label: 'High' },
+];
+
+const scoreOf = (memberIds, context) => Math.round(scoreGroup(memberIds, context).score * 100) / 100;
+const pct = (value) => `${Math.round(value * 100)}%`;
+
+const FACTOR_LABELS = {
+  interests: 'shared interests',
+  age: 'age spread',
+  gender: 'gender balance',
+  ratings: 'mutual ratings',
+};
+
+/**
+ * GroupExplanation — score breakdown under a group card (see explainGroup).
+ */
+function GroupExplanation({ group, explanation }) {
+  const nameOf = (id) => group.attendeeNames[group.attendeeIds.indexOf(id)] || id;
+  const { factors, sharedInterests, ageRange, genderCounts, mutualHighPairs, conflictPairs, repeatPairs, weakestMember } = explanation;
+  const genderParts = [
+    genderCounts.female && `${genderCounts.female} women`,
+    genderCounts.male && `${genderCounts.male} men`,
+    genderCounts.other && `${genderCounts.other} unspecified`,
+  ].filter(Boolean);
+
+  return (
+    <View style={styles.explainBox}>
+      <Text style={styles.explainRow}>
+        Interests {pct(factors.interests)} — {sharedInterests.length
+          ? sharedInterests.slice(0, 4).map((s) => `${s.interest} (${s.count})`).join(', ')
+          : 'no shared interests'}
+      </Text>
+      <Text style={styles.explainRow}>
+        Age {pct(factors.age)} — {ageRange ? `${ageRange.min}–${ageRange.max} years` : 'ages unknown'}
+      </Text>
+      <Text style={styles.explainRow}>Gender {pct(factors.gender)} — {genderParts.join(', ') || 'unknown'}</Text>
+      <Text style={styles.explainRow}>
+        Ratings {pct(factors.ratings)} — {mutualHighPairs.length} mutual like{mutualHighPairs.length === 1 ? '' : 's'}
+        {conflictPairs.length ? `, ${conflictPairs.length} mutual dislike${conflictPairs.length === 1 ? '' : 's'}` : ''}
+      </Text>
+      <Text style={styles.explainRow}>
+        Repeats — {repeatPairs.length
+          ? repeatPairs.map((rp) => `${nameOf(rp.a)} & ${nameOf(rp.b)} (${rp.count}×)`).join(', ')
+          : 'nobody has met before'}
+      </Text>
+      {weakestMember && weakestMember.gain > 0 ? (
+        <Text style={styles.explainWeakest}>
+          Weakest fit: {nameOf(weakestMember.id)} — lowers {FACTOR_LABELS[weakestMember.factor]}; the group
+          scores {pct(weakestMember.gain)} higher without them.
+        </Text>
+      ) : null}
+    </View>
+  );
+}
+
+// Holding a person this long picks them up for dragging; moving further than
+// TAP_SLOP first lets the list scroll instead
+const LONG_PRESS_MS = 300;
+const TAP_SLOP = 8;
+
+/**
+ * MemberChip — one person in a group card. Tap to pick them; long-press and
+ * drag to carry them to another group. Positions are window coordinates.
+ */
+function MemberChip({ label, selected, dimmed, onPress, onDragStart, onDragMove, onDragEnd }) {
+  // The responder is created once, so it reaches the latest handlers through a ref
+  const handlers = useRef(null);
+  handlers.current = { onPress, onDragStart, onDragMove, onDragEnd };
+  const timer = useRef(null);
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  const responder = useMemo(() => {
+    let dragging = false;
+    let moved = false;
+    const stopTimer = () => {
+      clearTimeout(timer.current);
+      timer.current = null;
+    };
+    return PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onPanResponderGrant: (e, gesture) => {
+        const { x0, y0 } = gesture;
+        dragging = false;
+        moved = false;
+        timer.current = setTimeout(() => {
+          timer.current = null;
+          dragging = true;
+          handlers.current.onDragStart(x0, y0);
+        }, LONG_PRESS_MS);
+      },
+      onPanResponderMove: (e, gesture) => {
+        if (dragging) {
+          handlers.current.onDragMove(gesture.moveX, gesture.moveY);
+        } else if (Math.abs(gesture.dx) > TAP_SLOP || Math.abs(gesture.dy) > TAP_SLOP) {
+          moved = true;
+          stopTimer();
+        }
+      },
+      // Keep the gesture once dragging; before that the list may take it to scroll
+      onPanResponderTerminationRequest: () => !dragging,
+      onPanResponderRelease: (e, gesture) => {
+        stopTimer();
+        if (dragging) handlers.current.onDragEnd(gesture.moveX, gesture.moveY);
+        else if (!moved) handlers.current.onPress();
+        dragging = false;
+      },
+      onPanResponderTerminate: () => {
+        stopTimer();
+        if (dragging) handlers.current.onDragEnd(null, null);
+        dragging = false;
+      },
+    });
+  }, []);
 
-// NOTE: The OpenAI API key is read from environment variables as required by the feature spec.
-// For production, move AI-powered grouping to a secure backend Cloud Function to avoid
-// bundling the key in the client. The client should call your backend endpoint instead of
-// calling OpenAI directly.
-const OPENAI_API_KEY = process.env.REACT_APP_OPENAI_API_KEY || process.env.EXPO_PUBLIC_OPENAI_API_KEY || '';
+  return (
+    <View
+      {...responder.panHandlers}
+      accessible
+      accessibilityRole="button"
+      accessibilityActions={[{ name: 'activate' }]}
+      onAccessibilityAction={() => handlers.current.onPress()}
+      style={[styles.attendeeChip, selected && styles.attendeeChipSelected, dimmed && styles.attendeeChipDragging]}
+    >
+      <Text style={styles.attendeeChipText}>{label}</Text>
+    </View>
+  );
+}
 
 /**
  * VenueGroupCard — editable card for a single group after shuffling.
  */
-function VenueGroupCard({ group, index, onChange }) {
+function VenueGroupCard({
+  group,
+  index,
+  onChange,
+  selectedUserId,
+  lockedIds,
+  dropAction,
+  cardRef,
+  dragOver,
+  draggingIds,
+  onMemberPress,
+  onDragStart,
+  onDragMove,
+  onDragEnd,
+  onDrop,
+  onSplit,
+  onStartMerge,
+  catalogVenues,
+  onPickVenue,
+  explanation,
+}) {
+  const [showWhy, setShowWhy] = useState(false);
   return (
-    <View style={styles.groupCard}>
+    <View
+      ref={cardRef}
+      style={[
+        styles.groupCard,
+        dragOver === 'fits' && styles.groupCardDropTarget,
+        dragOver === 'full' && styles.groupCardDropFull,
+      ]}
+    >
       <View style={styles.groupHeader}>
         <Text style={styles.groupTitle}>Group {index + 1} — {group.groupName || `Venue ${index + 1}`}</Text>
         <View style={styles.attendeePill}>
           <Text style={styles.attendeePillText}>{group.attendeeNames.length} people</Text>
         </View>
       </View>
+      {typeof group.compatibilityScore === 'number' ? (
+        <View style={styles.scoreRow}>
+          <Text style={styles.scoreText}>Compatibility: {Math.round(group.compatibilityScore * 100)}%</Text>
+          {explanation ? (
+            <Pressable onPress={() => setShowWhy((v) => !v)}>
+              <Text style={styles.whyLink}>{showWhy ? 'Hide details' : 'Why this group?'}</Text>
+            </Pressable>
+          ) : null}
+        </View>
+      ) : null}
+      {showWhy && explanation ? <GroupExplanation group={group} explanation={explanation} /> : null}
 
       <View style={styles.attendeeList}>
-        {group.attendeeNames.map((name, i) => (
-          <View key={i} style={styles.attendeeChip}>
-            <Text style={styles.attendeeChipText}>{name}</Text>
-          </View>
+        {group.attendeeIds.map((userId, i) => (
+          <MemberChip
+            key={userId}
+            label={`${lockedIds.has(userId) ? '🔒 ' : ''}${group.attendeeNames[i]}`}
+            selected={selectedUserId === userId}
+            dimmed={draggingIds.includes(userId)}
+            onPress={() => onMemberPress(userId)}
+            onDragStart={(x, y) => onDragStart(userId, x, y)}
+            onDragMove={onDragMove}
+            onDragEnd={onDragEnd}
+          />
         ))}
       </View>
 
+      <View style={styles.editRow}>
+        {dropAction ? (
+          <Pressable
+            style={[styles.editButton, styles.dropButton, dropAction.disabled && styles.editButtonDisabled]}
+            disabled={dropAction.disabled}
+            onPress={() => onDrop(group.groupId)}
+          >
+            <Text style={styles.dropButtonText}>{dropAction.label}</Text>
+          </Pressable>
+        ) : (
+          <>
+            <Pressable
+              style={[styles.editButton, group.attendeeIds.length < 2 && styles.editButtonDisabled]}
+              disabled={group.attendeeIds.length < 2}
+              onPress={() => onSplit(group.groupId)}
+            >
+              <Text style={styles.editButtonText}>Split</Text>
+            </Pressable>
+            <Pressable style={styles.editButton} onPress={() => onStartMerge(group.groupId)}>
+              <Text style={styles.editButtonText}>Merge…</Text>
+            </Pressable>
+          </>
+        )}
+      </View>
+
+      {catalogVenues.length > 0 && (
+        <>
+          <Text style={styles.inputLabel}>From the venue catalog</Text>
+          <View style={styles.freshnessRow}>
+            {catalogVenues.map((venue) => (
+              <Pressable
+                key={venue.id}
+                style={[styles.freshnessChip, group.venueId === venue.id && styles.freshnessChipActive]}
+                onPress={() => onPickVenue(index, venue)}
+              >
+                <Text style={[styles.freshnessChipText, group.venueId === venue.id && styles.freshnessChipTextActive]}>
+                  {venue.name} · {venue.capacity}
+                </Text>
+              </Pressable>
+            ))}
+          </View>
+        </>
+      )}
+
       <Text style={styles.inputLabel}>Venue Name</Text>
       <TextInput
         style={styles.input}
@@ -79,170 +329,428 @@ export default function ShufflerModal({ visible, event, onClose, onSaved }) {
   const { db, currentUser } = useNativeApp();
   const [step, setStep] = useState('config'); // 'config' | 'running' | 'assign'
   const [maxPerGroup, setMaxPerGroup] = useState('8');
+  const [freshness, setFreshness] = useState(0.6);
   const [groups, setGroups] = useState([]);
+  // Scores groups live while the organizer edits them: { context, history }
+  const [scoring, setScoring] = useState(null);
+  // Manual editing: the picked person ({ type: 'member', userId }) or merge source ({ type: 'merge', groupId })
+  const [selection, setSelection] = useState(null);
+  // People locked together move as one unit: [[userId, userId], ...]
+  const [locks, setLocks] = useState([]);
+  // The person being dragged: { userId, name, fromGroupId, overGroupId }
+  const [drag, setDrag] = useState(null);
+  // Where the dragged chip is drawn, relative to the modal
+  const dragPosition = useRef(new Animated.ValueXY()).current;
+  const rootRef = useRef(null);
+  const rootOffset = useRef({ x: 0, y: 0 });
+  // Group cards by groupId, and their window rectangles measured when a drag starts
+  const cardRefs = useRef({});
+  const cardRects = useRef({});
+  // Incremental mode: userId → groupId as saved before this update; null after a full shuffle
+  const [previousAssignment, setPreviousAssignment] = useState(null);
+  const [incrementalSummary, setIncrementalSummary] = useState('');
+  // Hours before the event at which venues are revealed (0 = immediately)
+  const [revealHours, setRevealHours] = useState(24);
+  // Rounds: plan from the config step, every round's groups, and which one is being edited.
+  // `groups` and `scoring` always hold the active round; roundGroups/roundScoring hold the rest.
+  const [roundPlan, setRoundPlan] = useState([EMPTY_ROUND]);
+  const [roundGroups, setRoundGroups] = useState([]);
+  const [roundScoring, setRoundScoring] = useState([]);
+  const [activeRound, setActiveRound] = useState(0);
+  // Active catalog venues for the event's locality
+  const [venues, setVenues] = useState([]);
   const [saving, setSaving] = useState(false);
 
+  useEffect(() => {
+    if (!visible || !db || !event?.localityId) return undefined;
+    let cancelled = false;
+    listVenues(db, event.localityId)
+      .then((list) => { if (!cancelled) setVenues(list); })
+      .catch((err) => console.warn('Could not load venue catalog:', err));
+    return () => { cancelled = true; };
+  }, [visible, db, event?.localityId]);
+
   const resetAndClose = () => {
     setStep('config');
     setMaxPerGroup('8');
+    setFreshness(0.6);
     setGroups([]);
+    setScoring(null);
+    setSelection(null);
+    setLocks([]);
+    setDrag(null);
+    setPreviousAssignment(null);
+    setIncrementalSummary('');
+    setRevealHours(24);
+    setRoundPlan([EMPTY_ROUND]);
+    setRoundGroups([]);
+    setRoundScoring([]);
+    setActiveRound(0);
     setSaving(false);
     onClose();
   };
 
+  const setRoundCount = (count) => {
+    setRoundPlan((prev) => Array.from({ length: count }, (_, r) => prev[r] || EMPTY_ROUND));
+  };
+
+  const updateRoundPlan = (r, field, value) => {
+    setRoundPlan((prev) => prev.map((round, i) => (i === r ? { ...round, [field]: value } : round)));
+  };
+
+  const switchRound = (next) => {
+    if (next === activeRound) return;
+    setRoundGroups((prev) => prev.map((g, r) => (r === activeRound ? groups : g)));
+    setRoundScoring((prev) => prev.map((sc, r) => (r === activeRound ? scoring : sc)));
+    setGroups(roundGroups[next]);
+    setScoring(roundScoring[next]);
+    setSelection(null);
+    setLocks([]);
+    setActiveRound(next);
+  };
+
+  const parseMax = () => {
+    const max = parseInt(maxPerGroup, 10);
+    if (Number.isNaN(max) || max < 2) {
+      Alert.alert('Invalid input', 'Max attendance per group must be at least 2.');
+      return null;
+    }
+    return max;
+  };
+
+  const displayNameOf = (attendees, id) => attendees.find((m) => m.id === id)?.displayName || id;
+
+  // Pair histories arrive as plain objects; contexts are rebuilt here for live scoring while editing
+  const scoringFor = (result, r) => ({
+    context: buildSolverContext(result.attendees, result.ratings, {
+      history: result.histories[r] || {},
+      freshnessWeight: r ? Math.max(freshness, 1) : freshness,
+    }),
+    history: result.histories[r] || {},
+  });
+
   /**
-   * Calls OpenAI to group attendees intelligently based on shared interests,
-   * mutual ratings, and age proximity.
-   * Falls back to round-robin if OpenAI key is missing or request fails.
+   * Groups attendees on the server (functions/src/generateEventGroups.js),
+   * which reads the confirmed bookings itself and runs the configured
+   * scheduling provider for round 1 and the group solver for later rounds.
    */
   const runShuffle = async () => {
     if (!event?.id || !db) return;
 
-    const max = parseInt(maxPerGroup, 10);
-    if (Number.isNaN(max) || max < 2) {
-      Alert.alert('Invalid input', 'Max attendance per group must be at least 2.');
+    const max = parseMax();
+    if (!max) return;
+    if (roundPlan.some((round) => round.startTime.trim() && !/^\d{1,2}:\d{2}$/.test(round.startTime.trim()))) {
+      Alert.alert('Invalid input', 'Round start times must look like 21:30.');
       return;
     }
 
     setStep('running');
 
     try {
-      // Fetch booked attendees
-      const bookingsSnap = await getDocs(
-        query(collection(db, 'bookings'), where('eventId', '==', event.id), where('status', '==', 'confirmed'))
-      );
+      const result = await requestEventGroups(db, {
+        eventId: event.id,
+        maxPerGroup: max,
+        freshnessWeight: freshness,
+        rounds: roundPlan.length,
+      });
+      const scorings = result.rounds.map((_, r) => scoringFor(result, r));
 
-      const attendeeIds = bookingsSnap.docs.map((d) => d.data().userId).filter(Boolean);
+      const built = result.rounds.map((roundIds, r) => roundIds.map((ids, i) => ({
+        groupId: `${r ? `round-${r + 1}-` : ''}group-${i + 1}-${Date.now()}`,
+        groupName: `Group ${String.fromCharCode(65 + i)}`,
+        attendeeIds: ids,
+        attendeeNames: ids.map((id) => displayNameOf(result.attendees, id)),
+        compatibilityScore: scoreOf(ids, scorings[r].context),
+        venueId: null,
+        venueName: '',
+        venueAddress: '',
+        mapUrl: '',
+        locationRevealed: false,
+      })));
 
-      if (!attendeeIds.length) {
-        Alert.alert('No attendees', 'This event has no confirmed bookings yet.');
-        setStep('config');
-        return;
-      }
+      setRoundGroups(built);
+      setRoundScoring(scorings);
+      setActiveRound(0);
+      setScoring(scorings[0]);
+      setPreviousAssignment(null);
+      setIncrementalSummary('');
+      setGroups(built[0]);
+      setStep('assign');
+    } catch (err) {
+      console.error('Shuffler failed:', err);
+      Alert.alert('Shuffle failed', backendErrorMessage(err));
+      setStep('config');
+    }
+  };
 
-      // Fetch attendee profiles
-      const profiles = [];
-      for (const uid of attendeeIds) {
-        const snap = await getDoc(doc(db, 'users', uid));
-        if (snap.exists()) {
-          profiles.push({ id: uid, ...snap.data() });
-        } else {
-          profiles.push({ id: uid, displayName: uid, preferences: {} });
-        }
-      }
+  /**
+   * Incremental mode: keep the saved groups, drop people who cancelled and
+   * place late bookers where they fit best. Nobody else is moved.
+   */
+  const runIncremental = async () => {
+    if (!event?.id || !db) return;
 
-      // Fetch ratings between attendees (for likeability scoring)
-      const ratingsSnap = await getDocs(
-        query(collection(db, 'ratings'), where('fromUserId', 'in', attendeeIds.slice(0, 10)))
-      );
-      const ratingsData = ratingsSnap.docs.map((d) => d.data());
-
-      let assignedGroups = [];
-
-      if (OPENAI_API_KEY) {
-        // Build a concise description of each person for the AI
-        const peopleSummary = profiles.map((p) => ({
-          id: p.id,
-          name: p.displayName || p.name || p.id,
-          interests: Array.isArray(p.preferences?.interests)
-            ? p.preferences.interests.join(', ')
-            : (p.preferences?.interests || ''),
-          birthYear: p.dateOfBirth ? p.dateOfBirth.substring(0, 4) : '',
-          gender: p.gender || '',
-        }));
-
-        // Build ratings summary
-        const ratingsSummary = ratingsData.map((r) => ({
-          from: r.fromUserId,
-          to: r.toUserId,
-          score: r.score || r.ratingLevel || (r.value === 'like_a_lot' ? 5 : r.value === 'like_a_little' ? 3 : 1),
-        }));
-
-        const prompt = `You are grouping ${profiles.length} people into groups of max ${max} for a social event.
-Each group should be as compatible as possible: prefer people who rated each other highly, share similar interests, or are close in age.
-Avoid putting people who rated each other 1 in the same group if possible.
-
-People:
-${JSON.stringify(peopleSummary, null, 2)}
-
-Ratings (score 1-5, 5=best):
-${JSON.stringify(ratingsSummary, null, 2)}
-
-Return ONLY valid JSON: an array of groups, each group is an array of person IDs.
-Example: [["id1","id2","id3"],["id4","id5"]]
-No commentary, no markdown.`;
-
-        try {
-          const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              Authorization: `Bearer ${OPENAI_API_KEY}`,
-            },
-            body: JSON.stringify({
-              model: 'gpt-4o-mini',
-              messages: [{ role: 'user', content: prompt }],
-              temperature: 0.3,
-              max_tokens: 1000,
-            }),
-          });
+    const max = parseMax();
+    if (!max) return;
 
-          if (response.ok) {
-            const data = await response.json();
-            const raw = data.choices?.[0]?.message?.content?.trim() || '';
-            // Extract JSON array from response
-            const jsonMatch = raw.match(/\[[\s\S]*\]/);
-            if (jsonMatch) {
-              const parsed = JSON.parse(jsonMatch[0]);
-              if (Array.isArray(parsed) && parsed.length > 0) {
-                assignedGroups = parsed.map((groupIds) =>
-                  groupIds.map((id) => profiles.find((p) => p.id === id) || { id, displayName: id })
-                );
-              }
-            }
-          }
-        } catch (aiErr) {
-          console.warn('OpenAI grouping failed, falling back to round-robin:', aiErr);
-        }
-      }
+    setStep('running');
 
-      // Fallback: round-robin if AI grouping failed or key missing
-      if (!assignedGroups.length) {
-        const shuffled = [...profiles].sort(() => Math.random() - 0.5);
-        for (let i = 0; i < shuffled.length; i += max) {
-          assignedGroups.push(shuffled.slice(i, i + max));
-        }
+    try {
+      const result = await requestEventGroups(db, {
+        eventId: event.id,
+        maxPerGroup: max,
+        freshnessWeight: freshness,
+        mode: 'incremental',
+      });
+
+      if (!result.placed.length && !result.removed.length) {
+        Alert.alert('Up to date', 'Every confirmed attendee already has a group.');
+        setStep('config');
+        return;
       }
 
-      // Build group objects
-      const builtGroups = assignedGroups.map((members, i) => ({
-        groupId: `group-${i + 1}-${Date.now()}`,
-        groupName: `Group ${String.fromCharCode(65 + i)}`,
-        attendeeIds: members.map((m) => m.id),
-        attendeeNames: members.map((m) => m.displayName || m.name || m.id),
-        venueName: '',
-        venueAddress: '',
-        mapUrl: '',
-        locationRevealed: false,
-      }));
+      // Unrevealed venues are kept off the event document
+      const saved = withVenueDetails(event.venueGroups || [], await loadVenueDetails(db, event.id));
+      const roundScoringData = scoringFor(result, 0);
+      const builtGroups = result.rounds[0]
+        .map((memberIds, i) => ({
+          ...(saved[i] || {
+            groupId: `group-${i + 1}-${Date.now()}`,
+            groupName: `Group ${String.fromCharCode(65 + i)}`,
+            venueId: null,
+            venueName: '',
+            venueAddress: '',
+            mapUrl: '',
+            locationRevealed: false,
+          }),
+          attendeeIds: memberIds,
+          attendeeNames: memberIds.map((id) => displayNameOf(result.attendees, id)),
+          compatibilityScore: scoreOf(memberIds, roundScoringData.context),
+        }))
+        .filter((g) => g.attendeeIds.length);
 
+      const before = {};
+      saved.forEach((g) => (g.attendeeIds || []).forEach((id) => { before[id] = g.groupId; }));
+
+      setScoring(roundScoringData);
+      setRoundGroups([]);
+      setPreviousAssignment(before);
+      setIncrementalSummary(
+        `${result.placed.length} late booking${result.placed.length === 1 ? '' : 's'} placed, `
+        + `${result.removed.length} cancellation${result.removed.length === 1 ? '' : 's'} removed. `
+        + 'Everyone else keeps their group.'
+      );
       setGroups(builtGroups);
       setStep('assign');
     } catch (err) {
-      console.error('Shuffler failed:', err);
-      Alert.alert('Error', 'Shuffle failed. Please try again.');
+      console.error('Incremental update failed:', err);
+      Alert.alert('Could not update groups', backendErrorMessage(err));
       setStep('config');
     }
   };
 
+  // Repeat pairings still present in the groups, recomputed after every edit
+  const repeats = useMemo(() => {
+    if (!scoring) return [];
+    const names = {};
+    groups.forEach((g) => g.attendeeIds.forEach((id, i) => { names[id] = g.attendeeNames[i]; }));
+    return findRepeatPairs(groups.map((g) => g.attendeeIds), scoring.history).map((rp) => ({
+      key: `${rp.a}|${rp.b}`,
+      names: `${names[rp.a]} & ${names[rp.b]}`,
+      groupName: groups[rp.groupIndex].groupName,
+      count: rp.count,
+      lastMetAt: rp.lastMetAt,
+    }));
+  }, [groups, scoring]);
+
+  const explanations = useMemo(() => {
+    if (!scoring) return {};
+    return Object.fromEntries(groups.map((g) => [g.groupId, explainGroup(g.attendeeIds, scoring.context)]));
+  }, [groups, scoring]);
+
+  const lockedIds = useMemo(() => new Set(locks.flat()), [locks]);
+  const maxSize = parseInt(maxPerGroup, 10) || 1;
+  const unitOf = (userId) => locks.find((unit) => unit.includes(userId)) || [userId];
+  const groupOfUser = (userId) => groups.find((g) => g.attendeeIds.includes(userId));
+
+  // The edit helpers in tableAssignment work on { id, name, members }
+  const toTables = () => groups.map((g) => ({
+    id: g.groupId,
+    name: g.groupName,
+    members: g.attendeeIds.map((id, i) => ({ id, name: g.attendeeNames[i] })),
+  }));
+
+  const applyTables = (result) => {
+    if (!result.success) {
+      Alert.alert('Not possible', result.message);
+      return;
+    }
+    setGroups((prev) => result.tables
+      .filter((t) => t.members.length)
+      .map((t) => {
+        const existing = prev.find((g) => g.groupId === t.id);
+        const attendeeIds = t.members.map((m) => m.id);
+        return {
+          ...(existing || { venueId: null, venueName: '', venueAddress: '', mapUrl: '', locationRevealed: false }),
+          groupId: t.id,
+          groupName: t.name,
+          attendeeIds,
+          attendeeNames: t.members.map((m) => m.name),
+          compatibilityScore: scoring ? scoreOf(attendeeIds, scoring.context) : null,
+        };
+      }));
+  };
+
+  // Tap someone to pick them; tap someone in another group to swap,
+  // or in the same group to lock/unlock them together
+  const handleMemberPress = (userId) => {
+    if (!selection || selection.type !== 'member') {
+      setSelection({ type: 'member', userId });
+      return;
+    }
+    const picked = selection.userId;
+    setSelection(null);
+    if (picked === userId) return;
+
+    if (groupOfUser(picked) === groupOfUser(userId)) {
+      const pickedUnit = unitOf(picked);
+      if (pickedUnit.includes(userId)) {
+        // Unlock: the tapped person leaves the unit
+        setLocks((prev) => prev
+          .map((unit) => (unit === pickedUnit ? unit.filter((id) => id !== userId) : unit))
+          .filter((unit) => unit.length > 1));
+      } else {
+        const merged = [...new Set([...pickedUnit, ...unitOf(userId)])];
+        setLocks((prev) => [...prev.filter((unit) => !unit.includes(picked) && !unit.includes(userId)), merged]);
+      }
+      return;
+    }
+    applyTables(swapUsersBetweenTables(toTables(), unitOf(picked), unitOf(userId), maxSize));
+  };
+
+  const handleDrop = (targetGroupId) => {
+    const current = selection;
+    setSelection(null);
+    if (current?.type === 'member') {
+      applyTables(moveUsersBetweenTables(
+        toTables(),
+        unitOf(current.userId),
+        groupOfUser(current.userId).groupId,
+        targetGroupId,
+        maxSize
+      ));
+    } else if (current?.type === 'merge') {
+      applyTables(mergeTables(toTables(), current.groupId, targetGroupId, maxSize));
+    }
+  };
+
+  const groupAtPoint = (x, y) => Object.keys(cardRects.current).find((groupId) => {
+    const rect = cardRects.current[groupId];
+    return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+  }) || null;
+
+  // Long-press someone to drag them, with anyone locked to them, onto another group.
+  // Scrolling is off while dragging, so the rectangles measured here stay valid.
+  const handleDragStart = (userId, x, y) => {
+    const from = groupOfUser(userId);
+    if (!from) return;
+    setSelection(null);
+    cardRects.current = {};
+    Object.entries(cardRefs.current).forEach(([groupId, view]) => {
+      view.measureInWindow((cardX, cardY, width, height) => {
+        cardRects.current[groupId] = { x: cardX, y: cardY, width, height };
+      });
+    });
+    rootRef.current?.measureInWindow((rootX, rootY) => {
+      rootOffset.current = { x: rootX, y: rootY };
+    });
+    dragPosition.setValue({ x: x - rootOffset.current.x, y: y - rootOffset.current.y });
+    const others = unitOf(userId).length - 1;
+    setDrag({
+      userId,
+      name: `${from.attendeeNames[from.attendeeIds.indexOf(userId)]}${others ? ` +${others}` : ''}`,
+      fromGroupId: from.groupId,
+      overGroupId: null,
+    });
+  };
+
+  const handleDragMove = (x, y) => {
+    dragPosition.setValue({ x: x - rootOffset.current.x, y: y - rootOffset.current.y });
+    const overGroupId = groupAtPoint(x, y);
+    setDrag((prev) => (prev && prev.overGroupId !== overGroupId ? { ...prev, overGroupId } : prev));
+  };
+
+  // x is null when the gesture was interrupted; dropping outside another group does nothing
+  const handleDragEnd = (x, y) => {
+    const current = drag;
+    setDrag(null);
+    if (!current || x === null) return;
+    const targetGroupId = groupAtPoint(x, y);
+    if (!targetGroupId || targetGroupId === current.fromGroupId) return;
+    applyTables(moveUsersBetweenTables(
+      toTables(),
+      unitOf(current.userId),
+      current.fromGroupId,
+      targetGroupId,
+      maxSize
+    ));
+  };
+
+  // How the card under a dragged person shows whether they fit
+  const dragOverFor = (group) => {
+    if (!drag || drag.overGroupId !== group.groupId || group.groupId === drag.fromGroupId) return null;
+    return group.attendeeIds.length + unitOf(drag.userId).length <= maxSize ? 'fits' : 'full';
+  };
+
+  // What a card offers while something is picked elsewhere
+  const dropActionFor = (group) => {
+    if (selection?.type === 'member') {
+      if (group.attendeeIds.includes(selection.userId)) return null;
+      const fits = group.attendeeIds.length + unitOf(selection.userId).length <= maxSize;
+      return { label: fits ? 'Move here' : 'Full', disabled: !fits };
+    }
+    if (selection?.type === 'merge') {
+      if (group.groupId === selection.groupId) return { label: 'Cancel merge', disabled: false, cancel: true };
+      const source = groups.find((g) => g.groupId === selection.groupId);
+      const fits = group.attendeeIds.length + (source?.attendeeIds.length || 0) <= maxSize;
+      return { label: fits ? 'Merge into this group' : 'Too large to merge', disabled: !fits };
+    }
+    return null;
+  };
+
   const handleGroupChange = (index, field, value) => {
     setGroups((prev) => {
       const updated = [...prev];
       updated[index] = { ...updated[index], [field]: value };
+      // A hand-typed venue name no longer refers to the catalog entry
+      if (field === 'venueName') updated[index].venueId = null;
+      return updated;
+    });
+  };
+
+  const pickVenue = (index, venue) => {
+    setGroups((prev) => {
+      const updated = [...prev];
+      updated[index] = {
+        ...updated[index],
+        venueId: venue.id,
+        venueName: venue.name,
+        venueAddress: venue.address || '',
+        mapUrl: venue.googleMapsLink || '',
+      };
       return updated;
     });
   };
 
+  const autoSuggestVenues = () => {
+    const suggestions = suggestVenues(groups, venues, event?.dateTime);
+    const unmatched = suggestions.filter((v, i) => !v && !groups[i].venueId).length;
+    suggestions.forEach((venue, i) => { if (venue) pickVenue(i, venue); });
+    if (unmatched) {
+      Alert.alert('Venue catalog', `No free catalog venue fits ${unmatched} group${unmatched === 1 ? '' : 's'}. Enter those by hand.`);
+    }
+  };
+
   const saveVenueAssignments = async () => {
     if (!db || !event?.id) return;
 
@@ -252,34 +760,74 @@ No commentary, no markdown.`;
       Alert.alert('Incomplete', `Please fill in the venue name for Group ${incomplete + 1}.`);
       return;
     }
+    if (roundPlan.length > 1) {
+      saveRounds();
+      return;
+    }
 
     setSaving(true);
     try {
-      // Save groups to event document
-      const venueGroups = groups.map(({ attendeeNames: _n, ...g }) => g);
+      // A full shuffle starts a new reveal schedule; an incremental update keeps the existing one
+      const revealAt = previousAssignment
+        ? event.revealAt || new Date().toISOString()
+        : computeRevealAt(event, revealHours);
+      const revealNow = new Date(revealAt) <= new Date();
+      const venueGroups = groups.map(({ attendeeNames: _n, ...g }) => ({
+        ...g,
+        locationRevealed: previousAssignment ? Boolean(g.locationRevealed) : false,
+      }));
+      const { publicGroups, details } = splitVenueDetails(venueGroups);
+
+      // Venues first, so the reveal always finds them; the event document only gets revealed ones
+      await saveVenueDetails(db, event.id, details);
       await updateDoc(doc(db, 'events', event.id), {
-        venueGroups,
+        venueGroups: publicGroups,
+        rounds: [],
         schedulingCompleted: true,
-        locationRevealed: false,
+        revealAt,
+        locationRevealed: venueGroups.every((g) => g.locationRevealed),
         lastUpdated: new Date().toISOString(),
       });
+      // Members who moved join their new group's chat and leave the old one
+      if (previousAssignment) {
+        await syncGroupChatMembers(db, { eventId: event.id, event, groups: publicGroups });
+      }
 
-      // Send notification to each attendee revealing their venue
-      for (const group of groups) {
+      // After an incremental update only people whose group changed hear about it.
+      // Until the reveal they learn their group and the area, not the venue.
+      let notified = 0;
+      for (const group of venueGroups) {
+        if (!group.locationRevealed && revealNow) continue; // the reveal below notifies them
         for (const userId of group.attendeeIds) {
+          if (previousAssignment && previousAssignment[userId] === group.groupId) continue;
+          notified += 1;
           await addDoc(collection(db, 'notifications'), {
             userId,
-            type: 'venue_revealed',
+            type: group.locationRevealed ? 'venue_revealed' : 'group_assigned',
             fromUserId: currentUser?.uid || '',
             eventId: event.id,
-            message: `Your venue for "${event.title}" has been assigned: ${group.venueName}${group.venueAddress ? ` — ${group.venueAddress}` : ''}.`,
+            message: group.locationRevealed
+              ? `Your venue for "${event.title}" is ${group.venueName}${group.venueAddress ? ` — ${group.venueAddress}` : ''}.`
+              : `You're in ${group.groupName} for "${event.title}" in ${event.locality || 'your area'}. `
+                + `Your venue will be revealed on ${new Date(revealAt).toLocaleString()}.`,
             read: false,
             createdAt: new Date().toISOString(),
           });
         }
       }
 
-      Alert.alert('Saved!', 'Venue assignments have been saved and attendees notified.');
+      if (revealNow) {
+        const before = venueGroups.filter((g) => !g.locationRevealed);
+        await revealEventVenues(db, event.id, currentUser?.uid || '');
+        notified += before.reduce((sum, g) => sum + g.attendeeIds.length, 0);
+      }
+
+      Alert.alert(
+        'Saved!',
+        previousAssignment
+          ? `Groups updated. ${notified} affected attendee${notified === 1 ? '' : 's'} notified.`
+          : 'Venue assignments have been saved and attendees notified.'
+      );
       onSaved && onSaved();
       resetAndClose();
     } catch (err) {
@@ -290,9 +838,77 @@ No commentary, no markdown.`;
     }
   };
 
+  /**
+   * Save a multi-round event: every round's groups, one notification per
+   * attendee listing their group in each round.
+   */
+  const saveRounds = async () => {
+    const allGroups = roundGroups.map((g, r) => (r === activeRound ? groups : g));
+    const incompleteRound = allGroups.findIndex((gs) => gs.some((g) => !g.venueName.trim()));
+    if (incompleteRound !== -1) {
+      Alert.alert('Incomplete', `Please fill in every venue name for ${roundTitle(roundPlan[incompleteRound], incompleteRound)}.`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const revealAt = computeRevealAt(event, revealHours);
+      const revealNow = new Date(revealAt) <= new Date();
+      const split = allGroups.map((gs) => splitVenueDetails(
+        gs.map(({ attendeeNames: _n, ...g }) => ({ ...g, locationRevealed: false }))
+      ));
+      const details = Object.assign({}, ...split.map((part) => part.details));
+      const rounds = split.map(({ publicGroups }, r) => createEventRound({
+        label: roundTitle(roundPlan[r], r),
+        startTime: roundPlan[r].startTime.trim(),
+        venueGroups: publicGroups,
+      }));
+
+      await saveVenueDetails(db, event.id, details);
+      await updateDoc(doc(db, 'events', event.id), {
+        venueGroups: rounds[0].venueGroups,
+        rounds,
+        schedulingCompleted: true,
+        revealAt,
+        locationRevealed: false,
+        lastUpdated: new Date().toISOString(),
+      });
+
+      if (revealNow) {
+        await revealEventVenues(db, event.id, currentUser?.uid || '');
+      } else {
+        const schedule = {};
+        rounds.forEach((round) => round.venueGroups.forEach((group) => group.attendeeIds.forEach((userId) => {
+          (schedule[userId] = schedule[userId] || []).push(`${group.groupName} for ${round.label}`);
+        })));
+        for (const [userId, parts] of Object.entries(schedule)) {
+          await addDoc(collection(db, 'notifications'), {
+            userId,
+            type: 'group_assigned',
+            fromUserId: currentUser?.uid || '',
+            eventId: event.id,
+            message: `Your rounds for "${event.title}": ${parts.join(', ')}. `
+              + `Venues will be revealed on ${new Date(revealAt).toLocaleString()}.`,
+            read: false,
+            createdAt: new Date().toISOString(),
+          });
+        }
+      }
+
+      Alert.alert('Saved!', `${rounds.length} rounds saved and attendees notified.`);
+      onSaved && onSaved();
+      resetAndClose();
+    } catch (err) {
+      console.error('Save rounds failed:', err);
+      Alert.alert('Error', 'Could not save venue assignments.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
   return (
     <Modal visible={visible} animationType="slide" onRequestClose={resetAndClose}>
-      <View style={styles.modalContainer}>
+      <View ref={rootRef} style={styles.modalContainer}>
         {/* Header */}
         <View style={styles.modalHeader}>
           <Text style={styles.modalTitle}>
@@ -319,10 +935,73 @@ No commentary, no markdown.`;
               placeholder="e.g. 8"
             />
 
+            <Text style={styles.inputLabel}>Freshness</Text>
+            <Text style={styles.freshnessHint}>How hard to avoid seating people who already met at recent events.</Text>
+            <View style={styles.freshnessRow}>
+              {FRESHNESS_OPTIONS.map((opt) => (
+                <Pressable
+                  key={opt.label}
+                  style={[styles.freshnessChip, freshness === opt.value && styles.freshnessChipActive]}
+                  onPress={() => setFreshness(opt.value)}
+                >
+                  <Text style={[styles.freshnessChipText, freshness === opt.value && styles.freshnessChipTextActive]}>
+                    {opt.label}
+                  </Text>
+                </Pressable>
+              ))}
+            </View>
+
+            <Text style={styles.inputLabel}>Rounds</Text>
+            <Text style={styles.freshnessHint}>Regroup everyone between rounds, e.g. dinner then drinks elsewhere.</Text>
+            <View style={styles.freshnessRow}>
+              {ROUND_OPTIONS.map((count) => (
+                <Pressable
+                  key={count}
+                  style={[styles.freshnessChip, roundPlan.length === count && styles.freshnessChipActive]}
+                  onPress={() => setRoundCount(count)}
+                >
+                  <Text style={[styles.freshnessChipText, roundPlan.length === count && styles.freshnessChipTextActive]}>
+                    {count === 1 ? 'Single' : `${count} rounds`}
+                  </Text>
+                </Pressable>
+              ))}
+            </View>
+            {roundPlan.length > 1 && roundPlan.map((round, r) => (
+              <View key={r} style={styles.roundRow}>
+                <TextInput
+                  style={[styles.input, styles.roundLabelInput]}
+                  value={round.label}
+                  onChangeText={(v) => updateRoundPlan(r, 'label', v)}
+                  placeholder={r === 0 ? 'e.g. Dinner' : r === 1 ? 'e.g. Drinks' : `Round ${r + 1}`}
+                />
+                <TextInput
+                  style={[styles.input, styles.roundTimeInput]}
+                  value={round.startTime}
+                  onChangeText={(v) => updateRoundPlan(r, 'startTime', v)}
+                  placeholder="HH:MM"
+                />
+              </View>
+            ))}
+
             <Pressable style={styles.shuffleButton} onPress={runShuffle}>
               <Text style={styles.shuffleButtonEmoji}>🔀</Text>
-              <Text style={styles.shuffleButtonText}>Run Shuffler</Text>
+              <Text style={styles.shuffleButtonText}>
+                {event?.venueGroups?.length ? 'Reshuffle Everyone' : 'Run Shuffler'}
+              </Text>
             </Pressable>
+
+            {event?.schedulingCompleted && event?.venueGroups?.length
+              && roundPlan.length === 1 && !(event.rounds?.length > 1) ? (
+              <>
+                <Pressable style={styles.incrementalButton} onPress={runIncremental}>
+                  <Text style={styles.incrementalButtonText}>Update Existing Groups</Text>
+                </Pressable>
+                <Text style={styles.configHint}>
+                  Places late bookings into the best-fitting groups with free seats and removes cancellations,
+                  without moving anyone else. Only affected attendees are notified.
+                </Text>
+              </>
+            ) : null}
           </View>
         )}
 
@@ -336,19 +1015,113 @@ No commentary, no markdown.`;
 
         {step === 'assign' && (
           <>
-            <ScrollView contentContainerStyle={styles.assignContent}>
+            <ScrollView contentContainerStyle={styles.assignContent} scrollEnabled={!drag}>
               <Text style={styles.assignHint}>
                 {groups.length} groups created. Enter venue details for each group, then save to notify attendees.
               </Text>
+              {incrementalSummary ? <Text style={styles.incrementalSummary}>{incrementalSummary}</Text> : null}
 
-              {groups.map((group, i) => (
-                <VenueGroupCard
-                  key={group.groupId}
-                  group={group}
-                  index={i}
-                  onChange={handleGroupChange}
-                />
-              ))}
+              {roundGroups.length > 1 && (
+                <View style={styles.freshnessRow}>
+                  {roundPlan.map((round, r) => (
+                    <Pressable
+                      key={r}
+                      style={[styles.freshnessChip, activeRound === r && styles.freshnessChipActive]}
+                      onPress={() => switchRound(r)}
+                    >
+                      <Text style={[styles.freshnessChipText, activeRound === r && styles.freshnessChipTextActive]}>
+                        {roundTitle(round, r)}{round.startTime ? ` · ${round.startTime}` : ''}
+                      </Text>
+                    </Pressable>
+                  ))}
+                </View>
+              )}
+
+              {previousAssignment ? (
+                event?.revealAt ? (
+                  <Text style={styles.revealHint}>
+                    Venues {new Date(event.revealAt) <= new Date() ? 'were revealed' : 'will be revealed'} on{' '}
+                    {new Date(event.revealAt).toLocaleString()}.
+                  </Text>
+                ) : null
+              ) : (
+                <>
+                  <Text style={styles.inputLabel}>Reveal venues</Text>
+                  <Text style={styles.revealHint}>
+                    Until then attendees only see their group and the area.
+                  </Text>
+                  <View style={styles.freshnessRow}>
+                    {REVEAL_OFFSETS.map((opt) => (
+                      <Pressable
+                        key={opt.label}
+                        style={[styles.freshnessChip, revealHours === opt.hours && styles.freshnessChipActive]}
+                        onPress={() => setRevealHours(opt.hours)}
+                      >
+                        <Text style={[styles.freshnessChipText, revealHours === opt.hours && styles.freshnessChipTextActive]}>
+                          {opt.label}
+                        </Text>
+                      </Pressable>
+                    ))}
+                  </View>
+                </>
+              )}
+
+              {repeats.length > 0 && (
+                <View style={styles.repeatBox}>
+                  <Text style={styles.repeatTitle}>
+                    {repeats.length} repeat pairing{repeats.length === 1 ? '' : 's'} could not be avoided
+                  </Text>
+                  {repeats.map((rp) => (
+                    <Text key={rp.key} style={styles.repeatRow}>
+                      {rp.groupName}: {rp.names} — met {rp.count}×, last {new Date(rp.lastMetAt).toLocaleDateString()}
+                    </Text>
+                  ))}
+                </View>
+              )}
+
+              <Text style={styles.editHint}>
+                Press and hold a person, then drag them onto another group to move them. Tap a person to pick
+                them, then tap someone in another group to swap, or someone in the same group to lock them
+                together. Max {maxSize} per group.
+              </Text>
+
+              {venues.length > 0 && (
+                <Pressable style={styles.suggestVenuesButton} onPress={autoSuggestVenues}>
+                  <MaterialCommunityIcons name="map-marker-check-outline" size={16} color="#2EDC9A" />
+                  <Text style={styles.suggestVenuesText}>Auto-suggest venues from catalog</Text>
+                </Pressable>
+              )}
+
+              {groups.map((group, i) => {
+                const dropAction = dropActionFor(group);
+                return (
+                  <VenueGroupCard
+                    key={group.groupId}
+                    group={group}
+                    index={i}
+                    onChange={handleGroupChange}
+                    selectedUserId={selection?.type === 'member' ? selection.userId : null}
+                    lockedIds={lockedIds}
+                    dropAction={dropAction}
+                    cardRef={(view) => {
+                      if (view) cardRefs.current[group.groupId] = view;
+                      else delete cardRefs.current[group.groupId];
+                    }}
+                    dragOver={dragOverFor(group)}
+                    draggingIds={drag ? unitOf(drag.userId) : []}
+                    onMemberPress={handleMemberPress}
+                    onDragStart={handleDragStart}
+                    onDragMove={handleDragMove}
+                    onDragEnd={handleDragEnd}
+                    onDrop={(groupId) => (dropAction?.cancel ? setSelection(null) : handleDrop(groupId))}
+                    onSplit={(groupId) => applyTables(splitTable(toTables(), groupId, locks))}
+                    onStartMerge={(groupId) => setSelection({ type: 'merge', groupId })}
+                    catalogVenues={venuesFittingGroup(venues, group.attendeeIds.length, event?.dateTime)}
+                    onPickVenue={pickVenue}
+                    explanation={explanations[group.groupId]}
+                  />
+                );
+              })}
             </ScrollView>
 
             <View style={styles.saveRow}>
@@ -364,6 +1137,15 @@ No commentary, no markdown.`;
             </View>
           </>
         )}
+
+        {drag ? (
+          <Animated.View
+            pointerEvents="none"
+            style={[styles.dragChip, { transform: dragPosition.getTranslateTransform() }]}
+          >
+            <Text style={styles.dragChipText}>{drag.name}</Text>
+          </Animated.View>
+        ) : null}
       </View>
     </Modal>
   );
@@ -479,6 +1261,15 @@ const styles = StyleSheet.create({
     padding: 14,
     marginBottom: 14,
   },
+  groupCardDropTarget: {
+    borderColor: '#2EDC9A',
+    borderWidth: 2,
+    backgroundColor: '#ECFDF5',
+  },
+  groupCardDropFull: {
+    borderColor: '#FCA5A5',
+    borderWidth: 2,
+  },
   groupHeader: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -501,6 +1292,127 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: '#065F46',
   },
+  incrementalButton: {
+    borderWidth: 1,
+    borderColor: '#2EDC9A',
+    backgroundColor: '#F0FDF4',
+    borderRadius: 14,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  incrementalButtonText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#0B5D40',
+  },
+  incrementalSummary: {
+    fontSize: 13,
+    color: '#0B5D40',
+    backgroundColor: '#F0FDF4',
+    borderRadius: 10,
+    padding: 10,
+    marginBottom: 12,
+  },
+  revealHint: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginBottom: 8,
+  },
+  freshnessHint: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginBottom: 8,
+  },
+  freshnessRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 20,
+  },
+  freshnessChip: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 999,
+    paddingHorizontal: 14,
+    paddingVertical: 7,
+    backgroundColor: '#FFFFFF',
+  },
+  freshnessChipActive: {
+    borderColor: '#2EDC9A',
+    backgroundColor: '#F0FDF4',
+  },
+  freshnessChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  freshnessChipTextActive: {
+    color: '#0B5D40',
+  },
+  repeatBox: {
+    backgroundColor: '#FFFBEB',
+    borderWidth: 1,
+    borderColor: '#FDE68A',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 14,
+  },
+  repeatTitle: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#92400E',
+    marginBottom: 4,
+  },
+  repeatRow: {
+    fontSize: 12,
+    color: '#78350F',
+    marginTop: 2,
+  },
+  roundRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  roundLabelInput: {
+    flex: 1,
+  },
+  roundTimeInput: {
+    width: 90,
+  },
+  scoreRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  scoreText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  whyLink: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#0B5D40',
+  },
+  explainBox: {
+    backgroundColor: '#F9FAFB',
+    borderRadius: 10,
+    padding: 10,
+    marginBottom: 10,
+  },
+  explainRow: {
+    fontSize: 12,
+    color: '#374151',
+    lineHeight: 18,
+  },
+  explainWeakest: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#92400E',
+    lineHeight: 18,
+    marginTop: 4,
+  },
   attendeeList: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -518,6 +1430,90 @@ const styles = StyleSheet.create({
     color: '#374151',
     fontWeight: '500',
   },
+  attendeeChipSelected: {
+    backgroundColor: '#D1FAE5',
+    borderWidth: 1,
+    borderColor: '#2EDC9A',
+  },
+  attendeeChipDragging: {
+    opacity: 0.35,
+  },
+  // Drawn above the finger; the transform adds the touch position
+  dragChip: {
+    position: 'absolute',
+    top: -44,
+    left: -24,
+    backgroundColor: '#D1FAE5',
+    borderWidth: 1,
+    borderColor: '#2EDC9A',
+    borderRadius: 20,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    shadowColor: '#000',
+    shadowOpacity: 0.15,
+    shadowRadius: 6,
+    shadowOffset: { width: 0, height: 2 },
+    elevation: 6,
+  },
+  dragChipText: {
+    fontSize: 13,
+    color: '#065F46',
+    fontWeight: '600',
+  },
+  suggestVenuesButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    borderWidth: 1,
+    borderColor: '#2EDC9A',
+    backgroundColor: '#F0FDF4',
+    borderRadius: 12,
+    paddingVertical: 10,
+    marginBottom: 12,
+  },
+  suggestVenuesText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#0B5D40',
+  },
+  editHint: {
+    fontSize: 12,
+    color: '#6B7280',
+    lineHeight: 18,
+    marginBottom: 12,
+  },
+  editRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 10,
+  },
+  editButton: {
+    flex: 1,
+    backgroundColor: '#F3F4F6',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 10,
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  editButtonDisabled: {
+    opacity: 0.5,
+  },
+  editButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  dropButton: {
+    backgroundColor: '#F0FDF4',
+    borderColor: '#2EDC9A',
+  },
+  dropButtonText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#0B5D40',
+  },
   saveRow: {
     paddingHorizontal: 16,
     paddingVertical: 14,
@@ -23,8 +23,15 @@ import {
   updateDoc,
 } from 'firebase/firestore';
 import { useNativeApp } from '../contexts/NativeAppContext';
+import { loadBookingPolicy, saveBookingPolicy } from '../services/reliabilityService';
 
 const EMPTY_FORM = { country: '', city: '', area: '', adminIds: [] };
+const POLICY_INPUTS = [
+  { key: 'noShowLimit', label: 'Pause booking after this many no-shows (0 = off)' },
+  { key: 'cooldownDays', label: 'Pause length (days)' },
+  { key: 'lateCancelHours', label: 'Late cancellation window (hours before start)' },
+  { key: 'lookbackDays', label: 'Count events from the last (days)' },
+];
 const EMPTY_PRICING = { price1Month: '', price3Month: '', price6Month: '', currency: 'EGP', promoCode: '', promoDiscount: '' };
 
 function UserCheck({ item, selected, onToggle }) {
@@ -55,6 +62,10 @@ export default function SuperAdminPanelScreen() {
   const [promoCodes, setPromoCodes] = useState([]);
   const [newPromoCode, setNewPromoCode] = useState('');
   const [newPromoDiscount, setNewPromoDiscount] = useState('');
+  // Booking reliability policy
+  const [policy, setPolicy] = useState(null);
+  const [policySaving, setPolicySaving] = useState(false);
+  const [policyMessage, setPolicyMessage] = useState('');
 
   useEffect(() => {
     if (!db) return undefined;
@@ -91,6 +102,10 @@ export default function SuperAdminPanelScreen() {
     };
     loadPricing();
 
+    loadBookingPolicy(db)
+      .then((loaded) => setPolicy(Object.fromEntries(POLICY_INPUTS.map(({ key }) => [key, String(loaded[key])]))))
+      .catch((err) => console.error('Load booking policy failed:', err));
+
     return () => {
       unsub1();
       unsub2();
@@ -217,6 +232,20 @@ export default function SuperAdminPanelScreen() {
     }
   };
 
+  const savePolicy = async () => {
+    setPolicySaving(true);
+    try {
+      await saveBookingPolicy(db, { policy, userId: currentUser?.uid });
+      setPolicyMessage('Booking policy saved.');
+    } catch (err) {
+      console.error('Save booking policy failed:', err);
+      setPolicyMessage(err.message || 'Could not save the booking policy.');
+    } finally {
+      setPolicySaving(false);
+      setTimeout(() => setPolicyMessage(''), 2500);
+    }
+  };
+
   const savePricing = async () => {
     const p1 = Number(pricing.price1Month);
     const p3 = Number(pricing.price3Month);
@@ -457,6 +486,37 @@ export default function SuperAdminPanelScreen() {
           </Pressable>
         )}
       </View>
+
+      {/* Booking Reliability Policy Section */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>🚦 Booking Reliability Policy</Text>
+        {policyMessage ? <Text style={styles.pricingMessage}>{policyMessage}</Text> : null}
+        {!policy ? (
+          <ActivityIndicator size="small" color="#2EDC9A" />
+        ) : (
+          <>
+            {POLICY_INPUTS.map(({ key, label }) => (
+              <View key={key}>
+                <Text style={styles.label}>{label}</Text>
+                <TextInput
+                  style={styles.input}
+                  value={policy[key]}
+                  onChangeText={(v) => setPolicy((p) => ({ ...p, [key]: v }))}
+                  keyboardType="number-pad"
+                  placeholder="0"
+                />
+              </View>
+            ))}
+            <Pressable
+              style={[styles.primaryButton, policySaving && styles.disabled]}
+              onPress={savePolicy}
+              disabled={policySaving}
+            >
+              <Text style={styles.primaryButtonText}>{policySaving ? 'Saving...' : 'Save Policy'}</Text>
+            </Pressable>
+          </>
+        )}
+      </View>
     </ScrollView>
   );
 }
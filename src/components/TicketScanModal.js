@@ -0,0 +1,284 @@
+import React, { useEffect, useState } from 'react';
+import {
+  ActivityIndicator,
+  Modal,
+  Platform,
+  Pressable,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from 'react-native';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import { useNativeApp } from '../contexts/NativeAppContext';
+import { checkInTicket, loadDoorList } from '../services/ticketService';
+
+/**
+ * Organizer's door scanner. Tickets are verified against the event's door
+ * list on the device, so scanning keeps working without a connection; each
+ * accepted scan checks the Friend in on their booking and syncs when the
+ * device is back online. A ticket code can also be pasted when the camera is
+ * unavailable.
+ * @param {Object} props
+ * @param {Object|null} props.event - The modal is hidden when null
+ * @param {Function} props.onClose
+ */
+export default function TicketScanModal({ event, onClose }) {
+  const { db, currentUser } = useNativeApp();
+  const [permission, requestPermission] = useCameraPermissions();
+  const [doorList, setDoorList] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [loadingKey, setLoadingKey] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null);
+  const [manualCode, setManualCode] = useState('');
+  const [scannedCount, setScannedCount] = useState(0);
+  const [unsynced, setUnsynced] = useState(0);
+
+  useEffect(() => {
+    if (!db || !event?.id) return undefined;
+    let alive = true;
+    setLoadingKey(true);
+    setLoadError('');
+    setResult(null);
+    setScannedCount(0);
+    loadDoorList(db, event.id)
+      .then((list) => {
+        if (alive) setDoorList(list);
+      })
+      .catch((error) => {
+        console.warn('Load door list failed:', error);
+        if (alive) {
+          setDoorList(null);
+          setLoadError('Open the scanner once while online to download the door list.');
+        }
+      })
+      .finally(() => {
+        if (alive) setLoadingKey(false);
+      });
+    return () => {
+      alive = false;
+    };
+  }, [db, event?.id]);
+
+  const check = async (token) => {
+    if (busy || !doorList?.key) return;
+    setBusy(true);
+    try {
+      const { name, synced } = await checkInTicket(db, { token, doorList, organizerId: currentUser?.uid });
+      const who = name || 'Friend';
+      setResult({ ok: true, text: `${who} is checked in.` });
+      setScannedCount((n) => n + 1);
+      setManualCode('');
+      setUnsynced((n) => n + 1);
+      synced
+        .catch((error) => {
+          console.warn('Check-in sync failed:', error);
+          setResult({ ok: false, text: `${who}'s check-in could not be saved. Scan their ticket again.` });
+          setScannedCount((n) => n - 1);
+        })
+        .finally(() => setUnsynced((n) => n - 1));
+    } catch (error) {
+      setResult({ ok: false, text: error.message || 'Could not check this ticket in.' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const canUseCamera = Platform.OS !== 'web' && permission?.granted;
+
+  return (
+    <Modal visible={Boolean(event)} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.screen}>
+        <View style={styles.header}>
+          <Pressable onPress={onClose} style={styles.headerButton}>
+            <Text style={styles.headerLink}>Close</Text>
+          </Pressable>
+          <Text style={styles.headerTitle} numberOfLines={1}>Scan tickets · {event?.title || ''}</Text>
+          <View style={styles.headerButton} />
+        </View>
+
+        {loadingKey ? (
+          <ActivityIndicator size="large" color="#2EDC9A" style={styles.loading} />
+        ) : loadError ? (
+          <Text style={styles.empty}>{loadError}</Text>
+        ) : !doorList?.key ? (
+          <Text style={styles.empty}>No tickets have been issued for this event yet.</Text>
+        ) : (
+          <View style={styles.body}>
+            <Text style={styles.summary}>{scannedCount} checked in this session</Text>
+            {doorList.offline && (
+              <Text style={styles.hint}>
+                Offline · using the door list saved {new Date(doorList.savedAt).toLocaleString()}
+              </Text>
+            )}
+            {unsynced > 0 && (
+              <Text style={styles.hint}>
+                {unsynced} check-in{unsynced === 1 ? '' : 's'} waiting to sync
+              </Text>
+            )}
+
+            {canUseCamera ? (
+              <View style={styles.cameraBox}>
+                <CameraView
+                  style={styles.camera}
+                  facing="back"
+                  barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+                  // Paused while a result is shown, so one ticket is not read twice in a row
+                  onBarcodeScanned={busy || result ? undefined : ({ data }) => check(data)}
+                />
+              </View>
+            ) : Platform.OS !== 'web' ? (
+              <Pressable style={styles.primaryButton} onPress={requestPermission}>
+                <Text style={styles.primaryButtonText}>Allow camera to scan</Text>
+              </Pressable>
+            ) : null}
+
+            {busy && <ActivityIndicator color="#2EDC9A" />}
+            {result && (
+              <View style={[styles.result, result.ok ? styles.resultOk : styles.resultError]}>
+                <Text style={styles.resultText}>{result.ok ? '✅' : '⛔'} {result.text}</Text>
+                <Pressable onPress={() => setResult(null)}>
+                  <Text style={styles.headerLink}>Scan next</Text>
+                </Pressable>
+              </View>
+            )}
+
+            <Text style={styles.hint}>No camera? Paste the Friend's ticket code instead.</Text>
+            <View style={styles.manualRow}>
+              <TextInput
+                style={styles.input}
+                value={manualCode}
+                onChangeText={setManualCode}
+                placeholder="GT1..."
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              <Pressable
+                style={[styles.primaryButton, (!manualCode.trim() || busy) && styles.buttonDisabled]}
+                disabled={!manualCode.trim() || busy}
+                onPress={() => check(manualCode)}
+              >
+                <Text style={styles.primaryButtonText}>Check in</Text>
+              </Pressable>
+            </View>
+          </View>
+        )}
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: '#FAFAF7',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingTop: 48,
+    paddingBottom: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+    backgroundColor: '#FFFFFF',
+  },
+  headerButton: {
+    minWidth: 64,
+  },
+  headerTitle: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 17,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  headerLink: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#059669',
+  },
+  loading: {
+    marginTop: 40,
+  },
+  empty: {
+    textAlign: 'center',
+    fontSize: 14,
+    color: '#6B7280',
+    padding: 24,
+  },
+  body: {
+    padding: 12,
+    gap: 12,
+  },
+  summary: {
+    textAlign: 'center',
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  cameraBox: {
+    height: 300,
+    borderRadius: 14,
+    overflow: 'hidden',
+    backgroundColor: '#000000',
+  },
+  camera: {
+    flex: 1,
+  },
+  result: {
+    borderRadius: 12,
+    padding: 12,
+    gap: 6,
+    borderWidth: 1,
+  },
+  resultOk: {
+    backgroundColor: '#ECFDF5',
+    borderColor: '#A7F3D0',
+  },
+  resultError: {
+    backgroundColor: '#FEF2F2',
+    borderColor: '#FECACA',
+  },
+  resultText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    textAlign: 'center',
+  },
+  manualRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 9,
+    fontSize: 14,
+    backgroundColor: '#FFFFFF',
+  },
+  primaryButton: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    backgroundColor: '#2EDC9A',
+  },
+  primaryButtonText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#FFFFFF',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+});
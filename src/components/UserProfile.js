@@ -189,6 +189,7 @@ export default function UserProfileScreen({ onSignOut }) {
     fullName: '',
     dateOfBirth: '',
     phoneNumber: '',
+    instagram: '',
     city: '',
     gender: '',
     localityId: '',
@@ -226,6 +227,7 @@ export default function UserProfileScreen({ onSignOut }) {
             fullName: data.fullName || '',
             dateOfBirth: data.dateOfBirth || '',
             phoneNumber: data.phoneNumber || '',
+            instagram: data.instagram || '',
             city: data.city || '',
             gender: data.gender || '',
             localityId: data.localityId || '',
@@ -365,6 +367,7 @@ export default function UserProfileScreen({ onSignOut }) {
         fullName: form.fullName.trim(),
         dateOfBirth: form.dateOfBirth.trim(),
         phoneNumber: form.phoneNumber.trim(),
+        instagram: form.instagram.trim().replace(/^@/, ''),
         city: form.city.trim(),
         gender: form.gender,
         localityId: form.localityId || '',
@@ -506,6 +509,16 @@ export default function UserProfileScreen({ onSignOut }) {
           keyboardType="phone-pad"
         />
 
+        <Text style={styles.label}>Instagram</Text>
+        <TextInput
+          style={styles.input}
+          value={form.instagram}
+          onChangeText={(v) => setForm((p) => ({ ...p, instagram: v }))}
+          placeholder="@username"
+          autoCapitalize="none"
+        />
+        <Text style={styles.fieldHint}>Your phone, Instagram and email are only shown to people you choose to share them with when connecting.</Text>
+
         <Text style={styles.label}>City</Text>
         <TextInput
           style={styles.input}
@@ -43,6 +43,15 @@ export const LOCATION_STATUS = {
   BLOCKED: 'blocked',
 };
 
+/** Event lifecycle states — allowed transitions live in services/eventLifecycle */
+export const EVENT_STATUS = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed',
+  ARCHIVED: 'archived',
+};
+
 /** Booking states */
 export const BOOKING_STATUS = {
   PENDING: 'pending',
@@ -50,6 +59,12 @@ export const BOOKING_STATUS = {
   CANCELLED: 'cancelled',
 };
 
+/** Day-of presence reported by a Friend (or set by the organizer at roll call) */
+export const PRESENCE_STATUS = {
+  PRESENT: 'confirmed_present',
+  LATE: 'going_late',
+};
+
 /** Rating values */
 export const RATING_VALUES = {
   LIKE_A_LOT: 'like_a_lot',
@@ -69,6 +84,7 @@ export const RATING_VALUES = {
  * @property {string} [dateOfBirth] - YYYY-MM-DD
  * @property {string} [city]
  * @property {string} [phoneNumber]
+ * @property {string} [instagram] - Handle without the leading @
  * @property {UserRole} role
  * @property {Object} preferences
  * @property {string} [preferences.dietary]
@@ -78,6 +94,7 @@ export const RATING_VALUES = {
  * @property {LocationStatus} locationStatus - Approval status for current location
  * @property {boolean} isBlocked
  * @property {boolean} isAnonymous
+ * @property {Reliability} [reliability] - Attendance summary, kept up to date by the updateReliability function
  * @property {string} createdAt - ISO timestamp
  * @property {string} lastUpdated - ISO timestamp
  */
@@ -91,6 +108,7 @@ export const createUser = (overrides = {}) => ({
   dateOfBirth: '',
   city: '',
   phoneNumber: '',
+  instagram: '',
   role: USER_ROLES.FRIEND,
   preferences: {
     dietary: '',
@@ -131,6 +149,13 @@ export const createUser = (overrides = {}) => ({
  * @property {string} [googleMapsLink]
  * @property {string} [description]
  * @property {string} [expectedTime]
+ * @property {string} [localityId] - Locality whose venue catalog lists it
+ * @property {string} [address]
+ * @property {number} [capacity] - Seats available for one group; 0 = unknown
+ * @property {string} [venueType] - 'restaurant' | 'cafe' | 'bar' | 'activity' | 'other'
+ * @property {string} [cuisine]
+ * @property {string} [openingHours] - "HH:MM-HH:MM", may wrap past midnight
+ * @property {number} [priceLevel] - 1 (budget) to 4 (premium)
  * @property {boolean} isActive
  * @property {string} createdAt
  * @property {string} createdBy
@@ -144,6 +169,13 @@ export const createLocation = (overrides = {}) => ({
   googleMapsLink: '',
   description: '',
   expectedTime: '',
+  localityId: '',
+  address: '',
+  capacity: 0,
+  venueType: 'restaurant',
+  cuisine: '',
+  openingHours: '',
+  priceLevel: 2,
   isActive: true,
   createdAt: new Date().toISOString(),
   createdBy: '',
@@ -160,16 +192,22 @@ export const createLocation = (overrides = {}) => ({
  * @property {string} locationId
  * @property {string} locationName
  * @property {string} dateTime - ISO timestamp
+ * @property {number} durationMinutes - How long after dateTime the event ends
  * @property {number} maxAttendees
  * @property {number} currentAttendees
  * @property {number} price - 0 = free
  * @property {string} currency
- * @property {string} status - 'draft' | 'published' | 'cancelled' | 'completed'
+ * @property {string} status - 'draft' | 'published' | 'cancelled' | 'completed' | 'archived'
+ * @property {string|null} publishAt - ISO timestamp at which a draft is published automatically
  * @property {string} createdBy - Admin user ID
  * @property {string} createdAt
  * @property {string} lastUpdated
  * @property {string[]} attendeeIds
+ * @property {WaitlistEntry[]} waitlist - Ordered queue; first entry is promoted when a seat frees up
  * @property {Object[]} [schedulingGroups] - After AI scheduling
+ * @property {EventRound[]} rounds - Multi-round events only; venueGroups mirrors rounds[0].venueGroups
+ * @property {string|null} attendanceFinalizedAt - When presence was turned into bookings' actuallyAttended
+ * @property {string[]|null} attendedIds - Attendees recorded present, set with attendanceFinalizedAt
  */
 export const createEvent = (overrides = {}) => ({
   id: '',
@@ -184,19 +222,40 @@ export const createEvent = (overrides = {}) => ({
   locationId: '',
   locationName: '',
   dateTime: '',
+  durationMinutes: 180, // The event counts as over this long after dateTime
   maxAttendees: 20,
   currentAttendees: 0,
   price: 0,
   currency: 'EGP',
-  status: 'draft',
+  status: EVENT_STATUS.DRAFT,
+  publishAt: null,
   createdBy: '',
   createdAt: new Date().toISOString(),
   lastUpdated: new Date().toISOString(),
   attendeeIds: [],
+  waitlist: [],
   // Venue scheduling fields
   venueGroups: [],
+  rounds: [],
   locationRevealed: false,
+  revealAt: null, // ISO; when group venues are revealed to attendees
   schedulingCompleted: false,
+  attendanceFinalizedAt: null, // ISO; set once bookings' actuallyAttended is recorded
+  attendedIds: null,
+  ...overrides,
+});
+
+/**
+ * WaitlistEntry — embedded in event.waitlist, ordered by join time
+ * @typedef {Object} WaitlistEntry
+ * @property {string} userId
+ * @property {string} displayName
+ * @property {string} joinedAt - ISO timestamp
+ */
+export const createWaitlistEntry = (overrides = {}) => ({
+  userId: '',
+  displayName: '',
+  joinedAt: new Date().toISOString(),
   ...overrides,
 });
 
@@ -209,6 +268,17 @@ export const createEvent = (overrides = {}) => ({
  * @property {BookingStatus} status
  * @property {number} [amountPaid]
  * @property {string} [paymentRef]
+ * @property {string} [cancelledAt] - Set when the booking is cancelled
+ * @property {string} [cancellationReason] - 'event_cancelled' when the organizer cancelled the event
+ * @property {string} [refundId] - refunds/{refundId} recorded for a paid booking
+ * @property {'confirmed_present' | 'going_late' | null} presenceStatus - See PRESENCE_STATUS
+ * @property {number|null} etaMinutes - Minutes late, from when presenceUpdatedAt was set
+ * @property {string|null} presenceUpdatedAt
+ * @property {string} [checkedInBy] - Organizer who marked the Friend present at roll call or scanned their ticket
+ * @property {string|null} ticket - Signed QR ticket from the issueTicket function
+ * @property {string|null} ticketIssuedAt
+ * @property {string|null} checkedInAt - When the ticket was scanned at the door; a second scan is rejected
+ * @property {boolean|null} actuallyAttended - Finalized after the event; null = not recorded (older events)
  * @property {string} createdAt
  * @property {string} lastUpdated
  */
@@ -221,13 +291,48 @@ export const createBooking = (overrides = {}) => ({
   paymentRef: null,
   // Presence/late status after venue is revealed (set by friend)
   presenceStatus: null, // 'confirmed_present' | 'going_late' | null
-  // Whether the friend actually attended the event (for future rating eligibility)
+  etaMinutes: null,
+  presenceUpdatedAt: null,
+  // Whether the friend actually attended the event; gates ratings
   actuallyAttended: null, // true | false | null (null = not yet recorded)
+  // QR ticket, issued server-side on first view
+  ticket: null,
+  ticketIssuedAt: null,
+  checkedInAt: null,
   createdAt: new Date().toISOString(),
   lastUpdated: new Date().toISOString(),
   ...overrides,
 });
 
+/**
+ * Refund document (Firestore: refunds/{refundId})
+ * Recorded when a paid booking is cancelled by the organizer; payout is handled outside the app.
+ * @typedef {Object} Refund
+ * @property {string} id - `refund_{bookingId}`, so retries never record a refund twice
+ * @property {string} bookingId
+ * @property {string} userId
+ * @property {string} eventId
+ * @property {number} amount - The booking's amountPaid
+ * @property {string} currency
+ * @property {string} reason
+ * @property {'pending' | 'processed'} status
+ * @property {string} createdBy - Organizer who cancelled the event
+ * @property {string} createdAt
+ */
+export const createRefund = (overrides = {}) => ({
+  id: '',
+  bookingId: '',
+  userId: '',
+  eventId: '',
+  amount: 0,
+  currency: 'EGP',
+  reason: '',
+  status: 'pending',
+  createdBy: '',
+  createdAt: new Date().toISOString(),
+  ...overrides,
+});
+
 /**
  * Rating document (Firestore: ratings/{ratingId})
  * @typedef {Object} Rating
@@ -236,6 +341,7 @@ export const createBooking = (overrides = {}) => ({
  * @property {string} toUserId
  * @property {string} eventId
  * @property {RatingValue} value
+ * @property {number} [score] - 1–5; newer ratings also mirror it in ratingLevel
  * @property {string} createdAt
  */
 export const createRating = (overrides = {}) => ({
@@ -248,6 +354,21 @@ export const createRating = (overrides = {}) => ({
   ...overrides,
 });
 
+/**
+ * Read a rating as a 1–5 score. Ratings saved before the 5-level scale only
+ * carry a legacy `value`, which is mapped onto it.
+ * @param {Rating} rating
+ * @returns {number|null} Score, or null when the rating carries none
+ */
+export const getRatingScore = (rating) => {
+  const score = Number(rating?.score || rating?.ratingLevel || 0);
+  if (score >= 1 && score <= 5) return score;
+  if (rating?.value === RATING_VALUES.LIKE_A_LOT) return 5;
+  if (rating?.value === RATING_VALUES.LIKE_A_LITTLE) return 4;
+  if (rating?.value === RATING_VALUES.NOT_AT_ALL) return 1;
+  return null;
+};
+
 /**
  * Approval document (Firestore: approvals/{approvalId})
  * Tracks location approval requests from users.
@@ -273,6 +394,47 @@ export const createApproval = (overrides = {}) => ({
   ...overrides,
 });
 
+/**
+ * EventSuggestion document (Firestore: eventSuggestions/{suggestionId})
+ * Friends propose events; the Organizer of their locality reviews them.
+ * @typedef {Object} EventSuggestion
+ * @property {string} id
+ * @property {string} suggestedBy - Friend user ID
+ * @property {string} suggestedByName
+ * @property {string} localityId - Friend's locality; scopes the review queue
+ * @property {string} locality - Locality label
+ * @property {string} title
+ * @property {string} description
+ * @property {string} type - Event type key
+ * @property {string} proposedDateTime - ISO timestamp
+ * @property {string} notes - Anything else for the Organizer
+ * @property {'pending' | 'approved' | 'rejected'} status
+ * @property {string} [eventId] - Draft event created on approval
+ * @property {string} [reviewedBy]
+ * @property {string} [reviewNote] - Shown to the Friend on rejection
+ * @property {string} createdAt
+ * @property {string} [reviewedAt]
+ */
+export const createEventSuggestion = (overrides = {}) => ({
+  id: '',
+  suggestedBy: '',
+  suggestedByName: '',
+  localityId: '',
+  locality: '',
+  title: '',
+  description: '',
+  type: 'dinner',
+  proposedDateTime: '',
+  notes: '',
+  status: 'pending',
+  eventId: null,
+  reviewedBy: null,
+  reviewNote: null,
+  createdAt: new Date().toISOString(),
+  reviewedAt: null,
+  ...overrides,
+});
+
 /**
  * Block document (Firestore: blocks/{blockId})
  * @typedef {Object} Block
@@ -341,7 +503,7 @@ export const createContactPermission = (overrides = {}) => ({
  * @typedef {Object} Notification
  * @property {string} id
  * @property {string} userId - Recipient user ID
- * @property {'connect_request' | 'venue_revealed' | 'general'} type
+ * @property {'connect_request' | 'venue_revealed' | 'waitlist_promoted' | 'event_cancelled' | 'group_assigned' | 'suggestion_approved' | 'suggestion_rejected' | 'mutual_match' | 'match_connected' | 'connect_accepted' | 'connect_declined' | 'general'} type
  * @property {string} [fromUserId] - Sender user ID (if applicable)
  * @property {string} [eventId] - Related event ID (if applicable)
  * @property {string} message
@@ -361,14 +523,17 @@ export const createNotification = (overrides = {}) => ({
 });
 
 /**
- * ConnectRequest document (Firestore: connectRequests/{reqId})
+ * ConnectRequest document (Firestore: connectRequests/{requesterId}_{targetUserId})
  * @typedef {Object} ConnectRequest
  * @property {string} id
  * @property {string} requesterId
  * @property {string} requesterName
  * @property {string} targetUserId
+ * @property {string} [eventId] - Event where the two met
  * @property {'pending' | 'approved' | 'rejected'} status
  * @property {string} message
+ * @property {string[]} requesterShares - Contact fields the requester agreed to share
+ * @property {string[]} responderShares - Contact fields the target agreed to share on accepting
  * @property {string} createdAt
  * @property {string} [respondedAt]
  */
@@ -377,13 +542,159 @@ export const createConnectRequest = (overrides = {}) => ({
   requesterId: '',
   requesterName: '',
   targetUserId: '',
+  eventId: '',
   status: 'pending',
   message: '',
+  requesterShares: [],
+  responderShares: [],
   createdAt: new Date().toISOString(),
   respondedAt: null,
   ...overrides,
 });
 
+/**
+ * Connection document (Firestore: connections/{pairKey}) — two people who
+ * agreed to stay in touch, through an accepted request or a mutual match.
+ * `contacts` holds only the fields each person chose to share, copied from
+ * their profile, so neither side can read more of the other's profile.
+ * @typedef {Object} Connection
+ * @property {string} id - pairKey of the two user IDs
+ * @property {string[]} userIds - Both user IDs, sorted
+ * @property {'request' | 'match'} source
+ * @property {string} [sourceId] - connectRequests or matches document ID
+ * @property {string} [requestId] - Latest approved connectRequests document that added contacts
+ * @property {Object<string, Object<string, string>>} contacts - Shared contact fields keyed by user ID
+ * @property {string} createdAt
+ */
+export const createConnection = (overrides = {}) => ({
+  id: '',
+  userIds: [],
+  source: 'request',
+  sourceId: '',
+  requestId: '',
+  contacts: {},
+  createdAt: new Date().toISOString(),
+  ...overrides,
+});
+
+/**
+ * Conversation document (Firestore: conversations/{pairKey}) — 1:1 chat
+ * between two connected people. Shares its ID with their connection; the
+ * messages live in the `messages` subcollection.
+ * @typedef {Object} Conversation
+ * @property {string} id - pairKey of the two user IDs
+ * @property {string[]} userIds - Both user IDs, sorted
+ * @property {{ text: string, senderId: string, createdAt: string }|null} lastMessage
+ * @property {Object<string, number>} unread - Unread message count keyed by user ID
+ * @property {Object<string, string>} lastReadAt - When each user last read the conversation (read receipts)
+ * @property {string[]} blockedBy - Users who blocked the other; nobody can send while non-empty
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+export const createConversation = (overrides = {}) => ({
+  id: '',
+  userIds: [],
+  lastMessage: null,
+  unread: {},
+  lastReadAt: {},
+  blockedBy: [],
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
+  ...overrides,
+});
+
+/**
+ * Message document (Firestore: conversations/{conversationId}/messages/{messageId})
+ * @typedef {Object} Message
+ * @property {string} id
+ * @property {string} senderId
+ * @property {string} text
+ * @property {string} createdAt
+ */
+export const createMessage = (overrides = {}) => ({
+  id: '',
+  senderId: '',
+  text: '',
+  createdAt: new Date().toISOString(),
+  ...overrides,
+});
+
+/**
+ * GroupChat document (Firestore: groupChats/{eventId}_{groupId}) — temporary
+ * chat for one VenueGroup. Created when the group's venue is revealed and
+ * read-only after closesAt. Messages live in the `messages` subcollection.
+ * @typedef {Object} GroupChat
+ * @property {string} id
+ * @property {string} eventId
+ * @property {string} eventTitle
+ * @property {string} groupId
+ * @property {string} groupName
+ * @property {string} roundLabel - '' for single-round events
+ * @property {string[]} memberIds - The group's attendeeIds
+ * @property {string} organizerId - Event creator; may read and post
+ * @property {string} opensAt - ISO; the venue reveal time
+ * @property {string} closesAt - ISO; 24h after the event starts
+ * @property {{ text: string, senderId: string, createdAt: string }|null} lastMessage
+ * @property {string} createdAt
+ */
+export const createGroupChat = (overrides = {}) => ({
+  id: '',
+  eventId: '',
+  eventTitle: '',
+  groupId: '',
+  groupName: '',
+  roundLabel: '',
+  memberIds: [],
+  organizerId: '',
+  opensAt: new Date().toISOString(),
+  closesAt: '',
+  lastMessage: null,
+  createdAt: new Date().toISOString(),
+  ...overrides,
+});
+
+/**
+ * GroupMessage document (Firestore: groupChats/{chatId}/messages/{messageId})
+ * @typedef {Object} GroupMessage
+ * @property {string} id
+ * @property {string} senderId
+ * @property {string} senderName
+ * @property {string} text
+ * @property {'member' | 'organizer' | 'broadcast'} kind - broadcast = sent to every group of the event at once
+ * @property {string} createdAt
+ */
+export const createGroupMessage = (overrides = {}) => ({
+  id: '',
+  senderId: '',
+  senderName: '',
+  text: '',
+  kind: 'member',
+  createdAt: new Date().toISOString(),
+  ...overrides,
+});
+
+/**
+ * Match document (Firestore: matches/{pairKey}) — two people who rated each
+ * other highly. Either of them can connect directly, no request needed.
+ * @typedef {Object} Match
+ * @property {string} id - pairKey of the two user IDs
+ * @property {string[]} userIds - Both user IDs, sorted
+ * @property {string} eventId - Event of the rating that completed the match
+ * @property {'offered' | 'connected'} status
+ * @property {string} createdAt
+ * @property {string|null} connectedAt
+ * @property {string} [connectedBy] - User who accepted the connection
+ */
+export const createMatch = (overrides = {}) => ({
+  id: '',
+  userIds: [],
+  eventId: '',
+  status: 'offered',
+  createdAt: new Date().toISOString(),
+  connectedAt: null,
+  ...overrides,
+});
+
 /**
  * SubscriptionPricing document (Firestore: settings/subscriptionPricing)
  * @typedef {Object} SubscriptionPricing
@@ -407,7 +718,41 @@ export const createSubscriptionPricing = (overrides = {}) => ({
 });
 
 /**
- * VenueGroup — embedded in event.venueGroups after shuffler runs
+ * BookingPolicy document (Firestore: settings/bookingPolicy), set by a Master
+ * @typedef {Object} BookingPolicy
+ * @property {number} lateCancelHours - Cancelling this close to the start counts as a late cancellation
+ * @property {number} noShowLimit - No-shows that pause booking; 0 turns the cooldown off
+ * @property {number} cooldownDays - How long booking stays paused
+ * @property {number} lookbackDays - Only events from this window count
+ * @property {string|null} updatedAt
+ * @property {string} updatedBy
+ */
+export const createBookingPolicy = (overrides = {}) => ({
+  lateCancelHours: 24,
+  noShowLimit: 0,
+  cooldownDays: 14,
+  lookbackDays: 180,
+  updatedAt: null,
+  updatedBy: '',
+  ...overrides,
+});
+
+/**
+ * Reliability — embedded in users/{userId}.reliability
+ * @typedef {Object} Reliability
+ * @property {number|null} score - attended / booked as a percentage; null without history
+ * @property {number} booked - Past bookings with recorded attendance, plus late cancellations
+ * @property {number} attended
+ * @property {number} noShows
+ * @property {number} lateCancellations
+ * @property {string|null} cooldownUntil - Booking is paused until then
+ * @property {string} updatedAt
+ */
+
+/**
+ * VenueGroup — embedded in event.venueGroups after shuffler runs. Until the
+ * group is revealed, the venue fields are empty there and kept in
+ * events/{eventId}/private/venues (see venueReveal).
  * @typedef {Object} VenueGroup
  * @property {string} groupId
  * @property {string} groupName
@@ -415,7 +760,9 @@ export const createSubscriptionPricing = (overrides = {}) => ({
  * @property {string} venueName
  * @property {string} venueAddress
  * @property {string} mapUrl
- * @property {boolean} locationRevealed
+ * @property {string} [venueId] - Catalog location the venue was picked from
+ * @property {boolean} locationRevealed - Members only see the event's area until true
+ * @property {string|null} revealedAt - When the venue was sent to members
  */
 export const createVenueGroup = (overrides = {}) => ({
   groupId: '',
@@ -425,5 +772,21 @@ export const createVenueGroup = (overrides = {}) => ({
   venueAddress: '',
   mapUrl: '',
   locationRevealed: false,
+  revealedAt: null,
+  ...overrides,
+});
+
+/**
+ * EventRound — one round of a multi-round event (e.g. dinner, then drinks),
+ * embedded in event.rounds. Everyone is regrouped between rounds.
+ * @typedef {Object} EventRound
+ * @property {string} label - e.g. 'Dinner'
+ * @property {string} startTime - 'HH:MM' on the event day; '' = not set
+ * @property {VenueGroup[]} venueGroups
+ */
+export const createEventRound = (overrides = {}) => ({
+  label: '',
+  startTime: '',
+  venueGroups: [],
   ...overrides,
 });
@@ -1,156 +1,290 @@
 /**
- * AI Scheduling Service — Scaffold
+ * AI Scheduling Service
  *
- * This service provides AI-assisted group scheduling for Gatherly events.
- * Full automation is deferred; this scaffold sets up config and prompt structure.
+ * Groups event attendees through a pluggable scheduling provider:
+ *   - local:  the deterministic group solver (no network)
+ *   - openai: any OpenAI-compatible chat completions endpoint
+ *   - mock:   canned or computed results, for tests and demos
+ *
+ * Whatever a provider returns is validated against SCHEDULING_RESULT_SCHEMA
+ * and checked so every attendee is placed exactly once within the group size
+ * limit. Invalid output or a failing provider is retried, then replaced by
+ * the local solver, so runScheduling always returns a usable grouping.
+ *
+ * The API key never ships with the app: AI grouping runs in the
+ * generateEventGroups callable (functions/), which builds its provider with
+ * the server-side key. Without a key every caller gets the local solver.
+ * To exercise the HTTP provider offline, run `node scripts/scheduling-stub-server.js`
+ * and point the function's AI_BASE_URL at it.
  */
 
-/** AI Scheduling configuration (populated from environment/admin settings) */
+import { solveGroups } from '../algorithms/groupSolver';
+import {
+  SCHEDULING_RESULT_SCHEMA,
+  validateGrouping,
+  validateSchema,
+} from '../algorithms/groupingValidation';
+import { getRatingScore } from '../models';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/** AI Scheduling configuration */
 export const aiConfig = {
-  openaiApiKey: process.env.REACT_APP_OPENAI_API_KEY || '',
+  baseUrl: OPENAI_BASE_URL,
   model: 'gpt-4o-mini',
   maxTokens: 1000,
+  temperature: 0.3,
+  timeoutMs: 20000,
+  retries: 1,
   schedulingPromptTemplate: `
 You are an AI assistant for Gatherly, a social gathering platform.
-Your task is to intelligently group event attendees into compatible sub-groups.
-
-Given the following attendees array, recommend optimal groupings:
+Your task is to group {{attendeeCount}} event attendees into compatible groups of at most {{maxPerGroup}} people.
 
-ATTENDEES:
+Each group should be as compatible as possible: prefer people who rated each other highly,
+share similar interests, or are close in age, and balance genders where possible.
+Avoid putting people who rated each other 1 in the same group.
+{{recentPairs}}
+PEOPLE:
 {{attendees}}
 
-CONSTRAINTS:
-- Target group size: {{targetGroupSize}}
-- Max groups: {{maxGroups}}
-- Location limit per group: {{locationLimit}}
+RATINGS (score 1-5, 5=best):
+{{ratings}}
+
+RULES:
+- Every person ID appears in exactly one group.
+- No group has more than {{maxPerGroup}} people.
 
-OUTPUT FORMAT (JSON):
+OUTPUT FORMAT (JSON only, no commentary, no markdown):
 {
   "groups": [
     {
       "groupId": 1,
       "memberIds": ["uid1", "uid2"],
-      "compatibilityScore": 0.85,
-      "suggestedVenue": "optional venue note"
+      "compatibilityScore": 0.85
     }
   ],
-  "totalGroups": 2,
+  "totalGroups": 1,
   "schedulingNotes": "brief explanation"
 }
-
-Consider:
-1. Shared interests between attendees
-2. Prior positive ratings between attendees
-3. Even gender distribution if possible
-4. First-time vs. repeat attendees balance
 `.trim(),
 };
 
 /**
  * Build the scheduling prompt for a given set of attendees.
- * @param {Array} attendees - Array of attendee objects
+ * @param {Array} attendees - Attendee profiles
  * @param {Object} constraints - Scheduling constraints
- * @param {number} constraints.targetGroupSize - Ideal group size
- * @param {number} constraints.maxGroups - Maximum number of groups
- * @param {number} constraints.locationLimit - Max people per location
+ * @param {number} constraints.targetGroupSize - Max people per group
+ * @param {Array} [constraints.ratings] - Rating documents between attendees
+ * @param {Object} [constraints.history] - Pair history from buildPairHistory
  * @returns {string} The formatted prompt
  */
 export function buildSchedulingPrompt(attendees, constraints = {}) {
-  const targetGroupSize = constraints.targetGroupSize ?? 10;
-  const maxGroups = constraints.maxGroups ?? Math.ceil(attendees.length / targetGroupSize);
-  const locationLimit = constraints.locationLimit ?? targetGroupSize;
+  const { targetGroupSize = 10, ratings = [], history = {} } = constraints;
+  const ids = new Set(attendees.map((a) => a.id));
 
-  const attendeeSummaries = attendees.map(a => ({
+  const attendeeSummaries = attendees.map((a) => ({
     id: a.id,
-    interests: a.preferences?.interests || '',
+    name: a.displayName || a.name || a.id,
+    interests: Array.isArray(a.preferences?.interests)
+      ? a.preferences.interests.join(', ')
+      : (a.preferences?.interests || ''),
+    birthYear: a.dateOfBirth ? a.dateOfBirth.substring(0, 4) : '',
     gender: a.gender || 'unknown',
-    city: a.city || '',
-    priorEvents: a.priorEvents || 0,
-    ratings: a.ratings || [],
   }));
 
+  const ratingSummaries = ratings
+    .filter((r) => ids.has(r.fromUserId) && ids.has(r.toUserId) && getRatingScore(r) !== null)
+    .map((r) => ({
+      from: r.fromUserId,
+      to: r.toUserId,
+      // Same scale the local solver scores with
+      score: getRatingScore(r),
+    }));
+
+  // Pairs of attendees who already shared a group at an earlier event
+  const recentPairs = Object.entries(history)
+    .map(([key, h]) => ({ pair: key.split('|'), timesMet: h.count }))
+    .filter(({ pair }) => ids.has(pair[0]) && ids.has(pair[1]));
+
   return aiConfig.schedulingPromptTemplate
+    .replace('{{attendeeCount}}', attendees.length)
+    .replace(/\{\{maxPerGroup\}\}/g, targetGroupSize)
+    .replace('{{recentPairs}}', recentPairs.length
+      ? `Also avoid re-pairing people who already sat together recently:\n${JSON.stringify(recentPairs)}\n`
+      : '')
     .replace('{{attendees}}', JSON.stringify(attendeeSummaries, null, 2))
-    .replace('{{targetGroupSize}}', targetGroupSize)
-    .replace('{{maxGroups}}', maxGroups)
-    .replace('{{locationLimit}}', locationLimit);
+    .replace('{{ratings}}', JSON.stringify(ratingSummaries, null, 2));
 }
 
 /**
- * Run AI-assisted scheduling for an event's attendees.
- *
- * NOTE: This is a scaffold. Full OpenAI integration is deferred.
- * Currently returns a mock grouping for development/testing.
- *
- * @param {Array} attendees - Event attendees
- * @param {Object} constraints - Scheduling constraints
- * @returns {Promise<Object>} Scheduling result with groups
+ * Scheduling provider interface.
+ * @typedef {Object} SchedulingProvider
+ * @property {string} name
+ * @property {(request: { attendees: Array, constraints: Object, prompt: string }) => Promise<Object>} generate
+ *   Resolves with a result matching SCHEDULING_RESULT_SCHEMA (validated by the caller)
+ */
+
+/**
+ * Provider backed by the local group solver.
+ * @returns {SchedulingProvider}
+ */
+export function createLocalProvider() {
+  return {
+    name: 'local',
+    async generate({ attendees, constraints }) {
+      const { targetGroupSize = 10, ratings = [], history = {}, freshnessWeight = 0 } = constraints;
+      const solved = solveGroups(attendees, { maxPerGroup: targetGroupSize, ratings, history, freshnessWeight });
+      return {
+        groups: solved.groups.map((g, i) => ({
+          groupId: i + 1,
+          memberIds: g.memberIds,
+          compatibilityScore: g.compatibilityScore,
+        })),
+        totalGroups: solved.groups.length,
+        schedulingNotes: 'Local group solver',
+      };
+    },
+  };
+}
+
+/**
+ * Provider for an OpenAI-compatible chat completions endpoint.
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - API root, e.g. https://api.openai.com/v1
+ * @param {string} [options.apiKey] - Sent as a Bearer token when set
+ * @param {string} [options.model]
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ * @param {Function} [options.fetchImpl] - fetch replacement (tests)
+ * @returns {SchedulingProvider}
  */
-export async function runScheduling(attendees, constraints = {}) {
-  if (!aiConfig.openaiApiKey) {
-    console.warn('[aiScheduling] No OpenAI API key configured. Using fallback grouping.');
-    return fallbackGrouping(attendees, constraints);
+export function createHttpProvider({
+  baseUrl = aiConfig.baseUrl,
+  apiKey = '',
+  model = aiConfig.model,
+  timeoutMs = aiConfig.timeoutMs,
+  fetchImpl = (...args) => fetch(...args),
+} = {}) {
+  return {
+    name: 'openai',
+    async generate({ prompt }) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const response = await fetchImpl(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          },
+          body: JSON.stringify({
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: aiConfig.temperature,
+            max_tokens: aiConfig.maxTokens,
+            response_format: { type: 'json_object' },
+          }),
+          signal: controller.signal,
+        });
+        if (!response.ok) throw new Error(`Scheduling endpoint returned ${response.status}`);
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content?.trim() || '';
+        try {
+          return JSON.parse(content);
+        } catch (parseErr) {
+          throw new Error('Scheduling endpoint returned invalid JSON');
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`Scheduling endpoint timed out after ${timeoutMs}ms`);
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+/**
+ * Provider that returns a fixed result, or whatever `respond(request)` returns.
+ * @param {Object|Function} respond
+ * @returns {SchedulingProvider}
+ */
+export function createMockProvider(respond) {
+  return {
+    name: 'mock',
+    async generate(request) {
+      return typeof respond === 'function' ? respond(request) : respond;
+    },
+  };
+}
+
+/**
+ * The HTTP provider when an API key or a custom endpoint is given, else local.
+ * @param {Object} [options]
+ * @param {string} [options.apiKey]
+ * @param {string} [options.baseUrl]
+ * @returns {SchedulingProvider}
+ */
+export function getDefaultProvider({ apiKey = '', baseUrl = '' } = {}) {
+  if (apiKey || (baseUrl && baseUrl !== OPENAI_BASE_URL)) {
+    return createHttpProvider({ apiKey, baseUrl: baseUrl || OPENAI_BASE_URL });
+  }
+  return createLocalProvider();
+}
+
+/**
+ * Run scheduling for an event's attendees.
+ * @param {Array} attendees - Attendee profiles ({ id, ... })
+ * @param {Object} constraints - See buildSchedulingPrompt; also freshnessWeight
+ * @param {Object} [options]
+ * @param {SchedulingProvider} [options.provider] - Defaults to getDefaultProvider()
+ * @param {number} [options.retries] - Extra attempts after a failed or invalid response
+ * @returns {Promise<Object>} Validated result with groups, totalGroups, schedulingNotes and provider.
+ *   With no attendees the provider is not called and groups is empty.
+ */
+export async function runScheduling(attendees, constraints = {}, options = {}) {
+  const { provider = getDefaultProvider(), retries = aiConfig.retries } = options;
+  // The result schema requires at least one group, so there is nothing to ask the provider
+  if (!attendees.length) {
+    return { groups: [], totalGroups: 0, schedulingNotes: 'No attendees to group.', provider: provider.name };
   }
+  const attendeeIds = attendees.map((a) => a.id);
+  const maxPerGroup = constraints.targetGroupSize ?? 10;
+  const request = { attendees, constraints, prompt: buildSchedulingPrompt(attendees, constraints) };
 
-  try {
-    const prompt = buildSchedulingPrompt(attendees, constraints);
-
-    // Full OpenAI integration deferred - scaffold only
-    // When ready, uncomment and implement:
-    /*
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${aiConfig.openaiApiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: aiConfig.model,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: aiConfig.maxTokens,
-        response_format: { type: 'json_object' },
-      }),
-    });
-    const data = await response.json();
-    return JSON.parse(data.choices[0].message.content);
-    */
-
-    console.log('[aiScheduling] Prompt built:', prompt.substring(0, 200) + '...');
-    return fallbackGrouping(attendees, constraints);
-  } catch (error) {
-    console.error('[aiScheduling] Error running scheduling:', error);
-    return fallbackGrouping(attendees, constraints);
+  let lastError = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const result = await provider.generate(request);
+      const errors = validateSchema(result, SCHEDULING_RESULT_SCHEMA);
+      if (!errors.length) errors.push(...validateGrouping(result, attendeeIds, maxPerGroup));
+      if (errors.length) throw new Error(`Invalid grouping: ${errors.slice(0, 5).join('; ')}`);
+      return {
+        ...result,
+        totalGroups: result.groups.length,
+        provider: provider.name,
+      };
+    } catch (error) {
+      lastError = error;
+      console.warn(`[aiScheduling] ${provider.name} attempt ${attempt + 1} failed:`, error.message);
+    }
   }
+
+  if (provider.name === 'local') throw lastError;
+  return fallbackGrouping(attendees, constraints, lastError);
 }
 
 /**
- * Fallback grouping algorithm (no AI).
- * Splits attendees into roughly equal groups.
+ * Fallback grouping when the selected provider keeps failing.
  * @param {Array} attendees
  * @param {Object} constraints
- * @returns {Object} Grouping result
+ * @param {Error} reason
+ * @returns {Promise<Object>} Grouping result
  */
-function fallbackGrouping(attendees, constraints = {}) {
-  const { targetGroupSize = 10 } = constraints;
-  const totalGroups = Math.ceil(attendees.length / targetGroupSize);
-  const groups = [];
-
-  for (let i = 0; i < totalGroups; i++) {
-    const start = i * targetGroupSize;
-    const end = start + targetGroupSize;
-    const members = attendees.slice(start, end);
-
-    groups.push({
-      groupId: i + 1,
-      memberIds: members.map(m => m.id),
-      compatibilityScore: null,
-      suggestedVenue: null,
-    });
-  }
-
+async function fallbackGrouping(attendees, constraints, reason) {
+  const result = await createLocalProvider().generate({ attendees, constraints });
   return {
-    groups,
-    totalGroups,
-    schedulingNotes: 'Fallback sequential grouping (AI key not configured)',
+    ...result,
+    provider: 'local',
+    schedulingNotes: `Fallback local solver grouping (${reason?.message || 'provider failed'})`,
   };
 }
@@ -0,0 +1,123 @@
+/** @jest-environment node */
+import http from 'http';
+import {
+  buildSchedulingPrompt,
+  createHttpProvider,
+  createLocalProvider,
+  createMockProvider,
+  runScheduling,
+} from './aiScheduling';
+import { validateGrouping, validateSchema, SCHEDULING_RESULT_SCHEMA } from '../algorithms/groupingValidation';
+
+const { createStubServer } = require('../../scripts/scheduling-stub-server');
+
+const people = ['a', 'b', 'c', 'd', 'e'].map((id) => ({ id, displayName: id.toUpperCase(), preferences: {} }));
+
+// Minimal fetch over node's http module; jest's node environment has no global fetch
+const nodeFetch = (url, { method, headers, body, signal }) => new Promise((resolve, reject) => {
+  const req = http.request(url, { method, headers }, (res) => {
+    let text = '';
+    res.on('data', (chunk) => { text += chunk; });
+    res.on('end', () => resolve({ ok: res.statusCode < 300, status: res.statusCode, json: async () => JSON.parse(text) }));
+  });
+  req.on('error', reject);
+  signal.addEventListener('abort', () => {
+    req.destroy();
+    const error = new Error('aborted');
+    error.name = 'AbortError';
+    reject(error);
+  });
+  req.end(body);
+});
+
+const withStub = async (mode, run) => {
+  const server = createStubServer({ mode, delayMs: 300 });
+  await new Promise((resolve) => server.listen(0, resolve));
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}/v1`);
+  } finally {
+    server.closeAllConnections?.();
+    await new Promise((resolve) => server.close(resolve));
+  }
+};
+
+beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+afterEach(() => console.warn.mockRestore());
+
+test('validates result shape and the grouping itself', () => {
+  expect(validateSchema({ groups: [{ memberIds: ['a'], extra: 1 }] }, SCHEDULING_RESULT_SCHEMA))
+    .toEqual(['result.groups[0].extra is not allowed']);
+  expect(validateSchema([['a', 'b']], SCHEDULING_RESULT_SCHEMA)).toEqual(['result should be object']);
+
+  const errors = validateGrouping({ groups: [{ memberIds: ['a', 'b', 'a'] }, { memberIds: ['x'] }] }, ['a', 'b', 'c'], 2);
+  expect(errors).toEqual([
+    'group 1 has 3 members (max 2)',
+    'attendee a appears more than once',
+    'group 2 contains unknown attendee x',
+    'missing attendee(s): c',
+  ]);
+});
+
+test('the prompt scores ratings on the same scale as the local solver', () => {
+  const ratings = [
+    { fromUserId: 'a', toUserId: 'b', value: 'like_a_little' },
+    { fromUserId: 'b', toUserId: 'a', score: 2 },
+    { fromUserId: 'c', toUserId: 'd' },
+  ];
+  const prompt = buildSchedulingPrompt(people, { targetGroupSize: 3, ratings });
+  const summaries = JSON.parse(prompt.split('5=best):\n')[1].split('\n\nRULES')[0]);
+  expect(summaries).toEqual([{ from: 'a', to: 'b', score: 4 }, { from: 'b', to: 'a', score: 2 }]);
+});
+
+test('local provider output passes validation', async () => {
+  const result = await runScheduling(people, { targetGroupSize: 3 }, { provider: createLocalProvider() });
+  expect(result.provider).toBe('local');
+  expect(result.groups.flatMap((g) => g.memberIds).sort()).toEqual(['a', 'b', 'c', 'd', 'e']);
+});
+
+test('no attendees gives an empty grouping without calling the provider', async () => {
+  const respond = jest.fn();
+  const result = await runScheduling([], { targetGroupSize: 3 }, { provider: createMockProvider(respond) });
+  expect(result).toMatchObject({ groups: [], totalGroups: 0, provider: 'mock' });
+  expect(result.schedulingNotes).toMatch(/No attendees/);
+  expect(respond).not.toHaveBeenCalled();
+});
+
+test('retries invalid mock output, then falls back to the local solver', async () => {
+  const respond = jest.fn()
+    .mockResolvedValueOnce({ groups: [{ memberIds: ['a', 'b', 'c', 'd', 'e'] }] })
+    .mockResolvedValueOnce({ groups: [{ memberIds: ['a', 'b', 'c'] }, { memberIds: ['d', 'e'] }] });
+  const result = await runScheduling(people, { targetGroupSize: 3 }, { provider: createMockProvider(respond), retries: 1 });
+  expect(respond).toHaveBeenCalledTimes(2);
+  expect(result.provider).toBe('mock');
+
+  const broken = await runScheduling(people, { targetGroupSize: 3 }, {
+    provider: createMockProvider({ groups: [] }),
+    retries: 2,
+  });
+  expect(broken.provider).toBe('local');
+  expect(broken.schedulingNotes).toMatch(/at least 1 item/);
+});
+
+test('HTTP provider works against the stub server and rejects its bad modes', async () => {
+  const ok = await withStub('ok', (baseUrl) => runScheduling(people, { targetGroupSize: 2 }, {
+    provider: createHttpProvider({ baseUrl, apiKey: '', fetchImpl: nodeFetch }),
+  }));
+  expect(ok.provider).toBe('openai');
+  expect(ok.groups.map((g) => g.memberIds)).toEqual([['a', 'd'], ['b', 'e'], ['c']]);
+
+  for (const [mode, reason] of [['invalid', /appears more than once/], ['garbage', /invalid JSON/], ['error', /500/]]) {
+    const result = await withStub(mode, (baseUrl) => runScheduling(people, { targetGroupSize: 2 }, {
+      provider: createHttpProvider({ baseUrl, fetchImpl: nodeFetch }),
+      retries: 0,
+    }));
+    expect(result.provider).toBe('local');
+    expect(result.schedulingNotes).toMatch(reason);
+  }
+
+  const slow = await withStub('slow', (baseUrl) => runScheduling(people, { targetGroupSize: 2 }, {
+    provider: createHttpProvider({ baseUrl, timeoutMs: 50, fetchImpl: nodeFetch }),
+    retries: 0,
+  }));
+  expect(slow.schedulingNotes).toMatch(/timed out after 50ms/);
+});
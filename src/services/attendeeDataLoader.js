@@ -0,0 +1,99 @@
+/**
+ * Attendee Data Loader — everything the grouping algorithms need about an
+ * event's attendees, for any attendee count.
+ *
+ * Firestore `in` filters accept a limited number of values, so IDs are
+ * queried in chunks, in parallel. Ratings are fetched for every attendee as
+ * rater and kept only when the rated person also attends, which gives the
+ * full ratings matrix between attendees.
+ *
+ * The loaders take the app's Firestore instance, or a reader with the same
+ * `findDocs` backed by the Admin SDK (functions/src/adminReader.js), so the
+ * Cloud Functions load attendees exactly the way the app does.
+ */
+import { collection, documentId, getDocs, query, where } from 'firebase/firestore';
+
+/** Filter field that matches the document ID (see findDocs). */
+export const DOCUMENT_ID = '__id__';
+
+/** Max values per Firestore `in` filter. */
+export const IN_QUERY_LIMIT = 30;
+
+/**
+ * Split a list into runs of at most `size`, e.g. IDs for `in` filters.
+ * @param {Array} list
+ * @param {number} size
+ * @returns {Array[]}
+ */
+export const chunk = (list, size) => Array.from(
+  { length: Math.ceil(list.length / size) },
+  (_, i) => list.slice(i * size, (i + 1) * size)
+);
+
+/**
+ * Run a query of `where` filters against one collection.
+ * @param {Firestore|{ findDocs: Function }} db - App Firestore, or a reader from the Cloud Functions
+ * @param {string} collectionName
+ * @param {Array<[string, string, *]>} filters - [field, op, value]; DOCUMENT_ID filters on the document ID
+ * @returns {Promise<Object[]>} Documents as { id, ...data }
+ */
+export async function findDocs(db, collectionName, filters = []) {
+  if (typeof db?.findDocs === 'function') return db.findDocs(collectionName, filters);
+  const snap = await getDocs(query(
+    collection(db, collectionName),
+    ...filters.map(([field, op, value]) => where(field === DOCUMENT_ID ? documentId() : field, op, value))
+  ));
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Load user profiles by ID. Users without a profile document get a
+ * placeholder so they can still be grouped.
+ * @param {Firestore} db
+ * @param {string[]} userIds
+ * @returns {Promise<Object[]>} Profiles ({ id, ...data }) in userIds order
+ */
+export async function loadProfiles(db, userIds) {
+  const found = await Promise.all(chunk(userIds, IN_QUERY_LIMIT).map((ids) => (
+    findDocs(db, 'users', [[DOCUMENT_ID, 'in', ids]])
+  )));
+  const byId = {};
+  found.flat().forEach((profile) => { byId[profile.id] = profile; });
+  return userIds.map((uid) => byId[uid] || { id: uid, displayName: uid, preferences: {} });
+}
+
+/**
+ * Load every rating given by one of the users to another of them.
+ * @param {Firestore} db
+ * @param {string[]} userIds
+ * @returns {Promise<Object[]>} Rating documents
+ */
+export async function loadRatingsBetween(db, userIds) {
+  const members = new Set(userIds);
+  const found = await Promise.all(chunk(userIds, IN_QUERY_LIMIT).map((ids) => (
+    findDocs(db, 'ratings', [['fromUserId', 'in', ids]])
+  )));
+  return found
+    .flat()
+    .map(({ id: _id, ...rating }) => rating)
+    .filter((r) => members.has(r.toUserId));
+}
+
+/**
+ * Load an event's confirmed attendees with their profiles and the ratings
+ * between them.
+ * @param {Firestore} db
+ * @param {string} eventId
+ * @returns {Promise<{ attendeeIds: string[], profiles: Object[], ratings: Object[] }>}
+ */
+export async function loadEventAttendees(db, eventId) {
+  const bookings = await findDocs(db, 'bookings', [['eventId', '==', eventId], ['status', '==', 'confirmed']]);
+  const attendeeIds = [...new Set(bookings.map((b) => b.userId).filter(Boolean))];
+  if (!attendeeIds.length) return { attendeeIds, profiles: [], ratings: [] };
+
+  const [profiles, ratings] = await Promise.all([
+    loadProfiles(db, attendeeIds),
+    loadRatingsBetween(db, attendeeIds),
+  ]);
+  return { attendeeIds, profiles, ratings };
+}
@@ -0,0 +1,57 @@
+import { getDocs } from 'firebase/firestore';
+import { installFakeFirestore } from '../testUtils/fakeFirestore';
+import {
+  DOCUMENT_ID,
+  IN_QUERY_LIMIT,
+  chunk,
+  loadEventAttendees,
+} from './attendeeDataLoader';
+
+const userIds = Array.from({ length: 65 }, (_, i) => `u${i}`);
+const collections = {
+  bookings: [...userIds, 'u0'].map((userId) => ({ id: `b-${userId}`, eventId: 'e1', status: 'confirmed', userId })),
+  users: userIds.filter((id) => id !== 'u64').map((id) => ({ id, displayName: id.toUpperCase() })),
+  ratings: [
+    { fromUserId: 'u1', toUserId: 'u50', score: 5 },
+    { fromUserId: 'u40', toUserId: 'u2', score: 1 },
+    { fromUserId: 'u63', toUserId: 'outsider', score: 4 },
+  ],
+};
+
+installFakeFirestore(() => Object.fromEntries(Object.entries(collections).flatMap(([name, rows]) => (
+  rows.map((row, i) => [`${name}/${row.id || `${name}${i}`}`, row])
+))));
+
+test('splits lists into chunks of at most the given size', () => {
+  expect(chunk([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+  expect(chunk([], IN_QUERY_LIMIT)).toEqual([]);
+});
+
+test('loads every profile and rating between attendees in chunks', async () => {
+  const { attendeeIds, profiles, ratings } = await loadEventAttendees({}, 'e1');
+
+  expect(attendeeIds).toEqual(userIds);
+  expect(profiles).toHaveLength(65);
+  expect(profiles[10]).toMatchObject({ id: 'u10', displayName: 'U10' });
+  expect(profiles[64]).toEqual({ id: 'u64', displayName: 'u64', preferences: {} });
+  expect(ratings.map((r) => `${r.fromUserId}>${r.toUserId}`)).toEqual(['u1>u50', 'u40>u2']);
+
+  const inQueries = getDocs.mock.calls.flatMap(([q]) => q.filters).filter((f) => f.op === 'in');
+  expect(inQueries).toHaveLength(6);
+  inQueries.forEach((f) => expect(f.value.length).toBeLessThanOrEqual(IN_QUERY_LIMIT));
+});
+
+test('loaders read through a findDocs reader, as the Cloud Functions do', async () => {
+  const reader = {
+    findDocs: jest.fn(async (name, filters) => collections[name].filter((row) => filters.every(([field, op, value]) => {
+      const actual = field === DOCUMENT_ID ? row.id : row[field];
+      return op === 'in' ? value.includes(actual) : actual === value;
+    }))),
+  };
+
+  const { attendeeIds, ratings } = await loadEventAttendees(reader, 'e1');
+  expect(attendeeIds).toHaveLength(65);
+  expect(ratings).toHaveLength(2);
+  expect(getDocs).not.toHaveBeenCalled();
+  expect(reader.findDocs).toHaveBeenCalledWith('users', [[DOCUMENT_ID, 'in', userIds.slice(0, IN_QUERY_LIMIT)]]);
+});
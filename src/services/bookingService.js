@@ -0,0 +1,318 @@
+/**
+ * Booking Service — every write that touches `bookings` or an event's
+ * attendance fields (`currentAttendees`, `attendeeIds`, `waitlist`) goes
+ * through here, inside a single Firestore transaction.
+ *
+ * Booking documents use a deterministic ID (`{userId}_{eventId}`), so a
+ * double tap or a retried request rewrites the same document instead of
+ * creating a duplicate.
+ *
+ * Only published events that haven't started take bookings or waitlist
+ * entries; the transaction checks the event as it is, so a stale card can't
+ * book an event that was cancelled meanwhile. Friends in a no-show cooldown
+ * (see reliabilityService) can neither book nor join a waitlist; the
+ * transaction checks the cooldown stored on their user document.
+ */
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  runTransaction,
+  where,
+} from 'firebase/firestore';
+import { BOOKING_STATUS, EVENT_STATUS, createWaitlistEntry } from '../models';
+import { isPastEvent, normalizeEventStatus } from './eventLifecycle';
+import { cooldownEndsAt } from './reliabilityService';
+
+/** Error message thrown by bookEvent when no seat is left. */
+export const EVENT_FULL_ERROR = 'event-full';
+
+/** Error message thrown by bookEvent and joinWaitlist while the user's booking is paused. */
+export const BOOKING_COOLDOWN_ERROR = 'booking-cooldown';
+
+/** Error message thrown by bookEvent and joinWaitlist for events that aren't open for booking. */
+export const EVENT_CLOSED_ERROR = 'event-closed';
+
+/**
+ * Deterministic booking document ID for a user/event pair.
+ * @param {string} userId
+ * @param {string} eventId
+ * @returns {string}
+ */
+export const bookingIdFor = (userId, eventId) => `${userId}_${eventId}`;
+
+/**
+ * Events without a positive maxAttendees (legacy docs) are treated as unlimited.
+ * @param {Object} eventData
+ * @returns {boolean}
+ */
+export const isEventFull = (eventData) => {
+  const max = Number(eventData?.maxAttendees || 0);
+  return max > 0 && Number(eventData?.currentAttendees || 0) >= max;
+};
+
+// Published and not started yet
+const isOpenForBooking = (eventData) => (
+  normalizeEventStatus(eventData.status) === EVENT_STATUS.PUBLISHED && !isPastEvent(eventData)
+);
+
+/**
+ * Load a user's bookings for an event that predate deterministic IDs.
+ * Transactions can't query, so callers read these refs again inside theirs.
+ * @param {Firestore} db
+ * @param {string} eventId
+ * @param {string} userId
+ * @returns {Promise<DocumentReference[]>}
+ */
+async function legacyBookingRefs(db, eventId, userId) {
+  const snap = await getDocs(
+    query(collection(db, 'bookings'), where('eventId', '==', eventId), where('userId', '==', userId))
+  );
+  return snap.docs.filter((d) => d.id !== bookingIdFor(userId, eventId)).map((d) => d.ref);
+}
+
+/**
+ * Book a seat for a user. Idempotent: booking an event twice is a no-op,
+ * including when the seat came from a legacy booking or the user is already
+ * in `attendeeIds`.
+ * @param {Firestore} db
+ * @param {object} params
+ * @param {string} params.eventId
+ * @param {string} params.userId
+ * @returns {Promise<{ bookingId: string, alreadyBooked: boolean }>}
+ * @throws {Error} EVENT_FULL_ERROR when the event has no free seat
+ * @throws {Error} EVENT_CLOSED_ERROR unless the event is published and hasn't started
+ * @throws {Error} BOOKING_COOLDOWN_ERROR during a no-show cooldown
+ */
+export async function bookEvent(db, { eventId, userId }) {
+  const bookingId = bookingIdFor(userId, eventId);
+  const legacyRefs = await legacyBookingRefs(db, eventId, userId);
+
+  return runTransaction(db, async (transaction) => {
+    const eventRef = doc(db, 'events', eventId);
+    const bookingRef = doc(db, 'bookings', bookingId);
+    const [eventSnap, userSnap, bookingSnap, ...legacySnaps] = await Promise.all([
+      transaction.get(eventRef),
+      transaction.get(doc(db, 'users', userId)),
+      transaction.get(bookingRef),
+      ...legacyRefs.map((ref) => transaction.get(ref)),
+    ]);
+    if (!eventSnap.exists()) throw new Error('Event not found');
+
+    const existing = eventSnap.data();
+    const attendeeIds = existing.attendeeIds || [];
+    const confirmedSnap = [bookingSnap, ...legacySnaps]
+      .find((snap) => snap.exists() && snap.data().status === BOOKING_STATUS.CONFIRMED);
+    const counted = attendeeIds.includes(userId);
+    if (confirmedSnap && counted) return { bookingId: confirmedSnap.id, alreadyBooked: true };
+    if (!isOpenForBooking(existing)) throw new Error(EVENT_CLOSED_ERROR);
+    if (cooldownEndsAt(userSnap.data())) throw new Error(BOOKING_COOLDOWN_ERROR);
+    if (!counted && isEventFull(existing)) throw new Error(EVENT_FULL_ERROR);
+
+    const now = new Date().toISOString();
+    // A confirmed booking whose seat was never counted only needs the counter fixed
+    if (!confirmedSnap) {
+      transaction.set(bookingRef, {
+        userId,
+        eventId,
+        status: BOOKING_STATUS.CONFIRMED,
+        amountPaid: Number(existing.price || 0),
+        createdAt: bookingSnap.exists() ? bookingSnap.data().createdAt || now : now,
+        lastUpdated: now,
+      });
+    }
+    transaction.update(eventRef, {
+      // Already in attendeeIds means the seat is already counted
+      currentAttendees: Number(existing.currentAttendees || 0) + (counted ? 0 : 1),
+      attendeeIds: [...new Set([...attendeeIds, userId])],
+      // A waitlisted Friend who grabs a freed seat directly leaves the queue
+      waitlist: (existing.waitlist || []).filter((entry) => entry.userId !== userId),
+      lastUpdated: now,
+    });
+    return { bookingId: confirmedSnap ? confirmedSnap.id : bookingId, alreadyBooked: false };
+  });
+}
+
+/**
+ * Cancel a user's booking and hand the freed seat to the first person on the
+ * waitlist who isn't in a no-show cooldown; anyone skipped keeps their place.
+ * The promoted booking and its notification are written in the same
+ * transaction.
+ * @param {Firestore} db
+ * @param {object} params
+ * @param {string} params.eventId
+ * @param {string} params.userId
+ * @returns {Promise<WaitlistEntry|null>} The promoted waitlist entry, if any
+ */
+export async function cancelBooking(db, { eventId, userId }) {
+  // Bookings created before deterministic IDs may have duplicates; cancel them all.
+  const bookingRefs = [
+    doc(db, 'bookings', bookingIdFor(userId, eventId)),
+    ...await legacyBookingRefs(db, eventId, userId),
+  ];
+
+  return runTransaction(db, async (transaction) => {
+    const eventRef = doc(db, 'events', eventId);
+    const eventSnap = await transaction.get(eventRef);
+    const bookingSnaps = await Promise.all(bookingRefs.map((ref) => transaction.get(ref)));
+    const queue = [...(eventSnap.exists() ? eventSnap.data().waitlist || [] : [])];
+    const waitlistedSnaps = await Promise.all(queue.map((entry) => transaction.get(doc(db, 'users', entry.userId))));
+
+    const now = new Date().toISOString();
+    bookingSnaps
+      .filter((snap) => snap.exists() && snap.data().status === BOOKING_STATUS.CONFIRMED)
+      .forEach((snap) => {
+        transaction.update(snap.ref, {
+          status: BOOKING_STATUS.CANCELLED,
+          cancelledAt: now,
+          lastUpdated: now,
+        });
+      });
+
+    if (!eventSnap.exists()) return null;
+    const existing = eventSnap.data();
+    const wasAttending = (existing.attendeeIds || []).includes(userId);
+    const nextIds = (existing.attendeeIds || []).filter((uid) => uid !== userId);
+    let nextCount = wasAttending
+      ? Math.max(0, Number(existing.currentAttendees || 0) - 1)
+      : Number(existing.currentAttendees || 0);
+
+    let promoted = null;
+    const nextIndex = waitlistedSnaps.findIndex((snap) => !cooldownEndsAt(snap.data()));
+    if (nextIndex !== -1 && !isEventFull({ ...existing, currentAttendees: nextCount })) {
+      [promoted] = queue.splice(nextIndex, 1);
+      nextIds.push(promoted.userId);
+      nextCount += 1;
+
+      transaction.set(doc(db, 'bookings', bookingIdFor(promoted.userId, eventId)), {
+        userId: promoted.userId,
+        eventId,
+        status: BOOKING_STATUS.CONFIRMED,
+        amountPaid: Number(existing.price || 0),
+        promotedFromWaitlist: true,
+        createdAt: now,
+        lastUpdated: now,
+      });
+      transaction.set(doc(collection(db, 'notifications')), {
+        userId: promoted.userId,
+        type: 'waitlist_promoted',
+        fromUserId: '',
+        eventId,
+        message: `A seat opened up for "${existing.title}" — you've been moved from the waitlist and your booking is confirmed.`,
+        read: false,
+        createdAt: now,
+      });
+    }
+
+    transaction.update(eventRef, {
+      currentAttendees: nextCount,
+      attendeeIds: [...new Set(nextIds)],
+      waitlist: queue,
+      lastUpdated: now,
+    });
+    return promoted;
+  });
+}
+
+/**
+ * Add a user to the end of a full event's waitlist.
+ * @param {Firestore} db
+ * @param {object} params
+ * @param {string} params.eventId
+ * @param {string} params.userId
+ * @param {string} params.displayName
+ * @returns {Promise<number>} 1-based waitlist position, or 0 if a seat is free and the user should book instead
+ * @throws {Error} EVENT_CLOSED_ERROR unless the event is published and hasn't started
+ * @throws {Error} BOOKING_COOLDOWN_ERROR during a no-show cooldown
+ */
+export async function joinWaitlist(db, { eventId, userId, displayName }) {
+  return runTransaction(db, async (transaction) => {
+    const eventRef = doc(db, 'events', eventId);
+    const [eventSnap, userSnap] = await Promise.all([
+      transaction.get(eventRef),
+      transaction.get(doc(db, 'users', userId)),
+    ]);
+    if (!eventSnap.exists()) throw new Error('Event not found');
+    const existing = eventSnap.data();
+    if (!isOpenForBooking(existing)) throw new Error(EVENT_CLOSED_ERROR);
+    if (cooldownEndsAt(userSnap.data())) throw new Error(BOOKING_COOLDOWN_ERROR);
+    // A seat may have opened since the card rendered — book it instead of queueing
+    if (!isEventFull(existing)) return 0;
+
+    const queue = existing.waitlist || [];
+    const index = queue.findIndex((entry) => entry.userId === userId);
+    if (index !== -1) return index + 1;
+
+    transaction.update(eventRef, {
+      waitlist: [...queue, createWaitlistEntry({ userId, displayName })],
+      lastUpdated: new Date().toISOString(),
+    });
+    return queue.length + 1;
+  });
+}
+
+/**
+ * Remove a user from an event's waitlist.
+ * @param {Firestore} db
+ * @param {object} params
+ * @param {string} params.eventId
+ * @param {string} params.userId
+ */
+export async function leaveWaitlist(db, { eventId, userId }) {
+  await runTransaction(db, async (transaction) => {
+    const eventRef = doc(db, 'events', eventId);
+    const eventSnap = await transaction.get(eventRef);
+    if (!eventSnap.exists()) return;
+    transaction.update(eventRef, {
+      waitlist: (eventSnap.data().waitlist || []).filter((entry) => entry.userId !== userId),
+      lastUpdated: new Date().toISOString(),
+    });
+  });
+}
+
+/**
+ * Rebuild an event's `currentAttendees` and `attendeeIds` from its confirmed
+ * bookings. Use it to repair events whose counters drifted before bookings
+ * became transactional. The bookings found by the query, and those of
+ * everyone the event currently counts, are read again inside the
+ * transaction, so a booking or cancellation committed meanwhile is kept.
+ * @param {Firestore} db
+ * @param {string} eventId
+ * @returns {Promise<{ before: number, after: number }>}
+ */
+export async function reconcileEventAttendance(db, eventId) {
+  const bookingsSnap = await getDocs(
+    query(
+      collection(db, 'bookings'),
+      where('eventId', '==', eventId),
+      where('status', '==', BOOKING_STATUS.CONFIRMED)
+    )
+  );
+
+  return runTransaction(db, async (transaction) => {
+    const eventRef = doc(db, 'events', eventId);
+    const eventSnap = await transaction.get(eventRef);
+    if (!eventSnap.exists()) throw new Error('Event not found');
+    const existing = eventSnap.data();
+
+    const refs = new Map(bookingsSnap.docs.map((d) => [d.id, d.ref]));
+    (existing.attendeeIds || []).forEach((uid) => {
+      const id = bookingIdFor(uid, eventId);
+      if (!refs.has(id)) refs.set(id, doc(db, 'bookings', id));
+    });
+    const bookingSnaps = await Promise.all([...refs.values()].map((ref) => transaction.get(ref)));
+    const attendeeIds = [...new Set(bookingSnaps
+      .filter((snap) => snap.exists() && snap.data().status === BOOKING_STATUS.CONFIRMED)
+      .map((snap) => snap.data().userId)
+      .filter(Boolean))];
+
+    transaction.update(eventRef, {
+      currentAttendees: attendeeIds.length,
+      attendeeIds,
+      waitlist: (existing.waitlist || []).filter((entry) => !attendeeIds.includes(entry.userId)),
+      lastUpdated: new Date().toISOString(),
+    });
+    return { before: Number(existing.currentAttendees || 0), after: attendeeIds.length };
+  });
+}
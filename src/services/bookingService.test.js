@@ -0,0 +1,150 @@
+import { getDocs } from 'firebase/firestore';
+import { installFakeFirestore } from '../testUtils/fakeFirestore';
+import {
+  BOOKING_COOLDOWN_ERROR,
+  EVENT_CLOSED_ERROR,
+  EVENT_FULL_ERROR,
+  bookEvent,
+  cancelBooking,
+  joinWaitlist,
+  leaveWaitlist,
+  reconcileEventAttendance,
+} from './bookingService';
+
+const firestore = installFakeFirestore(() => ({
+  'events/e1': {
+    title: 'Friday Dinner',
+    status: 'published',
+    dateTime: new Date(Date.now() + 3 * 24 * 3600 * 1000).toISOString(),
+    maxAttendees: 2,
+    currentAttendees: 1,
+    attendeeIds: ['a'],
+    waitlist: [],
+    price: 300,
+  },
+  'bookings/a_e1': { userId: 'a', eventId: 'e1', status: 'confirmed' },
+}));
+
+const event = () => firestore.store['events/e1'];
+
+test('booking takes a seat once, however often it is retried', async () => {
+  await expect(bookEvent({}, { eventId: 'e1', userId: 'b' })).resolves.toEqual({ bookingId: 'b_e1', alreadyBooked: false });
+  await expect(bookEvent({}, { eventId: 'e1', userId: 'b' })).resolves.toEqual({ bookingId: 'b_e1', alreadyBooked: true });
+
+  expect(event()).toMatchObject({ currentAttendees: 2, attendeeIds: ['a', 'b'] });
+  expect(firestore.store['bookings/b_e1']).toMatchObject({ status: 'confirmed', amountPaid: 300 });
+  await expect(bookEvent({}, { eventId: 'e1', userId: 'c' })).rejects.toThrow(EVENT_FULL_ERROR);
+});
+
+test('a legacy booking or an existing seat is not counted again', async () => {
+  firestore.store['bookings/random1'] = { userId: 'b', eventId: 'e1', status: 'confirmed' };
+  event().attendeeIds.push('b');
+  event().currentAttendees = 2;
+
+  await expect(bookEvent({}, { eventId: 'e1', userId: 'b' })).resolves.toEqual({ bookingId: 'random1', alreadyBooked: true });
+  expect(firestore.written).toEqual([]);
+
+  // In attendeeIds without a booking: write the booking, keep the count
+  delete firestore.store['bookings/a_e1'];
+  await bookEvent({}, { eventId: 'e1', userId: 'a' });
+  expect(event().currentAttendees).toBe(2);
+  expect(firestore.store['bookings/a_e1'].status).toBe('confirmed');
+});
+
+test('a confirmed legacy booking missing from attendeeIds only fixes the counter', async () => {
+  firestore.store['bookings/random1'] = { userId: 'b', eventId: 'e1', status: 'confirmed' };
+
+  await expect(bookEvent({}, { eventId: 'e1', userId: 'b' })).resolves.toEqual({ bookingId: 'random1', alreadyBooked: false });
+  expect(event()).toMatchObject({ currentAttendees: 2, attendeeIds: ['a', 'b'] });
+  expect(firestore.store['bookings/b_e1']).toBeUndefined();
+});
+
+test('only published events that have not started take bookings or waitlist entries', async () => {
+  const closed = [
+    { status: 'draft' },
+    { status: 'cancelled' },
+    { status: 'completed' },
+    { status: 'archived' },
+    { dateTime: new Date(Date.now() - 3600 * 1000).toISOString() },
+  ];
+  for (const change of closed) {
+    Object.assign(event(), { status: 'published', currentAttendees: 1 }, change);
+    await expect(bookEvent({}, { eventId: 'e1', userId: 'b' })).rejects.toThrow(EVENT_CLOSED_ERROR);
+    event().currentAttendees = 2;
+    await expect(joinWaitlist({}, { eventId: 'e1', userId: 'b', displayName: 'Bea' })).rejects.toThrow(EVENT_CLOSED_ERROR);
+  }
+  expect(firestore.written).toEqual([]);
+});
+
+test('cancelling frees the seat for the first on the waitlist', async () => {
+  Object.assign(event(), { currentAttendees: 2, attendeeIds: ['a', 'b'], waitlist: [{ userId: 'c' }, { userId: 'd' }] });
+  firestore.store['bookings/random1'] = { userId: 'a', eventId: 'e1', status: 'confirmed' };
+
+  await expect(cancelBooking({}, { eventId: 'e1', userId: 'a' })).resolves.toEqual({ userId: 'c' });
+
+  expect(firestore.store['bookings/a_e1'].status).toBe('cancelled');
+  expect(firestore.store['bookings/random1'].status).toBe('cancelled');
+  expect(firestore.store['bookings/c_e1']).toMatchObject({ status: 'confirmed', promotedFromWaitlist: true });
+  expect(firestore.store['notifications/auto']).toMatchObject({ userId: 'c', type: 'waitlist_promoted' });
+  expect(event()).toMatchObject({ currentAttendees: 2, attendeeIds: ['b', 'c'], waitlist: [{ userId: 'd' }] });
+});
+
+test('promotion skips waitlisted Friends in a cooldown, who keep their place', async () => {
+  Object.assign(event(), { currentAttendees: 2, attendeeIds: ['a', 'b'], waitlist: [{ userId: 'c' }, { userId: 'd' }] });
+  firestore.store['users/c'] = { reliability: { cooldownUntil: new Date(Date.now() + 3600 * 1000).toISOString() } };
+
+  await expect(cancelBooking({}, { eventId: 'e1', userId: 'a' })).resolves.toEqual({ userId: 'd' });
+  expect(firestore.store['bookings/c_e1']).toBeUndefined();
+  expect(firestore.store['bookings/d_e1']).toMatchObject({ status: 'confirmed', promotedFromWaitlist: true });
+  expect(event()).toMatchObject({ currentAttendees: 2, attendeeIds: ['b', 'd'], waitlist: [{ userId: 'c' }] });
+});
+
+test('cancelling without a waitlist only frees the seat', async () => {
+  await expect(cancelBooking({}, { eventId: 'e1', userId: 'a' })).resolves.toBeNull();
+  expect(event()).toMatchObject({ currentAttendees: 0, attendeeIds: [] });
+  await cancelBooking({}, { eventId: 'e1', userId: 'a' });
+  expect(event().currentAttendees).toBe(0);
+});
+
+test('the waitlist only takes people while the event is full', async () => {
+  await expect(joinWaitlist({}, { eventId: 'e1', userId: 'c', displayName: 'Carla' })).resolves.toBe(0);
+
+  Object.assign(event(), { currentAttendees: 2, attendeeIds: ['a', 'b'] });
+  await expect(joinWaitlist({}, { eventId: 'e1', userId: 'c', displayName: 'Carla' })).resolves.toBe(1);
+  await expect(joinWaitlist({}, { eventId: 'e1', userId: 'd', displayName: 'Dina' })).resolves.toBe(2);
+  await expect(joinWaitlist({}, { eventId: 'e1', userId: 'c', displayName: 'Carla' })).resolves.toBe(1);
+  expect(event().waitlist.map((entry) => entry.userId)).toEqual(['c', 'd']);
+
+  await leaveWaitlist({}, { eventId: 'e1', userId: 'c' });
+  expect(event().waitlist.map((entry) => entry.userId)).toEqual(['d']);
+});
+
+test('a Friend in a cooldown can neither book nor join the waitlist', async () => {
+  const until = new Date(Date.now() + 24 * 3600 * 1000).toISOString();
+  firestore.store['users/b'] = { reliability: { cooldownUntil: until } };
+
+  await expect(bookEvent({}, { eventId: 'e1', userId: 'b' })).rejects.toThrow(BOOKING_COOLDOWN_ERROR);
+  Object.assign(event(), { currentAttendees: 2, attendeeIds: ['a', 'c'] });
+  await expect(joinWaitlist({}, { eventId: 'e1', userId: 'b', displayName: 'Bea' })).rejects.toThrow(BOOKING_COOLDOWN_ERROR);
+  expect(firestore.written).toEqual([]);
+
+  firestore.store['users/b'].reliability.cooldownUntil = new Date(Date.now() - 1000).toISOString();
+  await expect(joinWaitlist({}, { eventId: 'e1', userId: 'b', displayName: 'Bea' })).resolves.toBe(1);
+});
+
+test('reconciling keeps bookings and cancellations made after its query', async () => {
+  Object.assign(event(), { currentAttendees: 5, attendeeIds: ['a', 'x'] });
+  firestore.store['bookings/legacy'] = { userId: 'l', eventId: 'e1', status: 'confirmed' };
+  const read = getDocs.getMockImplementation();
+  getDocs.mockImplementationOnce(async (q) => {
+    const result = await read(q);
+    // Between the query and the transaction: a cancels, b books
+    firestore.store['bookings/a_e1'] = { ...firestore.store['bookings/a_e1'], status: 'cancelled' };
+    firestore.store['bookings/b_e1'] = { userId: 'b', eventId: 'e1', status: 'confirmed' };
+    event().attendeeIds = ['x', 'b'];
+    return result;
+  });
+
+  await expect(reconcileEventAttendance({}, 'e1')).resolves.toEqual({ before: 5, after: 2 });
+  expect(event()).toMatchObject({ currentAttendees: 2, attendeeIds: ['l', 'b'] });
+});
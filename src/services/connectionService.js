@@ -0,0 +1,203 @@
+/**
+ * Connection Service — connect requests, their answers and the contact
+ * details people exchange.
+ *
+ * The requester picks which contact fields to share when sending a request;
+ * the target picks theirs when accepting. Accepting creates a
+ * `connections/{pairKey}` document holding only those fields, copied from
+ * each profile at that moment. Declining just closes the request. Either way
+ * the requester is notified.
+ *
+ * Each requester has one request document per target
+ * (`connectRequests/{requesterId}_{targetUserId}`), so a double tap can't
+ * send two. A declined request can be sent again.
+ */
+import { collection, doc, runTransaction } from 'firebase/firestore';
+import { pairKey } from '../algorithms/groupSolver';
+import { createConnectRequest, createConnection, createNotification } from '../models';
+
+/** Profile fields that can be shared with a connection. */
+export const CONTACT_FIELDS = [
+  { key: 'phoneNumber', label: 'Phone', icon: '📞' },
+  { key: 'instagram', label: 'Instagram', icon: '📸' },
+  { key: 'email', label: 'Email', icon: '✉️' },
+];
+
+const CONTACT_KEYS = CONTACT_FIELDS.map((f) => f.key);
+
+/**
+ * Deterministic connect request ID for a requester/target pair.
+ * @param {string} requesterId
+ * @param {string} targetUserId
+ * @returns {string}
+ */
+export const connectRequestIdFor = (requesterId, targetUserId) => `${requesterId}_${targetUserId}`;
+
+/**
+ * The agreed fields of a profile that actually have a value.
+ * @param {Object} profile - User document data
+ * @param {string[]} fields - Keys from CONTACT_FIELDS
+ * @returns {Object<string, string>}
+ */
+export function pickContacts(profile, fields = []) {
+  const contacts = {};
+  fields.filter((key) => CONTACT_KEYS.includes(key)).forEach((key) => {
+    const value = String(profile?.[key] || '').trim();
+    if (value) contacts[key] = value;
+  });
+  return contacts;
+}
+
+/**
+ * Send a connect request and notify the target.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.requesterId
+ * @param {string} params.requesterName
+ * @param {string} params.targetUserId
+ * @param {string} [params.eventId] - Event where they met
+ * @param {string} [params.eventTitle]
+ * @param {string[]} [params.shareFields] - Contact fields the requester agrees to share
+ * @returns {Promise<string>} The request ID
+ */
+export async function sendConnectRequest(db, {
+  requesterId, requesterName, targetUserId, eventId = '', eventTitle = '', shareFields = [],
+}) {
+  return runTransaction(db, async (transaction) => {
+    const requestRef = doc(db, 'connectRequests', connectRequestIdFor(requesterId, targetUserId));
+    const existingSnap = await transaction.get(requestRef);
+    const status = existingSnap.exists() ? existingSnap.data().status : null;
+    if (status === 'pending') throw new Error('You already sent a connect request to this person.');
+    if (status === 'approved') throw new Error('You are already connected with this person.');
+
+    const now = new Date().toISOString();
+    const { id: _id, ...request } = createConnectRequest({
+      requesterId,
+      requesterName,
+      targetUserId,
+      eventId,
+      message: `${requesterName} would like to connect with you.`,
+      requesterShares: shareFields.filter((key) => CONTACT_KEYS.includes(key)),
+      createdAt: now,
+    });
+    transaction.set(requestRef, request);
+
+    const { id: _nid, ...notification } = createNotification({
+      userId: targetUserId,
+      type: 'connect_request',
+      fromUserId: requesterId,
+      eventId,
+      message: eventTitle
+        ? `${requesterName} sent you a connect request. They met you at "${eventTitle}".`
+        : `${requesterName} sent you a connect request.`,
+      createdAt: now,
+    });
+    transaction.set(doc(collection(db, 'notifications')), notification);
+    return requestRef.id;
+  });
+}
+
+/**
+ * Accept or decline a pending connect request. Only its target may answer.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.requestId
+ * @param {string} params.responderId
+ * @param {string} [params.responderName] - Shown to the requester
+ * @param {boolean} params.accept
+ * @param {string[]} [params.shareFields] - Contact fields the responder agrees to share
+ * @returns {Promise<Object|null>} The new connection ({ id, ... }) when accepted, otherwise null
+ */
+export async function respondToConnectRequest(db, {
+  requestId, responderId, responderName = '', accept, shareFields = [],
+}) {
+  return runTransaction(db, async (transaction) => {
+    const requestRef = doc(db, 'connectRequests', requestId);
+    const snap = await transaction.get(requestRef);
+    if (!snap.exists()) throw new Error('Connect request not found');
+    const request = snap.data();
+    if (request.targetUserId !== responderId) throw new Error('Not your connect request');
+    if (request.status !== 'pending') throw new Error('This request was already answered');
+
+    const now = new Date().toISOString();
+    const responderShares = accept ? shareFields.filter((key) => CONTACT_KEYS.includes(key)) : [];
+    let connection = null;
+
+    if (accept) {
+      const connectionRef = doc(db, 'connections', pairKey(request.requesterId, responderId));
+      const [requesterSnap, responderSnap, existingSnap] = await Promise.all([
+        transaction.get(doc(db, 'users', request.requesterId)),
+        transaction.get(doc(db, 'users', responderId)),
+        transaction.get(connectionRef),
+      ]);
+      // A match may already have connected them; keep its contacts and add these
+      const existing = existingSnap.exists() ? existingSnap.data() : null;
+      const { id: _id, ...data } = createConnection({
+        userIds: [request.requesterId, responderId].sort(),
+        source: existing?.source || 'request',
+        sourceId: existing?.sourceId || requestId,
+        requestId,
+        contacts: {
+          ...(existing?.contacts || {}),
+          [request.requesterId]: {
+            ...(existing?.contacts?.[request.requesterId] || {}),
+            ...pickContacts(requesterSnap.exists() ? requesterSnap.data() : {}, request.requesterShares),
+          },
+          [responderId]: {
+            ...(existing?.contacts?.[responderId] || {}),
+            ...pickContacts(responderSnap.exists() ? responderSnap.data() : {}, responderShares),
+          },
+        },
+        createdAt: existing?.createdAt || now,
+      });
+      transaction.set(connectionRef, data);
+      connection = { id: connectionRef.id, ...data };
+    }
+
+    transaction.update(requestRef, {
+      status: accept ? 'approved' : 'rejected',
+      responderShares,
+      respondedAt: now,
+    });
+
+    const name = responderName || 'Someone';
+    const { id: _nid, ...notification } = createNotification({
+      userId: request.requesterId,
+      type: accept ? 'connect_accepted' : 'connect_declined',
+      fromUserId: responderId,
+      eventId: request.eventId || '',
+      message: accept
+        ? `${name} accepted your connect request. Their shared contact details are in Friends.`
+        : `${name} declined your connect request.`,
+      createdAt: now,
+    });
+    transaction.set(doc(collection(db, 'notifications')), notification);
+    return connection;
+  });
+}
+
+/**
+ * Change which of your contact fields a connection can see. Values are
+ * re-read from your profile, so this also picks up profile edits.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.connectionId
+ * @param {string} params.userId
+ * @param {string[]} params.shareFields
+ * @returns {Promise<Object<string, string>>} The contacts now shared
+ */
+export async function updateSharedContacts(db, { connectionId, userId, shareFields }) {
+  return runTransaction(db, async (transaction) => {
+    const connectionRef = doc(db, 'connections', connectionId);
+    const [connectionSnap, userSnap] = await Promise.all([
+      transaction.get(connectionRef),
+      transaction.get(doc(db, 'users', userId)),
+    ]);
+    if (!connectionSnap.exists()) throw new Error('Connection not found');
+    if (!connectionSnap.data().userIds.includes(userId)) throw new Error('Not your connection');
+
+    const contacts = pickContacts(userSnap.exists() ? userSnap.data() : {}, shareFields);
+    transaction.update(connectionRef, { [`contacts.${userId}`]: contacts });
+    return contacts;
+  });
+}
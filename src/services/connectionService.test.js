@@ -0,0 +1,62 @@
+import { installFakeFirestore } from '../testUtils/fakeFirestore';
+import { pickContacts, respondToConnectRequest, sendConnectRequest } from './connectionService';
+
+const firestore = installFakeFirestore(() => ({
+  'users/amal': { phoneNumber: '+20 100', instagram: 'amal.eg', email: 'amal@example.com' },
+  'users/bassem': { phoneNumber: '+20 122', instagram: '', email: 'bassem@example.com' },
+  'connectRequests/r1': {
+    requesterId: 'amal',
+    targetUserId: 'bassem',
+    eventId: 'e1',
+    status: 'pending',
+    requesterShares: ['instagram'],
+  },
+}));
+
+test('shares only agreed fields that have a value', () => {
+  expect(pickContacts(firestore.store['users/bassem'], ['phoneNumber', 'instagram', 'isBlocked'])).toEqual({ phoneNumber: '+20 122' });
+});
+
+test('accepting creates the connection with each side\'s agreed contacts and notifies the requester', async () => {
+  const connection = await respondToConnectRequest({}, {
+    requestId: 'r1', responderId: 'bassem', responderName: 'Bassem', accept: true, shareFields: ['email'],
+  });
+
+  expect(connection).toMatchObject({
+    id: 'amal|bassem',
+    userIds: ['amal', 'bassem'],
+    source: 'request',
+    contacts: { amal: { instagram: 'amal.eg' }, bassem: { email: 'bassem@example.com' } },
+  });
+  const request = firestore.written.find((w) => w.path === 'connectRequests/r1').data;
+  expect(request).toMatchObject({ status: 'approved', responderShares: ['email'] });
+  expect(request.respondedAt).toBeTruthy();
+  const notification = firestore.written.find((w) => w.path === 'notifications/auto').data;
+  expect(notification).toMatchObject({ userId: 'amal', type: 'connect_accepted', fromUserId: 'bassem' });
+});
+
+test('declining reveals nothing and only the target may answer once', async () => {
+  await expect(respondToConnectRequest({}, { requestId: 'r1', responderId: 'amal', accept: true }))
+    .rejects.toThrow('Not your connect request');
+
+  expect(await respondToConnectRequest({}, { requestId: 'r1', responderId: 'bassem', accept: false })).toBeNull();
+  expect(firestore.written.some((w) => w.path.startsWith('connections/'))).toBe(false);
+  expect(firestore.written.find((w) => w.path === 'notifications/auto').data.type).toBe('connect_declined');
+
+  await expect(respondToConnectRequest({}, { requestId: 'r1', responderId: 'bassem', accept: true }))
+    .rejects.toThrow('already answered');
+});
+
+test('one request per requester and target, which can be sent again once declined', async () => {
+  const send = () => sendConnectRequest({}, {
+    requesterId: 'bassem', requesterName: 'Bassem', targetUserId: 'amal', shareFields: ['email', 'address'],
+  });
+
+  await expect(send()).resolves.toBe('bassem_amal');
+  expect(firestore.store['connectRequests/bassem_amal']).toMatchObject({ status: 'pending', requesterShares: ['email'] });
+  await expect(send()).rejects.toThrow('already sent');
+
+  await respondToConnectRequest({}, { requestId: 'bassem_amal', responderId: 'amal', accept: false });
+  await expect(send()).resolves.toBe('bassem_amal');
+  expect(firestore.store['connectRequests/bassem_amal'].status).toBe('pending');
+});
@@ -6,7 +6,8 @@
  * The client side simply writes the intent; delivery is handled server-side.
  */
 import { db } from '../firebase';
-import { addDoc, collection } from 'firebase/firestore';
+import { addDoc, collection, doc, runTransaction } from 'firebase/firestore';
+import { eventAnnouncementEmail } from './emailTemplates';
 
 /**
  * Enqueue a single email for delivery.
@@ -16,14 +17,15 @@ import { addDoc, collection } from 'firebase/firestore';
  * @param {string} params.body - Plain-text body
  * @param {string} params.type - Logical type identifier (e.g. 'organizer_assigned')
  * @param {object} [params.metadata] - Extra contextual data stored for debugging / templates
+ * @param {string} [params.id] - Fixed mailQueue document ID; an email already queued under it is not queued again
  */
-export async function queueEmail({ to, subject, body, type, metadata = {} }) {
+export async function queueEmail({ to, subject, body, type, metadata = {}, id = '' }) {
   if (!to || !subject) {
     console.warn('[emailService] queueEmail called without to/subject — skipping', { to, subject, type });
     return;
   }
   try {
-    await addDoc(collection(db, 'mailQueue'), {
+    const email = {
       to,
       subject,
       body,
@@ -31,7 +33,16 @@ export async function queueEmail({ to, subject, body, type, metadata = {} }) {
       metadata,
       status: 'pending',
       createdAt: new Date().toISOString(),
-    });
+    };
+    if (id) {
+      // Create only: rewriting a sent email would put it back to pending
+      await runTransaction(db, async (transaction) => {
+        const ref = doc(db, 'mailQueue', id);
+        if (!(await transaction.get(ref)).exists()) transaction.set(ref, email);
+      });
+    } else {
+      await addDoc(collection(db, 'mailQueue'), email);
+    }
     console.log('[emailService] Email queued successfully:', { to, type });
   } catch (err) {
     console.error('[emailService] Failed to queue email:', err);
@@ -75,35 +86,44 @@ export async function notifyOrganizerAssigned({ email, displayName, localityLabe
  * @param {string} eventDateTime - ISO string of the event date/time
  */
 export async function notifyLocalityMembersOfEvent({ members, eventTitle, localityLabel, eventDateTime }) {
-  const dateDisplay = eventDateTime
-    ? new Date(eventDateTime).toLocaleString('en-US', {
-        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
-        hour: '2-digit', minute: '2-digit',
-      })
-    : 'TBD';
-
   // Send in sequence to avoid Firestore batch-write rate limits for large lists
   for (const member of members) {
-    if (!member.email) continue;
-    const name = member.displayName || member.name || 'Member';
-    await queueEmail({
-      to: member.email,
-      subject: `New event in your area: ${eventTitle}`,
-      body: [
-        `Hello ${name},`,
-        '',
-        `A new event has been created in your locality (${localityLabel}):`,
-        '',
-        `  "${eventTitle}"`,
-        `  📅 ${dateDisplay}`,
-        '',
-        'Log in to Gatherly to view the details and book your spot!',
-        '',
-        'Best regards,',
-        'The Gatherly Team',
-      ].join('\n'),
-      type: 'event_created',
-      metadata: { eventTitle, localityLabel, eventDateTime },
-    });
+    const email = eventAnnouncementEmail({ member, eventTitle, localityLabel, eventDateTime });
+    if (email) await queueEmail(email);
   }
 }
+
+/**
+ * Tell a booked or waitlisted member that an event was cancelled.
+ * @param {object} params
+ * @param {object} params.member - User object (must have .email)
+ * @param {string} params.eventTitle
+ * @param {string} params.eventDateTime - ISO string of the event date/time
+ * @param {string} params.reason - Organizer's cancellation reason
+ * @param {number} [params.refundAmount] - Amount being refunded, if the booking was paid
+ * @param {string} [params.currency]
+ * @param {string} [params.id] - mailQueue document ID, so a retried cancellation doesn't email twice
+ */
+export async function notifyEventCancelled({ member, eventTitle, eventDateTime, reason, refundAmount = 0, currency = 'EGP', id = '' }) {
+  if (!member?.email) return;
+  const name = member.displayName || member.name || 'Member';
+  const dateDisplay = eventDateTime ? new Date(eventDateTime).toLocaleString('en-US') : 'TBD';
+  await queueEmail({
+    to: member.email,
+    subject: `Event cancelled: ${eventTitle}`,
+    body: [
+      `Hello ${name},`,
+      '',
+      `Unfortunately "${eventTitle}" (${dateDisplay}) has been cancelled by the organizer.`,
+      '',
+      `Reason: ${reason}`,
+      ...(refundAmount > 0 ? ['', `A refund of ${refundAmount} ${currency} has been recorded for your booking.`] : []),
+      '',
+      'Best regards,',
+      'The Gatherly Team',
+    ].join('\n'),
+    type: 'event_cancelled',
+    metadata: { eventTitle, eventDateTime, reason, refundAmount },
+    id,
+  });
+}
@@ -0,0 +1,48 @@
+/**
+ * Email Templates — the emails that are also sent from Cloud Functions.
+ *
+ * Nothing here imports Firebase, so the scheduled functions in functions/
+ * build exactly the email the app would and write it to `mailQueue`
+ * themselves; emailService queues the same templates from the app.
+ */
+
+/**
+ * "New event in your area" for one locality member.
+ * @param {object} params
+ * @param {object} params.member - User object; no email is built without .email
+ * @param {string} params.eventTitle
+ * @param {string} params.localityLabel - Human-readable locality label
+ * @param {string} params.eventDateTime - ISO string of the event date/time
+ * @param {string} [params.timeZone] - IANA zone for the date; the device's own when omitted
+ * @returns {{ to: string, subject: string, body: string, type: string, metadata: Object }|null}
+ */
+export function eventAnnouncementEmail({ member, eventTitle, localityLabel, eventDateTime, timeZone }) {
+  if (!member?.email) return null;
+  const name = member.displayName || member.name || 'Member';
+  const dateDisplay = eventDateTime
+    ? new Date(eventDateTime).toLocaleString('en-US', {
+        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
+        hour: '2-digit', minute: '2-digit', timeZone,
+      })
+    : 'TBD';
+
+  return {
+    to: member.email,
+    subject: `New event in your area: ${eventTitle}`,
+    body: [
+      `Hello ${name},`,
+      '',
+      `A new event has been created in your locality (${localityLabel}):`,
+      '',
+      `  "${eventTitle}"`,
+      `  📅 ${dateDisplay}`,
+      '',
+      'Log in to Gatherly to view the details and book your spot!',
+      '',
+      'Best regards,',
+      'The Gatherly Team',
+    ].join('\n'),
+    type: 'event_created',
+    metadata: { eventTitle, localityLabel, eventDateTime },
+  };
+}
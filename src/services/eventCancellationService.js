@@ -0,0 +1,191 @@
+/**
+ * Event Cancellation Service — the organizer's "Cancel event" flow.
+ *
+ * Cancelling an event moves it to `cancelled` through the lifecycle, cancels
+ * every confirmed booking, records a refund for paid bookings, writes an
+ * in-app notification and queues an email for everyone who was booked or
+ * waitlisted. Every step is safe to re-run if a previous attempt failed
+ * halfway: refunds, notifications and emails use IDs derived from the event
+ * and user, so a retry rewrites them instead of sending them twice, and
+ * bookings the first attempt already cancelled still count as recipients.
+ */
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  updateDoc,
+  where,
+  writeBatch,
+} from 'firebase/firestore';
+import { BOOKING_STATUS, EVENT_STATUS, createNotification, createRefund } from '../models';
+import { archiveEvent, normalizeEventStatus, transitionEvent } from './eventLifecycle';
+import { getUpcomingOccurrences } from './eventSeriesService';
+import { notifyEventCancelled } from './emailService';
+
+// Firestore allows 500 writes per batch; leave headroom.
+const BATCH_LIMIT = 450;
+
+/**
+ * Notification and mailQueue document ID for one recipient of a cancellation.
+ * @param {string} eventId
+ * @param {string} userId
+ * @returns {string}
+ */
+export const cancellationMessageIdFor = (eventId, userId) => `${eventId}_${userId}_cancelled`;
+
+async function commitInChunks(db, writes) {
+  for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + BATCH_LIMIT).forEach((write) => write(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Cancel a published event and everything hanging off it.
+ * @param {Firestore} db
+ * @param {object} params
+ * @param {string} params.eventId
+ * @param {string} params.reason - Required; shown to attendees
+ * @param {string} params.cancelledBy - Organizer user ID
+ * @returns {Promise<{ bookingsCancelled: number, refundsRecorded: number, notified: number }>}
+ */
+export async function cancelEvent(db, { eventId, reason, cancelledBy }) {
+  const trimmedReason = (reason || '').trim();
+  if (!trimmedReason) throw new Error('A cancellation reason is required');
+
+  const eventSnap = await getDoc(doc(db, 'events', eventId));
+  if (!eventSnap.exists()) throw new Error('Event not found');
+  const event = { id: eventId, ...eventSnap.data() };
+
+  // A retry after a partial failure finds the event already cancelled
+  if (normalizeEventStatus(event.status) !== EVENT_STATUS.CANCELLED) {
+    await transitionEvent(db, eventId, EVENT_STATUS.CANCELLED, {
+      cancellationReason: trimmedReason,
+      cancelledBy,
+    });
+  }
+
+  const bookingsSnap = await getDocs(
+    query(collection(db, 'bookings'), where('eventId', '==', eventId))
+  );
+  const isConfirmed = (d) => d.data().status === BOOKING_STATUS.CONFIRMED;
+  // Cancelled by an earlier attempt at this cancellation
+  const wasCancelled = (d) => d.data().status === BOOKING_STATUS.CANCELLED
+    && d.data().cancellationReason === 'event_cancelled';
+  const bookingDocs = bookingsSnap.docs.filter((d) => isConfirmed(d) || wasCancelled(d));
+
+  const now = new Date().toISOString();
+  const writes = [];
+  const refundsByUser = {};
+
+  bookingDocs.forEach((bookingDoc) => {
+    const booking = bookingDoc.data();
+    const amount = Number(booking.amountPaid || 0);
+    if (wasCancelled(bookingDoc)) {
+      if (booking.refundId) refundsByUser[booking.userId] = (refundsByUser[booking.userId] || 0) + amount;
+      return;
+    }
+    const update = {
+      status: BOOKING_STATUS.CANCELLED,
+      cancellationReason: 'event_cancelled',
+      cancelledAt: now,
+      lastUpdated: now,
+    };
+
+    if (amount > 0) {
+      const refundId = `refund_${bookingDoc.id}`;
+      const { id: _id, ...refund } = createRefund({
+        bookingId: bookingDoc.id,
+        userId: booking.userId,
+        eventId,
+        amount,
+        currency: event.currency || 'EGP',
+        reason: trimmedReason,
+        createdBy: cancelledBy,
+        createdAt: now,
+      });
+      writes.push((batch) => batch.set(doc(db, 'refunds', refundId), refund));
+      update.refundId = refundId;
+      refundsByUser[booking.userId] = (refundsByUser[booking.userId] || 0) + amount;
+    }
+    writes.push((batch) => batch.update(bookingDoc.ref, update));
+  });
+
+  const bookedIds = bookingDocs.map((d) => d.data().userId).filter(Boolean);
+  const waitlistedIds = (event.waitlist || []).map((entry) => entry.userId);
+  const recipients = [...new Set([...bookedIds, ...waitlistedIds])];
+
+  recipients.forEach((userId) => {
+    const { id: _id, ...notification } = createNotification({
+      userId,
+      type: 'event_cancelled',
+      fromUserId: cancelledBy,
+      eventId,
+      message: `"${event.title}" has been cancelled. Reason: ${trimmedReason}`
+        + (refundsByUser[userId] ? ` A refund of ${refundsByUser[userId]} ${event.currency || 'EGP'} has been recorded.` : ''),
+      createdAt: now,
+    });
+    writes.push((batch) => batch.set(doc(db, 'notifications', cancellationMessageIdFor(eventId, userId)), notification));
+  });
+
+  // Cleared last, so a retry still knows who was waitlisted
+  writes.push((batch) => batch.update(doc(db, 'events', eventId), {
+    currentAttendees: 0,
+    attendeeIds: [],
+    waitlist: [],
+    lastUpdated: now,
+  }));
+
+  await commitInChunks(db, writes);
+
+  // Emails are best-effort; queueEmail already swallows its own failures
+  for (const userId of recipients) {
+    const userSnap = await getDoc(doc(db, 'users', userId));
+    if (!userSnap.exists()) continue;
+    await notifyEventCancelled({
+      member: userSnap.data(),
+      eventTitle: event.title,
+      eventDateTime: event.dateTime,
+      reason: trimmedReason,
+      refundAmount: refundsByUser[userId] || 0,
+      currency: event.currency || 'EGP',
+      id: cancellationMessageIdFor(eventId, userId),
+    });
+  }
+
+  return {
+    bookingsCancelled: bookingDocs.filter(isConfirmed).length,
+    refundsRecorded: Object.keys(refundsByUser).length,
+    notified: recipients.length,
+  };
+}
+
+/**
+ * Cancel every upcoming occurrence of a series. Published occurrences go
+ * through the full cancellation flow; drafts nobody has seen are archived.
+ * @param {Firestore} db
+ * @param {object} params
+ * @param {string} params.seriesId
+ * @param {string} params.reason
+ * @param {string} params.cancelledBy
+ * @returns {Promise<number>} Number of occurrences cancelled or archived
+ */
+export async function cancelEventSeries(db, { seriesId, reason, cancelledBy }) {
+  const occurrences = await getUpcomingOccurrences(db, seriesId);
+  for (const ev of occurrences) {
+    if (normalizeEventStatus(ev.status) === EVENT_STATUS.PUBLISHED) {
+      await cancelEvent(db, { eventId: ev.id, reason, cancelledBy });
+    } else {
+      await archiveEvent(db, ev.id);
+    }
+  }
+  await updateDoc(doc(db, 'eventSeries', seriesId), {
+    status: EVENT_STATUS.CANCELLED,
+    cancellationReason: (reason || '').trim(),
+    lastUpdated: new Date().toISOString(),
+  });
+  return occurrences.length;
+}
@@ -0,0 +1,59 @@
+import { writeBatch } from 'firebase/firestore';
+import { installFakeFirestore } from '../testUtils/fakeFirestore';
+import { cancelEvent } from './eventCancellationService';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+const firestore = installFakeFirestore(() => ({
+  'events/e1': {
+    title: 'Friday Dinner',
+    status: 'published',
+    currency: 'EGP',
+    attendeeIds: ['a', 'b'],
+    currentAttendees: 2,
+    waitlist: [{ userId: 'c' }],
+  },
+  'bookings/a_e1': { userId: 'a', eventId: 'e1', status: 'confirmed', amountPaid: 300 },
+  'bookings/b_e1': { userId: 'b', eventId: 'e1', status: 'confirmed', amountPaid: 0 },
+  'bookings/d_e1': { userId: 'd', eventId: 'e1', status: 'cancelled', cancellationReason: 'user' },
+  'users/a': { email: 'a@example.com', displayName: 'Amal' },
+  'users/b': { email: 'b@example.com', displayName: 'Bassem' },
+  'users/c': { email: 'c@example.com', displayName: 'Carla' },
+}));
+
+const pathsUnder = (collection) => Object.keys(firestore.store).filter((path) => path.startsWith(`${collection}/`)).sort();
+
+test('cancelling refunds paid bookings and tells everyone booked or waitlisted', async () => {
+  await expect(cancelEvent({}, { eventId: 'e1', reason: 'Venue closed', cancelledBy: 'org' }))
+    .resolves.toEqual({ bookingsCancelled: 2, refundsRecorded: 1, notified: 3 });
+
+  expect(firestore.store['events/e1']).toMatchObject({ status: 'cancelled', attendeeIds: [], waitlist: [] });
+  expect(firestore.store['bookings/a_e1']).toMatchObject({ status: 'cancelled', refundId: 'refund_a_e1' });
+  expect(firestore.store['refunds/refund_a_e1']).toMatchObject({ userId: 'a', amount: 300 });
+  expect(pathsUnder('notifications')).toEqual(['notifications/e1_a_cancelled', 'notifications/e1_b_cancelled', 'notifications/e1_c_cancelled']);
+  expect(firestore.store['notifications/e1_a_cancelled'].message).toContain('refund of 300 EGP');
+  expect(pathsUnder('mailQueue')).toEqual(['mailQueue/e1_a_cancelled', 'mailQueue/e1_b_cancelled', 'mailQueue/e1_c_cancelled']);
+});
+
+test('a retry after a partial failure finishes without sending anything twice', async () => {
+  writeBatch.mockImplementationOnce(() => ({ set: () => {}, update: () => {}, commit: async () => { throw new Error('unavailable'); } }));
+  await expect(cancelEvent({}, { eventId: 'e1', reason: 'Venue closed', cancelledBy: 'org' })).rejects.toThrow('unavailable');
+  expect(firestore.store['events/e1'].status).toBe('cancelled');
+
+  await cancelEvent({}, { eventId: 'e1', reason: 'Venue closed', cancelledBy: 'org' });
+  firestore.store['mailQueue/e1_a_cancelled'].status = 'sent';
+  firestore.written = [];
+
+  // Everything is cancelled and cleared; a further retry still reaches the same people
+  await expect(cancelEvent({}, { eventId: 'e1', reason: 'Venue closed', cancelledBy: 'org' }))
+    .resolves.toEqual({ bookingsCancelled: 0, refundsRecorded: 1, notified: 2 });
+  expect(pathsUnder('notifications')).toHaveLength(3);
+  expect(pathsUnder('mailQueue')).toHaveLength(3);
+  expect(firestore.store['mailQueue/e1_a_cancelled'].status).toBe('sent');
+  expect(firestore.written.map((w) => w.path).filter((path) => path.startsWith('mailQueue/'))).toEqual([]);
+});
+
+test('a reason is required', async () => {
+  await expect(cancelEvent({}, { eventId: 'e1', reason: '  ', cancelledBy: 'org' })).rejects.toThrow('reason is required');
+  expect(firestore.written).toEqual([]);
+});
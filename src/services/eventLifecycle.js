@@ -0,0 +1,217 @@
+/**
+ * Event Lifecycle — the single source of truth for event statuses.
+ *
+ *   draft ──► published ──► completed ──► archived
+ *     │           │                          ▲
+ *     │           └──────► cancelled ────────┤
+ *     └──────────────────────────────────────┘
+ *
+ * Screens should ask this module whether an event is upcoming or over
+ * instead of comparing `dateTime` strings themselves. An event is upcoming
+ * until it starts and over once `durationMinutes` after the start have
+ * passed; the completeEndedEvents function persists `completed` then.
+ */
+import { doc, runTransaction } from 'firebase/firestore';
+import { EVENT_STATUS } from '../models';
+
+/** Allowed status transitions, keyed by the current status. */
+export const EVENT_TRANSITIONS = {
+  [EVENT_STATUS.DRAFT]: [EVENT_STATUS.PUBLISHED, EVENT_STATUS.ARCHIVED],
+  [EVENT_STATUS.PUBLISHED]: [EVENT_STATUS.CANCELLED, EVENT_STATUS.COMPLETED],
+  [EVENT_STATUS.CANCELLED]: [EVENT_STATUS.ARCHIVED],
+  [EVENT_STATUS.COMPLETED]: [EVENT_STATUS.ARCHIVED],
+  [EVENT_STATUS.ARCHIVED]: [],
+};
+
+/**
+ * Map stored statuses onto the lifecycle. Older documents were soft-deleted
+ * with `status: 'deleted'`, which is treated as archived; a missing status
+ * predates drafts and means published.
+ * @param {string} status
+ * @returns {string} One of EVENT_STATUS
+ */
+export function normalizeEventStatus(status) {
+  if (status === 'deleted') return EVENT_STATUS.ARCHIVED;
+  if (!status) return EVENT_STATUS.PUBLISHED;
+  return status;
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (EVENT_TRANSITIONS[normalizeEventStatus(from)] || []).includes(to);
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @throws {Error} when the transition is not allowed
+ */
+export function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    throw new Error(`Invalid event status transition: ${normalizeEventStatus(from)} → ${to}`);
+  }
+}
+
+const toTime = (value) => {
+  const t = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(t) ? null : t;
+};
+
+/** Duration assumed for events saved before `durationMinutes` existed. */
+export const DEFAULT_EVENT_DURATION_MINUTES = 180;
+
+/**
+ * When the event ends, in ms since the epoch.
+ * @param {Object} event
+ * @returns {number|null} null without a valid dateTime
+ */
+export function eventEndTime(event) {
+  const start = toTime(event?.dateTime);
+  if (start === null) return null;
+  const minutes = Number(event.durationMinutes) > 0 ? Number(event.durationMinutes) : DEFAULT_EVENT_DURATION_MINUTES;
+  return start + minutes * 60 * 1000;
+}
+
+/**
+ * Whether the event's start time has passed.
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isPastEvent(event, now = new Date()) {
+  const start = toTime(event?.dateTime);
+  return start !== null && start < now.getTime();
+}
+
+/**
+ * Whether the event's end time has passed.
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function hasEventEnded(event, now = new Date()) {
+  const end = eventEndTime(event);
+  return end !== null && end <= now.getTime();
+}
+
+/**
+ * The status an event should be shown with: a published event that has
+ * ended is completed even before completeEndedEvents has persisted it.
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {string} One of EVENT_STATUS
+ */
+export function getEffectiveStatus(event, now = new Date()) {
+  const status = normalizeEventStatus(event?.status);
+  if (status === EVENT_STATUS.PUBLISHED && hasEventEnded(event, now)) return EVENT_STATUS.COMPLETED;
+  return status;
+}
+
+/**
+ * Published and not started yet — what Friends can discover and book.
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isUpcomingEvent(event, now = new Date()) {
+  return toTime(event?.dateTime) !== null && !isPastEvent(event, now)
+    && getEffectiveStatus(event, now) === EVENT_STATUS.PUBLISHED;
+}
+
+/**
+ * The event actually took place (not cancelled or withdrawn), so attendees met.
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function hasEventTakenPlace(event, now = new Date()) {
+  return getEffectiveStatus(event, now) === EVENT_STATUS.COMPLETED;
+}
+
+/**
+ * Move a single event to a new status, validating the transition against the
+ * stored status inside a transaction.
+ * @param {Firestore} db
+ * @param {string} eventId
+ * @param {string} to - One of EVENT_STATUS
+ * @param {Object} [extra] - Additional fields to write with the status change
+ */
+export async function transitionEvent(db, eventId, to, extra = {}) {
+  await runTransaction(db, async (transaction) => {
+    const eventRef = doc(db, 'events', eventId);
+    const eventSnap = await transaction.get(eventRef);
+    if (!eventSnap.exists()) throw new Error('Event not found');
+    assertTransition(eventSnap.data().status, to);
+    transaction.update(eventRef, {
+      ...extra,
+      status: to,
+      [`${to}At`]: new Date().toISOString(),
+      lastUpdated: new Date().toISOString(),
+    });
+  });
+}
+
+/**
+ * Archive an event (the organizer's "delete"): drafts, cancelled events and
+ * events that have ended. A published event that hasn't ended has to be
+ * cancelled instead (see eventCancellationService), so its attendees are
+ * told and refunded.
+ * @param {Firestore} db
+ * @param {string} eventId
+ * @throws {Error} for a published event that hasn't ended
+ */
+export async function archiveEvent(db, eventId) {
+  await runTransaction(db, async (transaction) => {
+    const eventRef = doc(db, 'events', eventId);
+    const eventSnap = await transaction.get(eventRef);
+    if (!eventSnap.exists()) throw new Error('Event not found');
+
+    const now = new Date();
+    const event = eventSnap.data();
+    const from = getEffectiveStatus(event, now);
+    assertTransition(from, EVENT_STATUS.ARCHIVED);
+    const update = { status: EVENT_STATUS.ARCHIVED, archivedAt: now.toISOString(), lastUpdated: now.toISOString() };
+    // Ended before completeEndedEvents stored it
+    if (from !== normalizeEventStatus(event.status)) update.completedAt = now.toISOString();
+    transaction.update(eventRef, update);
+  });
+}
+
+/**
+ * Published events that have ended and should be stored as completed.
+ * @param {Object[]} events - Candidate events ({ id, status, dateTime, durationMinutes })
+ * @param {Date} [now]
+ * @returns {Object[]}
+ */
+export function eventsDueForCompletion(events, now = new Date()) {
+  return events.filter(
+    (ev) => normalizeEventStatus(ev.status) === EVENT_STATUS.PUBLISHED && hasEventEnded(ev, now)
+  );
+}
+
+/**
+ * A draft is due when its publishAt time has passed.
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isDueForPublishing(event, now = new Date()) {
+  if (normalizeEventStatus(event?.status) !== EVENT_STATUS.DRAFT || !event.publishAt) return false;
+  const publishAt = new Date(event.publishAt).getTime();
+  return !Number.isNaN(publishAt) && publishAt <= now.getTime();
+}
+
+/**
+ * Scheduled drafts whose time has come. Drafts whose event already started
+ * are left alone for the organizer to deal with.
+ * @param {Object[]} events - Candidate events ({ id, ...data })
+ * @param {Date} [now]
+ * @returns {Object[]}
+ */
+export function draftsDueForPublishing(events, now = new Date()) {
+  return events.filter((ev) => isDueForPublishing(ev, now) && !isPastEvent(ev, now));
+}
@@ -0,0 +1,85 @@
+import { EVENT_STATUS } from '../models';
+import { installFakeFirestore } from '../testUtils/fakeFirestore';
+import {
+  EVENT_TRANSITIONS,
+  archiveEvent,
+  canTransition,
+  eventsDueForCompletion,
+  getEffectiveStatus,
+  hasEventTakenPlace,
+  isUpcomingEvent,
+  normalizeEventStatus,
+} from './eventLifecycle';
+
+const firestore = installFakeFirestore(() => ({
+  'events/draft': { status: EVENT_STATUS.DRAFT, dateTime: '2030-05-10T19:00:00.000Z' },
+  'events/running': { status: EVENT_STATUS.PUBLISHED, dateTime: new Date(Date.now() - 3600 * 1000).toISOString() },
+  'events/ended': { status: EVENT_STATUS.PUBLISHED, dateTime: new Date(Date.now() - 4 * 3600 * 1000).toISOString() },
+}));
+
+const start = '2030-05-10T19:00:00.000Z';
+const at = (iso) => new Date(iso);
+
+test('legacy statuses map onto the lifecycle', () => {
+  expect(normalizeEventStatus(undefined)).toBe(EVENT_STATUS.PUBLISHED);
+  expect(normalizeEventStatus('')).toBe(EVENT_STATUS.PUBLISHED);
+  expect(normalizeEventStatus('deleted')).toBe(EVENT_STATUS.ARCHIVED);
+  expect(normalizeEventStatus(EVENT_STATUS.DRAFT)).toBe(EVENT_STATUS.DRAFT);
+});
+
+test('transitions only move forward, and archived is final', () => {
+  expect(Object.keys(EVENT_TRANSITIONS).sort()).toEqual(Object.values(EVENT_STATUS).sort());
+  expect(canTransition(EVENT_STATUS.DRAFT, EVENT_STATUS.PUBLISHED)).toBe(true);
+  expect(canTransition(undefined, EVENT_STATUS.CANCELLED)).toBe(true);
+  expect(canTransition(EVENT_STATUS.PUBLISHED, EVENT_STATUS.ARCHIVED)).toBe(false);
+  expect(canTransition(EVENT_STATUS.COMPLETED, EVENT_STATUS.PUBLISHED)).toBe(false);
+  expect(canTransition(EVENT_STATUS.CANCELLED, EVENT_STATUS.COMPLETED)).toBe(false);
+  expect(canTransition('deleted', EVENT_STATUS.ARCHIVED)).toBe(false);
+  expect(EVENT_TRANSITIONS[EVENT_STATUS.ARCHIVED]).toEqual([]);
+});
+
+test('an event is upcoming until it starts and completed only once it ends', () => {
+  const event = { status: EVENT_STATUS.PUBLISHED, dateTime: start, durationMinutes: 120 };
+
+  expect(isUpcomingEvent(event, at('2030-05-10T18:59:00.000Z'))).toBe(true);
+  // Under way: no longer bookable, not over yet
+  expect(isUpcomingEvent(event, at('2030-05-10T19:01:00.000Z'))).toBe(false);
+  expect(getEffectiveStatus(event, at('2030-05-10T20:59:00.000Z'))).toBe(EVENT_STATUS.PUBLISHED);
+  expect(hasEventTakenPlace(event, at('2030-05-10T20:59:00.000Z'))).toBe(false);
+  expect(getEffectiveStatus(event, at('2030-05-10T21:00:00.000Z'))).toBe(EVENT_STATUS.COMPLETED);
+  expect(hasEventTakenPlace(event, at('2030-05-10T21:00:00.000Z'))).toBe(true);
+
+  // Events saved before durationMinutes last three hours
+  const legacy = { dateTime: start };
+  expect(getEffectiveStatus(legacy, at('2030-05-10T21:59:00.000Z'))).toBe(EVENT_STATUS.PUBLISHED);
+  expect(getEffectiveStatus(legacy, at('2030-05-10T22:00:00.000Z'))).toBe(EVENT_STATUS.COMPLETED);
+});
+
+test('drafts, cancelled and undated events are never upcoming', () => {
+  const before = at('2030-05-01T00:00:00.000Z');
+  expect(isUpcomingEvent({ status: EVENT_STATUS.DRAFT, dateTime: start }, before)).toBe(false);
+  expect(isUpcomingEvent({ status: EVENT_STATUS.CANCELLED, dateTime: start }, before)).toBe(false);
+  expect(isUpcomingEvent({ status: EVENT_STATUS.PUBLISHED, dateTime: '' }, before)).toBe(false);
+  expect(hasEventTakenPlace({ status: EVENT_STATUS.CANCELLED, dateTime: start }, at('2030-06-01T00:00:00.000Z'))).toBe(false);
+});
+
+test('only ended published events are due for completion', () => {
+  const events = [
+    { id: 'ended', status: EVENT_STATUS.PUBLISHED, dateTime: start, durationMinutes: 60 },
+    { id: 'running', status: EVENT_STATUS.PUBLISHED, dateTime: start, durationMinutes: 240 },
+    { id: 'cancelled', status: EVENT_STATUS.CANCELLED, dateTime: start, durationMinutes: 60 },
+    { id: 'done', status: EVENT_STATUS.COMPLETED, dateTime: start, durationMinutes: 60 },
+  ];
+  expect(eventsDueForCompletion(events, at('2030-05-10T22:00:00.000Z')).map((ev) => ev.id)).toEqual(['ended']);
+});
+
+test('only drafts and finished or cancelled events are archived', async () => {
+  await archiveEvent({}, 'draft');
+  expect(firestore.store['events/draft'].status).toBe(EVENT_STATUS.ARCHIVED);
+
+  await expect(archiveEvent({}, 'running')).rejects.toThrow('published → archived');
+  expect(firestore.store['events/running'].status).toBe(EVENT_STATUS.PUBLISHED);
+
+  await archiveEvent({}, 'ended');
+  expect(firestore.store['events/ended']).toMatchObject({ status: EVENT_STATUS.ARCHIVED, completedAt: expect.any(String) });
+});
@@ -0,0 +1,67 @@
+/**
+ * Event Publishing — drafts, scheduled publishing and the "new event in your
+ * area" announcement.
+ *
+ * Drafts are only visible to their creator and the Master. A draft with a
+ * `publishAt` timestamp is published by the publishScheduledEvents function
+ * once that time has passed (see draftsDueForPublishing in eventLifecycle).
+ * Publishing, scheduled or manual, announces the event to the locality's
+ * members — once per series, recorded as `announcedAt` on the eventSeries
+ * document.
+ */
+import { collection, doc, getDocs, query, runTransaction, where } from 'firebase/firestore';
+import { EVENT_STATUS } from '../models';
+import { isPastEvent, transitionEvent } from './eventLifecycle';
+import { notifyLocalityMembersOfEvent } from './emailService';
+
+/**
+ * Email every member of the event's locality about a newly published event.
+ * @param {Firestore} db
+ * @param {Object} event - Event data with localityId/locality, title and dateTime
+ */
+export async function announceEvent(db, event) {
+  if (!event?.localityId) return;
+  try {
+    const membersSnap = await getDocs(
+      query(collection(db, 'users'), where('localityId', '==', event.localityId))
+    );
+    await notifyLocalityMembersOfEvent({
+      members: membersSnap.docs.map((d) => d.data()),
+      eventTitle: event.title,
+      localityLabel: event.locality,
+      eventDateTime: event.dateTime,
+    });
+  } catch (error) {
+    // Non-fatal: the event is published even if the announcement fails
+    console.error('[eventPublishing] Announcing event failed:', error);
+  }
+}
+
+/**
+ * Record that a series has been announced.
+ * @param {Firestore} db
+ * @param {string} seriesId
+ * @returns {Promise<boolean>} false when it already was, so the caller must not announce again
+ */
+export async function claimSeriesAnnouncement(db, seriesId) {
+  return runTransaction(db, async (transaction) => {
+    const seriesRef = doc(db, 'eventSeries', seriesId);
+    const seriesSnap = await transaction.get(seriesRef);
+    if (!seriesSnap.exists() || seriesSnap.data().announcedAt) return false;
+    transaction.update(seriesRef, { announcedAt: new Date().toISOString() });
+    return true;
+  });
+}
+
+/**
+ * Publish a draft now and announce it, unless its series was already announced.
+ * @param {Firestore} db
+ * @param {Object} event - Draft event ({ id, ...data })
+ * @throws {Error} when the event already started or is not a draft
+ */
+export async function publishEvent(db, event) {
+  if (isPastEvent(event)) throw new Error('Cannot publish an event that has already started');
+  await transitionEvent(db, event.id, EVENT_STATUS.PUBLISHED, { publishAt: null });
+  if (event.seriesId && !(await claimSeriesAnnouncement(db, event.seriesId))) return;
+  await announceEvent(db, event);
+}
@@ -0,0 +1,54 @@
+import { installFakeFirestore } from '../testUtils/fakeFirestore';
+import { draftsDueForPublishing } from './eventLifecycle';
+import { publishEvent } from './eventPublishing';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+const occurrence = (id, dateTime) => ({
+  title: 'Padel Fridays',
+  status: 'draft',
+  localityId: 'maadi',
+  locality: 'Maadi',
+  dateTime,
+  seriesId: 's1',
+});
+
+const firestore = installFakeFirestore(() => ({
+  'events/e1': occurrence('e1', '2030-05-03T18:00:00.000Z'),
+  'events/e2': occurrence('e2', '2030-05-10T18:00:00.000Z'),
+  'eventSeries/s1': { title: 'Padel Fridays', announcedAt: null },
+  'users/a': { localityId: 'maadi', email: 'a@example.com' },
+  'users/b': { localityId: 'maadi', email: 'b@example.com' },
+  'users/c': { localityId: 'zamalek', email: 'c@example.com' },
+}));
+
+// Every queued email gets the same auto ID in the fake store, so count the writes
+const emailsQueued = () => firestore.written.filter((w) => w.path.startsWith('mailQueue/')).length;
+
+test('publishing a series announces it once', async () => {
+  await publishEvent({}, { id: 'e1', ...firestore.store['events/e1'] });
+  expect(emailsQueued()).toBe(2);
+  expect(firestore.store['eventSeries/s1'].announcedAt).toEqual(expect.any(String));
+
+  await publishEvent({}, { id: 'e2', ...firestore.store['events/e2'] });
+  expect(firestore.store['events/e2'].status).toBe('published');
+  expect(emailsQueued()).toBe(2);
+});
+
+test('a single event is announced every time it is published', async () => {
+  delete firestore.store['events/e1'].seriesId;
+  await publishEvent({}, { id: 'e1', ...firestore.store['events/e1'] });
+  expect(emailsQueued()).toBe(2);
+});
+
+test('scheduled drafts are due once publishAt passes, unless the event already started', () => {
+  const now = new Date('2030-05-01T12:00:00.000Z');
+  const events = [
+    { id: 'due', status: 'draft', publishAt: '2030-05-01T11:00:00.000Z', dateTime: '2030-05-03T18:00:00.000Z' },
+    { id: 'later', status: 'draft', publishAt: '2030-05-01T13:00:00.000Z', dateTime: '2030-05-03T18:00:00.000Z' },
+    { id: 'unscheduled', status: 'draft', publishAt: null, dateTime: '2030-05-03T18:00:00.000Z' },
+    { id: 'started', status: 'draft', publishAt: '2030-04-01T00:00:00.000Z', dateTime: '2030-05-01T10:00:00.000Z' },
+    { id: 'published', status: 'published', publishAt: '2030-05-01T11:00:00.000Z', dateTime: '2030-05-03T18:00:00.000Z' },
+  ];
+  expect(draftsDueForPublishing(events, now).map((ev) => ev.id)).toEqual(['due']);
+});
@@ -0,0 +1,183 @@
+/**
+ * Event Series Service — recurring events.
+ *
+ * A series is a parent `eventSeries/{seriesId}` document plus one ordinary
+ * event document per occurrence. Occurrences carry `seriesId` and
+ * `seriesIndex`, so bookings, the Shuffler and everything else keep working
+ * on individual events; only edits and cancellations need to know about the
+ * series scope.
+ */
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+} from 'firebase/firestore';
+import { EVENT_STATUS } from '../models';
+import { isPastEvent, normalizeEventStatus } from './eventLifecycle';
+
+/** Supported recurrence frequencies. */
+export const RECURRENCE = {
+  NONE: 'none',
+  WEEKLY: 'weekly',
+  BIWEEKLY: 'biweekly',
+  MONTHLY: 'monthly',
+  CUSTOM: 'custom',
+};
+
+/** Upper bound on occurrences generated for one series. */
+export const MAX_OCCURRENCES = 26;
+
+/** Edit/cancel scope for an event that belongs to a series. */
+export const SERIES_SCOPE = {
+  OCCURRENCE: 'occurrence',
+  SERIES: 'series',
+};
+
+const addMonthsClamped = (date, months) => {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, lastDay));
+  return d;
+};
+
+/**
+ * Build the occurrence dates for a recurrence rule. The first occurrence is
+ * always `start`; custom dates (YYYY-MM-DD) reuse the start time of day.
+ * @param {Date} start
+ * @param {object} recurrence
+ * @param {string} recurrence.frequency - One of RECURRENCE
+ * @param {number} [recurrence.count] - Total occurrences for weekly/biweekly/monthly
+ * @param {string[]} [recurrence.customDates] - Extra dates for 'custom'
+ * @returns {Date[]} Sorted, de-duplicated occurrence dates
+ */
+export function generateOccurrenceDates(start, { frequency = RECURRENCE.NONE, count = 1, customDates = [] } = {}) {
+  const first = new Date(start);
+  let dates = [first];
+
+  if (frequency === RECURRENCE.CUSTOM) {
+    const extra = customDates.map((value) => {
+      const d = new Date(`${value}T00:00:00`);
+      d.setHours(first.getHours(), first.getMinutes(), 0, 0);
+      return d;
+    });
+    dates = [first, ...extra];
+  } else if (frequency !== RECURRENCE.NONE) {
+    const total = Math.min(Math.max(1, Number(count) || 1), MAX_OCCURRENCES);
+    dates = [];
+    for (let i = 0; i < total; i += 1) {
+      if (frequency === RECURRENCE.MONTHLY) {
+        dates.push(addMonthsClamped(first, i));
+      } else {
+        const d = new Date(first);
+        d.setDate(first.getDate() + i * (frequency === RECURRENCE.BIWEEKLY ? 14 : 7));
+        dates.push(d);
+      }
+    }
+  }
+
+  const seen = new Set();
+  return dates
+    .filter((d) => !Number.isNaN(d.getTime()))
+    .sort((a, b) => a - b)
+    .filter((d) => {
+      const key = d.toISOString();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_OCCURRENCES);
+}
+
+/**
+ * Create a series document and one event document per occurrence, atomically.
+ * @param {Firestore} db
+ * @param {object} params
+ * @param {object} params.payload - Event fields shared by every occurrence (dateTime is overwritten)
+ * @param {Date[]} params.dates - Occurrence dates from generateOccurrenceDates
+ * @param {object} params.recurrence - The rule the dates were generated from
+ * @returns {Promise<string>} The new seriesId
+ */
+export async function createEventSeries(db, { payload, dates, recurrence }) {
+  const seriesRef = doc(collection(db, 'eventSeries'));
+  const batch = writeBatch(db);
+  const now = new Date().toISOString();
+
+  batch.set(seriesRef, {
+    title: payload.title,
+    type: payload.type,
+    localityId: payload.localityId || '',
+    createdBy: payload.createdBy,
+    recurrence,
+    occurrenceCount: dates.length,
+    // Created published, the caller announces the whole series right away
+    announcedAt: payload.status === EVENT_STATUS.PUBLISHED ? now : null,
+    createdAt: now,
+    lastUpdated: now,
+  });
+
+  dates.forEach((date, index) => {
+    batch.set(doc(collection(db, 'events')), {
+      ...payload,
+      dateTime: date.toISOString(),
+      seriesId: seriesRef.id,
+      seriesIndex: index,
+    });
+  });
+
+  await batch.commit();
+  return seriesRef.id;
+}
+
+/**
+ * Load the occurrences of a series that have not happened yet and are still live.
+ * @param {Firestore} db
+ * @param {string} seriesId
+ * @returns {Promise<Object[]>}
+ */
+export async function getUpcomingOccurrences(db, seriesId) {
+  const snap = await getDocs(query(collection(db, 'events'), where('seriesId', '==', seriesId)));
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((ev) => {
+      const status = normalizeEventStatus(ev.status);
+      return (status === EVENT_STATUS.DRAFT || status === EVENT_STATUS.PUBLISHED) && !isPastEvent(ev);
+    });
+}
+
+/**
+ * Apply an edit to every upcoming occurrence of a series. Each occurrence
+ * keeps its own date; only the time of day is moved when `timeOfDay` is given.
+ * @param {Firestore} db
+ * @param {string} seriesId
+ * @param {object} patch - Fields to write on each occurrence (must not include dateTime)
+ * @param {object} [options]
+ * @param {{ hours: number, minutes: number }} [options.timeOfDay]
+ * @returns {Promise<number>} Number of occurrences updated
+ */
+export async function updateEventSeries(db, seriesId, patch, { timeOfDay } = {}) {
+  const occurrences = await getUpcomingOccurrences(db, seriesId);
+  const batch = writeBatch(db);
+
+  occurrences.forEach((ev) => {
+    const update = { ...patch };
+    if (timeOfDay && ev.dateTime) {
+      const d = new Date(ev.dateTime);
+      d.setHours(timeOfDay.hours, timeOfDay.minutes, 0, 0);
+      update.dateTime = d.toISOString();
+    }
+    batch.update(doc(db, 'events', ev.id), update);
+  });
+  batch.update(doc(db, 'eventSeries', seriesId), {
+    ...(patch.title ? { title: patch.title } : {}),
+    lastUpdated: new Date().toISOString(),
+  });
+
+  await batch.commit();
+  return occurrences.length;
+}
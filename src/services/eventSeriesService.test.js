@@ -0,0 +1,47 @@
+import { MAX_OCCURRENCES, RECURRENCE, generateOccurrenceDates } from './eventSeriesService';
+
+// Tests run in Africa/Cairo (see testUtils/globalSetup.js), where summer time starts on 2026-04-24
+const local = (d) => [d.getFullYear(), d.getMonth() + 1, d.getDate(), d.getHours(), d.getMinutes()];
+
+test('a single event has one occurrence', () => {
+  const start = new Date(2026, 4, 1, 19, 30);
+  expect(generateOccurrenceDates(start)).toEqual([start]);
+  expect(generateOccurrenceDates(start, { frequency: RECURRENCE.WEEKLY, count: 0 })).toEqual([start]);
+});
+
+test('weekly and biweekly occurrences keep the local start time across DST', () => {
+  const weekly = generateOccurrenceDates(new Date(2026, 3, 17, 19, 0), { frequency: RECURRENCE.WEEKLY, count: 3 });
+  expect(weekly.map(local)).toEqual([[2026, 4, 17, 19, 0], [2026, 4, 24, 19, 0], [2026, 5, 1, 19, 0]]);
+  expect(weekly[2] - weekly[1]).toBe(7 * 24 * 3600 * 1000);
+  expect(weekly[1] - weekly[0]).toBe(7 * 24 * 3600 * 1000 - 3600 * 1000);
+
+  const biweekly = generateOccurrenceDates(new Date(2026, 9, 22, 20, 0), { frequency: RECURRENCE.BIWEEKLY, count: 2 });
+  expect(biweekly.map(local)).toEqual([[2026, 10, 22, 20, 0], [2026, 11, 5, 20, 0]]);
+});
+
+test('monthly occurrences clamp to the last day of shorter months', () => {
+  const dates = generateOccurrenceDates(new Date(2026, 0, 31, 18, 0), { frequency: RECURRENCE.MONTHLY, count: 4 });
+  expect(dates.map(local)).toEqual([
+    [2026, 1, 31, 18, 0],
+    [2026, 2, 28, 18, 0],
+    [2026, 3, 31, 18, 0],
+    [2026, 4, 30, 18, 0],
+  ]);
+
+  const leap = generateOccurrenceDates(new Date(2028, 0, 30, 18, 0), { frequency: RECURRENCE.MONTHLY, count: 2 });
+  expect(leap.map(local)[1]).toEqual([2028, 2, 29, 18, 0]);
+});
+
+test('custom dates reuse the start time, sorted and without duplicates', () => {
+  const start = new Date(2026, 5, 10, 21, 15);
+  const dates = generateOccurrenceDates(start, {
+    frequency: RECURRENCE.CUSTOM,
+    customDates: ['2026-07-01', '2026-06-12', '2026-06-10', 'not-a-date'],
+  });
+  expect(dates.map(local)).toEqual([[2026, 6, 10, 21, 15], [2026, 6, 12, 21, 15], [2026, 7, 1, 21, 15]]);
+});
+
+test('series are capped at MAX_OCCURRENCES', () => {
+  const dates = generateOccurrenceDates(new Date(2026, 0, 5, 19, 0), { frequency: RECURRENCE.WEEKLY, count: 100 });
+  expect(dates).toHaveLength(MAX_OCCURRENCES);
+});
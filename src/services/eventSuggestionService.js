@@ -0,0 +1,139 @@
+/**
+ * Event Suggestion Service — Friends propose events, the locality Organizer
+ * reviews them.
+ *
+ * Suggestions live in `eventSuggestions/{id}` scoped to the Friend's
+ * `localityId`. Approving one creates a draft event owned by the reviewing
+ * Organizer, who then polishes and publishes it like any other draft.
+ */
+import { addDoc, collection, doc, runTransaction } from 'firebase/firestore';
+import { EVENT_STATUS, createEvent, createEventSuggestion, createNotification } from '../models';
+
+/**
+ * Submit a pending suggestion.
+ * @param {Firestore} db
+ * @param {object} params
+ * @param {Object} params.user - Suggesting Friend ({ uid, displayName })
+ * @param {Object} params.profile - Friend's profile (localityId, localityLabel)
+ * @param {object} params.fields - title, description, type, proposedDateTime, notes
+ * @returns {Promise<string>} The new suggestion ID
+ */
+export async function submitEventSuggestion(db, { user, profile, fields }) {
+  if (!profile?.localityId) throw new Error('Set your area before suggesting an event');
+  if (!(fields.title || '').trim()) throw new Error('A title is required');
+
+  const { id: _id, ...suggestion } = createEventSuggestion({
+    suggestedBy: user.uid,
+    suggestedByName: profile.displayName || user.displayName || user.email || 'Anonymous',
+    localityId: profile.localityId,
+    locality: profile.localityLabel || '',
+    title: fields.title.trim(),
+    description: (fields.description || '').trim(),
+    type: fields.type || 'dinner',
+    proposedDateTime: fields.proposedDateTime || '',
+    notes: (fields.notes || '').trim(),
+  });
+  const ref = await addDoc(collection(db, 'eventSuggestions'), suggestion);
+  return ref.id;
+}
+
+// Another Organizer may have reviewed it since the list loaded
+async function assertPending(transaction, suggestionRef) {
+  const snap = await transaction.get(suggestionRef);
+  if (!snap.exists()) throw new Error('This suggestion no longer exists');
+  if (snap.data().status !== 'pending') throw new Error(`This suggestion was already ${snap.data().status}`);
+}
+
+/**
+ * Approve a suggestion: create a draft event from it, mark it approved and
+ * notify the Friend — in one transaction, so two Organizers reviewing the
+ * same suggestion can't both create an event.
+ * @param {Firestore} db
+ * @param {object} params
+ * @param {Object} params.suggestion - Suggestion ({ id, ...data })
+ * @param {Object} params.reviewer - Organizer ({ uid, displayName })
+ * @param {Object} params.profile - Organizer profile (organizerLocalityLabel/Id)
+ * @returns {Promise<string>} The draft event ID
+ * @throws {Error} When the suggestion is no longer pending
+ */
+export async function approveEventSuggestion(db, { suggestion, reviewer, profile }) {
+  const when = new Date(suggestion.proposedDateTime);
+  if (Number.isNaN(when.getTime())) throw new Error('Set a date and time before approving');
+
+  const suggestionRef = doc(db, 'eventSuggestions', suggestion.id);
+  const now = new Date().toISOString();
+  const eventRef = doc(collection(db, 'events'));
+  const locality = profile?.organizerLocalityLabel || suggestion.locality;
+  const { id: _id, ...event } = createEvent({
+    title: (suggestion.title || '').trim(),
+    description: (suggestion.description || '').trim(),
+    type: suggestion.type,
+    locality,
+    localityId: profile?.organizerLocalityId || suggestion.localityId,
+    locationName: locality,
+    dateTime: when.toISOString(),
+    status: EVENT_STATUS.DRAFT,
+    createdBy: reviewer.uid,
+    creatorName: reviewer.displayName || reviewer.email || 'Anonymous',
+    suggestionId: suggestion.id,
+    suggestedBy: suggestion.suggestedBy,
+    createdAt: now,
+    lastUpdated: now,
+  });
+  const { id: _notifId, ...notification } = createNotification({
+    userId: suggestion.suggestedBy,
+    type: 'suggestion_approved',
+    fromUserId: reviewer.uid,
+    eventId: eventRef.id,
+    message: `Your suggestion "${event.title}" was approved and is being prepared as an event.`,
+    createdAt: now,
+  });
+
+  await runTransaction(db, async (transaction) => {
+    await assertPending(transaction, suggestionRef);
+    transaction.set(eventRef, event);
+    transaction.update(suggestionRef, {
+      status: 'approved',
+      eventId: eventRef.id,
+      reviewedBy: reviewer.uid,
+      reviewedAt: now,
+    });
+    transaction.set(doc(collection(db, 'notifications')), notification);
+  });
+  return eventRef.id;
+}
+
+/**
+ * Reject a suggestion with a note the Friend can read.
+ * @param {Firestore} db
+ * @param {object} params
+ * @param {Object} params.suggestion - Suggestion ({ id, ...data })
+ * @param {string} params.reviewerId
+ * @param {string} params.note - Required
+ * @throws {Error} When the suggestion is no longer pending
+ */
+export async function rejectEventSuggestion(db, { suggestion, reviewerId, note }) {
+  const reviewNote = (note || '').trim();
+  if (!reviewNote) throw new Error('A note is required when rejecting');
+
+  const now = new Date().toISOString();
+  const { id: _id, ...notification } = createNotification({
+    userId: suggestion.suggestedBy,
+    type: 'suggestion_rejected',
+    fromUserId: reviewerId,
+    message: `Your suggestion "${suggestion.title}" was not accepted: ${reviewNote}`,
+    createdAt: now,
+  });
+
+  const suggestionRef = doc(db, 'eventSuggestions', suggestion.id);
+  await runTransaction(db, async (transaction) => {
+    await assertPending(transaction, suggestionRef);
+    transaction.update(suggestionRef, {
+      status: 'rejected',
+      reviewNote,
+      reviewedBy: reviewerId,
+      reviewedAt: now,
+    });
+    transaction.set(doc(collection(db, 'notifications')), notification);
+  });
+}
@@ -0,0 +1,36 @@
+import { installFakeFirestore } from '../testUtils/fakeFirestore';
+import { approveEventSuggestion, rejectEventSuggestion } from './eventSuggestionService';
+
+const suggestion = {
+  id: 's1',
+  status: 'pending',
+  suggestedBy: 'friend',
+  title: 'Picnic at Al-Azhar Park',
+  type: 'outdoor',
+  localityId: 'cairo',
+  locality: 'Cairo',
+  proposedDateTime: '2030-05-10T16:00:00.000Z',
+};
+const reviewer = { uid: 'org', displayName: 'Nour' };
+
+const firestore = installFakeFirestore(() => ({ 'eventSuggestions/s1': { ...suggestion } }));
+
+test('approving creates a draft, marks the suggestion and notifies the Friend', async () => {
+  const eventId = await approveEventSuggestion({}, { suggestion, reviewer });
+
+  expect(firestore.store[`events/${eventId}`]).toMatchObject({ status: 'draft', createdBy: 'org', suggestionId: 's1' });
+  expect(firestore.store['eventSuggestions/s1']).toMatchObject({ status: 'approved', eventId, reviewedBy: 'org' });
+  expect(firestore.store['notifications/auto']).toMatchObject({ userId: 'friend', type: 'suggestion_approved' });
+});
+
+test('a suggestion that was already reviewed is not approved again', async () => {
+  await approveEventSuggestion({}, { suggestion, reviewer });
+  firestore.written = [];
+
+  await expect(approveEventSuggestion({}, { suggestion, reviewer: { uid: 'org2' } })).rejects.toThrow('already approved');
+  await expect(rejectEventSuggestion({}, { suggestion, reviewerId: 'org2', note: 'Too cold' })).rejects.toThrow('already approved');
+  expect(firestore.written).toEqual([]);
+
+  firestore.store['eventSuggestions/s1'].status = 'rejected';
+  await expect(approveEventSuggestion({}, { suggestion, reviewer })).rejects.toThrow('already rejected');
+});
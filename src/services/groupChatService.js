@@ -0,0 +1,190 @@
+/**
+ * Group Chat Service — temporary pre-event chats, one per VenueGroup.
+ *
+ * A venue reveal (see planVenueReveal) creates a
+ * `groupChats/{eventId}_{groupId}` document for every group it reveals, so a
+ * chat opens together with its venue. Chats close GROUP_CHAT_CLOSE_HOURS
+ * after the event starts and stay readable but accept no new messages. Only the group's members and the event creator may
+ * read or post; the creator can also broadcast to every group at once.
+ * When revealed groups are edited later, syncGroupChatMembers moves people
+ * between their chats.
+ */
+import { collection, doc, getDocs, query, runTransaction, where, writeBatch } from 'firebase/firestore';
+import { createGroupChat, createGroupMessage } from '../models';
+import { MAX_MESSAGE_LENGTH } from './messagingService';
+
+/** Hours after the event start when its group chats stop accepting messages. */
+export const GROUP_CHAT_CLOSE_HOURS = 24;
+
+/**
+ * Document ID of a group's chat.
+ * @param {string} eventId
+ * @param {string} groupId
+ * @returns {string}
+ */
+export const groupChatId = (eventId, groupId) => `${eventId}_${groupId}`;
+
+/**
+ * Build the chat document for a group being revealed.
+ * @param {string} eventId
+ * @param {Object} event - Event data (title, dateTime, createdBy)
+ * @param {Object} group - VenueGroup
+ * @param {string} [roundLabel]
+ * @param {Date} [now]
+ * @returns {Object} GroupChat data without id
+ */
+export function buildGroupChat(eventId, event, group, roundLabel = '', now = new Date()) {
+  const start = new Date(event?.dateTime).getTime();
+  const base = Number.isNaN(start) ? now.getTime() : start;
+  const { id: _id, ...chat } = createGroupChat({
+    eventId,
+    eventTitle: event?.title || '',
+    groupId: group.groupId,
+    groupName: group.groupName || '',
+    roundLabel,
+    memberIds: group.attendeeIds || [],
+    organizerId: event?.createdBy || '',
+    opensAt: now.toISOString(),
+    closesAt: new Date(base + GROUP_CHAT_CLOSE_HOURS * 3600 * 1000).toISOString(),
+    createdAt: now.toISOString(),
+  });
+  return chat;
+}
+
+/**
+ * Whether a user may read and post in a chat.
+ * @param {Object} chat
+ * @param {string} userId
+ * @returns {boolean}
+ */
+export function canAccessGroupChat(chat, userId) {
+  return Boolean(userId) && (chat?.organizerId === userId || (chat?.memberIds || []).includes(userId));
+}
+
+/**
+ * Whether a chat still accepts messages.
+ * @param {Object} chat
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isGroupChatOpen(chat, now = new Date()) {
+  const iso = now.toISOString();
+  return Boolean(chat?.closesAt) && (chat.opensAt || '') <= iso && iso < chat.closesAt;
+}
+
+const cleanText = (text) => {
+  const body = String(text || '').trim();
+  if (!body) throw new Error('Message is empty.');
+  if (body.length > MAX_MESSAGE_LENGTH) throw new Error(`Messages are limited to ${MAX_MESSAGE_LENGTH} characters.`);
+  return body;
+};
+
+/**
+ * Post a message in one group chat.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.chatId
+ * @param {string} params.senderId
+ * @param {string} [params.senderName]
+ * @param {string} params.text
+ * @returns {Promise<Object>} The saved message ({ id, ... })
+ */
+export async function sendGroupMessage(db, { chatId, senderId, senderName = '', text }) {
+  const body = cleanText(text);
+  return runTransaction(db, async (transaction) => {
+    const chatRef = doc(db, 'groupChats', chatId);
+    const snap = await transaction.get(chatRef);
+    if (!snap.exists()) throw new Error('Group chat not found');
+    const chat = snap.data();
+    if (!canAccessGroupChat(chat, senderId)) throw new Error('You are not part of this group.');
+    if (!isGroupChatOpen(chat)) throw new Error('This group chat is closed.');
+
+    const now = new Date().toISOString();
+    const messageRef = doc(collection(db, 'groupChats', chatId, 'messages'));
+    const { id: _id, ...message } = createGroupMessage({
+      senderId,
+      senderName,
+      text: body,
+      kind: senderId === chat.organizerId ? 'organizer' : 'member',
+      createdAt: now,
+    });
+    transaction.set(messageRef, message);
+    transaction.update(chatRef, { lastMessage: { text: body.slice(0, 120), senderId, createdAt: now } });
+    return { id: messageRef.id, ...message };
+  });
+}
+
+/**
+ * Send the same organizer message to every open group chat of an event.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @param {string} params.organizerId - Must be the event creator
+ * @param {string} [params.senderName]
+ * @param {string} params.text
+ * @returns {Promise<number>} Number of chats the message was posted to
+ */
+export async function broadcastToGroupChats(db, { eventId, organizerId, senderName = '', text }) {
+  const body = cleanText(text);
+  const snap = await getDocs(query(
+    collection(db, 'groupChats'),
+    where('eventId', '==', eventId),
+    where('organizerId', '==', organizerId)
+  ));
+  const open = snap.docs.filter((d) => isGroupChatOpen(d.data()));
+  if (!open.length) return 0;
+
+  const now = new Date().toISOString();
+  const batch = writeBatch(db);
+  open.forEach((chatDoc) => {
+    const { id: _id, ...message } = createGroupMessage({
+      senderId: organizerId,
+      senderName,
+      text: body,
+      kind: 'broadcast',
+      createdAt: now,
+    });
+    batch.set(doc(collection(db, 'groupChats', chatDoc.id, 'messages')), message);
+    batch.update(doc(db, 'groupChats', chatDoc.id), {
+      lastMessage: { text: body.slice(0, 120), senderId: organizerId, createdAt: now },
+    });
+  });
+  await batch.commit();
+  return open.length;
+}
+
+/**
+ * Bring the chats of already-revealed groups in line with their members
+ * after the groups were edited, e.g. by an incremental update. Chats that
+ * are missing for a revealed group are opened now.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @param {Object} params.event - Event data (title, dateTime, createdBy)
+ * @param {Object[]} params.groups - The saved VenueGroups
+ * @param {string} [params.roundLabel]
+ * @returns {Promise<number>} Number of chats written
+ */
+export async function syncGroupChatMembers(db, { eventId, event, groups, roundLabel = '' }) {
+  const revealed = groups.filter((g) => g.locationRevealed);
+  if (!revealed.length) return 0;
+
+  return runTransaction(db, async (transaction) => {
+    const refs = revealed.map((g) => doc(db, 'groupChats', groupChatId(eventId, g.groupId)));
+    const snaps = await Promise.all(refs.map((ref) => transaction.get(ref)));
+    let changed = 0;
+    snaps.forEach((snap, i) => {
+      const memberIds = revealed[i].attendeeIds || [];
+      if (!snap.exists()) {
+        transaction.set(refs[i], buildGroupChat(eventId, event, revealed[i], roundLabel));
+        changed += 1;
+        return;
+      }
+      const current = snap.data().memberIds || [];
+      if (current.length === memberIds.length && memberIds.every((id) => current.includes(id))) return;
+      transaction.update(refs[i], { memberIds, groupName: revealed[i].groupName || '' });
+      changed += 1;
+    });
+    return changed;
+  });
+}
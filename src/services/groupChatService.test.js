@@ -0,0 +1,79 @@
+import { installFakeFirestore } from '../testUtils/fakeFirestore';
+import {
+  broadcastToGroupChats,
+  buildGroupChat,
+  canAccessGroupChat,
+  isGroupChatOpen,
+  sendGroupMessage,
+  syncGroupChatMembers,
+} from './groupChatService';
+
+const event = { title: 'Friday Dinner', dateTime: '2030-05-10T19:00:00.000Z', createdBy: 'org' };
+const group = { groupId: 'g1', groupName: 'Group 1', attendeeIds: ['a', 'b'] };
+const revealedAt = new Date('2030-05-09T19:00:00.000Z');
+
+const firestore = installFakeFirestore();
+
+test('a chat opens at the reveal and closes 24h after the event starts', () => {
+  const chat = buildGroupChat('e1', event, group, '', revealedAt);
+  expect(chat).toMatchObject({ eventId: 'e1', groupId: 'g1', memberIds: ['a', 'b'], organizerId: 'org' });
+  expect(chat.closesAt).toBe('2030-05-11T19:00:00.000Z');
+
+  expect(isGroupChatOpen(chat, new Date('2030-05-09T18:00:00.000Z'))).toBe(false);
+  expect(isGroupChatOpen(chat, new Date('2030-05-11T18:59:00.000Z'))).toBe(true);
+  expect(isGroupChatOpen(chat, new Date('2030-05-11T19:00:00.000Z'))).toBe(false);
+
+  expect(canAccessGroupChat(chat, 'a')).toBe(true);
+  expect(canAccessGroupChat(chat, 'org')).toBe(true);
+  expect(canAccessGroupChat(chat, 'c')).toBe(false);
+});
+
+test('only members and the organizer post, and only while open', async () => {
+  const now = new Date();
+  firestore.store['groupChats/e1_g1'] = buildGroupChat('e1', { ...event, dateTime: now.toISOString() }, group, '', now);
+
+  await expect(sendGroupMessage({}, { chatId: 'e1_g1', senderId: 'c', text: 'Hi' })).rejects.toThrow('not part');
+  const fromMember = await sendGroupMessage({}, { chatId: 'e1_g1', senderId: 'a', senderName: 'Amal', text: 'Running 10 min late' });
+  const fromOrganizer = await sendGroupMessage({}, { chatId: 'e1_g1', senderId: 'org', text: 'Table is under Gatherly' });
+  expect(fromMember).toMatchObject({ kind: 'member', senderName: 'Amal' });
+  expect(fromOrganizer.kind).toBe('organizer');
+  expect(firestore.written[0].path).toBe('groupChats/e1_g1/messages/auto');
+
+  firestore.store['groupChats/e1_g1'].closesAt = new Date(now.getTime() - 1000).toISOString();
+  await expect(sendGroupMessage({}, { chatId: 'e1_g1', senderId: 'a', text: 'Thanks!' })).rejects.toThrow('closed');
+});
+
+test('a broadcast reaches every open chat of the event', async () => {
+  const now = new Date();
+  const open = buildGroupChat('e1', { ...event, dateTime: now.toISOString() }, group, '', now);
+  const closed = { ...open, closesAt: new Date(now.getTime() - 1000).toISOString() };
+  firestore.store['groupChats/e1_g1'] = open;
+  firestore.store['groupChats/e1_g2'] = { ...open, groupId: 'g2' };
+  firestore.store['groupChats/e1_g3'] = closed;
+
+  expect(await broadcastToGroupChats({}, { eventId: 'e1', organizerId: 'org', text: 'Doors open at 7' })).toBe(2);
+  const messages = firestore.written.filter((w) => w.path.endsWith('/messages/auto'));
+  expect(messages.map((w) => w.path)).toEqual(['groupChats/e1_g1/messages/auto', 'groupChats/e1_g2/messages/auto']);
+  expect(messages[0].data).toMatchObject({ kind: 'broadcast', senderId: 'org', text: 'Doors open at 7' });
+});
+
+test('an incremental update moves people between revealed group chats', async () => {
+  firestore.store['groupChats/e1_g1'] = buildGroupChat('e1', event, group, '', revealedAt);
+  firestore.store['groupChats/e1_g2'] = buildGroupChat('e1', event, { groupId: 'g2', attendeeIds: ['c'] }, '', revealedAt);
+
+  const groups = [
+    { ...group, attendeeIds: ['a'], locationRevealed: true },
+    { groupId: 'g2', groupName: 'Group 2', attendeeIds: ['c', 'b'], locationRevealed: true },
+    { groupId: 'g3', groupName: 'Group 3', attendeeIds: ['d'], locationRevealed: true },
+    { groupId: 'g4', groupName: 'Group 4', attendeeIds: ['e'], locationRevealed: false },
+  ];
+  expect(await syncGroupChatMembers({}, { eventId: 'e1', event, groups })).toBe(3);
+
+  expect(firestore.store['groupChats/e1_g1'].memberIds).toEqual(['a']);
+  expect(firestore.store['groupChats/e1_g2'].memberIds).toEqual(['c', 'b']);
+  expect(firestore.store['groupChats/e1_g3']).toMatchObject({ memberIds: ['d'], organizerId: 'org' });
+  expect(firestore.store['groupChats/e1_g4']).toBeUndefined();
+  expect(canAccessGroupChat(firestore.store['groupChats/e1_g1'], 'b')).toBe(false);
+
+  expect(await syncGroupChatMembers({}, { eventId: 'e1', event, groups })).toBe(0);
+});
@@ -0,0 +1,116 @@
+/**
+ * Match Service — mutual matches between people who rated each other highly.
+ *
+ * When each person's latest rating of the other is high (4–5, or the legacy
+ * `like_a_lot`), the createMutualMatches function creates a
+ * `matches/{pairKey}` document and notifies both people. Only the function
+ * writes new matches (see the README rules), since a match lets the pair
+ * connect without a request. The document ID makes creation idempotent:
+ * rating again never produces a second match.
+ */
+import { collection, doc, runTransaction } from 'firebase/firestore';
+import { pairKey } from '../algorithms/groupSolver';
+import { RATING_VALUES, createConnection, createMatch, createNotification } from '../models';
+
+/**
+ * Whether a rating counts towards a match. Explicit scores must be 4 or 5;
+ * ratings from before the 5-level scale only count when `like_a_lot`.
+ * @param {Object} rating
+ * @returns {boolean}
+ */
+export function isMatchRating(rating) {
+  const score = Number(rating?.score || rating?.ratingLevel || 0);
+  if (score) return score >= 4;
+  return rating?.value === RATING_VALUES.LIKE_A_LOT;
+}
+
+/**
+ * Whether two people's latest ratings of each other are both match ratings.
+ * @param {Object[]} ratings - Ratings between the two, in either direction
+ * @param {string} userA
+ * @param {string} userB
+ * @returns {boolean}
+ */
+export function isMutualMatch(ratings, userA, userB) {
+  const latest = (from, to) => ratings
+    .filter((r) => r.fromUserId === from && r.toUserId === to)
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))[0];
+  return [latest(userA, userB), latest(userB, userA)].every((rating) => rating && isMatchRating(rating));
+}
+
+/**
+ * The match document and both notifications for the rating that completed a match.
+ * @param {Object} rating - fromUserId, toUserId, eventId
+ * @param {Object} [names] - Display names keyed by user ID
+ * @param {string} [now] - ISO timestamp
+ * @returns {{ id: string, match: Object, notifications: Object[] }}
+ */
+export function planMatch(rating, names = {}, now = new Date().toISOString()) {
+  const { fromUserId, toUserId } = rating;
+  const { id: _id, ...match } = createMatch({
+    userIds: [fromUserId, toUserId].sort(),
+    eventId: rating.eventId || '',
+    createdAt: now,
+  });
+  const notifications = [[fromUserId, toUserId], [toUserId, fromUserId]].map(([userId, otherId]) => {
+    const { id: _nid, ...notification } = createNotification({
+      userId,
+      type: 'mutual_match',
+      fromUserId: otherId,
+      eventId: rating.eventId || '',
+      message: `It's a match! You and ${names[otherId] || 'someone you met'} both enjoyed meeting. You can connect right away.`,
+      createdAt: now,
+    });
+    return notification;
+  });
+  return { id: pairKey(fromUserId, toUserId), match, notifications };
+}
+
+/**
+ * Connect a matched pair directly. Either person may accept. This also
+ * creates their connection, with no contact details shared until each
+ * person picks some.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.matchId
+ * @param {string} params.userId - Accepting user
+ * @param {string} [params.userName] - Shown to the other person
+ * @returns {Promise<boolean>} false when the match was already connected
+ */
+export async function connectMatch(db, { matchId, userId, userName = '' }) {
+  return runTransaction(db, async (transaction) => {
+    const matchRef = doc(db, 'matches', matchId);
+    const connectionRef = doc(db, 'connections', matchId);
+    const [snap, connectionSnap] = await Promise.all([
+      transaction.get(matchRef),
+      transaction.get(connectionRef),
+    ]);
+    if (!snap.exists()) throw new Error('Match not found');
+    const match = snap.data();
+    if (!match.userIds.includes(userId)) throw new Error('Not your match');
+    if (match.status === 'connected') return false;
+
+    const now = new Date().toISOString();
+    transaction.update(matchRef, { status: 'connected', connectedAt: now, connectedBy: userId });
+    // An accepted connect request may have connected them already
+    if (!connectionSnap.exists()) {
+      const { id: _cid, ...connection } = createConnection({
+        userIds: match.userIds,
+        source: 'match',
+        sourceId: matchId,
+        createdAt: now,
+      });
+      transaction.set(connectionRef, connection);
+    }
+    const { id: _id, ...notification } = createNotification({
+      userId: match.userIds.find((uid) => uid !== userId),
+      type: 'match_connected',
+      fromUserId: userId,
+      eventId: match.eventId || '',
+      message: `${userName || 'Your match'} connected with you.`,
+      createdAt: now,
+    });
+    transaction.set(doc(collection(db, 'notifications')), notification);
+    return true;
+  });
+}
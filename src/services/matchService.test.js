@@ -0,0 +1,48 @@
+import { installFakeFirestore } from '../testUtils/fakeFirestore';
+import { connectMatch, isMatchRating, isMutualMatch, planMatch } from './matchService';
+
+const firestore = installFakeFirestore(() => ({
+  'matches/a|b': { userIds: ['a', 'b'], eventId: 'e1', status: 'offered' },
+}));
+
+test('counts 4–5 scores and legacy like_a_lot as match ratings', () => {
+  expect(isMatchRating({ score: 4 })).toBe(true);
+  expect(isMatchRating({ score: 3, value: 'like_a_lot' })).toBe(false);
+  expect(isMatchRating({ value: 'like_a_lot' })).toBe(true);
+  expect(isMatchRating({ value: 'like_a_little' })).toBe(false);
+});
+
+test('a match needs each person\'s latest rating of the other to be high', () => {
+  const ratings = [
+    { fromUserId: 'a', toUserId: 'b', score: 4, createdAt: '2026-02-01' },
+    { fromUserId: 'b', toUserId: 'a', score: 2, createdAt: '2026-01-01' },
+    { fromUserId: 'b', toUserId: 'a', score: 5, createdAt: '2026-02-01' },
+  ];
+  expect(isMutualMatch(ratings, 'a', 'b')).toBe(true);
+  expect(isMutualMatch(ratings, 'b', 'a')).toBe(true);
+  expect(isMutualMatch([...ratings, { fromUserId: 'b', toUserId: 'a', score: 3, createdAt: '2026-03-01' }], 'a', 'b'))
+    .toBe(false);
+  expect(isMutualMatch(ratings.slice(0, 1), 'a', 'b')).toBe(false);
+});
+
+test('a new match is offered to both people', () => {
+  const { id, match, notifications } = planMatch(
+    { fromUserId: 'b', toUserId: 'a', eventId: 'e1' },
+    { a: 'Amal', b: 'Bassem' },
+    '2026-02-01T10:00:00.000Z'
+  );
+  expect(id).toBe('a|b');
+  expect(match).toMatchObject({ userIds: ['a', 'b'], eventId: 'e1', status: 'offered' });
+  expect(notifications.map((n) => [n.userId, n.fromUserId])).toEqual([['b', 'a'], ['a', 'b']]);
+  expect(notifications[0].message).toMatch(/You and Amal/);
+});
+
+test('either person connects a match once, creating the connection', async () => {
+  await expect(connectMatch({}, { matchId: 'a|b', userId: 'c' })).rejects.toThrow('Not your match');
+  await expect(connectMatch({}, { matchId: 'a|b', userId: 'b', userName: 'Bassem' })).resolves.toBe(true);
+
+  expect(firestore.store['matches/a|b']).toMatchObject({ status: 'connected', connectedBy: 'b' });
+  expect(firestore.store['connections/a|b']).toMatchObject({ userIds: ['a', 'b'], source: 'match' });
+  expect(firestore.store['notifications/auto']).toMatchObject({ userId: 'a', type: 'match_connected' });
+  await expect(connectMatch({}, { matchId: 'a|b', userId: 'a' })).resolves.toBe(false);
+});
@@ -0,0 +1,126 @@
+/**
+ * Messaging Service — 1:1 conversations between connected people.
+ *
+ * A conversation shares its ID with the pair's `connections` document and
+ * every write checks that connection first, so people who never connected
+ * cannot message each other. Unread counts and last-read times live on the
+ * conversation document: one listener per user is enough for badges, and
+ * read receipts compare a message's time with the other person's last read.
+ */
+import { collection, doc, runTransaction } from 'firebase/firestore';
+import { createConversation, createMessage } from '../models';
+
+/** Longest message accepted, in characters. */
+export const MAX_MESSAGE_LENGTH = 2000;
+
+// Reads the pair's connection and conversation; throws unless userId is connected
+const loadConversation = async (db, transaction, conversationId, userId) => {
+  const conversationRef = doc(db, 'conversations', conversationId);
+  const [connectionSnap, conversationSnap] = await Promise.all([
+    transaction.get(doc(db, 'connections', conversationId)),
+    transaction.get(conversationRef),
+  ]);
+  if (!connectionSnap.exists() || !(connectionSnap.data().userIds || []).includes(userId)) {
+    throw new Error('You can only message people you are connected with.');
+  }
+  if (conversationSnap.exists()) {
+    return { conversationRef, conversation: conversationSnap.data(), exists: true };
+  }
+  const { id: _id, ...conversation } = createConversation({ userIds: connectionSnap.data().userIds });
+  return { conversationRef, conversation, exists: false };
+};
+
+/**
+ * Send a message to a connection.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.conversationId - The connection ID (pairKey)
+ * @param {string} params.senderId
+ * @param {string} params.text
+ * @returns {Promise<Object>} The saved message ({ id, ... })
+ */
+export async function sendMessage(db, { conversationId, senderId, text }) {
+  const body = String(text || '').trim();
+  if (!body) throw new Error('Message is empty.');
+  if (body.length > MAX_MESSAGE_LENGTH) throw new Error(`Messages are limited to ${MAX_MESSAGE_LENGTH} characters.`);
+
+  return runTransaction(db, async (transaction) => {
+    const { conversationRef, conversation } = await loadConversation(db, transaction, conversationId, senderId);
+    if ((conversation.blockedBy || []).length) throw new Error('This conversation is blocked.');
+
+    const now = new Date().toISOString();
+    const recipientId = conversation.userIds.find((uid) => uid !== senderId);
+    const messageRef = doc(collection(db, 'conversations', conversationId, 'messages'));
+    const { id: _id, ...message } = createMessage({ senderId, text: body, createdAt: now });
+    transaction.set(messageRef, message);
+    transaction.set(conversationRef, {
+      ...conversation,
+      lastMessage: { text: body.slice(0, 120), senderId, createdAt: now },
+      unread: { ...conversation.unread, [senderId]: 0, [recipientId]: (conversation.unread?.[recipientId] || 0) + 1 },
+      lastReadAt: { ...conversation.lastReadAt, [senderId]: now },
+      updatedAt: now,
+    });
+    return { id: messageRef.id, ...message };
+  });
+}
+
+/**
+ * Mark a conversation read by a user: clears their unread count and moves
+ * their read receipt to now.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.conversationId
+ * @param {string} params.userId
+ * @returns {Promise<void>}
+ */
+export async function markConversationRead(db, { conversationId, userId }) {
+  return runTransaction(db, async (transaction) => {
+    const { conversationRef, exists } = await loadConversation(db, transaction, conversationId, userId);
+    if (!exists) return;
+    transaction.update(conversationRef, {
+      [`unread.${userId}`]: 0,
+      [`lastReadAt.${userId}`]: new Date().toISOString(),
+    });
+  });
+}
+
+/**
+ * Block or unblock the other person. Only the person who blocked can unblock.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.conversationId
+ * @param {string} params.userId
+ * @param {boolean} params.blocked
+ * @returns {Promise<string[]>} The conversation's blockedBy list
+ */
+export async function setConversationBlocked(db, { conversationId, userId, blocked }) {
+  return runTransaction(db, async (transaction) => {
+    const { conversationRef, conversation } = await loadConversation(db, transaction, conversationId, userId);
+    const others = (conversation.blockedBy || []).filter((uid) => uid !== userId);
+    const blockedBy = blocked ? [...others, userId] : others;
+    transaction.set(conversationRef, { ...conversation, blockedBy, updatedAt: new Date().toISOString() });
+    return blockedBy;
+  });
+}
+
+/**
+ * Whether the other participant has read a message.
+ * @param {Object} conversation
+ * @param {Object} message
+ * @returns {boolean}
+ */
+export function isReadByRecipient(conversation, message) {
+  const recipientId = (conversation?.userIds || []).find((uid) => uid !== message.senderId);
+  const readAt = conversation?.lastReadAt?.[recipientId] || '';
+  return Boolean(readAt) && readAt >= message.createdAt;
+}
+
+/**
+ * Total unread messages for a user across conversations.
+ * @param {Object[]} conversations
+ * @param {string} userId
+ * @returns {number}
+ */
+export function countUnread(conversations, userId) {
+  return conversations.reduce((sum, c) => sum + (c.unread?.[userId] || 0), 0);
+}
@@ -0,0 +1,49 @@
+import { installFakeFirestore } from '../testUtils/fakeFirestore';
+import {
+  countUnread,
+  isReadByRecipient,
+  markConversationRead,
+  sendMessage,
+  setConversationBlocked,
+} from './messagingService';
+
+const firestore = installFakeFirestore(() => ({
+  'connections/amal|bassem': { userIds: ['amal', 'bassem'] },
+}));
+
+test('only connected people can message, and unread counts follow the conversation', async () => {
+  await expect(sendMessage({}, { conversationId: 'amal|carol', senderId: 'amal', text: 'Hi' }))
+    .rejects.toThrow('connected');
+  await expect(sendMessage({}, { conversationId: 'amal|bassem', senderId: 'carol', text: 'Hi' }))
+    .rejects.toThrow('connected');
+
+  const first = await sendMessage({}, { conversationId: 'amal|bassem', senderId: 'amal', text: '  Hi Bassem ' });
+  await sendMessage({}, { conversationId: 'amal|bassem', senderId: 'amal', text: 'Coffee?' });
+  expect(firestore.store['conversations/amal|bassem/messages/auto']).toMatchObject({ senderId: 'amal', text: 'Coffee?' });
+  expect(first.text).toBe('Hi Bassem');
+
+  let conversation = firestore.store['conversations/amal|bassem'];
+  expect(conversation.unread).toEqual({ amal: 0, bassem: 2 });
+  expect(countUnread([conversation], 'bassem')).toBe(2);
+  expect(isReadByRecipient(conversation, first)).toBe(false);
+
+  await markConversationRead({}, { conversationId: 'amal|bassem', userId: 'bassem' });
+  conversation = firestore.store['conversations/amal|bassem'];
+  expect(conversation.unread.bassem).toBe(0);
+  expect(isReadByRecipient(conversation, first)).toBe(true);
+});
+
+test('a block stops both sides until the blocker lifts it', async () => {
+  await setConversationBlocked({}, { conversationId: 'amal|bassem', userId: 'bassem', blocked: true });
+  await expect(sendMessage({}, { conversationId: 'amal|bassem', senderId: 'amal', text: 'Hello?' }))
+    .rejects.toThrow('blocked');
+  await expect(sendMessage({}, { conversationId: 'amal|bassem', senderId: 'bassem', text: 'Hi' }))
+    .rejects.toThrow('blocked');
+
+  expect(await setConversationBlocked({}, { conversationId: 'amal|bassem', userId: 'amal', blocked: false }))
+    .toEqual(['bassem']);
+  expect(await setConversationBlocked({}, { conversationId: 'amal|bassem', userId: 'bassem', blocked: false }))
+    .toEqual([]);
+  await expect(sendMessage({}, { conversationId: 'amal|bassem', senderId: 'amal', text: 'Hello again' }))
+    .resolves.toMatchObject({ senderId: 'amal' });
+});
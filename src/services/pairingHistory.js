@@ -0,0 +1,29 @@
+/**
+ * Pairing History — who already sat together at earlier events.
+ *
+ * Reads the saved `venueGroups` of past events in the same locality and
+ * turns them into pair co-membership counts for the group solver.
+ */
+import { buildPairHistory } from '../algorithms/groupSolver';
+import { findDocs } from './attendeeDataLoader';
+
+/**
+ * Load past co-memberships relevant to an event.
+ * @param {Firestore} db - App Firestore, or a reader (see attendeeDataLoader.findDocs)
+ * @param {Object} event - The event being grouped ({ id, localityId, dateTime })
+ * @param {Object} [options]
+ * @param {number} [options.lookbackDays] - Ignore events older than this
+ * @returns {Promise<Object>} History keyed by pairKey (see buildPairHistory)
+ */
+export async function loadPairHistory(db, event, { lookbackDays = 180 } = {}) {
+  if (!event?.localityId) return {};
+  const localityEvents = await findDocs(db, 'events', [['localityId', '==', event.localityId]]);
+  const pastEvents = localityEvents.filter((ev) => ev.id !== event.id && (ev.venueGroups || []).length);
+
+  // Only events that happened before this one count as "already met"
+  const now = new Date(event.dateTime);
+  return buildPairHistory(pastEvents, {
+    now: Number.isNaN(now.getTime()) ? new Date() : now,
+    lookbackDays,
+  });
+}
@@ -0,0 +1,170 @@
+/**
+ * Presence Service — "I'm here" / "Running late" on the day, the organizer's
+ * roll call, and the attendance record that gates ratings.
+ *
+ * Friends report presence on their own booking once their venue is revealed.
+ * The organizer can mark anyone present at roll call. ATTENDANCE_FINALIZE_HOURS
+ * after the event starts, the finalizeAttendance function turns presence into
+ * `actuallyAttended` (see planAttendance): present means attended, anything
+ * else means not. Bookings from before this existed keep
+ * `actuallyAttended: null` and still count as attended.
+ */
+import { doc, runTransaction } from 'firebase/firestore';
+import { BOOKING_STATUS, EVENT_STATUS, PRESENCE_STATUS } from '../models';
+import { bookingIdFor } from './bookingService';
+import { normalizeEventStatus } from './eventLifecycle';
+
+/** Hours before the event start when Friends can first report presence. */
+export const CHECK_IN_OPENS_HOURS = 3;
+
+/** Hours after the event start when presence is locked into actuallyAttended. */
+export const ATTENDANCE_FINALIZE_HOURS = 12;
+
+/** ETA choices offered with "Running late", in minutes. */
+export const ETA_OPTIONS = [10, 20, 30, 45];
+
+const finalizeTime = (event) => {
+  const start = new Date(event?.dateTime).getTime();
+  return Number.isNaN(start) ? null : start + ATTENDANCE_FINALIZE_HOURS * 3600 * 1000;
+};
+
+/**
+ * Friends can report presence from CHECK_IN_OPENS_HOURS before the start
+ * until attendance is finalized, once their venue has been revealed.
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function canReportPresence(event, now = new Date()) {
+  const until = finalizeTime(event);
+  const status = normalizeEventStatus(event?.status);
+  if (!event?.locationRevealed || event.attendanceFinalizedAt || until === null) return false;
+  if (status !== EVENT_STATUS.PUBLISHED && status !== EVENT_STATUS.COMPLETED) return false;
+  const opens = new Date(event.dateTime).getTime() - CHECK_IN_OPENS_HOURS * 3600 * 1000;
+  return now.getTime() >= opens && now.getTime() < until;
+}
+
+/**
+ * Whether a booking counts as having attended, for rating eligibility.
+ * @param {Object} booking
+ * @returns {boolean}
+ */
+export const countsAsAttended = (booking) => booking?.actuallyAttended !== false;
+
+/**
+ * Expected arrival time of a late Friend.
+ * @param {Object} booking
+ * @returns {Date|null}
+ */
+export function expectedArrival(booking) {
+  if (booking?.presenceStatus !== PRESENCE_STATUS.LATE || !booking.etaMinutes) return null;
+  const from = new Date(booking.presenceUpdatedAt).getTime();
+  return Number.isNaN(from) ? null : new Date(from + booking.etaMinutes * 60 * 1000);
+}
+
+/**
+ * Report "I'm here" or "Running late" on the user's own booking.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @param {string} params.userId
+ * @param {string} params.status - PRESENCE_STATUS.PRESENT or PRESENCE_STATUS.LATE
+ * @param {number} [params.etaMinutes] - Required when late
+ * @returns {Promise<void>}
+ */
+export async function reportPresence(db, { eventId, userId, status, etaMinutes = null }) {
+  if (!Object.values(PRESENCE_STATUS).includes(status)) throw new Error('Unknown presence status');
+  if (status === PRESENCE_STATUS.LATE && !(Number(etaMinutes) > 0)) throw new Error('Pick when you expect to arrive.');
+
+  await runTransaction(db, async (transaction) => {
+    const bookingRef = doc(db, 'bookings', bookingIdFor(userId, eventId));
+    const [eventSnap, bookingSnap] = await Promise.all([
+      transaction.get(doc(db, 'events', eventId)),
+      transaction.get(bookingRef),
+    ]);
+    if (!eventSnap.exists()) throw new Error('Event not found');
+    if (!bookingSnap.exists() || bookingSnap.data().status !== BOOKING_STATUS.CONFIRMED) {
+      throw new Error('You do not have a confirmed booking for this event.');
+    }
+    if (!canReportPresence(eventSnap.data())) throw new Error('Check-in is not open for this event.');
+
+    transaction.update(bookingRef, {
+      presenceStatus: status,
+      etaMinutes: status === PRESENCE_STATUS.LATE ? Number(etaMinutes) : null,
+      presenceUpdatedAt: new Date().toISOString(),
+    });
+  });
+}
+
+/**
+ * Organizer roll call: mark an attendee present, or clear their presence.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @param {string} params.userId - Attendee
+ * @param {string} params.organizerId - Must be the event creator
+ * @param {boolean} params.present
+ * @returns {Promise<void>}
+ */
+export async function setRollCallPresence(db, { eventId, userId, organizerId, present }) {
+  await runTransaction(db, async (transaction) => {
+    const bookingRef = doc(db, 'bookings', bookingIdFor(userId, eventId));
+    const [eventSnap, bookingSnap] = await Promise.all([
+      transaction.get(doc(db, 'events', eventId)),
+      transaction.get(bookingRef),
+    ]);
+    if (!eventSnap.exists()) throw new Error('Event not found');
+    const event = eventSnap.data();
+    if (event.createdBy !== organizerId) throw new Error('Only the organizer can take the roll call.');
+    if (event.attendanceFinalizedAt) throw new Error('Attendance for this event is already final.');
+    if (!bookingSnap.exists()) throw new Error('Booking not found');
+
+    transaction.update(bookingRef, {
+      presenceStatus: present ? PRESENCE_STATUS.PRESENT : null,
+      etaMinutes: null,
+      presenceUpdatedAt: new Date().toISOString(),
+      checkedInBy: present ? organizerId : null,
+    });
+  });
+}
+
+/**
+ * Events whose check-in has closed and whose attendance is not recorded yet.
+ * Without a venue reveal nobody could check in, so there is nothing to record.
+ * @param {Object[]} events - Candidate events ({ id, ...data })
+ * @param {Date} [now]
+ * @returns {Object[]}
+ */
+export function eventsDueForFinalizing(events, now = new Date()) {
+  return events.filter((ev) => {
+    const until = finalizeTime(ev);
+    const status = normalizeEventStatus(ev.status);
+    return !ev.attendanceFinalizedAt && ev.locationRevealed && until !== null && until <= now.getTime()
+      && (status === EVENT_STATUS.PUBLISHED || status === EVENT_STATUS.COMPLETED);
+  });
+}
+
+/**
+ * Turn presence on an event's confirmed bookings into the attendance record.
+ * @param {Object[]} bookings - Confirmed bookings ({ id, ...data })
+ * @returns {{ attended: Object<string, boolean>, attendedIds: string[] }}
+ *   actuallyAttended by booking ID, and the user IDs of those present
+ */
+export function planAttendance(bookings) {
+  const attended = {};
+  const attendedIds = [];
+  bookings.forEach((booking) => {
+    attended[booking.id] = booking.presenceStatus === PRESENCE_STATUS.PRESENT;
+    if (attended[booking.id] && booking.userId) attendedIds.push(booking.userId);
+  });
+  return { attended, attendedIds };
+}
+
+/**
+ * Who was at an event: those recorded present once attendance is final,
+ * otherwise everyone confirmed (including events from before check-in).
+ * Lets other attendees be listed without reading their bookings.
+ * @param {Object} event
+ * @returns {string[]}
+ */
+export const attendedUserIds = (event) => event?.attendedIds || event?.attendeeIds || [];
@@ -0,0 +1,76 @@
+import { installFakeFirestore } from '../testUtils/fakeFirestore';
+import {
+  canReportPresence,
+  countsAsAttended,
+  attendedUserIds,
+  eventsDueForFinalizing,
+  expectedArrival,
+  planAttendance,
+  reportPresence,
+  setRollCallPresence,
+} from './presenceService';
+
+const start = '2030-05-10T19:00:00.000Z';
+const event = { status: 'published', dateTime: start, locationRevealed: true, createdBy: 'org' };
+
+const firestore = installFakeFirestore(() => ({
+  'events/e1': event,
+  'bookings/a_e1': { userId: 'a', eventId: 'e1', status: 'confirmed' },
+}));
+
+test('check-in opens a few hours before the start and closes when attendance is finalized', () => {
+  expect(canReportPresence(event, new Date('2030-05-09T19:00:00.000Z'))).toBe(false);
+  expect(canReportPresence(event, new Date('2030-05-10T15:59:00.000Z'))).toBe(false);
+  expect(canReportPresence(event, new Date('2030-05-10T16:00:00.000Z'))).toBe(true);
+  expect(canReportPresence(event, new Date('2030-05-10T18:00:00.000Z'))).toBe(true);
+  expect(canReportPresence({ ...event, status: 'completed' }, new Date('2030-05-11T06:59:00.000Z'))).toBe(true);
+  expect(canReportPresence(event, new Date('2030-05-11T07:00:00.000Z'))).toBe(false);
+  expect(canReportPresence({ ...event, locationRevealed: false }, new Date(start))).toBe(false);
+  expect(canReportPresence({ ...event, status: 'cancelled' }, new Date(start))).toBe(false);
+});
+
+test('only a false attendance record blocks ratings', () => {
+  expect(countsAsAttended({ actuallyAttended: null })).toBe(true);
+  expect(countsAsAttended({ actuallyAttended: true })).toBe(true);
+  expect(countsAsAttended({ actuallyAttended: false })).toBe(false);
+});
+
+test('late Friends report an ETA, and only the organizer takes the roll call', async () => {
+  firestore.store['events/e1'] = { ...event, dateTime: new Date(Date.now() + 3600 * 1000).toISOString() };
+
+  await expect(reportPresence({}, { eventId: 'e1', userId: 'a', status: 'going_late' })).rejects.toThrow('arrive');
+  await reportPresence({}, { eventId: 'e1', userId: 'a', status: 'going_late', etaMinutes: 20 });
+  const late = firestore.written.pop();
+  expect(late).toMatchObject({ path: 'bookings/a_e1', data: { presenceStatus: 'going_late', etaMinutes: 20 } });
+  const eta = expectedArrival(late.data).getTime() - new Date(late.data.presenceUpdatedAt).getTime();
+  expect(eta).toBe(20 * 60 * 1000);
+
+  await expect(reportPresence({}, { eventId: 'e1', userId: 'b', status: 'confirmed_present' })).rejects.toThrow('confirmed booking');
+
+  await expect(setRollCallPresence({}, { eventId: 'e1', userId: 'a', organizerId: 'a', present: true })).rejects.toThrow('organizer');
+  await setRollCallPresence({}, { eventId: 'e1', userId: 'a', organizerId: 'org', present: true });
+  expect(firestore.written.pop().data).toMatchObject({ presenceStatus: 'confirmed_present', checkedInBy: 'org' });
+});
+
+test('attendance is finalized once check-in has closed, from who was present', () => {
+  const events = [
+    { id: 'e1', ...event, status: 'completed' },
+    { id: 'e2', ...event, locationRevealed: false },
+    { id: 'e3', ...event, attendanceFinalizedAt: '2030-05-11T08:00:00.000Z' },
+    { id: 'e4', ...event, status: 'cancelled' },
+  ];
+  expect(eventsDueForFinalizing(events, new Date('2030-05-11T06:59:00.000Z'))).toEqual([]);
+  expect(eventsDueForFinalizing(events, new Date('2030-05-11T07:00:00.000Z')).map((ev) => ev.id)).toEqual(['e1']);
+
+  expect(planAttendance([
+    { id: 'a_e1', userId: 'a', presenceStatus: 'confirmed_present' },
+    { id: 'b_e1', userId: 'b', presenceStatus: 'going_late' },
+    { id: 'c_e1', userId: 'c', presenceStatus: null },
+  ])).toEqual({ attended: { a_e1: true, b_e1: false, c_e1: false }, attendedIds: ['a'] });
+});
+
+test('attendees are listed from the attendance record once it is final', () => {
+  expect(attendedUserIds({ attendeeIds: ['a', 'b'], attendedIds: null })).toEqual(['a', 'b']);
+  expect(attendedUserIds({ attendeeIds: ['a', 'b'], attendedIds: ['a'] })).toEqual(['a']);
+  expect(attendedUserIds({})).toEqual([]);
+});
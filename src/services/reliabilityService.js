@@ -0,0 +1,140 @@
+/**
+ * Reliability Service — attendance score per user and the Master's booking
+ * policy (settings/bookingPolicy).
+ *
+ * The score is attended / booked over the policy's lookback window, where
+ * "booked" counts past bookings with a recorded attendance plus late
+ * cancellations. Bookings from before attendance was recorded are left out
+ * rather than counted either way. Once a Friend reaches `noShowLimit`
+ * no-shows, booking pauses for `cooldownDays`; the count starts again
+ * after each cooldown.
+ *
+ * Only the updateReliability function writes `users/{userId}.reliability`,
+ * whenever one of the user's bookings changes in a way that affects it; the
+ * README rules stop Friends from editing their own. Booking reads the stored
+ * `cooldownUntil` from that one document. A policy change applies from the
+ * next recompute, so cooldowns already running end on their own.
+ */
+import { doc, getDoc, setDoc } from 'firebase/firestore';
+import { BOOKING_STATUS, createBookingPolicy } from '../models';
+import { DOCUMENT_ID, IN_QUERY_LIMIT, chunk, findDocs } from './attendeeDataLoader';
+
+const DAY_MS = 24 * 3600 * 1000;
+
+const POLICY_FIELDS = ['lateCancelHours', 'noShowLimit', 'cooldownDays', 'lookbackDays'];
+
+/**
+ * Load the booking policy, with defaults for unset fields.
+ * @param {Firestore} db
+ * @returns {Promise<BookingPolicy>}
+ */
+export async function loadBookingPolicy(db) {
+  const snap = await getDoc(doc(db, 'settings', 'bookingPolicy'));
+  return createBookingPolicy(snap.exists() ? snap.data() : {});
+}
+
+/**
+ * Save the booking policy. Master only.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {Object} params.policy - POLICY_FIELDS as numbers or numeric strings
+ * @param {string} params.userId
+ * @returns {Promise<BookingPolicy>}
+ */
+export async function saveBookingPolicy(db, { policy, userId }) {
+  const values = {};
+  POLICY_FIELDS.forEach((field) => {
+    const value = Number(policy[field]);
+    if (!Number.isInteger(value) || value < 0) throw new Error('Policy values must be whole numbers of 0 or more.');
+    values[field] = value;
+  });
+  if (values.lookbackDays < 1) throw new Error('The lookback window must be at least 1 day.');
+
+  const saved = createBookingPolicy({ ...values, updatedAt: new Date().toISOString(), updatedBy: userId || '' });
+  await setDoc(doc(db, 'settings', 'bookingPolicy'), saved, { merge: true });
+  return saved;
+}
+
+/**
+ * Score a user's bookings.
+ * @param {Object[]} bookings - All of the user's bookings
+ * @param {Object<string, Object>} eventsById - Their events, for dateTime
+ * @param {BookingPolicy} policy
+ * @param {Date} [now]
+ * @returns {Reliability} Without updatedAt
+ */
+export function computeReliability(bookings, eventsById, policy, now = new Date()) {
+  const since = now.getTime() - policy.lookbackDays * DAY_MS;
+  let attended = 0;
+  let lateCancellations = 0;
+  const noShowTimes = [];
+
+  bookings.forEach((booking) => {
+    const start = new Date(eventsById[booking.eventId]?.dateTime).getTime();
+    if (Number.isNaN(start) || start < since) return;
+
+    if (booking.status === BOOKING_STATUS.CONFIRMED && start <= now.getTime()) {
+      if (booking.actuallyAttended === true) attended += 1;
+      if (booking.actuallyAttended === false) noShowTimes.push(start);
+    } else if (booking.status === BOOKING_STATUS.CANCELLED && booking.cancellationReason !== 'event_cancelled') {
+      const cancelledAt = new Date(booking.cancelledAt).getTime();
+      if (!Number.isNaN(cancelledAt) && cancelledAt >= start - policy.lateCancelHours * 3600 * 1000) lateCancellations += 1;
+    }
+  });
+
+  let cooldownUntil = null;
+  if (policy.noShowLimit > 0) {
+    let count = 0;
+    noShowTimes.sort((a, b) => a - b).forEach((time) => {
+      // No-shows during a cooldown don't count toward the next one
+      if (cooldownUntil && time < cooldownUntil) return;
+      count += 1;
+      if (count >= policy.noShowLimit) {
+        cooldownUntil = time + policy.cooldownDays * DAY_MS;
+        count = 0;
+      }
+    });
+  }
+
+  const booked = attended + noShowTimes.length + lateCancellations;
+  return {
+    score: booked ? Math.round((attended / booked) * 100) : null,
+    booked,
+    attended,
+    noShows: noShowTimes.length,
+    lateCancellations,
+    cooldownUntil: cooldownUntil && cooldownUntil > now.getTime() ? new Date(cooldownUntil).toISOString() : null,
+  };
+}
+
+/**
+ * Load and score one user's bookings.
+ * @param {Firestore|{ findDocs: Function }} db - App Firestore, or a reader from the Cloud Functions
+ * @param {string} userId
+ * @param {BookingPolicy} policy
+ * @param {Date} [now]
+ * @returns {Promise<Reliability>} Without updatedAt
+ */
+export async function loadReliability(db, userId, policy, now = new Date()) {
+  const bookings = await findDocs(db, 'bookings', [['userId', '==', userId]]);
+  const eventIds = [...new Set(bookings.map((b) => b.eventId).filter(Boolean))];
+
+  const events = await Promise.all(chunk(eventIds, IN_QUERY_LIMIT).map((ids) => (
+    findDocs(db, 'events', [[DOCUMENT_ID, 'in', ids]])
+  )));
+  const eventsById = {};
+  events.flat().forEach(({ id, ...event }) => { eventsById[id] = event; });
+
+  return computeReliability(bookings, eventsById, policy, now);
+}
+
+/**
+ * When a user's booking cooldown ends, if they are in one.
+ * @param {Object} [userData] - users/{userId} data
+ * @param {Date} [now]
+ * @returns {Date|null}
+ */
+export function cooldownEndsAt(userData, now = new Date()) {
+  const until = new Date(userData?.reliability?.cooldownUntil || NaN);
+  return until.getTime() > now.getTime() ? until : null;
+}
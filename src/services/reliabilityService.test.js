@@ -0,0 +1,72 @@
+import { setDoc } from 'firebase/firestore';
+import { computeReliability, cooldownEndsAt, saveBookingPolicy } from './reliabilityService';
+import { createBookingPolicy } from '../models';
+
+jest.mock('firebase/firestore', () => ({
+  doc: (db, name, id) => ({ path: `${name}/${id}` }),
+  setDoc: jest.fn(),
+}));
+
+const now = new Date('2030-06-01T12:00:00.000Z');
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 3600 * 1000).toISOString();
+const events = {
+  e1: { dateTime: daysAgo(40) },
+  e2: { dateTime: daysAgo(30) },
+  e3: { dateTime: daysAgo(20) },
+  e4: { dateTime: daysAgo(10) },
+  old: { dateTime: daysAgo(400) },
+  soon: { dateTime: new Date(now.getTime() + 6 * 3600 * 1000).toISOString() },
+};
+const confirmed = (eventId, actuallyAttended) => ({ eventId, status: 'confirmed', actuallyAttended });
+
+test('scores attended against booked, counting late cancellations and skipping unrecorded events', () => {
+  const bookings = [
+    confirmed('e1', true),
+    confirmed('e2', true),
+    confirmed('e3', false),
+    confirmed('e4', null),
+    confirmed('old', false),
+    { eventId: 'soon', status: 'cancelled', cancelledAt: now.toISOString() },
+    { eventId: 'e4', status: 'cancelled', cancelledAt: daysAgo(12) },
+    { eventId: 'e2', status: 'cancelled', cancellationReason: 'event_cancelled', cancelledAt: daysAgo(30) },
+  ];
+
+  expect(computeReliability(bookings, events, createBookingPolicy(), now)).toEqual({
+    score: 50,
+    booked: 4,
+    attended: 2,
+    noShows: 1,
+    lateCancellations: 1,
+    cooldownUntil: null,
+  });
+  expect(computeReliability([], events, createBookingPolicy(), now).score).toBeNull();
+});
+
+test('pauses booking after the configured number of no-shows', () => {
+  const bookings = [confirmed('e1', false), confirmed('e3', false), confirmed('e4', false)];
+
+  expect(computeReliability(bookings, events, createBookingPolicy(), now).cooldownUntil).toBeNull();
+  expect(computeReliability(bookings, events, createBookingPolicy({ noShowLimit: 3, cooldownDays: 14 }), now).cooldownUntil)
+    .toBe(daysAgo(-4));
+  // e1 and e3 started a cooldown that ended before e4; one more no-show is not enough for another
+  expect(computeReliability(bookings, events, createBookingPolicy({ noShowLimit: 2, cooldownDays: 5 }), now).cooldownUntil)
+    .toBeNull();
+});
+
+test('the stored cooldown blocks booking until it ends', () => {
+  const until = daysAgo(-4);
+  expect(cooldownEndsAt({ reliability: { cooldownUntil: until } }, now)).toEqual(new Date(until));
+  expect(cooldownEndsAt({ reliability: { cooldownUntil: daysAgo(1) } }, now)).toBeNull();
+  expect(cooldownEndsAt({ reliability: { cooldownUntil: null } }, now)).toBeNull();
+  expect(cooldownEndsAt(undefined, now)).toBeNull();
+});
+
+test('policy values must be whole numbers', async () => {
+  const policy = { noShowLimit: '3', cooldownDays: '14', lateCancelHours: '24', lookbackDays: '180' };
+  await expect(saveBookingPolicy({}, { policy: { ...policy, cooldownDays: '-1' }, userId: 'm' })).rejects.toThrow('whole numbers');
+  await expect(saveBookingPolicy({}, { policy: { ...policy, lookbackDays: '0' }, userId: 'm' })).rejects.toThrow('lookback');
+
+  const saved = await saveBookingPolicy({}, { policy, userId: 'm' });
+  expect(saved).toMatchObject({ noShowLimit: 3, cooldownDays: 14, updatedBy: 'm' });
+  expect(setDoc).toHaveBeenCalledWith({ path: 'settings/bookingPolicy' }, saved, { merge: true });
+});
@@ -0,0 +1,72 @@
+/**
+ * Scheduling Backend — client side of the generateEventGroups callable.
+ *
+ * AI grouping runs on the server (functions/src/generateEventGroups.js) so
+ * the model API key stays out of the app bundle. Set
+ * REACT_APP_FUNCTIONS_EMULATOR=localhost:5001 to use the Firebase emulator.
+ */
+import { connectFunctionsEmulator, getFunctions, httpsCallable } from 'firebase/functions';
+
+const EMULATOR_HOST = process.env.REACT_APP_FUNCTIONS_EMULATOR || process.env.EXPO_PUBLIC_FUNCTIONS_EMULATOR || '';
+
+// connectFunctionsEmulator may only be called once per instance
+const connected = new WeakSet();
+
+/**
+ * Functions instance for the app, on the emulator when configured.
+ * @param {Firestore} db
+ * @returns {Functions}
+ */
+export const functionsFor = (db) => {
+  const functions = getFunctions(db.app);
+  if (EMULATOR_HOST && !connected.has(functions)) {
+    const [host, port] = EMULATOR_HOST.split(':');
+    connectFunctionsEmulator(functions, host, Number(port) || 5001);
+    connected.add(functions);
+  }
+  return functions;
+};
+
+/**
+ * Ask the backend to group an event's confirmed attendees. The backend reads
+ * the attendee list itself and returns everything the Shuffler needs to show,
+ * score and edit the groups.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @param {number} params.maxPerGroup
+ * @param {number} [params.freshnessWeight] - How hard to avoid repeat pairings (0–1)
+ * @param {number} [params.rounds] - Rounds to group (multi-round events)
+ * @param {'full'|'incremental'} [params.mode] - 'incremental' keeps the saved groups and places late bookings
+ * @returns {Promise<{
+ *   rounds: string[][][],
+ *   attendees: Object[],
+ *   ratings: Object[],
+ *   histories: Object[],
+ *   placed: Array<{ userId: string, groupIndex: number }>,
+ *   removed: Array<{ userId: string, groupIndex: number }>,
+ *   provider: string,
+ *   schedulingNotes: string
+ * }>} Member IDs per group per round; attendees are scoring profiles; histories[r] is the pair history for round r
+ */
+export async function requestEventGroups(db, {
+  eventId, maxPerGroup, freshnessWeight = 0, rounds = 1, mode = 'full',
+}) {
+  const callable = httpsCallable(functionsFor(db), 'generateEventGroups', { timeout: 120000 });
+  const { data } = await callable({ eventId, maxPerGroup, freshnessWeight, rounds, mode });
+  return data;
+}
+
+/**
+ * Message to show for a failed backend call. Refusals carry the server's
+ * own explanation; anything else is reported with its code.
+ * @param {Error} error - From httpsCallable
+ * @returns {string}
+ */
+export function backendErrorMessage(error) {
+  const code = String(error?.code || '').replace(/^functions\//, '');
+  if (['unauthenticated', 'permission-denied', 'invalid-argument', 'failed-precondition', 'not-found'].includes(code)) {
+    return error.message;
+  }
+  return `The grouping service failed${code ? ` (${code})` : ''}. Please try again.`;
+}
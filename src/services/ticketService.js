@@ -0,0 +1,158 @@
+/**
+ * Ticket Service — QR tickets for confirmed bookings and the organizer's
+ * scan-to-check-in.
+ *
+ * Tickets are signed by the issueTicket function (functions/src/issueTicket.js)
+ * and stored on the booking. Venues often have no signal, so the scanner
+ * works from a door list: the event's ticket key plus its bookings, loaded
+ * when the scanner opens online and saved on the device. Scans are checked
+ * against the door list and recorded with a plain update on the booking,
+ * which Firestore queues until the device is back online.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { collection, doc, getDoc, getDocs, query, updateDoc, where } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { verifyTicket } from '../algorithms/ticketSignature';
+import { BOOKING_STATUS, PRESENCE_STATUS } from '../models';
+import { loadProfiles } from './attendeeDataLoader';
+import { functionsFor } from './schedulingBackend';
+
+const DOOR_LIST_KEY_PREFIX = 'gatherly.doorList.';
+
+const INVALID_TICKET_MESSAGES = {
+  malformed: 'This is not a Gatherly ticket.',
+  wrong_event: 'This ticket is for a different event.',
+  bad_signature: 'This ticket is not valid.',
+};
+
+/**
+ * Get the user's ticket for a confirmed booking, issuing it on first use.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @returns {Promise<string>} Ticket to render as a QR code
+ */
+export async function requestTicket(db, { eventId }) {
+  const callable = httpsCallable(functionsFor(db), 'issueTicket');
+  const { data } = await callable({ eventId });
+  return data.ticket;
+}
+
+/**
+ * Everything the scanner needs to check an event's tickets offline.
+ * @typedef {Object} DoorList
+ * @property {string} eventId
+ * @property {string|null} key - The event's ticket key; null until the first ticket is issued
+ * @property {string} organizerId - Event creator
+ * @property {string|null} attendanceFinalizedAt
+ * @property {Object<string, { bookingId: string, status: string, ticket: string|null, checkedInAt: string|null, name: string }>} bookings - Keyed by user ID
+ * @property {string} savedAt - ISO; when it was last loaded from Firestore
+ * @property {boolean} [offline] - Set when this is the saved copy because Firestore could not be reached
+ */
+
+const saveDoorList = (doorList) => AsyncStorage.setItem(
+  `${DOOR_LIST_KEY_PREFIX}${doorList.eventId}`,
+  JSON.stringify(doorList)
+);
+
+/**
+ * Load an event's door list and save it on the device. When Firestore
+ * cannot be reached the last saved copy is returned instead. Only the event
+ * creator can read the ticket key.
+ * @param {Firestore} db
+ * @param {string} eventId
+ * @returns {Promise<DoorList>}
+ */
+export async function loadDoorList(db, eventId) {
+  try {
+    const [eventSnap, secretSnap, bookingsSnap] = await Promise.all([
+      getDoc(doc(db, 'events', eventId)),
+      getDoc(doc(db, 'eventSecrets', eventId)),
+      getDocs(query(collection(db, 'bookings'), where('eventId', '==', eventId))),
+    ]);
+    if (!eventSnap.exists()) throw new Error('Event not found');
+    const event = eventSnap.data();
+
+    const rows = bookingsSnap.docs.map((d) => ({ bookingId: d.id, ...d.data() }));
+    const profiles = await loadProfiles(db, [...new Set(rows.map((b) => b.userId))]);
+    const names = Object.fromEntries(profiles.map((p) => [p.id, p.displayName || p.fullName || '']));
+
+    const bookings = {};
+    rows.forEach((b) => {
+      // A user with a cancelled and a later confirmed booking keeps the confirmed one
+      if (bookings[b.userId]?.status === BOOKING_STATUS.CONFIRMED) return;
+      bookings[b.userId] = {
+        bookingId: b.bookingId,
+        status: b.status,
+        ticket: b.ticket || null,
+        checkedInAt: b.checkedInAt || null,
+        name: names[b.userId] || '',
+      };
+    });
+
+    const doorList = {
+      eventId,
+      key: secretSnap.exists() ? secretSnap.data().ticketKey || null : null,
+      organizerId: event.createdBy || '',
+      attendanceFinalizedAt: event.attendanceFinalizedAt || null,
+      bookings,
+      savedAt: new Date().toISOString(),
+    };
+    await saveDoorList(doorList);
+    return doorList;
+  } catch (error) {
+    const saved = await AsyncStorage.getItem(`${DOOR_LIST_KEY_PREFIX}${eventId}`);
+    if (!saved) throw error;
+    return { ...JSON.parse(saved), offline: true };
+  }
+}
+
+/**
+ * Verify a scanned ticket against the door list and check its holder in.
+ * Works offline: the booking update is queued by Firestore and `synced`
+ * settles once the server has it. The door list is updated and saved right
+ * away, so a second scan on this device is rejected even before then. If
+ * the server later refuses the update, `synced` rejects and the ticket can
+ * be scanned again.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.token - Scanned QR contents
+ * @param {DoorList} params.doorList - From loadDoorList; updated in place
+ * @param {string} params.organizerId - Must be the event creator
+ * @returns {Promise<{ userId: string, name: string, checkedInAt: string, synced: Promise<void> }>}
+ */
+export async function checkInTicket(db, { token, doorList, organizerId }) {
+  if (doorList.organizerId !== organizerId) throw new Error('Only the organizer can check tickets in.');
+  if (doorList.attendanceFinalizedAt) throw new Error('Attendance for this event is already final.');
+
+  const result = verifyTicket(token, { eventId: doorList.eventId, key: doorList.key });
+  if (!result.valid) throw new Error(INVALID_TICKET_MESSAGES[result.reason]);
+
+  const booking = doorList.bookings[result.userId];
+  if (!booking || booking.status !== BOOKING_STATUS.CONFIRMED) throw new Error('This booking is no longer confirmed.');
+  if (booking.ticket && booking.ticket !== token.trim()) throw new Error('This ticket has been replaced.');
+  if (booking.checkedInAt) {
+    const at = new Date(booking.checkedInAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    throw new Error(`Already checked in at ${at}.`);
+  }
+
+  const checkedInAt = new Date().toISOString();
+  booking.checkedInAt = checkedInAt;
+  await saveDoorList(doorList);
+
+  const synced = updateDoc(doc(db, 'bookings', booking.bookingId), {
+    actuallyAttended: true,
+    checkedInAt,
+    checkedInBy: organizerId,
+    presenceStatus: PRESENCE_STATUS.PRESENT,
+    etaMinutes: null,
+    presenceUpdatedAt: checkedInAt,
+    lastUpdated: checkedInAt,
+  }).catch(async (error) => {
+    // Rejected by the server: let the ticket be scanned again
+    booking.checkedInAt = null;
+    await saveDoorList(doorList);
+    throw error;
+  });
+  return { userId: result.userId, name: booking.name, checkedInAt, synced };
+}
@@ -0,0 +1,93 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getDoc, getDocs, updateDoc } from 'firebase/firestore';
+import { signTicket } from '../algorithms/ticketSignature';
+import { installFakeFirestore } from '../testUtils/fakeFirestore';
+import { checkInTicket, loadDoorList } from './ticketService';
+
+jest.mock('firebase/functions', () => ({}));
+
+const key = 'event-key';
+const ticket = signTicket({ eventId: 'e1', userId: 'a', key });
+
+const firestore = installFakeFirestore(() => ({
+  'events/e1': { createdBy: 'org', status: 'published' },
+  'eventSecrets/e1': { ticketKey: key },
+  'bookings/a_e1': { userId: 'a', eventId: 'e1', status: 'confirmed', ticket },
+  'users/a': { displayName: 'Amal' },
+}));
+
+beforeEach(() => AsyncStorage.clear());
+
+const goOffline = () => {
+  const unavailable = () => Promise.reject(new Error('Failed to get document because the client is offline.'));
+  getDoc.mockImplementation(unavailable);
+  getDocs.mockImplementation(unavailable);
+  // Offline writes stay queued until the device reconnects
+  updateDoc.mockImplementation(() => new Promise(() => {}));
+};
+
+test('a valid scan marks the booking attended and records the time', async () => {
+  const doorList = await loadDoorList({}, 'e1');
+  const { userId, name, checkedInAt, synced } = await checkInTicket({}, { token: ticket, doorList, organizerId: 'org' });
+  await synced;
+
+  expect([userId, name]).toEqual(['a', 'Amal']);
+  expect(firestore.written).toEqual([{
+    path: 'bookings/a_e1',
+    data: expect.objectContaining({ actuallyAttended: true, checkedInAt, checkedInBy: 'org', presenceStatus: 'confirmed_present' }),
+  }]);
+});
+
+test('legacy bookings are checked in on their own document', async () => {
+  delete firestore.store['bookings/a_e1'];
+  firestore.store['bookings/legacy1'] = { userId: 'a', eventId: 'e1', status: 'cancelled' };
+  firestore.store['bookings/legacy2'] = { userId: 'a', eventId: 'e1', status: 'confirmed', ticket };
+
+  const doorList = await loadDoorList({}, 'e1');
+  await (await checkInTicket({}, { token: ticket, doorList, organizerId: 'org' })).synced;
+  expect(firestore.written.map((w) => w.path)).toEqual(['bookings/legacy2']);
+});
+
+test('duplicate scans and bad tickets are rejected', async () => {
+  const doorList = await loadDoorList({}, 'e1');
+  await checkInTicket({}, { token: ticket, doorList, organizerId: 'org' });
+  await expect(checkInTicket({}, { token: ticket, doorList, organizerId: 'org' })).rejects.toThrow('Already checked in');
+
+  const otherEvent = signTicket({ eventId: 'e2', userId: 'a', key });
+  await expect(checkInTicket({}, { token: otherEvent, doorList, organizerId: 'org' })).rejects.toThrow('different event');
+  const forged = signTicket({ eventId: 'e1', userId: 'b', key: 'guess' });
+  await expect(checkInTicket({}, { token: forged, doorList, organizerId: 'org' })).rejects.toThrow('not valid');
+  await expect(checkInTicket({}, { token: ticket, doorList, organizerId: 'a' })).rejects.toThrow('organizer');
+
+  firestore.store['bookings/a_e1'] = { ...firestore.store['bookings/a_e1'], status: 'cancelled', checkedInAt: null };
+  const reloaded = await loadDoorList({}, 'e1');
+  await expect(checkInTicket({}, { token: ticket, doorList: reloaded, organizerId: 'org' })).rejects.toThrow('no longer confirmed');
+  expect(firestore.written).toHaveLength(1);
+});
+
+test('offline, the saved door list still checks tickets in and rejects a second scan', async () => {
+  await loadDoorList({}, 'e1');
+  goOffline();
+
+  const doorList = await loadDoorList({}, 'e1');
+  expect(doorList).toMatchObject({ offline: true, key });
+  const { userId } = await checkInTicket({}, { token: ticket, doorList, organizerId: 'org' });
+  expect(userId).toBe('a');
+  expect(updateDoc).toHaveBeenCalledWith({ path: 'bookings/a_e1', id: 'a_e1' }, expect.objectContaining({ actuallyAttended: true }));
+
+  // Reopening the scanner offline keeps the scan
+  const reopened = await loadDoorList({}, 'e1');
+  await expect(checkInTicket({}, { token: ticket, doorList: reopened, organizerId: 'org' })).rejects.toThrow('Already checked in');
+
+  await AsyncStorage.clear();
+  await expect(loadDoorList({}, 'e1')).rejects.toThrow('offline');
+});
+
+test('a check-in the server refuses can be scanned again', async () => {
+  const doorList = await loadDoorList({}, 'e1');
+  updateDoc.mockRejectedValueOnce(new Error('permission-denied'));
+
+  const { synced } = await checkInTicket({}, { token: ticket, doorList, organizerId: 'org' });
+  await expect(synced).rejects.toThrow('permission-denied');
+  await expect(checkInTicket({}, { token: ticket, doorList, organizerId: 'org' })).resolves.toMatchObject({ userId: 'a' });
+});
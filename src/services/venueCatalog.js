@@ -0,0 +1,98 @@
+/**
+ * Venue Catalog — the venues an Organizer can assign groups to.
+ *
+ * Catalog entries are documents in the existing `locations` collection,
+ * tagged with the `localityId` they belong to. Venues are deactivated rather
+ * than deleted so events that already used one keep a valid reference.
+ */
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  setDoc,
+  updateDoc,
+  where,
+} from 'firebase/firestore';
+import { createLocation } from '../models';
+
+/** Venue types offered in the catalog form. */
+export const VENUE_TYPES = ['restaurant', 'cafe', 'bar', 'activity', 'other'];
+
+/**
+ * Load a locality's catalog, sorted by name.
+ * @param {Firestore} db
+ * @param {string} localityId
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive]
+ * @returns {Promise<Object[]>}
+ */
+export async function listVenues(db, localityId, { includeInactive = false } = {}) {
+  if (!localityId) return [];
+  const snap = await getDocs(query(collection(db, 'locations'), where('localityId', '==', localityId)));
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((v) => includeInactive || v.isActive !== false)
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+}
+
+/**
+ * Create or update a catalog venue.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} [params.venueId] - Omit to create
+ * @param {Object} params.fields - Location fields from the catalog form
+ * @param {string} params.localityId
+ * @param {string} params.userId
+ * @returns {Promise<string>} The venue ID
+ */
+export async function saveVenue(db, { venueId, fields, localityId, userId }) {
+  const name = (fields.name || '').trim();
+  if (!name) throw new Error('Venue name is required');
+  const capacity = parseInt(fields.capacity, 10);
+  if (Number.isNaN(capacity) || capacity < 1) throw new Error('Capacity must be at least 1');
+  if (fields.openingHours && !/^\d{1,2}:\d{2}-\d{1,2}:\d{2}$/.test(fields.openingHours.trim())) {
+    throw new Error('Opening hours must look like 10:00-23:00');
+  }
+
+  const now = new Date().toISOString();
+  const patch = {
+    name,
+    address: (fields.address || '').trim(),
+    googleMapsLink: (fields.googleMapsLink || '').trim(),
+    capacity,
+    venueType: fields.venueType || 'restaurant',
+    cuisine: (fields.cuisine || '').trim(),
+    openingHours: (fields.openingHours || '').trim(),
+    priceLevel: Math.min(4, Math.max(1, Number(fields.priceLevel) || 2)),
+  };
+
+  if (venueId) {
+    await updateDoc(doc(db, 'locations', venueId), { ...patch, lastUpdated: now, updatedBy: userId });
+    return venueId;
+  }
+
+  // Same ID scheme as AuthContext.addLocation
+  const id = `location_${Date.now()}`;
+  const { id: _id, ...venue } = createLocation({
+    ...patch,
+    localityId,
+    createdAt: now,
+    createdBy: userId,
+  });
+  await setDoc(doc(db, 'locations', id), { id, ...venue });
+  return id;
+}
+
+/**
+ * Activate or deactivate a catalog venue.
+ * @param {Firestore} db
+ * @param {string} venueId
+ * @param {boolean} isActive
+ */
+export async function setVenueActive(db, venueId, isActive) {
+  await updateDoc(doc(db, 'locations', venueId), {
+    isActive,
+    lastUpdated: new Date().toISOString(),
+  });
+}
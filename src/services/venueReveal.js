@@ -0,0 +1,207 @@
+/**
+ * Venue Reveal — staged disclosure of each group's venue.
+ *
+ * The Shuffler saves groups with `locationRevealed: false` and an event-level
+ * `revealAt` time. Until then the event document only holds the groups; their
+ * venues wait in `events/{eventId}/private/venues`, which only the event's
+ * creator can read, so Friends can't find them early. Once the time has
+ * passed, the revealScheduledVenues function (or the organizer choosing
+ * "Now") copies the venues onto the groups, flips them and sends each member
+ * their venue details, in the same transaction so a venue is never announced
+ * twice. Multi-round events reveal every round at once, one message per member.
+ * Each revealed group also gets its pre-event group chat (see groupChatService).
+ */
+import { collection, doc, getDoc, runTransaction, setDoc } from 'firebase/firestore';
+import { EVENT_STATUS, createNotification } from '../models';
+import { normalizeEventStatus } from './eventLifecycle';
+import { buildGroupChat, groupChatId } from './groupChatService';
+
+/** Reveal-time presets offered to organizers, in hours before the event. */
+export const REVEAL_OFFSETS = [
+  { hours: 48, label: '48h before' },
+  { hours: 24, label: '24h before' },
+  { hours: 2, label: '2h before' },
+  { hours: 0, label: 'Now' },
+];
+
+const VENUE_FIELDS = ['venueId', 'venueName', 'venueAddress', 'mapUrl'];
+const NO_VENUE = { venueId: null, venueName: '', venueAddress: '', mapUrl: '' };
+
+// Single-round events only have venueGroups; treat them as one unlabeled round
+const roundsOf = (event) => (event?.rounds?.length ? event.rounds : [{ label: '', venueGroups: event?.venueGroups || [] }]);
+
+const venueLine = (group) => `${group.venueName}`
+  + `${group.venueAddress ? ` — ${group.venueAddress}` : ''}`
+  + `${group.mapUrl ? ` (map: ${group.mapUrl})` : ''}`;
+
+/**
+ * Path of the creator-only document holding an event's venues.
+ * @param {string} eventId
+ * @returns {string}
+ */
+export const venueDetailsPath = (eventId) => `events/${eventId}/private/venues`;
+
+/**
+ * Split groups for saving: venues go to the private document, and groups
+ * that are not revealed yet lose theirs on the event document.
+ * @param {VenueGroup[]} groups - Every group of every round
+ * @returns {{ publicGroups: VenueGroup[], details: Object<string, Object> }} details keyed by groupId
+ */
+export function splitVenueDetails(groups) {
+  const details = {};
+  const publicGroups = groups.map((group) => {
+    details[group.groupId] = Object.fromEntries(VENUE_FIELDS.map((field) => [field, group[field] ?? NO_VENUE[field]]));
+    return group.locationRevealed ? group : { ...group, ...NO_VENUE };
+  });
+  return { publicGroups, details };
+}
+
+/**
+ * Put saved venues back on groups, for the organizer editing them.
+ * @param {VenueGroup[]} groups
+ * @param {Object<string, Object>} details - From loadVenueDetails
+ * @returns {VenueGroup[]}
+ */
+export function withVenueDetails(groups, details) {
+  return groups.map((group) => (details[group.groupId] ? { ...group, ...details[group.groupId] } : group));
+}
+
+/**
+ * Save the venues of an event's groups to the private document.
+ * @param {Firestore} db
+ * @param {string} eventId
+ * @param {Object<string, Object>} details - From splitVenueDetails
+ */
+export async function saveVenueDetails(db, eventId, details) {
+  await setDoc(doc(db, venueDetailsPath(eventId)), { groups: details, lastUpdated: new Date().toISOString() });
+}
+
+/**
+ * Load an event's venues, keyed by groupId. Organizer only.
+ * @param {Firestore} db
+ * @param {string} eventId
+ * @returns {Promise<Object<string, Object>>} Empty for events saved before venues were kept private
+ */
+export async function loadVenueDetails(db, eventId) {
+  const snap = await getDoc(doc(db, venueDetailsPath(eventId)));
+  return snap.exists() ? snap.data().groups || {} : {};
+}
+
+/**
+ * Compute the reveal timestamp for an event and a preset.
+ * @param {Object} event - Event with dateTime
+ * @param {number} hoursBefore - 0 reveals immediately
+ * @param {Date} [now]
+ * @returns {string} ISO timestamp, never later than the event start
+ */
+export function computeRevealAt(event, hoursBefore, now = new Date()) {
+  const start = new Date(event?.dateTime).getTime();
+  if (!hoursBefore || Number.isNaN(start)) return now.toISOString();
+  return new Date(Math.max(now.getTime(), start - hoursBefore * 3600 * 1000)).toISOString();
+}
+
+/**
+ * An event is due when it is published, has unrevealed groups and its
+ * revealAt has passed. Events saved before staged reveals (no revealAt) are
+ * left alone.
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isRevealDue(event, now = new Date()) {
+  const groups = roundsOf(event).flatMap((round) => round.venueGroups || []);
+  if (normalizeEventStatus(event?.status) !== EVENT_STATUS.PUBLISHED) return false;
+  if (!event?.revealAt || !groups.some((g) => !g.locationRevealed)) return false;
+  const at = new Date(event.revealAt).getTime();
+  return !Number.isNaN(at) && at <= now.getTime();
+}
+
+/**
+ * Work out what revealing an event writes. Shared by revealEventVenues and
+ * the revealScheduledVenues function, which run it in their own transactions.
+ * @param {string} eventId
+ * @param {Object} event - Event data as stored
+ * @param {Object<string, Object>} details - From the private venues document; groups
+ *   saved before it existed keep the venue they already hold
+ * @param {Date} revealTime
+ * @param {string} [revealedBy] - User ID recorded as the notification sender
+ * @returns {{ revealed: number, eventUpdate: Object, notifications: Notification[], chats: GroupChat[] }}
+ */
+export function planVenueReveal(eventId, event, details, revealTime, revealedBy = '') {
+  const now = revealTime.toISOString();
+  const multiRound = (event.rounds || []).length > 1;
+  const linesByUser = {};
+  let revealed = 0;
+  const chats = [];
+  const rounds = roundsOf(event).map((round) => ({
+    ...round,
+    venueGroups: (round.venueGroups || []).map((saved) => {
+      if (saved.locationRevealed) return saved;
+      const group = { ...saved, ...details[saved.groupId], locationRevealed: true, revealedAt: now };
+      revealed += 1;
+      chats.push(buildGroupChat(eventId, event, group, multiRound ? round.label : '', revealTime));
+      (group.attendeeIds || []).forEach((userId) => {
+        (linesByUser[userId] = linesByUser[userId] || []).push(
+          multiRound ? `${round.label}${round.startTime ? ` (${round.startTime})` : ''}: ${venueLine(group)}` : venueLine(group)
+        );
+      });
+      return group;
+    }),
+  }));
+
+  const notifications = Object.entries(linesByUser).map(([userId, lines]) => {
+    const { id: _id, ...notification } = createNotification({
+      userId,
+      type: 'venue_revealed',
+      fromUserId: revealedBy,
+      eventId,
+      message: multiRound
+        ? `Your venues for "${event.title}": ${lines.join('; ')}.`
+        : `Your venue for "${event.title}" is ${lines[0]}.`,
+      createdAt: now,
+    });
+    return notification;
+  });
+
+  return {
+    revealed,
+    eventUpdate: {
+      venueGroups: rounds[0].venueGroups,
+      ...(multiRound ? { rounds } : {}),
+      locationRevealed: true,
+      lastUpdated: now,
+    },
+    notifications,
+    chats,
+  };
+}
+
+/**
+ * Reveal every unrevealed group of an event now and notify its members.
+ * Organizer only, since it reads the private venues.
+ * @param {Firestore} db
+ * @param {string} eventId
+ * @param {string} [revealedBy] - User ID recorded as the notification sender
+ * @returns {Promise<number>} Number of groups revealed (0 if already done)
+ */
+export async function revealEventVenues(db, eventId, revealedBy = '') {
+  return runTransaction(db, async (transaction) => {
+    const eventRef = doc(db, 'events', eventId);
+    const [eventSnap, detailsSnap] = await Promise.all([
+      transaction.get(eventRef),
+      transaction.get(doc(db, venueDetailsPath(eventId))),
+    ]);
+    if (!eventSnap.exists()) return 0;
+
+    const details = detailsSnap.exists() ? detailsSnap.data().groups || {} : {};
+    const { revealed, eventUpdate, notifications, chats } = planVenueReveal(
+      eventId, eventSnap.data(), details, new Date(), revealedBy
+    );
+    if (!revealed) return 0;
+
+    notifications.forEach((notification) => transaction.set(doc(collection(db, 'notifications')), notification));
+    chats.forEach((chat) => transaction.set(doc(db, 'groupChats', groupChatId(eventId, chat.groupId)), chat));
+    transaction.update(eventRef, eventUpdate);
+    return revealed;
+  });
+}
@@ -0,0 +1,105 @@
+import { installFakeFirestore } from '../testUtils/fakeFirestore';
+import {
+  isRevealDue,
+  loadVenueDetails,
+  revealEventVenues,
+  saveVenueDetails,
+  splitVenueDetails,
+  withVenueDetails,
+} from './venueReveal';
+
+const group = (groupId, attendeeIds, venueName) => ({
+  groupId,
+  groupName: groupId.toUpperCase(),
+  attendeeIds,
+  venueId: `loc-${groupId}`,
+  venueName,
+  venueAddress: `${venueName} Street`,
+  mapUrl: '',
+  locationRevealed: false,
+});
+
+const event = {
+  title: 'Friday Dinner',
+  status: 'published',
+  createdBy: 'org',
+  dateTime: '2030-05-10T19:00:00.000Z',
+  revealAt: '2030-05-09T19:00:00.000Z',
+};
+
+const firestore = installFakeFirestore(() => ({ 'events/e1': { ...event } }));
+
+const saveGroups = async (groups, extra = {}) => {
+  const { publicGroups, details } = splitVenueDetails(groups);
+  await saveVenueDetails({}, 'e1', details);
+  Object.assign(firestore.store['events/e1'], { venueGroups: publicGroups, ...extra });
+};
+
+const notificationsWritten = () => firestore.written.filter((w) => w.path.startsWith('notifications/')).map((w) => w.data);
+
+test('unrevealed venues stay off the event document', async () => {
+  await saveGroups([group('g1', ['a', 'b'], 'Zooba'), { ...group('g2', ['c'], 'Kazoku'), locationRevealed: true }]);
+
+  const [hidden, revealed] = firestore.store['events/e1'].venueGroups;
+  expect(hidden).toMatchObject({ venueId: null, venueName: '', venueAddress: '', attendeeIds: ['a', 'b'] });
+  expect(revealed.venueName).toBe('Kazoku');
+
+  const details = await loadVenueDetails({}, 'e1');
+  expect(withVenueDetails(firestore.store['events/e1'].venueGroups, details)[0]).toMatchObject({ venueName: 'Zooba', venueId: 'loc-g1' });
+});
+
+test('revealing copies the venues, notifies each member and opens the chats once', async () => {
+  await saveGroups([group('g1', ['a', 'b'], 'Zooba'), group('g2', ['c'], 'Kazoku')]);
+
+  await expect(revealEventVenues({}, 'e1', 'org')).resolves.toBe(2);
+
+  const stored = firestore.store['events/e1'];
+  expect(stored.locationRevealed).toBe(true);
+  expect(stored.venueGroups.map((g) => [g.venueName, g.locationRevealed])).toEqual([['Zooba', true], ['Kazoku', true]]);
+  expect(notificationsWritten().map((n) => [n.userId, n.message])).toEqual([
+    ['a', 'Your venue for "Friday Dinner" is Zooba — Zooba Street.'],
+    ['b', 'Your venue for "Friday Dinner" is Zooba — Zooba Street.'],
+    ['c', 'Your venue for "Friday Dinner" is Kazoku — Kazoku Street.'],
+  ]);
+  expect(firestore.store['groupChats/e1_g1']).toMatchObject({ memberIds: ['a', 'b'], organizerId: 'org' });
+  expect(firestore.store['groupChats/e1_g2'].memberIds).toEqual(['c']);
+
+  firestore.written = [];
+  await expect(revealEventVenues({}, 'e1', 'org')).resolves.toBe(0);
+  expect(firestore.written).toEqual([]);
+});
+
+test('a multi-round reveal sends each member one message listing every round', async () => {
+  const rounds = [
+    { label: 'Dinner', startTime: '19:00', venueGroups: [group('g1', ['a', 'b'], 'Zooba')] },
+    { label: 'Drinks', startTime: '21:30', venueGroups: [group('round-2-g1', ['a', 'b'], 'Cairo Jazz Club')] },
+  ];
+  const split = rounds.map((round) => splitVenueDetails(round.venueGroups));
+  await saveVenueDetails({}, 'e1', Object.assign({}, ...split.map((part) => part.details)));
+  Object.assign(firestore.store['events/e1'], {
+    venueGroups: split[0].publicGroups,
+    rounds: rounds.map((round, r) => ({ ...round, venueGroups: split[r].publicGroups })),
+  });
+
+  await expect(revealEventVenues({}, 'e1', 'org')).resolves.toBe(2);
+  expect(notificationsWritten()).toHaveLength(2);
+  expect(notificationsWritten()[0].message).toBe(
+    'Your venues for "Friday Dinner": Dinner (19:00): Zooba — Zooba Street; Drinks (21:30): Cairo Jazz Club — Cairo Jazz Club Street.'
+  );
+  expect(firestore.store['events/e1'].rounds[1].venueGroups[0].venueName).toBe('Cairo Jazz Club');
+});
+
+test('events saved before venues were private reveal the venue they hold', async () => {
+  firestore.store['events/e1'].venueGroups = [group('g1', ['a'], 'Zooba')];
+  await revealEventVenues({}, 'e1', 'org');
+  expect(firestore.store['events/e1'].venueGroups[0]).toMatchObject({ venueName: 'Zooba', locationRevealed: true });
+});
+
+test('only published events with unrevealed groups are due once revealAt passes', () => {
+  const pending = { ...event, venueGroups: [group('g1', ['a'], 'Zooba')] };
+  expect(isRevealDue(pending, new Date('2030-05-09T18:59:00.000Z'))).toBe(false);
+  expect(isRevealDue(pending, new Date('2030-05-09T19:00:00.000Z'))).toBe(true);
+  expect(isRevealDue({ ...pending, status: 'cancelled' }, new Date('2030-05-09T19:00:00.000Z'))).toBe(false);
+  expect(isRevealDue({ ...pending, revealAt: null }, new Date('2030-05-09T19:00:00.000Z'))).toBe(false);
+  expect(isRevealDue({ ...pending, venueGroups: [{ ...pending.venueGroups[0], locationRevealed: true }] }, new Date('2030-05-10T00:00:00.000Z'))).toBe(false);
+});
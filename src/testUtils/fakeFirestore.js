@@ -0,0 +1,148 @@
+/* eslint-env jest */
+/**
+ * In-memory Firestore for service tests, on top of the manual mock in
+ * src/__mocks__/firebase/firestore.js.
+ *
+ * Documents live in `store`, keyed by path. Reads, transactions, batches and
+ * single-document writes all go through it, and every write is also pushed
+ * to `written` as `{ path, data }` (data is null for a delete) so tests can
+ * assert on exactly what a service wrote.
+ *
+ * Like the real SDK, transactions and batches hold their writes until they
+ * succeed: a transaction applies them when its function returns and drops
+ * them when it throws, a batch applies them on `commit()`, and either applies
+ * all of them or none. A transaction read after a write throws.
+ */
+import {
+  addDoc,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  runTransaction,
+  setDoc,
+  updateDoc,
+  writeBatch,
+} from 'firebase/firestore';
+
+// Like real snapshots, these keep the data as it was when read
+const snapshotOf = (store, ref) => {
+  const data = store[ref.path];
+  return { id: ref.id, ref, exists: () => data !== undefined, data: () => data };
+};
+
+// Applies `a.b` field paths the way updateDoc does
+const withFieldPaths = (current, data) => {
+  const next = { ...current };
+  Object.entries(data).forEach(([fieldPath, value]) => {
+    const keys = fieldPath.split('.');
+    let target = next;
+    keys.slice(0, -1).forEach((key) => {
+      target[key] = { ...target[key] };
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  });
+  return next;
+};
+
+const compare = {
+  '==': (actual, value) => actual === value,
+  '!=': (actual, value) => actual !== value,
+  '<': (actual, value) => actual < value,
+  '<=': (actual, value) => actual <= value,
+  '>': (actual, value) => actual > value,
+  '>=': (actual, value) => actual >= value,
+  in: (actual, value) => value.includes(actual),
+  'not-in': (actual, value) => !value.includes(actual),
+  'array-contains': (actual, value) => (actual || []).includes(value),
+  'array-contains-any': (actual, value) => (actual || []).some((item) => value.includes(item)),
+};
+
+/**
+ * Back the mocked Firestore with a fresh store before each test.
+ * @param {Function} [seed] - Returns the starting documents, keyed by path
+ * @returns {{ store: Object, written: Object[] }} Replaced before each test; read its fields inside tests
+ */
+export function installFakeFirestore(seed = () => ({})) {
+  const firestore = { store: {}, written: [] };
+
+  const write = {
+    set: (ref, data, { merge = false } = {}) => {
+      const { store } = firestore;
+      store[ref.path] = merge ? { ...store[ref.path], ...data } : data;
+      firestore.written.push({ path: ref.path, data });
+    },
+    update: (ref, data) => {
+      const { store } = firestore;
+      if (store[ref.path] === undefined) throw new Error(`No document to update: ${ref.path}`);
+      store[ref.path] = withFieldPaths(store[ref.path], data);
+      firestore.written.push({ path: ref.path, data });
+    },
+    delete: (ref) => {
+      delete firestore.store[ref.path];
+      firestore.written.push({ path: ref.path, data: null });
+    },
+  };
+
+  // Apply queued writes all at once, or none of them if one fails
+  const applyAll = (ops) => {
+    const store = { ...firestore.store };
+    const count = firestore.written.length;
+    try {
+      ops.forEach((op) => op());
+    } catch (error) {
+      firestore.store = store;
+      firestore.written.splice(count);
+      throw error;
+    }
+  };
+
+  const queued = (ops, target) => Object.assign(target, {
+    set: (...args) => { ops.push(() => write.set(...args)); return target; },
+    update: (...args) => { ops.push(() => write.update(...args)); return target; },
+    delete: (...args) => { ops.push(() => write.delete(...args)); return target; },
+  });
+
+  beforeEach(() => {
+    firestore.store = seed();
+    firestore.written = [];
+
+    getDoc.mockImplementation(async (ref) => snapshotOf(firestore.store, ref));
+    getDocs.mockImplementation(async ({ path, filters = [] }) => {
+      const docs = Object.keys(firestore.store)
+        .filter((key) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+        .map((key) => snapshotOf(firestore.store, doc(null, key)))
+        .filter((snap) => filters.every(({ field, op, value }) => (
+          compare[op](field === '__id__' ? snap.id : snap.data()[field], value)
+        )));
+      return { docs, empty: !docs.length, size: docs.length, forEach: (fn) => docs.forEach(fn) };
+    });
+    setDoc.mockImplementation(async (ref, data, options) => write.set(ref, data, options));
+    updateDoc.mockImplementation(async (ref, data) => write.update(ref, data));
+    deleteDoc.mockImplementation(async (ref) => write.delete(ref));
+    addDoc.mockImplementation(async (collectionRef, data) => {
+      const ref = doc(collectionRef);
+      write.set(ref, data);
+      return ref;
+    });
+    runTransaction.mockImplementation(async (db, fn) => {
+      const ops = [];
+      const transaction = queued(ops, {
+        get: async (ref) => {
+          if (ops.length) throw new Error('Firestore transactions require all reads to be executed before all writes.');
+          return snapshotOf(firestore.store, ref);
+        },
+      });
+      const result = await fn(transaction);
+      applyAll(ops);
+      return result;
+    });
+    writeBatch.mockImplementation(() => {
+      const ops = [];
+      return queued(ops, { commit: async () => applyAll(ops.splice(0)) });
+    });
+  });
+
+  return firestore;
+}
@@ -0,0 +1,10 @@
+/**
+ * Jest global setup. Runs before the test workers start, which is the only
+ * point where TZ still changes how Date reads local time.
+ *
+ * Tests run in Cairo, which observes DST, so date code that works in local
+ * time is checked across a clock change wherever the suite runs.
+ */
+module.exports = () => {
+  process.env.TZ = 'Africa/Cairo';
+};